@@ -36,4 +36,10 @@ export default [
     },
     // "extends": ["eslint:recommended", "plugin:react/recommended"]
   },
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,192 @@
+// Checks the library sync's three-way merge (planSync) and its queue against hand-written
+// cases, without a browser or an account:
+//
+//   npm run check:sync
+//
+// SyncEngine is loaded through Vite so its .jsx imports resolve like in the app. Exits non-zero
+// when a case fails.
+import assert from 'node:assert/strict';
+import { createServer } from 'vite';
+
+// No dev server or dependency scan is needed to load one module
+const vite = await createServer({
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  optimizeDeps: { noDiscovery: true },
+  logLevel: 'error'
+});
+
+const { planSync, enqueue, flushQueue } = await vite.ssrLoadModule('/src/utils/SyncEngine.jsx');
+
+const movie = (id, title = `Movie ${id}`) => ({ mediaType: 'movie', item: { id, title } });
+
+const localOf = ({ watchlist = [], favorite = [], rated = {} } = {}) => ({
+  watchlist: new Set(watchlist),
+  favorite: new Set(favorite),
+  rated: new Map(Object.entries(rated))
+});
+
+const remoteOf = ({ watchlist = [], favorite = [], rated = {} } = {}) => ({
+  watchlist: new Map(watchlist.map(key => [key, movie(Number(key.split('-')[1]))])),
+  favorite: new Map(favorite.map(key => [key, movie(Number(key.split('-')[1]))])),
+  rated: new Map(Object.entries(rated).map(([key, rating]) => [key, { ...movie(Number(key.split('-')[1])), rating }]))
+});
+
+const baseOf = ({ watchlist = [], favorite = [], rated = {} } = {}) => ({ watchlist, favorite, rated });
+
+const keysOf = entries => entries.map(entry => `${entry.mediaType}-${entry.item.id}`);
+
+const cases = [
+  ['first sync adds both sides to each other', () => {
+    const plan = planSync({
+      base: null,
+      local: localOf({ watchlist: ['movie-1'] }),
+      remote: remoteOf({ watchlist: ['movie-2'] })
+    });
+    assert.deepEqual(plan.ops, [{ list: 'watchlist', mediaType: 'movie', id: 1, value: true }]);
+    assert.deepEqual(keysOf(plan.pulls.watchlist.add), ['movie-2']);
+    assert.deepEqual(plan.pulls.watchlist.remove, []);
+    assert.deepEqual([...plan.base.watchlist].sort(), ['movie-1', 'movie-2']);
+  }],
+
+  ['a title removed locally is removed on the account', () => {
+    const plan = planSync({
+      base: baseOf({ favorite: ['movie-1'] }),
+      local: localOf(),
+      remote: remoteOf({ favorite: ['movie-1'] })
+    });
+    assert.deepEqual(plan.ops, [{ list: 'favorite', mediaType: 'movie', id: 1, value: false }]);
+    assert.deepEqual(plan.base.favorite, []);
+  }],
+
+  ['a title removed on the account is removed locally', () => {
+    const plan = planSync({
+      base: baseOf({ favorite: ['movie-1'] }),
+      local: localOf({ favorite: ['movie-1'] }),
+      remote: remoteOf()
+    });
+    assert.deepEqual(plan.ops, []);
+    assert.deepEqual(plan.pulls.favorite.remove, ['movie-1']);
+    assert.deepEqual(plan.base.favorite, []);
+  }],
+
+  ['unchanged lists need nothing', () => {
+    const plan = planSync({
+      base: baseOf({ watchlist: ['movie-1'], rated: { 'movie-1': 4 } }),
+      local: localOf({ watchlist: ['movie-1'], rated: { 'movie-1': 4 } }),
+      remote: remoteOf({ watchlist: ['movie-1'], rated: { 'movie-1': 4 } })
+    });
+    assert.deepEqual(plan.ops, []);
+    assert.deepEqual(plan.conflicts, []);
+    assert.deepEqual(plan.pulls.rated, { add: [], remove: [] });
+  }],
+
+  ['a rating changed on one side goes to the other', () => {
+    const plan = planSync({
+      base: baseOf({ rated: { 'movie-1': 3, 'movie-2': 3 } }),
+      local: localOf({ rated: { 'movie-1': 4, 'movie-2': 3 } }),
+      remote: remoteOf({ rated: { 'movie-1': 3, 'movie-2': 5 } })
+    });
+    assert.deepEqual(plan.ops, [{ list: 'rated', mediaType: 'movie', id: 1, value: 4 }]);
+    assert.deepEqual(keysOf(plan.pulls.rated.add), ['movie-2']);
+    assert.deepEqual(plan.base.rated, { 'movie-1': 4, 'movie-2': 5 });
+  }],
+
+  ['a rating deleted locally is deleted on the account', () => {
+    const plan = planSync({
+      base: baseOf({ rated: { 'movie-1': 3 } }),
+      local: localOf(),
+      remote: remoteOf({ rated: { 'movie-1': 3 } })
+    });
+    assert.deepEqual(plan.ops, [{ list: 'rated', mediaType: 'movie', id: 1, value: null }]);
+    assert.deepEqual(plan.base.rated, {});
+  }],
+
+  ['conflicting ratings follow the local policy', () => {
+    const plan = planSync({
+      base: baseOf({ rated: { 'movie-1': 3 } }),
+      local: localOf({ rated: { 'movie-1': 4 } }),
+      remote: remoteOf({ rated: { 'movie-1': 2 } }),
+      conflictPolicy: 'local'
+    });
+    assert.equal(plan.conflicts.length, 1);
+    assert.equal(plan.conflicts[0].kept, 'local');
+    assert.deepEqual(plan.ops, [{ list: 'rated', mediaType: 'movie', id: 1, value: 4 }]);
+    assert.deepEqual(plan.base.rated, { 'movie-1': 4 });
+  }],
+
+  ['conflicting ratings follow the remote policy', () => {
+    const plan = planSync({
+      base: baseOf({ rated: { 'movie-1': 3 } }),
+      local: localOf({ rated: { 'movie-1': 4 } }),
+      remote: remoteOf({ rated: { 'movie-1': 2 } }),
+      conflictPolicy: 'remote'
+    });
+    assert.equal(plan.conflicts[0].kept, 'remote');
+    assert.deepEqual(plan.ops, []);
+    assert.deepEqual(keysOf(plan.pulls.rated.add), ['movie-1']);
+    assert.deepEqual(plan.base.rated, { 'movie-1': 2 });
+  }],
+
+  ['a newer queued op replaces the older one', () => {
+    const queue = enqueue(
+      [{ list: 'watchlist', mediaType: 'movie', id: 1, value: true }, { list: 'rated', mediaType: 'movie', id: 1, value: 3 }],
+      [{ list: 'watchlist', mediaType: 'movie', id: 1, value: false }]
+    );
+    assert.deepEqual(queue, [
+      { list: 'rated', mediaType: 'movie', id: 1, value: 3 },
+      { list: 'watchlist', mediaType: 'movie', id: 1, value: false }
+    ]);
+  }],
+
+  ['a cancelled flush keeps the unsent ops queued', async () => {
+    const controller = new AbortController();
+    const sent = [];
+    const api = {
+      setInList: async (list, mediaType, id) => {
+        sent.push(id);
+        controller.abort();
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+    };
+    const queue = [
+      { list: 'watchlist', mediaType: 'movie', id: 1, value: true },
+      { list: 'watchlist', mediaType: 'movie', id: 2, value: true }
+    ];
+    const result = await flushQueue(api, {}, queue, { signal: controller.signal });
+    assert.deepEqual(sent, [1]);
+    assert.deepEqual(result.queue, queue);
+    assert.deepEqual(result.failed, []);
+  }],
+
+  ['a rejected op is dropped and reported', async () => {
+    const api = {
+      setInList: async (list, mediaType, id) => {
+        if (id === 1) throw Object.assign(new Error('The resource you requested could not be found.'), { status: 404 });
+      }
+    };
+    const queue = [
+      { list: 'favorite', mediaType: 'movie', id: 1, value: true },
+      { list: 'favorite', mediaType: 'movie', id: 2, value: true }
+    ];
+    const result = await flushQueue(api, {}, queue);
+    assert.deepEqual(result.queue, []);
+    assert.deepEqual(result.failed.map(({ op }) => op.id), [1]);
+  }]
+];
+
+let failures = 0;
+for (const [name, run] of cases) {
+  try {
+    await run();
+    console.log(`ok   ${name}`);
+  } catch (error) {
+    failures += 1;
+    console.log(`FAIL ${name}`);
+    console.log(error.message.replace(/^/gm, '     '));
+  }
+}
+
+await vite.close();
+console.log(`\n${cases.length - failures} of ${cases.length} passed`);
+process.exitCode = failures ? 1 : 0;
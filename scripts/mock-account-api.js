@@ -0,0 +1,194 @@
+// Local stand-in for the TMDB account API, for trying sign-in and the library sync without a
+// real account. Everything is kept in memory and starts empty.
+//
+//   npm run mock:account
+//   VITE_TMDB_ACCOUNT_API=http://localhost:4010 in .env, then `npm run dev`
+//
+// Signing in approves the request token right away. Besides the endpoints createAccountApi
+// uses, there are a few to steer the sync from the outside (curl, the browser console...):
+//
+//   GET  /__mock/state             The account's lists
+//   PUT  /__mock/state             Replace them, e.g. to change titles "on TMDB" between syncs
+//                                  {"watchlist": {"movie": [{"id": 603, "title": "The Matrix"}], "tv": []},
+//                                   "favorite": {...}, "rated": {"movie": [{"id": 603, "title": "...", "rating": 8}]}}
+//   POST /__mock/offline           {"offline": true} drops every other request like a lost
+//                                  connection, so changes queue up; false brings it back
+//   POST /__mock/revoke            Ends the session, the next sync has to sign in again
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.MOCK_ACCOUNT_PORT) || 4010;
+const PAGE_SIZE = 20;
+const ACCOUNT = { id: 1, username: 'mock-user' };
+const LISTS = ['watchlist', 'favorite', 'rated'];
+
+const emptyLists = () => Object.fromEntries(LISTS.map(list => [list, { movie: [], tv: [] }]));
+
+let lists = emptyLists();
+let isOffline = false;
+// Request token -> where to send the user once it's approved
+const requestTokens = new Map();
+const approvedTokens = new Set();
+const sessions = new Set();
+let nextToken = 1;
+
+const newToken = prefix => `${prefix}-${nextToken++}`;
+
+const send = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+const fail = (res, status, message) => send(res, status, { success: false, status_message: message });
+
+const readBody = req => new Promise((resolve) => {
+  let text = '';
+  req.on('data', (chunk) => {
+    text += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(text ? JSON.parse(text) : {});
+    } catch {
+      resolve({});
+    }
+  });
+});
+
+// The account's copy of a title; only the id is known for titles added through the API
+const placeholderItem = (mediaType, id) =>
+  (mediaType === 'tv' ? { id, name: `Mock show ${id}` } : { id, title: `Mock movie ${id}` });
+
+const upsert = (items, mediaType, id, changes) => {
+  const current = items.find(item => item.id === id);
+  return [...items.filter(item => item.id !== id), { ...(current || placeholderItem(mediaType, id)), ...changes }];
+};
+
+const mediaTypeOf = segment => (segment === 'tv' ? 'tv' : 'movie');
+
+const handleMock = async (req, res, path) => {
+  if (path === '/__mock/state' && req.method === 'GET') return send(res, 200, lists);
+  if (path === '/__mock/state' && req.method === 'PUT') {
+    lists = { ...emptyLists(), ...(await readBody(req)) };
+    return send(res, 200, lists);
+  }
+  if (path === '/__mock/offline' && req.method === 'POST') {
+    isOffline = Boolean((await readBody(req)).offline);
+    return send(res, 200, { offline: isOffline });
+  }
+  if (path === '/__mock/revoke' && req.method === 'POST') {
+    sessions.clear();
+    return send(res, 200, { success: true });
+  }
+  return fail(res, 404, 'Unknown mock endpoint.');
+};
+
+const handleApi = async (req, res, url) => {
+  const path = url.pathname;
+  const body = ['POST', 'DELETE'].includes(req.method) ? await readBody(req) : {};
+
+  if (req.method === 'POST' && path === '/4/auth/request_token') {
+    const token = newToken('request');
+    requestTokens.set(token, body.redirect_to || null);
+    return send(res, 200, { success: true, request_token: token });
+  }
+  // Stands in for the approval page on themoviedb.org
+  if (req.method === 'GET' && path === '/auth/access') {
+    const token = url.searchParams.get('request_token');
+    if (!requestTokens.has(token)) return fail(res, 404, 'Unknown request token.');
+    approvedTokens.add(token);
+    res.writeHead(302, { Location: requestTokens.get(token) || '/' });
+    return res.end();
+  }
+  if (req.method === 'POST' && path === '/4/auth/access_token') {
+    if (!approvedTokens.has(body.request_token)) return fail(res, 401, 'The request token has not been approved.');
+    approvedTokens.delete(body.request_token);
+    requestTokens.delete(body.request_token);
+    return send(res, 200, { success: true, access_token: newToken('access'), account_id: String(ACCOUNT.id) });
+  }
+  if (req.method === 'POST' && path === '/3/authentication/session/convert/4') {
+    const sessionId = newToken('session');
+    sessions.add(sessionId);
+    return send(res, 200, { success: true, session_id: sessionId });
+  }
+  if (req.method === 'DELETE' && path === '/3/authentication/session') {
+    sessions.delete(body.session_id);
+    return send(res, 200, { success: true });
+  }
+  if (req.method === 'DELETE' && path === '/4/auth/access_token') {
+    return send(res, 200, { success: true });
+  }
+
+  // Everything else needs a session
+  if (!sessions.has(url.searchParams.get('session_id'))) {
+    return fail(res, 401, 'Authentication failed: You do not have permissions to access the service.');
+  }
+
+  if (req.method === 'GET' && path === '/3/account') return send(res, 200, ACCOUNT);
+
+  const listMatch = path.match(/^\/3\/account\/\d+\/(watchlist|favorite|rated)(?:\/(movies|tv))?$/);
+  if (listMatch && req.method === 'GET' && listMatch[2]) {
+    const items = lists[listMatch[1]][mediaTypeOf(listMatch[2])];
+    const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+    return send(res, 200, {
+      page,
+      results: items.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      total_pages: Math.max(1, Math.ceil(items.length / PAGE_SIZE)),
+      total_results: items.length
+    });
+  }
+  if (listMatch && req.method === 'POST' && !listMatch[2] && listMatch[1] !== 'rated') {
+    const list = listMatch[1];
+    const mediaType = mediaTypeOf(body.media_type);
+    const items = lists[list][mediaType];
+    lists[list][mediaType] = body[list]
+      ? upsert(items, mediaType, body.media_id, {})
+      : items.filter(item => item.id !== body.media_id);
+    return send(res, 201, { success: true, status_code: 1 });
+  }
+
+  const ratingMatch = path.match(/^\/3\/(movie|tv)\/(\d+)\/rating$/);
+  if (ratingMatch) {
+    const mediaType = ratingMatch[1];
+    const id = Number(ratingMatch[2]);
+    const items = lists.rated[mediaType];
+    if (req.method === 'DELETE') {
+      lists.rated[mediaType] = items.filter(item => item.id !== id);
+      return send(res, 200, { success: true, status_code: 13 });
+    }
+    if (req.method === 'POST') {
+      const value = Number(body.value);
+      if (!(value >= 0.5 && value <= 10)) return fail(res, 400, 'Value too low: Value must be greater than 0.');
+      lists.rated[mediaType] = upsert(items, mediaType, id, { rating: value });
+      return send(res, 201, { success: true, status_code: 1 });
+    }
+  }
+
+  return fail(res, 404, 'The resource you requested could not be found.');
+};
+
+const server = createServer(async (req, res) => {
+  // The app runs on another port
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname.startsWith('/__mock/')) return handleMock(req, res, url.pathname);
+  // Like a dropped connection, fetch rejects and the sync counts as offline
+  if (isOffline) return req.socket.destroy();
+
+  try {
+    return await handleApi(req, res, url);
+  } catch (error) {
+    console.error(error);
+    return fail(res, 500, 'Internal error.');
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock TMDB account API on http://localhost:${PORT}`);
+});
@@ -4,6 +4,18 @@ import Movie from './pages/Movie';
 import TvShows from './pages/TvShows';
 import TvShowDetails from './pages/TvShowDetails';
 import MovieDetails from './pages/MovieDetails';
+import Browse from './pages/Browse';
+import Search from './pages/Search';
+import Person from './pages/Person';
+import Library from './pages/Library';
+import Ratings from './pages/Ratings';
+import Settings from './pages/Settings';
+import Profiles from './pages/Profiles';
+import Lists from './pages/Lists';
+import UserList from './pages/UserList';
+import WatchMovie from './pages/WatchMovie';
+import SeasonDetails from './pages/SeasonDetails';
+import EpisodeDetails from './pages/EpisodeDetails';
 import Navigation from './components/Navigation';
 import './style/index.css'
 
@@ -22,6 +34,35 @@ const App = () => {
           {/* TV Show routes */}
           <Route path='/tv' element={<TvShows />} />
           <Route path='/tv/:id' element={<TvShowDetails />} />
+          <Route path='/tv/:id/season/:season' element={<SeasonDetails />} />
+          {/* Episode pages open on a theater-style player */}
+          <Route path='/tv/:id/season/:season/episode/:episode' element={<EpisodeDetails />} />
+          
+          {/* Theater-style movie player */}
+          <Route path='/watch/movie/:id' element={<WatchMovie />} />
+          
+          {/* "See all" pages for the curated rails */}
+          <Route path='/browse/:mediaType/:collectionId' element={<Browse />} />
+          
+          {/* Global search across movies, TV shows and people */}
+          <Route path='/search' element={<Search />} />
+          
+          {/* Cast and crew profiles with their filmography */}
+          <Route path='/person/:id' element={<Person />} />
+          
+          {/* Watchlist, favorites and personal ratings */}
+          <Route path='/library' element={<Library />} />
+          <Route path='/library/ratings' element={<Ratings />} />
+          
+          {/* Custom lists */}
+          <Route path='/lists' element={<Lists />} />
+          <Route path='/lists/:listId' element={<UserList />} />
+          
+          {/* Data export and imports */}
+          <Route path='/settings' element={<Settings />} />
+
+          {/* Local profiles on this device */}
+          <Route path='/profiles' element={<Profiles />} />
         </Routes>
       </BrowserRouter>
     </HelmetProvider>
@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef, memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { libraryKey } from '../utils/Library';
+import { useUserLists } from '../contexts/UserListsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "Add to list" dropdown for a details page: tick the custom lists a title belongs to, or start a new one
+const AddToListMenu = memo(({ mediaType, item }) => {
+  const { lists, isInList, addToList, removeFromList, createList } = useUserLists();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newListName, setNewListName] = useState('');
+  const menuRef = useRef(null);
+  const { t } = useLocale();
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const toggleMembership = (listId) => {
+    if (isInList(listId, mediaType, item.id)) {
+      removeFromList(listId, libraryKey(mediaType, item.id));
+    } else {
+      addToList(listId, mediaType, item);
+    }
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (!newListName.trim()) return;
+    const listId = createList(newListName);
+    addToList(listId, mediaType, item);
+    setNewListName('');
+  };
+
+  const memberCount = lists.filter(list => isInList(list.id, mediaType, item.id)).length;
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        className="inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors bg-white/10 text-white hover:bg-white/20 border border-white/30"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h10M4 18h7m9-4v8m-4-4h8" />
+        </svg>
+        <span>{memberCount > 0 ? t('lists.menu.inLists', { count: memberCount }) : t('lists.menu.add')}</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 z-40 mt-2 w-72 rounded-lg bg-white dark:bg-gray-800 text-gray-800 dark:text-white shadow-xl border border-gray-200 dark:border-gray-700 p-3">
+          {lists.length > 0 ? (
+            <ul className="max-h-60 overflow-y-auto space-y-1 mb-3">
+              {lists.map(list => (
+                <li key={list.id}>
+                  <label className="flex items-center gap-2 px-2 py-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={isInList(list.id, mediaType, item.id)}
+                      onChange={() => toggleMembership(list.id)}
+                    />
+                    <span className="truncate">{list.name}</span>
+                    <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">{list.items.length}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{t('lists.menu.empty')}</p>
+          )}
+
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="text"
+              value={newListName}
+              onChange={(e) => setNewListName(e.target.value)}
+              placeholder={t('lists.menu.newListName')}
+              aria-label={t('lists.menu.newListName')}
+              maxLength={80}
+              className="flex-1 min-w-0 text-sm px-2 py-1.5 rounded bg-gray-100 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 outline-none focus:ring-2 focus:ring-blue-300"
+            />
+            <button
+              type="submit"
+              disabled={!newListName.trim()}
+              className="text-sm font-medium px-3 py-1.5 rounded bg-bluee text-white hover:bg-blueh disabled:opacity-50"
+            >
+              {t('lists.menu.create')}
+            </button>
+          </form>
+
+          <Link to="/lists" className="block mt-3 text-sm font-semibold text-bluee hover:text-blueh">
+            {t('lists.menu.manage')}
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+});
+
+AddToListMenu.displayName = 'AddToListMenu';
+
+AddToListMenu.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']).isRequired,
+  // ListItem card props (see toCardProps)
+  item: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired
+  }).isRequired
+};
+
+export default AddToListMenu;
@@ -1,8 +1,10 @@
 import { useState, useEffect, memo } from 'react';
+import { useLocale } from '../contexts/LocaleContext';
 
 const BackToTop = memo(() => {
   const [isVisible, setIsVisible] = useState(false);
   const [isAnimating, setIsAnimating] = useState(false);
+  const { t } = useLocale();
 
   // Show button when user scrolls down 300px with throttling
   const toggleVisibility = () => {
@@ -90,11 +92,11 @@ const BackToTop = memo(() => {
         transition-all duration-500 ease-in-out hover:shadow-xl active:shadow-inner
         focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-2 
         ${isVisible ? 'opacity-100 translate-y-0 scale-100' : 'opacity-0 translate-y-10 scale-75 pointer-events-none'}`}
-      aria-label="Back to top"
-      title="Back to top"
+      aria-label={t('backToTop.label')}
+      title={t('backToTop.label')}
       tabIndex={isVisible ? 0 : -1} // Only focusable when visible
     >
-      <span className="sr-only">Scroll to top of page</span>
+      <span className="sr-only">{t('backToTop.description')}</span>
       <svg 
         xmlns="http://www.w3.org/2000/svg" 
         className="h-6 w-6" 
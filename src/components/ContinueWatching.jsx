@@ -0,0 +1,89 @@
+import { memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import MediaRail from './MediaRail';
+import { imageUrl } from '../utils/Endpoint';
+import { resumePath } from '../utils/Paths';
+import { episodeCode } from '../utils/MediaItem';
+import { useWatchHistory } from '../contexts/WatchHistoryContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const WATCHED_AT_FORMAT = { month: 'short', day: 'numeric' };
+
+// Rail of unfinished titles from the watch history, each reopening where it was left
+const ContinueWatching = memo(({ mediaType = 'movie' }) => {
+  const { history, removeEntry, setFinished } = useWatchHistory();
+  const { t, formatDate } = useLocale();
+  const entries = history.filter(entry => entry.mediaType === mediaType && !entry.finished);
+
+  if (entries.length === 0) return null;
+
+  const renderEntry = (entry) => (
+    <div className="relative group">
+      <Link to={resumePath(entry)} className="block" title={t('continueWatching.resume', { title: entry.title })}>
+        <div className="aspect-[2/3] rounded-lg overflow-hidden bg-gray-200 dark:bg-card shadow">
+          {entry.posterPath ? (
+            <img
+              src={imageUrl(entry.posterPath, 'w342')}
+              alt={entry.title}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+          ) : (
+            <div className="w-full h-full flex items-center justify-center p-2 text-center text-sm text-gray-500">
+              {entry.title}
+            </div>
+          )}
+        </div>
+        <p className="mt-2 font-semibold text-sm text-gray-800 dark:text-white truncate">{entry.title}</p>
+        <p className="text-xs text-gray-600 dark:text-gray-400 truncate">
+          {entry.season ? episodeCode(entry.season, entry.episode) : t('common.movie')}
+          {entry.episodeName ? ` · ${entry.episodeName}` : ''}
+        </p>
+        <p className="text-xs text-gray-500 dark:text-gray-500">{t('continueWatching.watchedOn', { date: formatDate(entry.updatedAt, WATCHED_AT_FORMAT) })}</p>
+      </Link>
+
+      <div className="absolute top-2 right-2 flex gap-1 md:opacity-0 md:group-hover:opacity-100 md:focus-within:opacity-100 transition-opacity">
+        <button
+          type="button"
+          onClick={() => setFinished(entry.key)}
+          aria-label={t('continueWatching.markFinishedTitle', { title: entry.title })}
+          title={t('continueWatching.markFinished')}
+          className="p-1.5 rounded-full bg-black/70 text-white hover:bg-green-600 transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+          </svg>
+        </button>
+        <button
+          type="button"
+          onClick={() => removeEntry(entry.key)}
+          aria-label={t('continueWatching.removeTitle', { title: entry.title })}
+          title={t('common.remove')}
+          className="p-1.5 rounded-full bg-black/70 text-white hover:bg-red-600 transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <MediaRail
+      title={t('continueWatching.title')}
+      items={entries}
+      mediaType={mediaType}
+      renderItem={renderEntry}
+    />
+  );
+});
+
+ContinueWatching.displayName = 'ContinueWatching';
+
+ContinueWatching.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv'])
+};
+
+export default ContinueWatching;
@@ -0,0 +1,187 @@
+import { useState, memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { imageUrl } from '../utils/Endpoint';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Jobs shown under the cast without expanding the full credits, in this order
+const KEY_JOBS = ['Director', 'Creator', 'Screenplay', 'Writer', 'Story', 'Novel', 'Original Music Composer', 'Director of Photography'];
+
+const CAST_LIMIT = 12;
+
+// People often hold several jobs on the same title, show each person once with all of them
+const groupCrew = (crew) => {
+  const people = new Map();
+  crew.forEach((member) => {
+    const person = people.get(member.id);
+    if (person) {
+      if (!person.jobs.includes(member.job)) person.jobs.push(member.job);
+    } else {
+      people.set(member.id, { ...member, jobs: [member.job] });
+    }
+  });
+  return [...people.values()];
+};
+
+const firstKeyJob = (person) => Math.min(...person.jobs.map(job => {
+  const index = KEY_JOBS.indexOf(job);
+  return index === -1 ? KEY_JOBS.length : index;
+}));
+
+const PersonLink = ({ person, detail }) => (
+  <Link to={`/person/${person.id}`} className="block group">
+    <span className="block font-semibold text-gray-800 dark:text-white group-hover:text-bluee truncate">{person.name}</span>
+    {detail && <span className="block text-sm text-gray-600 dark:text-gray-300 truncate">{detail}</span>}
+  </Link>
+);
+
+PersonLink.propTypes = {
+  person: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired
+  }).isRequired,
+  detail: PropTypes.string
+};
+
+// Cast and crew from a details payload's `credits`, every name links to the person page
+const CreditsList = memo(({ credits, creators = [], castTitle }) => {
+  const [showAll, setShowAll] = useState(false);
+  const { t } = useLocale();
+
+  const cast = credits?.cast || [];
+  // TV credits list the show's creators separately from the crew
+  const crewCredits = [
+    ...creators.map(creator => ({ ...creator, job: 'Creator', department: 'Writing' })),
+    ...(credits?.crew || [])
+  ];
+  const crew = groupCrew(crewCredits);
+  const keyCrew = crew
+    .filter(person => person.jobs.some(job => KEY_JOBS.includes(job)))
+    .sort((a, b) => firstKeyJob(a) - firstKeyJob(b))
+    .slice(0, 8);
+
+  if (cast.length === 0 && crew.length === 0) return null;
+
+  const departments = [...new Set(crewCredits.map(member => member.department))].sort();
+  const hasMore = cast.length > CAST_LIMIT || crew.length > keyCrew.length;
+
+  return (
+    <section className="mb-8" aria-label={t('credits.label')}>
+      {cast.length > 0 && (
+        <>
+          <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">{castTitle || t('credits.topCast')}</h2>
+          <div className="flex gap-4 overflow-x-auto pb-2 snap-x">
+            {cast.slice(0, CAST_LIMIT).map(person => (
+              <Link
+                key={person.credit_id || person.id}
+                to={`/person/${person.id}`}
+                className="flex-shrink-0 w-32 sm:w-36 snap-start bg-gray-200 dark:bg-card rounded-lg shadow-md overflow-hidden group"
+              >
+                {person.profile_path ? (
+                  <img
+                    src={imageUrl(person.profile_path, 'w185')}
+                    alt={person.name}
+                    loading="lazy"
+                    className="w-full h-44 object-cover"
+                  />
+                ) : (
+                  <div className="w-full h-44 bg-gray-300 dark:bg-gray-700 flex items-center justify-center">
+                    <span className="text-gray-500 text-sm">{t('common.noImage')}</span>
+                  </div>
+                )}
+                <div className="p-3">
+                  <h3 className="font-semibold text-gray-800 dark:text-white group-hover:text-bluee text-sm">{person.name}</h3>
+                  {person.character && (
+                    <p className="text-xs text-gray-600 dark:text-gray-300">{person.character}</p>
+                  )}
+                </div>
+              </Link>
+            ))}
+          </div>
+        </>
+      )}
+
+      {keyCrew.length > 0 && (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4 mt-6">
+          {keyCrew.map(person => (
+            <li key={person.id}>
+              <PersonLink person={person} detail={person.jobs.join(', ')} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasMore && (
+        <button
+          type="button"
+          onClick={() => setShowAll(open => !open)}
+          aria-expanded={showAll}
+          className="mt-4 text-sm font-semibold text-bluee hover:text-blueh"
+        >
+          {showAll ? t('credits.hideAll') : t('credits.showAll')}
+        </button>
+      )}
+
+      {showAll && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-8">
+          {cast.length > 0 && (
+            <div>
+              <h3 className="text-lg font-bold text-gray-800 dark:text-gray-200 mb-3">{t('credits.cast')}</h3>
+              <ul className="space-y-2">
+                {cast.map(person => (
+                  <li key={person.credit_id || person.id}>
+                    <PersonLink person={person} detail={person.character} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {departments.length > 0 && (
+            <div>
+              {departments.map(department => (
+                <div key={department} className="mb-4">
+                  <h3 className="text-lg font-bold text-gray-800 dark:text-gray-200 mb-3">{department}</h3>
+                  <ul className="space-y-2">
+                    {groupCrew(crewCredits.filter(member => member.department === department)).map(person => (
+                      <li key={person.id}>
+                        <PersonLink person={person} detail={person.jobs.join(', ')} />
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+});
+
+CreditsList.displayName = 'CreditsList';
+
+CreditsList.propTypes = {
+  credits: PropTypes.shape({
+    cast: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      character: PropTypes.string,
+      profile_path: PropTypes.string
+    })),
+    crew: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      job: PropTypes.string,
+      department: PropTypes.string
+    }))
+  }),
+  // A TV show's `created_by` list
+  creators: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired
+  })),
+  // Heading over the cast, e.g. "Guest Stars" for an episode; "Top Cast" in the current language by default
+  castTitle: PropTypes.string
+};
+
+export default CreditsList;
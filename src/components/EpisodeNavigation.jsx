@@ -0,0 +1,59 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { episodeCode } from '../utils/MediaItem';
+import { useLocale } from '../contexts/LocaleContext';
+
+const episodeShape = PropTypes.shape({
+  season: PropTypes.number.isRequired,
+  episode: PropTypes.number.isRequired,
+  name: PropTypes.string
+});
+
+const buttonClassName = 'px-3 py-1 rounded text-sm font-medium bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors';
+
+// Previous/next episode buttons and the autoplay switch under an episode player
+const EpisodeNavigation = memo(({ previous, next, onSelect, isAutoplay, onAutoplayChange }) => {
+  const { t } = useLocale();
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 mt-3">
+      <div className="flex gap-2">
+        <button
+          onClick={() => onSelect(previous)}
+          disabled={!previous}
+          className={buttonClassName}
+        >
+          ‹ {t('episodeNavigation.previous')}{previous ? ` (${episodeCode(previous.season, previous.episode)})` : ''}
+        </button>
+        <button
+          onClick={() => onSelect(next)}
+          disabled={!next}
+          className={buttonClassName}
+        >
+          {t('episodeNavigation.next')}{next ? ` (${episodeCode(next.season, next.episode)})` : ''} ›
+        </button>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={isAutoplay}
+          onChange={(event) => onAutoplayChange(event.target.checked)}
+        />
+        {t('episodeNavigation.autoplay')}
+      </label>
+    </div>
+  );
+});
+
+EpisodeNavigation.displayName = 'EpisodeNavigation';
+
+EpisodeNavigation.propTypes = {
+  previous: episodeShape,
+  next: episodeShape,
+  // Called with `previous` or `next`
+  onSelect: PropTypes.func.isRequired,
+  isAutoplay: PropTypes.bool.isRequired,
+  onAutoplayChange: PropTypes.func.isRequired
+};
+
+export default EpisodeNavigation;
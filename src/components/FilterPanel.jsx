@@ -0,0 +1,240 @@
+import { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import { tmdb, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import {
+  EMPTY_FILTERS,
+  parseFilters,
+  applyFilters,
+  filtersToQuery,
+  countActiveFilters
+} from '../utils/DiscoverFilters';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Form state keeps raw input strings, they are validated by parseFilters on apply
+const toDraft = (filters) =>
+  Object.fromEntries(Object.entries(filters).map(([name, value]) => [
+    name,
+    Array.isArray(value) ? value : (value === null ? '' : String(value))
+  ]));
+
+const fromDraft = (draft) => parseFilters(applyFilters(new URLSearchParams(), draft));
+
+const byName = (a, b) => a.english_name.localeCompare(b.english_name);
+
+const inputClass = "w-full px-3 py-2 rounded-lg text-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+const labelClass = "block text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1";
+
+const FilterPanel = memo(({ mediaType = 'movie', filters, onChange, actions }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft(filters));
+  const [genres, setGenres] = useState([]);
+  const [countries, setCountries] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const { t } = useLocale();
+
+  const filterQuery = filtersToQuery(filters);
+  const activeCount = countActiveFilters(filters);
+
+  // Follow the URL when it changes from outside the panel (back button, shared link...)
+  useEffect(() => {
+    setDraft(toDraft(parseFilters(new URLSearchParams(filterQuery))));
+  }, [filterQuery]);
+
+  // Reference data is only needed once the panel is opened
+  useEffect(() => {
+    if (!isOpen) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    Promise.all([
+      cachedRequest('genres', [mediaType], () => tmdb.genres(mediaType, { signal }).then(data => data.genres), { signal }),
+      cachedRequest('configuration', ['countries'], () => tmdb.countries({ signal }), { signal }),
+      cachedRequest('configuration', ['languages'], () => tmdb.languages({ signal }), { signal })
+    ])
+      .then(([genreList, countryList, languageList]) => {
+        setGenres(genreList);
+        setCountries([...countryList].sort(byName));
+        setLanguages([...languageList].sort(byName));
+        setLoadError(null);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('Error loading filter options:', err);
+        setLoadError(errorReason(err));
+      });
+
+    return () => controller.abort();
+  }, [isOpen, mediaType]);
+
+  const setField = (name) => (e) => {
+    const { value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleGenre = (id) => {
+    setDraft(prev => ({
+      ...prev,
+      genres: prev.genres.includes(id)
+        ? prev.genres.filter(genreId => genreId !== id)
+        : [...prev.genres, id]
+    }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    onChange(fromDraft(draft));
+  };
+
+  const handleReset = () => {
+    setDraft(toDraft(EMPTY_FILTERS));
+    onChange(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="mb-4 md:mb-6 px-2 sm:px-0">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={() => setIsOpen(open => !open)}
+          aria-expanded={isOpen}
+          className="flex items-center gap-2 text-sm bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200 py-2 px-4 rounded-full transition-colors"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
+          </svg>
+          {t('filters.title')}
+          {activeCount > 0 && (
+            <span className="bg-bluee text-white text-xs font-bold rounded-full px-2 py-0.5">{activeCount}</span>
+          )}
+        </button>
+        {activeCount > 0 && (
+          <button
+            type="button"
+            onClick={handleReset}
+            className="text-sm text-gray-600 dark:text-gray-400 underline hover:text-gray-900 dark:hover:text-white"
+          >
+            {t('common.clearFilters')}
+          </button>
+        )}
+        {actions && <div className="ml-auto">{actions}</div>}
+      </div>
+
+      {isOpen && (
+        <form
+          onSubmit={handleApply}
+          className="mt-3 p-4 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900 space-y-4"
+        >
+          {loadError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{t('filters.loadError', { reason: loadError })}</p>
+          )}
+
+          <fieldset>
+            <legend className={labelClass}>{t('filters.genres')}</legend>
+            <div className="flex flex-wrap gap-2">
+              {genres.map(genre => {
+                const isSelected = draft.genres.includes(genre.id);
+                return (
+                  <button
+                    key={genre.id}
+                    type="button"
+                    onClick={() => toggleGenre(genre.id)}
+                    aria-pressed={isSelected}
+                    className={`text-sm px-3 py-1 rounded-full border transition-colors ${
+                      isSelected
+                        ? 'bg-bluee border-bluee text-white'
+                        : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:border-bluee'
+                    }`}
+                  >
+                    {genre.name}
+                  </button>
+                );
+              })}
+            </div>
+          </fieldset>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+            <label>
+              <span className={labelClass}>{t('filters.country')}</span>
+              <select value={draft.country} onChange={setField('country')} className={inputClass}>
+                <option value="">{t('filters.anyCountry')}</option>
+                {countries.map(country => (
+                  <option key={country.iso_3166_1} value={country.iso_3166_1}>{country.english_name}</option>
+                ))}
+              </select>
+            </label>
+
+            <label>
+              <span className={labelClass}>{t('filters.language')}</span>
+              <select value={draft.language} onChange={setField('language')} className={inputClass}>
+                <option value="">{t('filters.anyLanguage')}</option>
+                {languages.map(language => (
+                  <option key={language.iso_639_1} value={language.iso_639_1}>{language.english_name}</option>
+                ))}
+              </select>
+            </label>
+
+            <div>
+              <span className={labelClass}>{mediaType === 'tv' ? t('filters.firstAired') : t('filters.releaseYear')}</span>
+              <div className="flex items-center gap-2">
+                <input type="number" inputMode="numeric" placeholder={t('filters.from')} aria-label={t('filters.fromYear')} value={draft.yearFrom} onChange={setField('yearFrom')} className={inputClass} />
+                <span className="text-gray-500">–</span>
+                <input type="number" inputMode="numeric" placeholder={t('filters.to')} aria-label={t('filters.toYear')} value={draft.yearTo} onChange={setField('yearTo')} className={inputClass} />
+              </div>
+            </div>
+
+            <div>
+              <span className={labelClass}>{t('filters.runtime')}</span>
+              <div className="flex items-center gap-2">
+                <input type="number" inputMode="numeric" min="0" placeholder={t('filters.min')} aria-label={t('filters.minRuntime')} value={draft.runtimeMin} onChange={setField('runtimeMin')} className={inputClass} />
+                <span className="text-gray-500">–</span>
+                <input type="number" inputMode="numeric" min="0" placeholder={t('filters.max')} aria-label={t('filters.maxRuntime')} value={draft.runtimeMax} onChange={setField('runtimeMax')} className={inputClass} />
+              </div>
+            </div>
+
+            <label>
+              <span className={labelClass}>{t('filters.minRating')}</span>
+              <input type="number" min="0" max="10" step="0.5" placeholder="0 – 10" value={draft.minRating} onChange={setField('minRating')} className={inputClass} />
+            </label>
+
+            <label>
+              <span className={labelClass}>{t('filters.minVotes')}</span>
+              <input type="number" inputMode="numeric" min="0" step="50" placeholder={t('filters.minVotesPlaceholder')} value={draft.minVotes} onChange={setField('minVotes')} className={inputClass} />
+            </label>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleReset}
+              className="text-sm py-2 px-4 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-800 transition-colors"
+            >
+              {t('filters.reset')}
+            </button>
+            <button
+              type="submit"
+              className="text-sm bg-bluee hover:bg-blueh text-white py-2 px-5 rounded-lg shadow transition-colors"
+            >
+              {t('filters.apply')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+});
+
+FilterPanel.displayName = 'FilterPanel';
+
+FilterPanel.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']),
+  filters: PropTypes.shape({
+    genres: PropTypes.arrayOf(PropTypes.number).isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  // Extra controls shown on the right of the panel's header row
+  actions: PropTypes.node
+};
+
+export default FilterPanel;
@@ -0,0 +1,242 @@
+import { useState, useRef, useEffect, memo } from 'react';
+import { isAbortError } from '../utils/TmdbClient';
+import {
+  IMPORT_SOURCES,
+  ImportError,
+  parseLetterboxdFile,
+  parseTraktFile,
+  matchRows,
+  toImportedEntries
+} from '../utils/DataImport';
+import { useLibrary, LIBRARY_LISTS } from '../contexts/LibraryContext';
+import { useRatings } from '../contexts/RatingsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const PARSERS = {
+  letterboxd: parseLetterboxdFile,
+  trakt: parseTraktFile
+};
+
+const TARGET_KEYS = {
+  rating: 'import.targets.rating',
+  watchlist: 'import.targets.watchlist',
+  favorites: 'import.targets.favorites'
+};
+
+const buttonClass = "px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Import from Letterboxd or Trakt: pick files, check the match report, then commit
+const ImportPanel = memo(() => {
+  const { addEntries } = useLibrary();
+  const { importRatings } = useRatings();
+  const [sourceId, setSourceId] = useState(IMPORT_SOURCES[0].id);
+  // idle, matching, review or done
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  // Messages as `{ key, values }`
+  const [fileErrors, setFileErrors] = useState([]);
+  const [report, setReport] = useState(null);
+  const controllerRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const { t } = useLocale();
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const source = IMPORT_SOURCES.find(option => option.id === sourceId);
+
+  const reset = () => {
+    controllerRef.current?.abort();
+    setStatus('idle');
+    setReport(null);
+    setFileErrors([]);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleFiles = async (event) => {
+    const files = [...event.target.files];
+    if (files.length === 0) return;
+
+    const errors = [];
+    const rows = [];
+    for (const file of files) {
+      try {
+        rows.push(...PARSERS[sourceId](file.name, await file.text()));
+      } catch (error) {
+        errors.push(error instanceof ImportError
+          ? { key: error.key, values: error.values }
+          : { key: 'import.errors.unreadable', values: { file: file.name } });
+      }
+    }
+    setFileErrors(errors);
+    setReport(null);
+    if (rows.length === 0) {
+      setStatus('idle');
+      return;
+    }
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setStatus('matching');
+    setProgress({ done: 0, total: rows.length });
+
+    try {
+      const result = await matchRows(rows, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+      setReport(result);
+      setStatus('review');
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error('Import matching failed:', error);
+      setFileErrors(current => [...current, { key: 'import.errors.matchingFailed' }]);
+      setStatus('idle');
+    }
+  };
+
+  const commit = () => {
+    const entries = toImportedEntries(report.matched);
+    addEntries(LIBRARY_LISTS.WATCHLIST, entries.watchlist);
+    addEntries(LIBRARY_LISTS.FAVORITES, entries.favorites);
+    importRatings(entries.ratings);
+    setStatus('done');
+  };
+
+  const countByTarget = (items) => Object.entries(TARGET_KEYS)
+    .map(([target, key]) => [items.filter(({ row }) => row.target === target).length, key])
+    .filter(([count]) => count > 0)
+    .map(([count, key]) => t(key, { count }))
+    .join(', ');
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-3" role="radiogroup" aria-label={t('import.from')}>
+        {IMPORT_SOURCES.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            role="radio"
+            aria-checked={sourceId === option.id}
+            disabled={status === 'matching'}
+            onClick={() => {
+              reset();
+              setSourceId(option.id);
+            }}
+            className={`${buttonClass} ${
+              sourceId === option.id
+                ? 'bg-bluee text-white'
+                : 'bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{t(source.hintKey)}</p>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={source.accept}
+        multiple
+        onChange={handleFiles}
+        disabled={status === 'matching'}
+        aria-label={t('import.files', { source: source.label })}
+        className="block text-sm text-gray-700 dark:text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-gray-200 dark:file:bg-gray-800 file:text-gray-800 dark:file:text-white"
+      />
+
+      {fileErrors.length > 0 && (
+        <ul className="mt-3 text-sm text-red-600 dark:text-red-400 list-disc pl-5">
+          {fileErrors.map(error => t(error.key, error.values)).map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+
+      {status === 'matching' && (
+        <div className="mt-4" role="status">
+          <p className="text-sm text-gray-700 dark:text-gray-300 mb-1">
+            {t('import.matching', { done: progress.done, total: progress.total })}
+          </p>
+          <div className="h-2 rounded bg-gray-200 dark:bg-gray-800 overflow-hidden">
+            <div
+              className="h-full bg-bluee transition-all"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+            />
+          </div>
+          <button type="button" onClick={reset} className="mt-2 text-sm text-gray-600 dark:text-gray-400 hover:underline">
+            {t('common.cancel')}
+          </button>
+        </div>
+      )}
+
+      {status === 'review' && report && (
+        <div className="mt-4 p-4 rounded-lg border border-gray-200 dark:border-gray-700">
+          <h3 className="font-semibold text-gray-800 dark:text-white mb-1">{t('import.report')}</h3>
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            {report.matched.length > 0
+              ? t('import.ready', { counts: countByTarget(report.matched) })
+              : t('import.noneMatched')}
+          </p>
+          {report.unmatched.length > 0 && (
+            <>
+              <p className="text-sm text-gray-700 dark:text-gray-300 mt-3 mb-2">
+                {t('import.unmatched', { count: report.unmatched.length })}
+              </p>
+              <div className="max-h-64 overflow-y-auto rounded border border-gray-200 dark:border-gray-700">
+                <table className="w-full text-sm text-left">
+                  <thead className="bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 font-medium">{t('import.columns.title')}</th>
+                      <th className="px-3 py-2 font-medium">{t('import.columns.year')}</th>
+                      <th className="px-3 py-2 font-medium">{t('import.columns.row')}</th>
+                      <th className="px-3 py-2 font-medium">{t('import.columns.reason')}</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-800 dark:text-gray-200">
+                    {report.unmatched.map(({ row, reason }) => (
+                      <tr key={row.file} className="border-t border-gray-200 dark:border-gray-700">
+                        <td className="px-3 py-1.5">{row.title || t('import.noTitle')}</td>
+                        <td className="px-3 py-1.5">{row.year || ''}</td>
+                        <td className="px-3 py-1.5 text-gray-500">{row.file}</td>
+                        <td className="px-3 py-1.5 text-gray-500">{t(reason.key, reason.values)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+          <div className="flex gap-2 mt-4">
+            <button
+              type="button"
+              onClick={commit}
+              disabled={report.matched.length === 0}
+              className={`${buttonClass} bg-bluee text-white hover:bg-blueh`}
+            >
+              {t('import.importTitles', { count: report.matched.length })}
+            </button>
+            <button
+              type="button"
+              onClick={reset}
+              className={`${buttonClass} bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status === 'done' && report && (
+        <div className="mt-4 p-4 rounded-lg bg-green-50 dark:bg-green-900/30 text-sm text-green-800 dark:text-green-200" role="status">
+          {t('import.done', { counts: countByTarget(report.matched), source: source.label })}{' '}
+          <button type="button" onClick={reset} className="underline">{t('import.more')}</button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+ImportPanel.displayName = 'ImportPanel';
+
+export default ImportPanel;
@@ -0,0 +1,30 @@
+import { memo } from 'react';
+import { useLocale } from '../contexts/LocaleContext';
+import { LOCALES } from '../utils/I18n';
+
+// UI language picker in the navigation bar
+const LanguageSwitcher = memo(() => {
+  const { locale, setLocale, t } = useLocale();
+
+  return (
+    <label className="flex items-center">
+      <span className="sr-only">{t('nav.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        title={t('nav.language')}
+        className="text-sm font-medium px-2 py-1 rounded-full border border-gray-300 dark:border-gray-600 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 outline-none focus:ring-2 focus:ring-blue-300"
+      >
+        {LOCALES.map(option => (
+          <option key={option.id} value={option.id} aria-label={option.label}>
+            {option.short}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+});
+
+LanguageSwitcher.displayName = 'LanguageSwitcher';
+
+export default LanguageSwitcher;
@@ -0,0 +1,78 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { useLibrary, LIBRARY_LISTS } from '../contexts/LibraryContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const TOGGLES = [
+  {
+    list: LIBRARY_LISTS.WATCHLIST,
+    addKey: 'library.toggles.addToWatchlist',
+    removeKey: 'library.toggles.removeFromWatchlist',
+    shortKey: 'library.toggles.watchlist',
+    icon: 'M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z'
+  },
+  {
+    list: LIBRARY_LISTS.FAVORITES,
+    addKey: 'library.toggles.addToFavorites',
+    removeKey: 'library.toggles.removeFromFavorites',
+    shortKey: 'library.toggles.favorite',
+    icon: 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z'
+  }
+];
+
+// Watchlist and favorite switches, as round icons on a card or labeled buttons on a details page
+const LibraryToggles = memo(({ mediaType, item, variant = 'card', className = '' }) => {
+  const { isInList, toggleInList } = useLibrary();
+  const { t } = useLocale();
+
+  return (
+    <div className={`flex gap-2 ${className}`}>
+      {TOGGLES.map(({ list, addKey, removeKey, shortKey, icon }) => {
+        const isActive = isInList(list, mediaType, item.id);
+        const label = t(isActive ? removeKey : addKey);
+        return (
+          <button
+            key={list}
+            type="button"
+            onClick={(event) => {
+              // Cards navigate on click
+              event.stopPropagation();
+              toggleInList(list, mediaType, item);
+            }}
+            onKeyDown={event => event.stopPropagation()}
+            aria-pressed={isActive}
+            aria-label={label}
+            title={label}
+            className={variant === 'card'
+              ? `p-2 rounded-full shadow transition-colors ${isActive ? 'bg-bluee text-white' : 'bg-black/60 text-white hover:bg-black/80'}`
+              : `inline-flex items-center gap-2 px-4 py-2 rounded-lg font-medium transition-colors ${isActive ? 'bg-bluee text-white hover:bg-blueh' : 'bg-white/10 text-white hover:bg-white/20 border border-white/30'}`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill={isActive ? 'currentColor' : 'none'} viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={icon} />
+            </svg>
+            {variant === 'details' && <span>{t(shortKey)}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+});
+
+LibraryToggles.displayName = 'LibraryToggles';
+
+LibraryToggles.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']).isRequired,
+  // ListItem card props (see toCardProps)
+  item: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired,
+    posterPath: PropTypes.string,
+    releaseDate: PropTypes.string,
+    rating: PropTypes.number
+  }).isRequired,
+  // 'details' buttons are styled for the dark hero of a details page
+  variant: PropTypes.oneOf(['card', 'details']),
+  className: PropTypes.string
+};
+
+export default LibraryToggles;
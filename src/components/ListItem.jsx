@@ -1,24 +1,21 @@
 import { useState, useEffect, memo, useRef } from 'react'
 import { useNavigate, useLocation } from 'react-router-dom'
-import { safeSetItem, safeGetItem, safeRemoveItem, getStorageUsage } from '../utils/StorageHandler'
+import PropTypes from 'prop-types'
+import { fetchImage, isAbortError } from '../utils/TmdbClient'
+import { readCache, writeCache } from '../utils/CacheManager'
+import LibraryToggles from './LibraryToggles'
+import { MAX_RATING, useRatings } from '../contexts/RatingsContext'
+import { useLocale } from '../contexts/LocaleContext'
+
+// Touch and hold this long to bring up the library toggles instead of opening the title
+const LONG_PRESS_MS = 500;
 
 // Storage utility for image caching with safety mechanisms
 const imageStorage = {
-    // Safely store an item with auto-cleanup if needed
-    safeStore(key, value, timestampKey, timestamp) {
-        // Use our new safeSetItem function instead of direct localStorage
-        const valueStored = safeSetItem(key, value);
-        const timestampStored = safeSetItem(timestampKey, timestamp);
-        
-        return valueStored && timestampStored;
-    },
-    
-    // Clean up old image cache to make space
-    cleanupOldImages() {
-        // This function is now redundant as our StorageHandler 
-        // automatically manages storage using LRU algorithm,
-        // but we'll keep it for compatibility
-        console.log("Image cleanup handled by StorageHandler");
+    // Safely store a poster through the cache layer (expiry comes from its 'poster' policy).
+    // Movies and shows share ids, so the media type is part of the key.
+    safeStore(type, id, value) {
+        return writeCache('poster', [type, id], value);
     },
     
     // Get the right image size based on screen width
@@ -30,7 +27,8 @@ const imageStorage = {
     }
 };
 
-// Global cache for images in memory (current session only)
+// Global cache for images in memory (current session only). It keeps the Blobs, each card
+// makes its own object URL and revokes it when it's done with it.
 const memoryImageCache = new Map();
 
 // Image preload queue
@@ -67,9 +65,14 @@ const ListItem = memo((
     const [isHovered, setIsHovered] = useState(false);
     const [isIntersecting, setIsIntersecting] = useState(false);
     const [highResLoaded, setHighResLoaded] = useState(false);
+    const [showActions, setShowActions] = useState(false);
     const imageRef = useRef(null);
+    const longPressTimer = useRef(null);
+    const isLongPress = useRef(false);
     const navigate = useNavigate();
     const location = useLocation();
+    const { getRating } = useRatings();
+    const { t, formatNumber } = useLocale();
     
     // Type defaults to 'movie' if not specified
     const { type = 'movie' } = props;
@@ -108,95 +111,76 @@ const ListItem = memo((
         if (imageError) setImageError(false);
         setHighResLoaded(false);
         
-        // Memory cache check (fastest)
-        const memCacheKey = `${props.id}_${props.posterPath}`;
-        if (memoryImageCache.has(memCacheKey)) {
-            setImgSrc(memoryImageCache.get(memCacheKey));
+        // Stop loading if the card unmounts or its poster changes
+        const controller = new AbortController();
+        let objectUrl = null;
+        
+        // Cached posters are Blobs, turn them into a URL an <img> can load
+        const showCachedImage = (image) => {
+            if (image instanceof Blob) {
+                objectUrl = URL.createObjectURL(image);
+            }
+            setImgSrc(objectUrl || image);
             setImageLoading(false);
             setHighResLoaded(true);
-            return;
-        }
-        
-        // Try to get the image from storage cache (still fast)
-        const imageKey = `image_${props.id}`;
-        const timestampKey = `${imageKey}_timestamp`;
+            // Also update memory cache
+            memoryImageCache.set(memCacheKey, image);
+        };
         
-        // Use our new safeGetItem function instead of direct localStorage access
-        const cachedImage = safeGetItem(imageKey);
-        const cachedTimestamp = safeGetItem(timestampKey);
-        const cacheExpiry = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+        const cleanup = () => {
+            controller.abort();
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
         
-        if (cachedImage && cachedTimestamp) {
-            const currentTime = new Date().getTime();
-            if (currentTime - cachedTimestamp < cacheExpiry) {
-                // Use the cached image if it's still valid
-                setImgSrc(cachedImage);
-                setImageLoading(false);
-                setHighResLoaded(true);
-                // Also update memory cache
-                memoryImageCache.set(memCacheKey, cachedImage);
-                return;
-            } else {
-                // Remove expired items
-                safeRemoveItem(imageKey);
-                safeRemoveItem(timestampKey);
-            }
+        // Memory cache check (fastest)
+        const memCacheKey = `${type}_${props.id}_${props.posterPath}`;
+        if (memoryImageCache.has(memCacheKey)) {
+            showCachedImage(memoryImageCache.get(memCacheKey));
+            return cleanup;
         }
         
-        // First load a tiny thumbnail version for immediate display
-        const thumbnailUrl = `https://image.tmdb.org/t/p/w92${props.posterPath}`;
-        setThumbnailSrc(thumbnailUrl);
-        
-        // Then load the full size image
-        const imageSize = imageStorage.getImageSize();
-        const fullImageUrl = `https://image.tmdb.org/t/p/${imageSize}${props.posterPath}`;
-        
-        // Add to preload queue for high-res version
-        imagePreloadQueue.push(fullImageUrl);
-        processPreloadQueue();
+        const loadFromNetwork = () => {
+            // First load a tiny thumbnail version for immediate display
+            const thumbnailUrl = `https://image.tmdb.org/t/p/w92${props.posterPath}`;
+            setThumbnailSrc(thumbnailUrl);
+            
+            // Then load the full size image
+            const imageSize = imageStorage.getImageSize();
+            const fullImageUrl = `https://image.tmdb.org/t/p/${imageSize}${props.posterPath}`;
+            
+            // Add to preload queue for high-res version
+            imagePreloadQueue.push(fullImageUrl);
+            processPreloadQueue();
+            
+            // Cache the image for future use
+            fetchImage(props.posterPath, imageSize, { signal: controller.signal })
+                .then(blob => {
+                    showCachedImage(blob);
+                    
+                    // Posters are stored as native Blobs in IndexedDB, no data URL conversion
+                    imageStorage.safeStore(type, props.id, blob);
+                })
+                .catch(error => {
+                    if (isAbortError(error)) return;
+                    console.error('Error caching image:', error);
+                    // If we failed to load the high-res, at least show the thumbnail
+                    setImgSrc(thumbnailUrl);
+                });
+        };
         
-        // Cache the image for future use
-        fetch(fullImageUrl)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
+        // Try to get the image from storage cache (still fast), expired entries come back as null
+        readCache('poster', [type, props.id])
+            .then(cached => {
+                if (controller.signal.aborted) return;
+                if (cached) {
+                    showCachedImage(cached.data);
+                } else {
+                    loadFromNetwork();
                 }
-                return response.blob();
-            })
-            .then(blob => {
-                // Only store images smaller than 300KB to avoid quota issues
-                if (blob.size > 300 * 1024) {
-                    console.log(`Image for ${props.title} too large (${Math.round(blob.size/1024)}KB), not caching`);
-                    return;
-                }
-                
-                const reader = new FileReader();
-                reader.onloadend = () => {
-                    const base64data = reader.result;
-                    
-                    // Update memory cache immediately
-                    memoryImageCache.set(memCacheKey, base64data);
-                    
-                    // Set as the displayed image
-                    setImgSrc(base64data);
-                    setHighResLoaded(true);
-                    
-                    // Store in storage for persistent caching using our improved utility
-                    imageStorage.safeStore(
-                        imageKey,
-                        base64data,
-                        timestampKey, 
-                        new Date().getTime()
-                    );
-                };
-                reader.readAsDataURL(blob);
-            })
-            .catch(error => {
-                console.error('Error caching image:', error);
-                // If we failed to load the high-res, at least show the thumbnail
-                setImgSrc(thumbnailSrc);
             });
-    }, [isIntersecting, props.posterPath, props.id, props.title, thumbnailSrc]);
+        
+        return cleanup;
+    }, [isIntersecting, props.posterPath, props.id, type]);
 
     // Handle thumbnail loading
     useEffect(() => {
@@ -223,8 +207,28 @@ const ListItem = memo((
         setImageLoading(false);
     };
 
+    useEffect(() => () => clearTimeout(longPressTimer.current), []);
+
+    const startLongPress = () => {
+        isLongPress.current = false;
+        longPressTimer.current = setTimeout(() => {
+            isLongPress.current = true;
+            setShowActions(true);
+        }, LONG_PRESS_MS);
+    };
+
+    const cancelLongPress = () => {
+        clearTimeout(longPressTimer.current);
+    };
+
     // Navigation handler with history tracking
     const handleClick = (e) => {
+        // The tap that ends a long press only reveals the toggles
+        if (isLongPress.current) {
+            isLongPress.current = false;
+            return;
+        }
+
         const currentPath = location.pathname + location.search;
         
         // Updated to check for search param instead of path
@@ -259,20 +263,32 @@ const ListItem = memo((
         }
     };
 
+    const title = props.title || t('common.untitled');
+
     // Get title attribute with type-specific wording
     const getAccessibilityTitle = () => {
-        return `${type === 'tv' ? 'Watch TV Show' : 'Watch Movie'}: ${props.title}`;
+        return t(type === 'tv' ? 'listItem.watchTv' : 'listItem.watchMovie', { title });
     };
 
     // Format the rating to show only one decimal if needed
     const formattedRating = props.rating ? 
-        props.rating.toFixed(1).replace(/\.0$/, '') : null;
+        formatNumber(props.rating, { maximumFractionDigits: 1 }) : null;
+
+    // Our own rating, shown next to TMDB's
+    const userRating = getRating(type, props.id)?.userRating ?? null;
 
    return (
     <div
         onClick={handleClick}
         onMouseEnter={() => setIsHovered(true)}
-        onMouseLeave={() => setIsHovered(false)}
+        onMouseLeave={() => {
+            setIsHovered(false);
+            setShowActions(false);
+        }}
+        onTouchStart={startLongPress}
+        onTouchEnd={cancelLongPress}
+        onTouchMove={cancelLongPress}
+        onContextMenu={(e) => isLongPress.current && e.preventDefault()}
         className="group bg-gray-200 h-96 w-auto text-white dark:bg-card rounded-lg border border-border hover:border-blue-300 overflow-hidden shadow-sm hover:shadow-md transition-all duration-300 cursor-pointer flex flex-col justify-between"
         title={getAccessibilityTitle()}
         role="button"
@@ -297,7 +313,7 @@ const ListItem = memo((
             {imageLoading && (
                 <div className="absolute inset-0 flex items-center justify-center bg-black/40 z-20">
                     <div className="inline-block h-8 w-8 animate-spin rounded-full border-4 border-solid border-blue-500 border-r-transparent" role="status">
-                        <span className="sr-only">Loading...</span>
+                        <span className="sr-only">{t('common.loading')}</span>
                     </div>
                 </div>
             )}
@@ -308,7 +324,7 @@ const ListItem = memo((
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-10 w-10 mb-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
                     </svg>
-                    <span className="text-xs">No Image Available</span>
+                    <span className="text-xs">{t('listItem.noImage')}</span>
                 </div>
             )}
 
@@ -316,14 +332,21 @@ const ListItem = memo((
             <div className="relative z-20 w-full h-full flex flex-col justify-between p-4 bg-gradient-to-t from-black/80 to-transparent transition-opacity duration-300">
                 {/* Top section */}
                 <div className="flex justify-between items-start">
-                    {formattedRating && (
-                        <div className="bg-black/50 text-white text-xs px-2 py-1 rounded-md flex items-center">
-                            <svg className="w-3 h-3 text-yellow-400 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path>
-                            </svg>
-                            <span>{formattedRating}</span>
-                        </div>
-                    )}
+                    <div className="flex flex-col items-start gap-1">
+                        {formattedRating && (
+                            <div className="bg-black/50 text-white text-xs px-2 py-1 rounded-md flex items-center">
+                                <svg className="w-3 h-3 text-yellow-400 mr-1" fill="currentColor" viewBox="0 0 20 20">
+                                    <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"></path>
+                                </svg>
+                                <span>{formattedRating}</span>
+                            </div>
+                        )}
+                        {userRating !== null && (
+                            <div className="bg-bluee/90 text-white text-xs px-2 py-1 rounded-md" title={t('rating.yours')}>
+                                {t('listItem.yourRating', { rating: userRating, max: MAX_RATING })}
+                            </div>
+                        )}
+                    </div>
                     {props.releaseDate && (
                             <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full font-medium">
                                 {props.releaseDate.split('-')[0]}
@@ -334,17 +357,21 @@ const ListItem = memo((
 
                 {/* Bottom section */}
                 <div className="flex flex-col items-center justify-center gap-4">
+                    {(isHovered || showActions) && (
+                        // The card's props are what the library keeps of a title
+                        <LibraryToggles mediaType={type} item={props} />
+                    )}
                     {isHovered && (
                         <button className="bg-bluee/90 text-white md:px-4 px-2 md:py-2 py-1 rounded-full flex items-center space-x-2 transform transition-transform duration-300 hover:scale-110 shadow-lg">
                             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                             </svg>
-                            <span className="text-sm font-medium">Watch Now</span>
+                            <span className="text-sm font-medium">{t('listItem.watchNow')}</span>
                         </button>
                     )}
                     <h1 className="text-base font-semibold line-clamp-2 text-center group-hover:text-bluee transition-colors">
-                        {props.title}
+                        {title}
                     </h1>
                 </div>
             </div>
@@ -357,4 +384,14 @@ const ListItem = memo((
 
 ListItem.displayName = 'ListItem';
 
+// Built from a TMDB result by toCardProps
+ListItem.propTypes = {
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string,
+    posterPath: PropTypes.string,
+    releaseDate: PropTypes.string,
+    rating: PropTypes.number,
+    type: PropTypes.oneOf(['movie', 'tv'])
+};
+
 export default ListItem
\ No newline at end of file
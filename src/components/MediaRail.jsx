@@ -0,0 +1,99 @@
+import { useRef, memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import ListItem from './ListItem';
+import { toCardProps } from '../utils/MediaItem';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Horizontally scrolling row of ListItem cards with a heading, scroll buttons and an optional "See all" link
+const MediaRail = memo(({ title, items, mediaType = 'movie', isLoading = false, controls, seeAllPath, renderItem }) => {
+  const scrollerRef = useRef(null);
+  const { t } = useLocale();
+  // Custom items aren't TMDB results, so only ListItem cards are filtered for the profile
+  const { filterItems } = useContentFilter(renderItem ? undefined : items, mediaType);
+  const visibleItems = renderItem ? items : filterItems(items);
+
+  // Scroll by roughly one screen of cards
+  const scrollBy = (direction) => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+    scroller.scrollBy({ left: direction * scroller.clientWidth * 0.8, behavior: 'smooth' });
+  };
+
+  return (
+    <section className="py-4 md:py-6" aria-label={title}>
+      <div className="flex items-center justify-between gap-3 mb-3 px-2 sm:px-0">
+        <div className="flex items-center gap-3 flex-wrap">
+          <h2 className="text-lg md:text-xl font-bold text-gray-800 dark:text-white">{title}</h2>
+          {controls}
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => scrollBy(-1)}
+            aria-label={t('rails.scrollLeft')}
+            className="hidden md:flex p-1.5 rounded-full bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 transition-colors"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={() => scrollBy(1)}
+            aria-label={t('rails.scrollRight')}
+            className="hidden md:flex p-1.5 rounded-full bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 transition-colors"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+          {seeAllPath && (
+            <Link
+              to={seeAllPath}
+              className="text-sm font-semibold text-bluee hover:text-blueh whitespace-nowrap"
+            >
+              {t('rails.seeAll')}
+            </Link>
+          )}
+        </div>
+      </div>
+
+      <div
+        ref={scrollerRef}
+        className="flex gap-3 md:gap-4 overflow-x-auto pb-2 px-2 sm:px-0 snap-x snap-mandatory scroll-smooth"
+      >
+        {isLoading
+          ? Array.from({ length: 6 }, (_, index) => (
+            <div key={index} className="flex-shrink-0 w-40 sm:w-48 h-96 rounded-lg bg-gray-200 dark:bg-card animate-pulse" />
+          ))
+          : visibleItems.map(item => (
+            <div key={item.key ?? item.id} className="flex-shrink-0 w-40 sm:w-48 snap-start">
+              {renderItem ? renderItem(item) : <ListItem {...toCardProps(item, mediaType)} />}
+            </div>
+          ))}
+      </div>
+    </section>
+  );
+});
+
+MediaRail.displayName = 'MediaRail';
+
+MediaRail.propTypes = {
+  title: PropTypes.string.isRequired,
+  // TMDB list results
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.number.isRequired
+  })).isRequired,
+  mediaType: PropTypes.oneOf(['movie', 'tv']),
+  // Shows placeholder cards instead of `items`
+  isLoading: PropTypes.bool,
+  // Extra controls next to the heading
+  controls: PropTypes.node,
+  seeAllPath: PropTypes.string,
+  // Custom card for each item instead of a ListItem; items may then carry a unique `key`
+  renderItem: PropTypes.func
+};
+
+export default MediaRail;
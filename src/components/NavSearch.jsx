@@ -0,0 +1,74 @@
+import { useState, useEffect, memo } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
+import PropTypes from "prop-types";
+import { searchPath } from "../utils/Paths";
+import { useLocale } from "../contexts/LocaleContext";
+
+// Global search box in the navigation bar, submits to /search?q=...
+const NavSearch = memo(({ id = "nav-search", className = "", onSearch }) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { t } = useLocale();
+  const isSearchPage = location.pathname === "/search";
+  const currentQuery = isSearchPage ? searchParams.get("q") || "" : "";
+  const [query, setQuery] = useState(currentQuery);
+
+  // Mirror the query of the results page (back/forward, tab links...)
+  useEffect(() => {
+    setQuery(currentQuery);
+  }, [currentQuery]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = query.trim();
+    if (!trimmed) return;
+
+    // Stay on the selected tab when searching again from the results page
+    const type = isSearchPage ? searchParams.get("type") || "all" : "all";
+    navigate(searchPath(trimmed, type));
+    if (onSearch) onSearch();
+  };
+
+  return (
+    <form role="search" onSubmit={handleSubmit} className={`relative ${className}`}>
+      <label htmlFor={id} className="sr-only">
+        {t("nav.searchLabel")}
+      </label>
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-500 pointer-events-none"
+        fill="none"
+        viewBox="0 0 24 24"
+        stroke="currentColor"
+      >
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+        />
+      </svg>
+      <input
+        id={id}
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={t("nav.searchPlaceholder")}
+        className="w-full pl-9 pr-3 py-1.5 rounded-full text-sm bg-gray-100 dark:bg-gray-800 text-gray-800 dark:text-gray-100 border border-transparent outline-none focus:ring-2 focus:ring-blue-300 focus:bg-white dark:focus:bg-gray-700"
+      />
+    </form>
+  );
+});
+
+NavSearch.displayName = "NavSearch";
+
+NavSearch.propTypes = {
+  // Needed when the box is rendered more than once (desktop bar and mobile menu)
+  id: PropTypes.string,
+  className: PropTypes.string,
+  // Called after navigating to the results, e.g. to close the mobile menu
+  onSearch: PropTypes.func,
+};
+
+export default NavSearch;
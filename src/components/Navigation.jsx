@@ -1,7 +1,11 @@
 import { Link, useLocation, useNavigate } from "react-router-dom";
 import { useState, useEffect, memo } from "react";
 import Container from "./Container";
+import NavSearch from "./NavSearch";
+import ProfileMenu from "./ProfileMenu";
+import LanguageSwitcher from "./LanguageSwitcher";
 import { useTheme } from "../theme/darkMode";
+import { useLocale } from "../contexts/LocaleContext";
 
 const Navigation = memo(() => {
   const location = useLocation();
@@ -12,6 +16,7 @@ const Navigation = memo(() => {
   const [isNavVisible, setIsNavVisible] = useState(true);
 
   const { isDarkMode, toggleDarkMode } = useTheme();
+  const { t } = useLocale();
 
 
   const toggleMenu = () => {
@@ -76,11 +81,19 @@ const Navigation = memo(() => {
     location.pathname === "/" ||
     location.pathname === "/movies" ||
     location.pathname.startsWith("/movie/") ||
-    (location.pathname.match(/^\/[^/]+$/) && location.pathname !== "/tv");
+    location.pathname.startsWith("/browse/movie/") ||
+    (location.pathname.match(/^\/[^/]+$/) &&
+      location.pathname !== "/tv" &&
+      location.pathname !== "/search");
 
   // Check if current route is in the TV shows section
   const isTvShowPage =
-    location.pathname === "/tv" || location.pathname.startsWith("/tv/");
+    location.pathname === "/tv" ||
+    location.pathname.startsWith("/tv/") ||
+    location.pathname.startsWith("/browse/tv/");
+
+  const isLibraryPage = location.pathname === "/library";
+  const isSettingsPage = location.pathname === "/settings";
 
   // Close mobile menu when route changes
   useEffect(() => {
@@ -102,8 +115,8 @@ const Navigation = memo(() => {
             href="/"
             onClick={goHome}
             className="text-xl font-bold text-bluee hover:text-blueh transition-colors flex items-center group"
-            title="Home"
-            aria-label="RanwUse Homepage"
+            title={t("nav.home")}
+            aria-label={t("nav.homeLabel")}
           >
             <div className="mr-2 relative overflow-hidden group-hover:scale-110 transform transition-transform duration-200">
               <svg
@@ -156,7 +169,7 @@ const Navigation = memo(() => {
                     d="M21 12.79A9 9 0 1111.21 3 7 7 0 0021 12.79z"
                   />
                 </svg>
-                <span>Dark</span>
+                <span>{t("nav.dark")}</span>
               </>
             ) : (
               <>
@@ -174,16 +187,20 @@ const Navigation = memo(() => {
                     d="M12 3v1m0 16v1m8.66-8.66h-1M4.34 12H3.33m13.36-5.66l-.71.71M6.05 17.66l-.71.71m12.02 0l-.71-.71M6.05 6.34l-.71-.71M12 5a7 7 0 100 14 7 7 0 000-14z"
                   />
                 </svg>
-                <span>Light</span>
+                <span>{t("nav.light")}</span>
               </>
             )}
           </button>
 
+          <LanguageSwitcher />
+
+          <ProfileMenu />
+
           {/* Mobile menu button */}
           <button
             className="md:hidden flex items-center focus:outline-none focus:ring-2 focus:ring-bluee focus:ring-offset-2 rounded-md p-1"
             onClick={toggleMenu}
-            aria-label="Toggle menu"
+            aria-label={t("nav.toggleMenu")}
             aria-expanded={isMenuOpen ? "true" : "false"}
           >
             <svg
@@ -205,6 +222,7 @@ const Navigation = memo(() => {
 
           {/* Desktop navigation */}
           <div className="hidden md:flex space-x-8 items-center">
+            <NavSearch id="nav-search" className="w-56 lg:w-72" />
             <a
               href="/"
               onClick={goHome}
@@ -215,7 +233,7 @@ const Navigation = memo(() => {
               }`}
               aria-current={isMoviePage ? "page" : undefined}
             >
-              <span className="relative z-10">Movies</span>
+              <span className="relative z-10">{t("nav.movies")}</span>
               <span
                 className={`absolute inset-x-0 bottom-0 h-0.5 transform transition-all duration-300 ${
                   isMoviePage
@@ -234,7 +252,7 @@ const Navigation = memo(() => {
               onClick={closeMenu}
               aria-current={isTvShowPage ? "page" : undefined}
             >
-              <span className="relative z-10 dark:text-white">TV Shows</span>
+              <span className="relative z-10 dark:text-white">{t("nav.tvShows")}</span>
               <span
                 className={`absolute inset-x-0 bottom-0 h-0.5 transform transition-all duration-300 ${
                   isTvShowPage
@@ -243,6 +261,48 @@ const Navigation = memo(() => {
                 }`}
               ></span>
             </Link>
+            <Link
+              to="/library"
+              className={`font-medium transition-all duration-200 relative group py-1 ${
+                isLibraryPage
+                  ? "text-bluee"
+                  : "text-gray-700 hover:text-blueh"
+              }`}
+              onClick={closeMenu}
+              aria-current={isLibraryPage ? "page" : undefined}
+            >
+              <span className="relative z-10 dark:text-white">{t("nav.library")}</span>
+              <span
+                className={`absolute inset-x-0 bottom-0 h-0.5 transform transition-all duration-300 ${
+                  isLibraryPage
+                    ? "bg-bluee w-full"
+                    : "bg-bluee w-0 group-hover:w-full"
+                }`}
+              ></span>
+            </Link>
+
+            <Link
+              to="/settings"
+              className={`p-1 transition-colors ${
+                isSettingsPage
+                  ? "text-bluee"
+                  : "text-gray-500 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+              }`}
+              title={t("nav.settings")}
+              aria-current={isSettingsPage ? "page" : undefined}
+            >
+              <span className="sr-only">{t("nav.settings")}</span>
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                className="h-6 w-6"
+                fill="none"
+                viewBox="0 0 24 24"
+                stroke="currentColor"
+              >
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </Link>
 
             {/* Optional - GitHub link */}
             <a
@@ -250,9 +310,9 @@ const Navigation = memo(() => {
               target="_blank"
               rel="noopener noreferrer"
               className="text-gray-500 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white p-1"
-              title="View on GitHub"
+              title={t("nav.github")}
             >
-              <span className="sr-only">View on GitHub</span>
+              <span className="sr-only">{t("nav.github")}</span>
               <svg
                 xmlns="http://www.w3.org/2000/svg"
                 className="h-6 w-6"
@@ -280,6 +340,8 @@ const Navigation = memo(() => {
           }}
         >
           <div className="py-6 px-4 flex flex-col space-y-6">
+            <NavSearch id="nav-search-mobile" onSearch={closeMenu} />
+
             {/* Mobile main nav */}
             <div className="flex flex-col space-y-4">
               <a
@@ -295,7 +357,7 @@ const Navigation = memo(() => {
                     : "text-gray-800 dark:text-white hover:bg-gray-50 dark:hover:bg-card"
                 }`}
               >
-                Movies
+                {t("nav.movies")}
               </a>
               <Link
                 to="/tv"
@@ -306,7 +368,29 @@ const Navigation = memo(() => {
                 }`}
                 onClick={closeMenu}
               >
-                TV Shows
+                {t("nav.tvShows")}
+              </Link>
+              <Link
+                to="/library"
+                className={`font-medium py-4 px-4 rounded-lg transition-all duration-200 ${
+                  isLibraryPage
+                    ? "bg-blue-50 dark:bg-card text-bluee"
+                    : "text-gray-800 dark:text-white hover:bg-gray-50 dark:hover:bg-card"
+                }`}
+                onClick={closeMenu}
+              >
+                {t("nav.library")}
+              </Link>
+              <Link
+                to="/settings"
+                className={`font-medium py-4 px-4 rounded-lg transition-all duration-200 ${
+                  isSettingsPage
+                    ? "bg-blue-50 dark:bg-card text-bluee"
+                    : "text-gray-800 dark:text-white hover:bg-gray-50 dark:hover:bg-card"
+                }`}
+                onClick={closeMenu}
+              >
+                {t("nav.settings")}
               </Link>
               <a
                 href="https://github.com/Ranwiesiel/rw-movies"
@@ -1,4 +1,5 @@
 import { useState, useEffect, memo } from 'react';
+import { useLocale } from '../contexts/LocaleContext';
 
 const Pagination = memo(({ 
   page, 
@@ -6,6 +7,7 @@ const Pagination = memo(({
   onPageChange,
   itemsPerPage = 20
 }) => {
+  const { t } = useLocale();
   // State for "Go to page" input
   const [goToPageInput, setGoToPageInput] = useState('');
   const [windowWidth, setWindowWidth] = useState(typeof window !== 'undefined' ? window.innerWidth : 0);
@@ -110,7 +112,7 @@ const Pagination = memo(({
           className="w-8 h-8 sm:w-10 sm:h-10 flex items-center justify-center rounded-md bg-white border border-gray-300 
                      text-gray-700 hover:bg-gray-50 hover:border-blue-300 hover:text-blue-600 
                      transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-1"
-          aria-label="Go to first page"
+          aria-label={t('pagination.firstPage')}
         >
           1
         </button>
@@ -137,7 +139,7 @@ const Pagination = memo(({
                       ${page === i 
                         ? 'bg-bluee text-white font-medium shadow-md hover:bg-blueh focus:ring-bluee' 
                         : 'bg-white dark:bg-bg border border-gray-300 dark:border-card text-gray-700 dark:text-white hover:bg-gray-50 dark:hover:border-blueh hover:border-blueh hover:text-blueh dark:hover:text-blueh focus:ring-bluee'}`}
-          aria-label={`Go to page ${i}`}
+          aria-label={t('pagination.goToPage', { page: i })}
           aria-current={page === i ? "page" : undefined}
           disabled={isAnimating}
         >
@@ -164,7 +166,7 @@ const Pagination = memo(({
           className="w-8 h-8 sm:w-10 sm:h-10 flex items-center justify-center rounded-md bg-white dark:bg-bg border border-gray-300 dark:border-card
                      text-gray-700 dark:text-white hover:bg-gray-50 hover:border-blueh hover:text-blueh 
                      transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-1"
-          aria-label="Go to last page"
+          aria-label={t('pagination.lastPage')}
           disabled={isAnimating}
         >
           {totalPages}
@@ -205,13 +207,13 @@ const Pagination = memo(({
           ${page === 1 || isAnimating
             ? 'bg-gray-100 dark:bg-gray-800 text-gray-400 cursor-not-allowed border border-gray-200 dark:border-gray-600' 
             : 'bg-gradient-to-r from-blue-500 to-blue-600 text-white hover:from-blue-600 hover:to-blue-700 shadow-sm hover:shadow border border-transparent'}`}
-        aria-label="Previous page"
-        title="Previous page"
+        aria-label={t('pagination.previous')}
+        title={t('pagination.previous')}
       >
         <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 sm:h-5 sm:w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
         </svg>
-        <span className="ml-0 sm:ml-1 hidden sm:inline">Prev</span>
+        <span className="ml-0 sm:ml-1 hidden sm:inline">{t('pagination.prev')}</span>
       </button>
 
       {/* Pagination numbers */}
@@ -227,10 +229,10 @@ const Pagination = memo(({
           ${page === totalPages || isAnimating
             ? 'bg-gray-100 dark:bg-gray-800 text-gray-400 cursor-not-allowed border border-gray-200 dark:border-gray-600' 
             : 'bg-gradient-to-r from-blue-500 to-blue-600 text-white hover:from-blue-600 hover:to-blue-700 shadow-sm hover:shadow border border-transparent'}`}
-        aria-label="Next page"
-        title="Next page"
+        aria-label={t('pagination.next')}
+        title={t('pagination.next')}
       >
-        <span className="mr-0 sm:mr-1 hidden sm:inline">Next</span>
+        <span className="mr-0 sm:mr-1 hidden sm:inline">{t('pagination.nextShort')}</span>
         <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 sm:h-5 sm:w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
         </svg>
@@ -243,13 +245,13 @@ const Pagination = memo(({
         onSubmit={handleGoToPageSubmit} 
         className="flex items-center space-x-2 bg-white dark:bg-black p-2 rounded-lg border border-black dark:border-white shadow-sm hover:border-gray-300 dark:hover:border-gray-400 transition-all duration-200"
       >
-        <span className="text-xs sm:text-sm text-gray-600 dark:text-gray-300">Go to:</span>
+        <span className="text-xs sm:text-sm text-gray-600 dark:text-gray-300">{t('pagination.goTo')}</span>
         <input 
           type="text" 
           value={goToPageInput} 
           onChange={handleGoToPageChange} 
           placeholder={`1-${totalPages}`}
-          aria-label={`Go to page (1-${totalPages})`}
+          aria-label={t('pagination.goToPageRange', { total: totalPages })}
           className="border border-gray-300 dark:border-white rounded-md px-2 sm:px-3 py-1 w-12 sm:w-16 text-center 
             focus:ring-2 focus:ring-blue-500 focus:border-blue-300 outline-none transition-all duration-200 bg-white dark:bg-black text-black dark:text-white"
           maxLength={String(totalPages).length}
@@ -259,10 +261,10 @@ const Pagination = memo(({
           type="submit" 
           className="bg-bluee hover:bg-blueh text-white px-2 sm:px-3 py-1 rounded-md transition-all duration-200 
             flex items-center shadow-sm hover:shadow focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-1"
-          title="Go to specified page"
+          title={t('pagination.goToSpecified')}
           disabled={!goToPageInput || isAnimating}
         >
-          <span>Go</span>
+          <span>{t('pagination.go')}</span>
         </button>
       </form>
     </div>
@@ -270,12 +272,17 @@ const Pagination = memo(({
     {/* Page info */}
     <div className="text-xs sm:text-sm text-gray-500 dark:text-gray-300 text-center">
       {page > totalPages ? (
-        <span className="text-red-500 dark:text-red-400">Page {page} exceeds total. Showing last page ({totalPages})</span>
+        <span className="text-red-500 dark:text-red-400">{t('pagination.exceeds', { page, total: totalPages })}</span>
       ) : (
         <div className="flex items-center space-x-1">
-          <span>Page {page} of {totalPages}</span>
+          <span>{t('pagination.pageOf', { page, total: totalPages })}</span>
           <span className="text-gray-400">•</span>
-          <span>Showing items {Math.min((page - 1) * itemsPerPage + 1, totalPages * itemsPerPage)} - {Math.min(page * itemsPerPage, totalPages * itemsPerPage)}</span>
+          <span>
+            {t('pagination.showingItems', {
+              from: Math.min((page - 1) * itemsPerPage + 1, totalPages * itemsPerPage),
+              to: Math.min(page * itemsPerPage, totalPages * itemsPerPage)
+            })}
+          </span>
         </div>
       )}
     </div>
@@ -0,0 +1,294 @@
+import { useState, useEffect, memo } from 'react';
+import PinPrompt from './PinPrompt';
+import { useParentalControls } from '../contexts/ParentalControlsContext';
+import { tmdb, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { certificationsUpTo, isRatedCertification } from '../utils/ContentFilter';
+import { isValidPin } from '../utils/Profiles';
+import { useLocale } from '../contexts/LocaleContext';
+
+const buttonClass = "px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+const inputClass = "w-full text-sm px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+const labelClass = "block text-sm text-gray-700 dark:text-gray-300 mb-1";
+
+const MEDIA_LABEL_KEYS = { movie: 'parental.moviesUpTo', tv: 'parental.tvUpTo' };
+
+const byOrder = (a, b) => a.order - b.order;
+
+const toDraft = controls => ({
+  region: controls.region,
+  maxCertification: { ...controls.maxCertification },
+  hideUnrated: controls.hideUnrated,
+  pin: '',
+  confirmPin: ''
+});
+
+// Age rating limit for all profiles on the settings page; changing it takes the parental PIN
+const ParentalControlsPanel = memo(() => {
+  const { controls, verifyPin, saveControls, disableControls } = useParentalControls();
+  // 'summary', 'unlock' (asking for the PIN) or 'edit'
+  const [mode, setMode] = useState('summary');
+  const [draft, setDraft] = useState(() => toDraft(controls));
+  // Message key of the form's validation error
+  const [error, setError] = useState(null);
+  // Certifications by country for movies and TV, and the names of those countries
+  const [lists, setLists] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [loadError, setLoadError] = useState(null);
+  const { t } = useLocale();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const loadList = mediaType => cachedRequest(
+      'configuration',
+      ['certifications', mediaType],
+      () => tmdb.certifications(mediaType, { signal }).then(data => data.certifications),
+      { signal }
+    );
+
+    Promise.all([
+      loadList('movie'),
+      loadList('tv'),
+      cachedRequest('configuration', ['countries'], () => tmdb.countries({ signal }), { signal })
+    ])
+      .then(([movie, tv, countries]) => {
+        setLists({ movie, tv });
+        // Only countries rating both movies and TV can be picked
+        setRegions(countries
+          .filter(country => movie[country.iso_3166_1] && tv[country.iso_3166_1])
+          .sort((a, b) => a.english_name.localeCompare(b.english_name)));
+        setLoadError(null);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('Error loading age ratings:', err);
+        setLoadError(errorReason(err));
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const regionName = code => regions.find(region => region.iso_3166_1 === code)?.english_name || code;
+  const optionsFor = (mediaType, region) => (lists?.[mediaType][region] || [])
+    .filter(item => isRatedCertification(item.certification))
+    .sort(byOrder);
+
+  const startEditing = () => {
+    setDraft(toDraft(controls));
+    setError(null);
+    setMode('edit');
+  };
+
+  const unlock = async (pin) => {
+    const isRight = await verifyPin(pin);
+    if (isRight) startEditing();
+    return isRight;
+  };
+
+  const setRegion = (region) => {
+    // Keep the limits the new country also has, otherwise they have to be picked again
+    setDraft(current => ({
+      ...current,
+      region,
+      maxCertification: {
+        movie: optionsFor('movie', region).some(item => item.certification === current.maxCertification.movie) ? current.maxCertification.movie : '',
+        tv: optionsFor('tv', region).some(item => item.certification === current.maxCertification.tv) ? current.maxCertification.tv : ''
+      }
+    }));
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const { region, maxCertification, hideUnrated, pin, confirmPin } = draft;
+    if (!maxCertification.movie || !maxCertification.tv) {
+      setError('parental.errors.pickRatings');
+      return;
+    }
+    // The first time the controls are turned on they need a PIN
+    if ((pin || !controls.enabled) && !isValidPin(pin)) {
+      setError('parental.errors.pinLength');
+      return;
+    }
+    if (pin !== confirmPin) {
+      setError('parental.errors.pinMismatch');
+      return;
+    }
+    await saveControls({
+      region,
+      maxCertification,
+      allowed: {
+        movie: certificationsUpTo(optionsFor('movie', region), maxCertification.movie),
+        tv: certificationsUpTo(optionsFor('tv', region), maxCertification.tv)
+      },
+      hideUnrated
+    }, pin || undefined);
+    setMode('summary');
+  };
+
+  const turnOff = () => {
+    if (!window.confirm(t('parental.confirmTurnOff'))) return;
+    disableControls();
+    setMode('summary');
+  };
+
+  if (mode === 'unlock') {
+    return (
+      <div className="max-w-xs">
+        <PinPrompt profileName={t('parental.pinTarget')} onSubmit={unlock} onCancel={() => setMode('summary')} />
+      </div>
+    );
+  }
+
+  if (mode === 'summary') {
+    return (
+      <div>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {controls.enabled
+            ? `${t('parental.summary', { region: regionName(controls.region), movie: controls.maxCertification.movie, tv: controls.maxCertification.tv })} ${controls.hideUnrated ? t('parental.unratedHidden') : t('parental.unratedShown')}`
+            : t('parental.description')}
+        </p>
+        <button
+          type="button"
+          onClick={() => (controls.enabled ? setMode('unlock') : startEditing())}
+          className={`${buttonClass} bg-bluee text-white hover:bg-blueh`}
+        >
+          {controls.enabled ? t('parental.change') : t('parental.setUp')}
+        </button>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return <p className="text-sm text-red-600 dark:text-red-400" role="alert">{t('parental.errors.load', { reason: loadError })}</p>;
+  }
+
+  if (!lists) {
+    return <p className="text-sm text-gray-600 dark:text-gray-400">{t('parental.loading')}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="parental-region" className={labelClass}>{t('parental.region')}</label>
+        <select
+          id="parental-region"
+          value={draft.region}
+          onChange={(e) => setRegion(e.target.value)}
+          className={`${inputClass} max-w-xs`}
+        >
+          {regions.map(region => (
+            <option key={region.iso_3166_1} value={region.iso_3166_1}>{region.english_name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        {Object.keys(MEDIA_LABEL_KEYS).map(mediaType => (
+          <div key={mediaType}>
+            <label htmlFor={`parental-max-${mediaType}`} className={labelClass}>{t(MEDIA_LABEL_KEYS[mediaType])}</label>
+            <select
+              id={`parental-max-${mediaType}`}
+              value={draft.maxCertification[mediaType]}
+              onChange={(e) => {
+                const { value } = e.target;
+                setDraft(current => ({ ...current, maxCertification: { ...current.maxCertification, [mediaType]: value } }));
+                setError(null);
+              }}
+              className={inputClass}
+            >
+              <option value="">{t('parental.pickRating')}</option>
+              {optionsFor(mediaType, draft.region).map(item => (
+                <option key={item.certification} value={item.certification} title={item.meaning}>{item.certification}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input
+          type="checkbox"
+          checked={draft.hideUnrated}
+          onChange={(e) => setDraft(current => ({ ...current, hideUnrated: e.target.checked }))}
+          className="mt-0.5"
+        />
+        <span>
+          {t('parental.hideUnrated')}
+          <span className="block text-xs text-gray-500 dark:text-gray-400">
+            {t('parental.hideUnratedHint', { region: regionName(draft.region) })}
+          </span>
+        </span>
+      </label>
+
+      <div className="grid gap-4 sm:grid-cols-2 max-w-md">
+        <div>
+          <label htmlFor="parental-pin" className={labelClass}>
+            {controls.enabled ? t('parental.newPin') : t('parental.pin')}
+          </label>
+          <input
+            id="parental-pin"
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={8}
+            value={draft.pin}
+            onChange={(e) => {
+              const pin = e.target.value.replace(/\D/g, '');
+              setDraft(current => ({ ...current, pin }));
+              setError(null);
+            }}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="parental-pin-confirm" className={labelClass}>{t('parental.repeatPin')}</label>
+          <input
+            id="parental-pin-confirm"
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            maxLength={8}
+            value={draft.confirmPin}
+            onChange={(e) => {
+              const confirmPin = e.target.value.replace(/\D/g, '');
+              setDraft(current => ({ ...current, confirmPin }));
+              setError(null);
+            }}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{t(error)}</p>}
+
+      <div className="flex flex-wrap gap-2">
+        <button type="submit" className={`${buttonClass} bg-bluee text-white hover:bg-blueh`}>
+          {controls.enabled ? t('common.save') : t('parental.turnOn')}
+        </button>
+        <button
+          type="button"
+          onClick={() => setMode('summary')}
+          className={`${buttonClass} bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+        >
+          {t('common.cancel')}
+        </button>
+        {controls.enabled && (
+          <button
+            type="button"
+            onClick={turnOff}
+            className={`${buttonClass} text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30`}
+          >
+            {t('parental.turnOff')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+});
+
+ParentalControlsPanel.displayName = 'ParentalControlsPanel';
+
+export default ParentalControlsPanel;
@@ -0,0 +1,55 @@
+import { memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { imageUrl } from '../utils/Endpoint';
+import { getMediaTitle } from '../utils/MediaItem';
+
+// Card for a person search result linking to their page: photo, department and a few titles they are known for
+const PersonCard = memo(({ person }) => {
+  const knownFor = (person.known_for || []).slice(0, 3).map(getMediaTitle).filter(Boolean).join(', ');
+
+  return (
+    <Link
+      to={`/person/${person.id}`}
+      className="flex items-center gap-3 p-3 rounded-lg bg-gray-100 dark:bg-card border border-transparent dark:border-border hover:border-bluee transition-colors"
+    >
+      {person.profile_path ? (
+        <img
+          src={imageUrl(person.profile_path, 'w185')}
+          alt={person.name}
+          loading="lazy"
+          className="w-14 h-14 rounded-full object-cover flex-shrink-0"
+        />
+      ) : (
+        <div className="w-14 h-14 rounded-full bg-gray-300 dark:bg-gray-700 flex items-center justify-center flex-shrink-0" aria-hidden="true">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7 text-gray-500" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+          </svg>
+        </div>
+      )}
+      <div className="min-w-0">
+        <p className="font-semibold text-gray-800 dark:text-white truncate">{person.name}</p>
+        {person.known_for_department && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">{person.known_for_department}</p>
+        )}
+        {knownFor && (
+          <p className="text-xs text-gray-600 dark:text-gray-300 truncate" title={knownFor}>{knownFor}</p>
+        )}
+      </div>
+    </Link>
+  );
+});
+
+PersonCard.displayName = 'PersonCard';
+
+PersonCard.propTypes = {
+  person: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    profile_path: PropTypes.string,
+    known_for_department: PropTypes.string,
+    known_for: PropTypes.arrayOf(PropTypes.object)
+  }).isRequired
+};
+
+export default PersonCard;
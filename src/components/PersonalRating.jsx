@@ -0,0 +1,82 @@
+import { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import StarRating from './StarRating';
+import { MAX_RATING, useRatings } from '../contexts/RatingsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "Your rating" stars and a private review for a details page, kept on this device only
+const PersonalRating = memo(({ mediaType, item, className = 'mb-6' }) => {
+  const { getRating, rate, setReview } = useRatings();
+  const saved = getRating(mediaType, item.id);
+  const savedReview = saved?.review || '';
+  const [draft, setDraft] = useState(savedReview);
+  const { t, formatNumber, formatDate } = useLocale();
+
+  // Follow the saved review when it arrives from storage or the title changes
+  useEffect(() => {
+    setDraft(savedReview);
+  }, [savedReview]);
+
+  const isDirty = draft !== savedReview;
+
+  return (
+    <section aria-label={t('rating.yours')} className={`${className} p-4 rounded-lg bg-black/30 border border-white/10 max-w-xl`}>
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <h2 className="text-lg font-semibold">{t('rating.yours')}</h2>
+        <StarRating value={saved?.userRating ?? null} onChange={value => rate(mediaType, item, value)} />
+        {saved?.userRating != null && (
+          <>
+            <span className="text-sm text-gray-300">{formatNumber(saved.userRating)}/{formatNumber(MAX_RATING)}</span>
+            <button
+              type="button"
+              onClick={() => rate(mediaType, item, null)}
+              className="text-sm text-gray-400 hover:text-white underline"
+            >
+              {t('rating.clear')}
+            </button>
+          </>
+        )}
+      </div>
+
+      <label htmlFor={`review-${mediaType}-${item.id}`} className="block text-sm text-gray-300 mb-1">
+        {t('rating.review')}
+      </label>
+      <textarea
+        id={`review-${mediaType}-${item.id}`}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        rows={3}
+        maxLength={5000}
+        placeholder={t('rating.reviewPlaceholder')}
+        className="w-full text-sm px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-blue-300"
+      />
+      <div className="flex items-center gap-3 mt-2">
+        <button
+          type="button"
+          onClick={() => setReview(mediaType, item, draft)}
+          disabled={!isDirty}
+          className="px-4 py-1.5 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh disabled:opacity-50"
+        >
+          {t('rating.saveReview')}
+        </button>
+        {saved && !isDirty && (
+          <span className="text-xs text-gray-400">{t('rating.savedOn', { date: formatDate(saved.updatedAt, { dateStyle: 'short' }) })}</span>
+        )}
+      </div>
+    </section>
+  );
+});
+
+PersonalRating.displayName = 'PersonalRating';
+
+PersonalRating.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']).isRequired,
+  // ListItem card props (see toCardProps)
+  item: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    title: PropTypes.string.isRequired
+  }).isRequired,
+  className: PropTypes.string
+};
+
+export default PersonalRating;
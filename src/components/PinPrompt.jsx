@@ -0,0 +1,74 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { useLocale } from '../contexts/LocaleContext';
+
+// PIN entry for a locked profile, `onSubmit` resolves to false for a wrong PIN
+const PinPrompt = memo(({ profileName, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [isWrong, setIsWrong] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const { t } = useLocale();
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsChecking(true);
+    const isUnlocked = await onSubmit(pin);
+    setIsChecking(false);
+    if (!isUnlocked) {
+      setIsWrong(true);
+      setPin('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+      <label htmlFor="profile-pin" className="text-sm text-gray-700 dark:text-gray-300">
+        {t('pin.label', { name: profileName })}
+      </label>
+      <input
+        id="profile-pin"
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        autoFocus
+        maxLength={8}
+        value={pin}
+        onChange={(e) => {
+          setPin(e.target.value.replace(/\D/g, ''));
+          setIsWrong(false);
+        }}
+        aria-invalid={isWrong}
+        className="w-full text-center tracking-[0.5em] text-lg px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300"
+      />
+      {isWrong && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{t('pin.wrong')}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={pin.length < 4 || isChecking}
+          className="flex-1 px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh disabled:opacity-50"
+        >
+          {t('pin.unlock')}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600"
+          >
+            {t('common.cancel')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+});
+
+PinPrompt.displayName = 'PinPrompt';
+
+PinPrompt.propTypes = {
+  profileName: PropTypes.string.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
+};
+
+export default PinPrompt;
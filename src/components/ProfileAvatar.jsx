@@ -0,0 +1,41 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { useLocale } from '../contexts/LocaleContext';
+
+const SIZES = {
+  sm: 'h-8 w-8 text-sm',
+  md: 'h-10 w-10 text-base',
+  lg: 'h-20 w-20 text-3xl'
+};
+
+// Round avatar with the profile's initial on its color
+const ProfileAvatar = memo(({ profile, size = 'md' }) => {
+  const { t } = useLocale();
+
+  return (
+    <span
+      className={`${SIZES[size]} ${profile.color} relative inline-flex flex-shrink-0 items-center justify-center rounded-full font-bold text-white select-none`}
+      aria-hidden="true"
+    >
+      {profile.name.charAt(0).toUpperCase() || '?'}
+      {profile.isKid && (
+        <span className="absolute -bottom-1 -right-1 rounded-full bg-yellow-400 px-1 text-[10px] leading-4 font-bold text-gray-900">
+          {t('profiles.kidBadge')}
+        </span>
+      )}
+    </span>
+  );
+});
+
+ProfileAvatar.displayName = 'ProfileAvatar';
+
+ProfileAvatar.propTypes = {
+  profile: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    isKid: PropTypes.bool
+  }).isRequired,
+  size: PropTypes.oneOf(['sm', 'md', 'lg'])
+};
+
+export default ProfileAvatar;
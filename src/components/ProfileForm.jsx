@@ -0,0 +1,143 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import ProfileAvatar from './ProfileAvatar';
+import { PROFILE_COLORS, isValidPin } from '../utils/Profiles';
+import { useLocale } from '../contexts/LocaleContext';
+
+const inputClass = "w-full text-sm px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+// Name, avatar color, kid flag and PIN of a new or existing profile
+const ProfileForm = memo(({ profile, onSave, onCancel, submitLabel }) => {
+  const { t } = useLocale();
+  const [name, setName] = useState(profile?.name || '');
+  const [color, setColor] = useState(profile?.color || PROFILE_COLORS[0]);
+  const [isKid, setIsKid] = useState(profile?.isKid || false);
+  const [pin, setPin] = useState('');
+  const [removePin, setRemovePin] = useState(false);
+  // Message key
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setError('profiles.errors.name');
+      return;
+    }
+    if (pin && !isValidPin(pin)) {
+      setError('parental.errors.pinLength');
+      return;
+    }
+    // An empty PIN field leaves the current PIN as it is
+    onSave({ name, color, isKid, pin: removePin ? null : pin || undefined });
+  };
+
+  const idPrefix = profile ? `profile-${profile.id}` : 'profile-new';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="flex items-center gap-4">
+        <ProfileAvatar profile={{ name: name || '?', color, isKid }} size="lg" />
+        <div className="flex-1">
+          <label htmlFor={`${idPrefix}-name`} className="block text-sm text-gray-700 dark:text-gray-300 mb-1">{t('profiles.form.name')}</label>
+          <input
+            id={`${idPrefix}-name`}
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError(null);
+            }}
+            maxLength={30}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <fieldset>
+        <legend className="text-sm text-gray-700 dark:text-gray-300 mb-2">{t('profiles.form.color')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {PROFILE_COLORS.map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setColor(option)}
+              aria-label={t(`profiles.colors.${option.replace('bg-', '').replace(/-\d+$/, '')}`)}
+              aria-pressed={color === option}
+              className={`h-8 w-8 rounded-full ${option} ${color === option ? 'ring-2 ring-offset-2 ring-bluee dark:ring-offset-gray-900' : ''}`}
+            />
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+        <input type="checkbox" checked={isKid} onChange={(e) => setIsKid(e.target.checked)} className="mt-0.5" />
+        <span>
+          {t('profiles.kid')}
+          <span className="block text-xs text-gray-500 dark:text-gray-400">
+            {t('profiles.form.kidHint')}
+          </span>
+        </span>
+      </label>
+
+      <div>
+        <label htmlFor={`${idPrefix}-pin`} className="block text-sm text-gray-700 dark:text-gray-300 mb-1">
+          {profile?.pinHash ? t('profiles.form.newPin') : t('profiles.form.pin')}
+        </label>
+        <input
+          id={`${idPrefix}-pin`}
+          type="password"
+          inputMode="numeric"
+          autoComplete="new-password"
+          maxLength={8}
+          value={pin}
+          disabled={removePin}
+          onChange={(e) => {
+            setPin(e.target.value.replace(/\D/g, ''));
+            setError(null);
+          }}
+          className={`${inputClass} max-w-[12rem]`}
+        />
+        {profile?.pinHash && (
+          <label className="flex items-center gap-2 mt-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" checked={removePin} onChange={(e) => setRemovePin(e.target.checked)} />
+            {t('profiles.form.removePin')}
+          </label>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400" role="alert">{t(error)}</p>}
+
+      <div className="flex gap-2">
+        <button type="submit" className="px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh">
+          {submitLabel || t('common.save')}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600"
+        >
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+});
+
+ProfileForm.displayName = 'ProfileForm';
+
+ProfileForm.propTypes = {
+  // Profile being edited, none for a new one
+  profile: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    color: PropTypes.string.isRequired,
+    isKid: PropTypes.bool,
+    pinHash: PropTypes.string
+  }),
+  // Called with `{name, color, isKid, pin}`, `pin` is undefined to keep it and null to remove it
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  // Defaults to "Save" in the current language
+  submitLabel: PropTypes.string
+};
+
+export default ProfileForm;
@@ -0,0 +1,57 @@
+import { useState, memo } from 'react';
+import ProfileAvatar from './ProfileAvatar';
+import PinPrompt from './PinPrompt';
+import { useProfiles } from '../contexts/ProfileContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "Who's watching?" screen, shown instead of the app while the active profile's PIN hasn't been entered
+const ProfileGate = memo(() => {
+  const { profiles, activeProfile, switchProfile } = useProfiles();
+  const [pickedId, setPickedId] = useState(activeProfile.id);
+  const { t } = useLocale();
+
+  const picked = profiles.find(profile => profile.id === pickedId);
+
+  const pick = (profile) => {
+    if (profile.pinHash) setPickedId(profile.id);
+    else switchProfile(profile.id);
+  };
+
+  return (
+    <div className="dark min-h-screen flex items-center justify-center bg-gray-900 px-4">
+      <div className="w-full max-w-lg text-center">
+        <h1 className="text-2xl md:text-3xl font-bold text-white mb-8">{t('profiles.whoIsWatching')}</h1>
+        <ul className="flex flex-wrap justify-center gap-6 mb-8">
+          {profiles.map(profile => (
+            <li key={profile.id}>
+              <button
+                type="button"
+                onClick={() => pick(profile)}
+                aria-pressed={profile.id === pickedId}
+                className={`flex flex-col items-center gap-2 p-2 rounded-lg transition-colors ${
+                  profile.id === pickedId ? 'bg-white/10' : 'hover:bg-white/5'
+                }`}
+              >
+                <ProfileAvatar profile={profile} size="lg" />
+                <span className="text-sm text-gray-200">{profile.name}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+        {picked?.pinHash && (
+          <div className="max-w-xs mx-auto text-left">
+            <PinPrompt
+              key={picked.id}
+              profileName={picked.name}
+              onSubmit={pin => switchProfile(picked.id, pin)}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+});
+
+ProfileGate.displayName = 'ProfileGate';
+
+export default ProfileGate;
@@ -0,0 +1,124 @@
+import { useState, useEffect, useRef, memo } from 'react';
+import { Link } from 'react-router-dom';
+import ProfileAvatar from './ProfileAvatar';
+import PinPrompt from './PinPrompt';
+import { useProfiles } from '../contexts/ProfileContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Profile switcher in the navigation bar; locked profiles ask for their PIN first
+const ProfileMenu = memo(() => {
+  const { profiles, activeProfile, switchProfile } = useProfiles();
+  const [isOpen, setIsOpen] = useState(false);
+  // Locked profile waiting for its PIN
+  const [pendingId, setPendingId] = useState(null);
+  const menuRef = useRef(null);
+  const { t } = useLocale();
+
+  const close = () => {
+    setIsOpen(false);
+    setPendingId(null);
+  };
+
+  // Close on a click outside or Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const closeMenu = () => {
+      setIsOpen(false);
+      setPendingId(null);
+    };
+    const handlePointerDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) closeMenu();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') closeMenu();
+    };
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const pick = (profile) => {
+    if (profile.id === activeProfile.id) {
+      close();
+    } else if (profile.pinHash) {
+      setPendingId(profile.id);
+    } else {
+      switchProfile(profile.id);
+    }
+  };
+
+  const pending = profiles.find(profile => profile.id === pendingId);
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        type="button"
+        onClick={() => (isOpen ? close() : setIsOpen(true))}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        aria-label={t('profiles.menuLabel', { name: activeProfile.name })}
+        title={activeProfile.name}
+        className="flex items-center rounded-full focus:outline-none focus:ring-2 focus:ring-bluee focus:ring-offset-2"
+      >
+        <ProfileAvatar profile={activeProfile} size="sm" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-64 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 z-50 p-2">
+          {pending ? (
+            <div className="p-2">
+              <PinPrompt
+                profileName={pending.name}
+                onSubmit={pin => switchProfile(pending.id, pin)}
+                onCancel={() => setPendingId(null)}
+              />
+            </div>
+          ) : (
+            <>
+              <p className="px-2 py-1 text-xs font-semibold uppercase text-gray-500 dark:text-gray-400">{t('profiles.title')}</p>
+              <ul>
+                {profiles.map(profile => (
+                  <li key={profile.id}>
+                    <button
+                      type="button"
+                      onClick={() => pick(profile)}
+                      aria-current={profile.id === activeProfile.id ? 'true' : undefined}
+                      className={`w-full flex items-center gap-3 px-2 py-2 rounded-md text-left text-sm text-gray-800 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                        profile.id === activeProfile.id ? 'font-semibold' : ''
+                      }`}
+                    >
+                      <ProfileAvatar profile={profile} size="sm" />
+                      <span className="flex-1 truncate">{profile.name}</span>
+                      {profile.pinHash && (
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-label={t('pin.locked')}>
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                        </svg>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {/* A kid profile can't change profiles, including its own restrictions */}
+              {!activeProfile.isKid && (
+                <Link
+                  to="/profiles"
+                  onClick={close}
+                  className="block mt-1 px-2 py-2 rounded-md text-sm font-medium text-bluee hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  {t('profiles.manage')}
+                </Link>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+ProfileMenu.displayName = 'ProfileMenu';
+
+export default ProfileMenu;
@@ -0,0 +1,85 @@
+import { useState, useEffect, memo } from 'react';
+import PropTypes from 'prop-types';
+import MediaRail from './MediaRail';
+import { useLocale } from '../contexts/LocaleContext';
+import { isAbortError, errorReason } from '../utils/TmdbClient';
+import { fetchCollection, resolveVariant, collectionPath } from '../utils/Collections';
+
+// Rail for one curated collection, with its variant toggle and a link to the full list
+const Rail = memo(({ mediaType = 'movie', collection }) => {
+  const { t } = useLocale();
+  const [variant, setVariant] = useState(() => resolveVariant(collection));
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    const showItems = (data) => setItems(data.results || []);
+
+    fetchCollection(mediaType, collection, 1, { variant, signal: controller.signal, onRevalidate: showItems })
+      .then(showItems)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error(`Error loading ${collection.id}:`, err);
+        setError(errorReason(err));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [mediaType, collection, variant]);
+
+  // Nothing worth showing, the rest of the page still works
+  if (!isLoading && (error || items.length === 0)) return null;
+
+  return (
+    <MediaRail
+      title={t(collection.titleKey)}
+      items={items}
+      mediaType={mediaType}
+      isLoading={isLoading}
+      seeAllPath={collectionPath(mediaType, collection, variant)}
+      controls={collection.variants && (
+        <div className="flex rounded-full bg-gray-100 dark:bg-gray-800 p-0.5 text-xs">
+          {collection.variants.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setVariant(option.id)}
+              aria-pressed={variant === option.id}
+              className={`px-3 py-1 rounded-full transition-colors ${
+                variant === option.id
+                  ? 'bg-bluee text-white'
+                  : 'text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+              }`}
+            >
+              {t(option.labelKey)}
+            </button>
+          ))}
+        </div>
+      )}
+    />
+  );
+});
+
+Rail.displayName = 'Rail';
+
+Rail.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']),
+  collection: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    titleKey: PropTypes.string.isRequired,
+    variants: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      labelKey: PropTypes.string.isRequired
+    })),
+    load: PropTypes.func.isRequired
+  }).isRequired
+};
+
+export default Rail;
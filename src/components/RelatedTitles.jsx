@@ -0,0 +1,39 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import MediaRail from './MediaRail';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "Recommended" and "More like this" rails from a details payload's appended
+// `recommendations` and `similar` lists, so they are cached along with the details
+const RelatedTitles = memo(({ details, mediaType = 'movie' }) => {
+  const { t } = useLocale();
+  const recommended = details.recommendations?.results || [];
+  // The two lists often overlap, show each title once
+  const recommendedIds = new Set(recommended.map(item => item.id));
+  const similar = (details.similar?.results || []).filter(item => !recommendedIds.has(item.id));
+
+  if (recommended.length === 0 && similar.length === 0) return null;
+
+  return (
+    <div className="py-4">
+      {recommended.length > 0 && (
+        <MediaRail title={t('rails.recommended')} items={recommended} mediaType={mediaType} />
+      )}
+      {similar.length > 0 && (
+        <MediaRail title={t('rails.similar')} items={similar} mediaType={mediaType} />
+      )}
+    </div>
+  );
+});
+
+RelatedTitles.displayName = 'RelatedTitles';
+
+RelatedTitles.propTypes = {
+  details: PropTypes.shape({
+    recommendations: PropTypes.shape({ results: PropTypes.array }),
+    similar: PropTypes.shape({ results: PropTypes.array })
+  }).isRequired,
+  mediaType: PropTypes.oneOf(['movie', 'tv'])
+};
+
+export default RelatedTitles;
@@ -0,0 +1,41 @@
+import { memo } from 'react';
+import { Link } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import Container from './Container';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Shown instead of a title the active profile isn't allowed to see
+const RestrictedNotice = memo(({ isChecking = false }) => {
+  const { t } = useLocale();
+
+  return (
+    <Container>
+      {isChecking ? (
+        <div className="py-16 md:py-24 text-center" role="status">
+          <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-400">{t('restricted.checking')}</p>
+        </div>
+      ) : (
+        <div className="py-16 md:py-24 text-center">
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 dark:text-gray-500 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+          <h1 className="text-xl md:text-2xl font-bold text-gray-800 dark:text-white mb-2">{t('restricted.title')}</h1>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">{t('restricted.description')}</p>
+          <Link to="/" className="inline-block px-4 py-2 rounded-lg bg-bluee text-white hover:bg-blueh">
+            {t('restricted.backToBrowsing')}
+          </Link>
+        </div>
+      )}
+    </Container>
+  );
+});
+
+RestrictedNotice.displayName = 'RestrictedNotice';
+
+RestrictedNotice.propTypes = {
+  // The title's age rating is still loading
+  isChecking: PropTypes.bool
+};
+
+export default RestrictedNotice;
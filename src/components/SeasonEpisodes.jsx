@@ -1,25 +1,57 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { TV_SEASON_EPISODES, BASE_IMG_URL, getHeaders } from '../utils/Endpoint';
-
-const SeasonEpisodes = ({ tvId, seasons }) => {
+import { Link, useSearchParams } from 'react-router-dom';
+import PropTypes from 'prop-types';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, preloadImages, isAbortError } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { EMBED_FEATURES, buildEmbedUrl } from '../utils/EmbedProviders';
+import { hasAired, getEpisodeNeighbours } from '../utils/Episodes';
+import { seasonPath, watchEpisodePath } from '../utils/Paths';
+import useEmbedPlayer from '../hooks/useEmbedPlayer';
+import useAutoplayNext from '../hooks/useAutoplayNext';
+import EpisodeNavigation from './EpisodeNavigation';
+import UpNextOverlay from './UpNextOverlay';
+import { useWatchHistory } from '../contexts/WatchHistoryContext';
+import { useWatchedEpisodes } from '../contexts/WatchedEpisodesContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
+
+const SeasonEpisodes = ({ tvId, seasons, show }) => {
+  const [searchParams] = useSearchParams();
+  // Links like ?season=2&episode=5 open that episode in the player
+  const linkedSeason = parseInt(searchParams.get('season'), 10);
+  const linkedEpisode = parseInt(searchParams.get('episode'), 10);
+  const hasEpisodeLink = seasons.some(season => season.season_number === linkedSeason) && linkedEpisode > 0;
+  // Episode to open once its season has loaded
+  const [requestedEpisode, setRequestedEpisode] = useState(null);
   const [seasonData, setSeasonData] = useState(null);
-  const [selectedSeason, setSelectedSeason] = useState(1);
+  const [selectedSeason, setSelectedSeason] = useState(hasEpisodeLink ? linkedSeason : 1);
   const [isLoading, setIsLoading] = useState(false);
+  // Message as `{ key, values }`, the details go to the console
   const [error, setError] = useState(null);
+  // A rate limited request is being retried on its own, no need for a retry button
+  const [isRetrying, setIsRetrying] = useState(false);
   const [activeEpisode, setActiveEpisode] = useState(null);
   const [showPlayer, setShowPlayer] = useState(false);
-  const [retryCount, setRetryCount] = useState(0);
-  const [retryDelay, setRetryDelay] = useState(2000);
-  const [isPlayerLoading, setIsPlayerLoading] = useState(false);
-  const [playerError, setPlayerError] = useState(null);
-  const [embedSource, setEmbedSource] = useState('default'); // 'default', 'alternative', 'fallback'
-  const playerRef = useRef(null);
-
-  const fetchSeasonEpisodes = useCallback(async (skipCache = false) => {
+  // Rate limited loads are retried with a doubling delay. The pending retry and the load
+  // in flight are cancelled when the season changes or the component unmounts.
+  const retry = useRef({ count: 0, delay: 2000 });
+  const retryTimer = useRef(null);
+  const loadController = useRef(null);
+  // Player source, ranked by how reliably each provider has loaded
+  const player = useEmbedPlayer(EMBED_FEATURES.EPISODE);
+  // Source the previous episode played from, kept when moving between episodes
+  const lastSource = useRef(null);
+  const { recordEpisode } = useWatchHistory();
+  const { isWatched, getWatchedCount, setEpisodeWatched, setSeasonWatched } = useWatchedEpisodes();
+  const { t, formatDate, formatNumber } = useLocale();
+
+  const fetchSeasonEpisodes = useCallback(async (skipCache = false, signal) => {
     if (!tvId || !selectedSeason) return;
 
     setIsLoading(true);
     setError(null);
+    setIsRetrying(false);
 
     if (!skipCache) {
       setActiveEpisode(null);
@@ -27,100 +59,68 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
     }
 
     try {
-      // Check for cached season data first (unless skipCache is true)
-      if (!skipCache) {
-        const cacheKey = `tvShow_${tvId}_season_${selectedSeason}`;
-        const cachedData = localStorage.getItem(cacheKey);
-        const cachedTimestamp = localStorage.getItem(`${cacheKey}_timestamp`);
-        const cacheExpiry = 24 * 60 * 60 * 1000; // 24 hours
-
-        if (cachedData && cachedTimestamp) {
-          const currentTime = new Date().getTime();
-          if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-            try {
-              const parsedData = JSON.parse(cachedData);
-              console.log("Using cached season data");
-              setSeasonData(parsedData);
-              setIsLoading(false);
-              return;
-            } catch (err) {
-              console.error("Error parsing cached season data", err);
-            }
-          }
-        }
-      }
-
-      // Use the dedicated TV season episodes endpoint with authorization headers
-      const response = await fetch(TV_SEASON_EPISODES(tvId, selectedSeason), {
-        headers: getHeaders()
-      });
-
-      // Handle different error statuses differently
-      if (!response.ok) {
-        if (response.status === 429) {
-          // API rate limit exceeded
-          throw new Error('API rate limit exceeded. Please try again in a few moments.');
-        } else if (response.status === 401) {
-          // Authentication issue
-          throw new Error('Authentication failed. Please check your API token.');
-        } else {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-      }
-
-      const data = await response.json();
+      // A retry or manual refresh skips the cache
+      const data = await cachedRequest(
+        'tvSeason',
+        [tvId, selectedSeason],
+        () => tmdb.tvSeason(tvId, selectedSeason, { signal }),
+        { forceRefresh: skipCache, onRevalidate: setSeasonData, signal }
+      );
 
       // Reset retry count on successful request
-      setRetryCount(0);
-      setRetryDelay(2000);
+      retry.current = { count: 0, delay: 2000 };
 
       setSeasonData(data);
 
-      // Cache the season data
-      const cacheKey = `tvShow_${tvId}_season_${selectedSeason}`;
-      localStorage.setItem(cacheKey, JSON.stringify(data));
-      localStorage.setItem(`${cacheKey}_timestamp`, new Date().getTime().toString());
-
       // Preload episode images
-      if (data.episodes) {
-        data.episodes.forEach(episode => {
-          if (episode.still_path) {
-            const img = new Image();
-            img.src = `${BASE_IMG_URL}${episode.still_path}`;
-          }
-        });
-      }
+      preloadImages(data.episodes, 'still_path');
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error('Error fetching season episodes:', err);
 
-      // Check if it's a quota exceeded error and we haven't tried too many times
-      if (err.message.includes('rate limit exceeded') && retryCount < 3) {
-        setError(`The API rate limit was exceeded. Retrying in ${retryDelay / 1000} seconds... (Attempt ${retryCount + 1}/3)`);
+      // Check if it's a rate limit error and we haven't tried too many times
+      const { count, delay } = retry.current;
+      if (err.isRateLimited && count < 3) {
+        setIsRetrying(true);
+        setError({ key: 'seasons.rateLimited', values: { seconds: delay / 1000, attempt: count + 1, attempts: 3 } });
 
         // Try again with exponential backoff
-        setTimeout(() => {
-          setRetryCount(prev => prev + 1);
-          setRetryDelay(prev => prev * 2); // Double the delay with each retry
-          fetchSeasonEpisodes(true); // Skip cache on retry
-        }, retryDelay);
+        retryTimer.current = setTimeout(() => {
+          retryTimer.current = null;
+          if (signal?.aborted) return;
+          retry.current = { count: count + 1, delay: delay * 2 }; // Double the delay with each retry
+          fetchSeasonEpisodes(true, signal); // Skip cache on retry
+        }, delay);
       } else {
         // For other errors or if we've tried too many times
-        setError(err.message);
+        setError({ key: 'common.loadError' });
       }
     } finally {
-      setIsLoading(false);
+      if (!signal?.aborted) setIsLoading(false);
     }
-  }, [tvId, selectedSeason, retryCount, retryDelay]);
+  }, [tvId, selectedSeason]);
+
+  // Cancel the load in flight and any retry waiting for it, then start over
+  const restartLoad = useCallback((skipCache) => {
+    loadController.current?.abort();
+    clearTimeout(retryTimer.current);
+    retry.current = { count: 0, delay: 2000 };
+    const controller = new AbortController();
+    loadController.current = controller;
+    fetchSeasonEpisodes(skipCache, controller.signal);
+  }, [fetchSeasonEpisodes]);
 
   useEffect(() => {
-    fetchSeasonEpisodes(false);
-  }, [tvId, selectedSeason, fetchSeasonEpisodes]);
+    restartLoad(false);
+    return () => {
+      loadController.current?.abort();
+      clearTimeout(retryTimer.current);
+    };
+  }, [restartLoad]);
 
   // Function to manually retry loading episodes
   const handleRetry = () => {
-    setRetryCount(0);
-    setRetryDelay(2000);
-    fetchSeasonEpisodes(true); // Skip cache when manually retrying
+    restartLoad(true); // Skip cache when manually retrying
   };
 
   // Function to toggle episode details
@@ -133,216 +133,352 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
     }
   };
 
+  const stopPlayer = player.stop;
+  useEffect(() => {
+    if (!showPlayer) stopPlayer();
+  }, [showPlayer, stopPlayer]);
+
   // Function to start watching an episode (load the player)
-  const startWatchingEpisode = () => {
-    setIsPlayerLoading(true);
-    setPlayerError(null);
-    setEmbedSource('default');
+  const startPlayer = player.start;
+  const startWatchingEpisode = useCallback(() => {
+    startPlayer(lastSource.current);
     setShowPlayer(true);
-  };
+  }, [startPlayer]);
 
-  // Function to handle player load events
-  const handlePlayerLoad = () => {
-    setIsPlayerLoading(false);
-    setPlayerError(null);
-  };
+  // Follow episode links on load and whenever they change (e.g. "next up")
+  useEffect(() => {
+    if (!hasEpisodeLink) return;
+    setRequestedEpisode({ season: linkedSeason, episode: linkedEpisode });
+    setSelectedSeason(linkedSeason);
+  }, [hasEpisodeLink, linkedSeason, linkedEpisode]);
 
-  // Function to handle player errors
-  const handlePlayerError = () => {
-    setIsPlayerLoading(false);
-
-    if (embedSource === 'default') {
-      // Try alternative source
-      setPlayerError("Primary player failed. Trying alternative source...");
-      setEmbedSource('alternative');
-    } else if (embedSource === 'alternative') {
-      // Try fallback source
-      setPlayerError("Alternative player failed. Trying fallback source...");
-      setEmbedSource('fallback');
-    } else {
-      setPlayerError("Failed to load video player. Please try again later or check if this episode is available.");
-    }
-  };
+  // Open the requested episode in the player once its season is here
+  useEffect(() => {
+    if (!requestedEpisode || isLoading || seasonData?.season_number !== requestedEpisode.season) return;
+    setRequestedEpisode(null);
+    if (!seasonData.episodes?.some(episode => episode.episode_number === requestedEpisode.episode)) return;
+
+    setActiveEpisode(requestedEpisode.episode);
+    startWatchingEpisode();
+    requestAnimationFrame(() => {
+      document.getElementById(`episode-${requestedEpisode.episode}`)?.scrollIntoView({ behavior: 'smooth' });
+    });
+  }, [requestedEpisode, isLoading, seasonData, startWatchingEpisode]);
+
+  // Remember the episode and the source it plays from for "Continue watching",
+  // and count it as watched
+  const playingEpisode = showPlayer
+    ? seasonData?.episodes?.find(episode => episode.episode_number === activeEpisode)
+    : null;
+  const playerSource = player.attempt > 0 ? player.provider.id : null;
+  useEffect(() => {
+    if (playerSource) lastSource.current = playerSource;
+  }, [playerSource]);
+  useEffect(() => {
+    if (!show || !playingEpisode || !playerSource) return;
+    recordEpisode(show, {
+      season: playingEpisode.season_number,
+      episode: playingEpisode.episode_number,
+      name: playingEpisode.name
+    }, playerSource);
+  }, [show, playingEpisode, playerSource, recordEpisode]);
 
-  // Generate the embed URL based on the current source
-  const getEmbedUrl = (episodeNumber) => {
-    switch(embedSource) {
-      case 'alternative':
-        return `https://vidsrc.xyz/embed/tv?tmdb=${tvId}&season=${selectedSeason}&episode=${episodeNumber}`;
-      case 'fallback':
-        return `https://www.2embed.cc/embedtv/${tvId}&s=${selectedSeason}&e=${episodeNumber}`;
-      case 'default':
-      default:
-        return `https://embed.su/embed/tv/${tvId}/${selectedSeason}/${episodeNumber}`;
-    }
-  };
+  useEffect(() => {
+    if (!playingEpisode) return;
+    setEpisodeWatched(tvId, playingEpisode.season_number, playingEpisode.episode_number, true);
+  }, [tvId, playingEpisode, setEpisodeWatched]);
 
-  // Use useMemo to prevent unnecessary recalculations
+  // Previous and next episode of the one playing, for the player controls and autoplay
   const sortedSeasons = useMemo(() => {
     return [...seasons].sort((a, b) => a.season_number - b.season_number);
   }, [seasons]);
+  const lastAired = show?.last_episode_to_air;
+  const { previousEpisode, nextEpisode } = useMemo(
+    () => getEpisodeNeighbours(seasonData, playingEpisode, sortedSeasons, lastAired),
+    [seasonData, playingEpisode, sortedSeasons, lastAired]
+  );
 
-  // More efficient episode rendering using memo pattern
-  const renderEpisodes = useMemo(() => {
-    if (!seasonData?.episodes) return null;
+  // Goes through the requested episode, switching (and fetching) the season when it differs
+  const playEpisode = useCallback((target) => {
+    setRequestedEpisode({ season: target.season, episode: target.episode });
+    setSelectedSeason(target.season);
+  }, []);
 
-    return seasonData.episodes.map((episode) => (
-      <div
-        key={episode.id}
-        className={` border rounded-md transition-all duration-300 hover:shadow-md ${
-          activeEpisode === episode.episode_number
-            ? 'border-gray-300 bg-blue-50 shadow-md'
-            : 'border-gray-200 dark:border-gray-600 hover:border-blue-200'
-        }`}
-      >
-        {/* Episode header (always visible) */}
-        <div className="p-3 dark:bg-card flex flex-col sm:flex-row sm:items-center gap-3">
-          {/* Episode thumbnail */}
-          <div className="sm:w-36 flex-shrink-0">
-            {episode.still_path ? (
-              <img
-                src={`${BASE_IMG_URL}${episode.still_path}`}
-                alt={`${episode.name || `Episode ${episode.episode_number}`} thumbnail`}
-                className="w-full h-auto rounded object-cover shadow-sm"
-                loading="lazy"
-              />
-            ) : (
-              <div className="bg-gray-200 dark:bg-gray-800 rounded w-full h-20 flex items-center justify-center">
-                <span className="text-gray-500 text-sm">No image</span>
-              </div>
-            )}
-          </div>
-
-          {/* Episode info */}
-          <div className="flex-grow ">
-            <h5 className="font-medium">
-              {episode.episode_number}. {episode.name || `Episode ${episode.episode_number}`}
-            </h5>
-            <p className="text-sm text-gray-600 dark:text-white mt-1">
-              {episode.air_date ? new Date(episode.air_date).toLocaleDateString() : 'No air date'}
-              {episode.runtime ? ` • ${episode.runtime} min` : ''}
-            </p>
-            {episode.overview && (
-              <p className="text-sm text-gray-600 dark:text-white  mt-1 line-clamp-2">
-                {episode.overview}
-              </p>
-            )}
-          </div>
+  // Have the next season cached before the last episode of this one ends
+  const nextSeason = nextEpisode && nextEpisode.season !== selectedSeason ? nextEpisode.season : null;
+  useEffect(() => {
+    if (!tvId || nextSeason === null) return;
+    const controller = new AbortController();
+    cachedRequest(
+      'tvSeason',
+      [tvId, nextSeason],
+      () => tmdb.tvSeason(tvId, nextSeason, { signal: controller.signal }),
+      { signal: controller.signal }
+    ).catch(() => {});
+    return () => controller.abort();
+  }, [tvId, nextSeason]);
+
+  const autoplay = useAutoplayNext({
+    next: nextEpisode,
+    runtime: playingEpisode?.runtime,
+    isPlayerReady: player.attempt > 0 && !player.isLoading && !player.error,
+    attempt: player.attempt,
+    onPlay: playEpisode
+  });
+
+  // Episodes with a past air date, the ones "mark season watched" applies to
+  const airedEpisodes = useMemo(() => (seasonData?.episodes || []).filter(hasAired), [seasonData]);
+  const isSeasonWatched = airedEpisodes.length > 0 &&
+    airedEpisodes.every(episode => isWatched(tvId, episode.season_number, episode.episode_number));
+
+  const toggleSeasonWatched = () => {
+    setSeasonWatched(
+      tvId,
+      seasonData.season_number,
+      airedEpisodes.map(episode => episode.episode_number),
+      !isSeasonWatched
+    );
+  };
 
-          {/* Actions */}
-          <div className="flex gap-2 mt-2 sm:mt-0 ">
-            {episode.vote_average > 0 && (
-              <div className="bg-blue-50 text-blue-700 px-2 py-1 rounded text-xs font-medium flex items-center gap-1 h-fit">
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
-                  <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
-                </svg>
-                <span>{episode.vote_average.toFixed(1)}</span>
-              </div>
-            )}
-            <button
-              onClick={() => toggleEpisodeDetails(episode.episode_number)}
-              className="bg-gray-red- dark:bg-gray-800 dark:text-white hover:bg-gray-200 text-gray-800 px-3 py-1 rounded text-sm font-medium transition-colors"
-            >
-              {activeEpisode === episode.episode_number ? 'Hide Details' : 'Details'}
-            </button>
-            <button
-              onClick={() => {
-                toggleEpisodeDetails(episode.episode_number);
-                if (activeEpisode !== episode.episode_number) {
-                  // Wait for the details section to expand, then show player
-                  setTimeout(() => startWatchingEpisode(), 100);
-                }
-              }}
-              className="bg-bluee hover:bg-blueh text-white px-3 py-1 rounded text-sm font-medium transition-colors"
-            >
-              Watch
-            </button>
-          </div>
-        </div>
+  // Generate the embed URL based on the current source
+  const getEmbedUrl = (episodeNumber) =>
+    buildEmbedUrl(player.provider, EMBED_FEATURES.EPISODE, {
+      tmdbId: tvId,
+      season: selectedSeason,
+      episode: episodeNumber
+    });
+
+  // Episode rows, they depend on the player and most of this component's state
+  const renderEpisodes = () => {
+    if (!seasonData?.episodes) return null;
 
-        {/* Episode expanded details */}
-        {activeEpisode === episode.episode_number && (
-          <div className="border-t border-gray-200 p-4  dark:bg-card">
-            {/* Embed player - only load when explicitly requested */}
-            {showPlayer && (
-              <div className="mb-4">
-                <h6 className="font-medium text-gray-900 dark:text-white mb-2">Watch Episode:</h6>
-                <div className="aspect-video overflow-hidden rounded-lg shadow-lg bg-black">
-                  <iframe
-                    key={`player-${tvId}-${selectedSeason}-${episode.episode_number}-${Date.now()}`}
-                    src={getEmbedUrl(episode.episode_number)}
-                    width="100%"
-                    height="100%"
-                    frameBorder="0"
-                    allowFullScreen
-                    className="w-full h-full"
-                    title={`${seasonData.name || 'Season'} ${selectedSeason} Episode ${episode.episode_number}`}
-                    onLoad={handlePlayerLoad}
-                    onError={handlePlayerError}
-                  ></iframe>
+    return seasonData.episodes.map((episode) => {
+      const watched = isWatched(tvId, episode.season_number, episode.episode_number);
+      return (
+        <div
+          key={episode.id}
+          id={`episode-${episode.episode_number}`}
+          className={`scroll-mt-20 border rounded-md transition-all duration-300 hover:shadow-md ${
+            activeEpisode === episode.episode_number
+              ? 'border-gray-300 bg-blue-50 shadow-md'
+              : 'border-gray-200 dark:border-gray-600 hover:border-blue-200'
+          }`}
+        >
+          {/* Episode header (always visible) */}
+          <div className="p-3 dark:bg-card flex flex-col sm:flex-row sm:items-center gap-3">
+            {/* Episode thumbnail */}
+            <div className="sm:w-36 flex-shrink-0">
+              {episode.still_path ? (
+                <img
+                  src={`${BASE_IMG_URL}${episode.still_path}`}
+                  alt={t('seasons.thumbnail', { name: episode.name || t('common.episode', { number: episode.episode_number }) })}
+                  className="w-full h-auto rounded object-cover shadow-sm"
+                  loading="lazy"
+                />
+              ) : (
+                <div className="bg-gray-200 dark:bg-gray-800 rounded w-full h-20 flex items-center justify-center">
+                  <span className="text-gray-500 text-sm">{t('common.noImage')}</span>
                 </div>
-                {isPlayerLoading && (
-                  <p className="text-xs text-gray-500 mt-2">Loading video player...</p>
-                )}
-                {playerError && (
-                  <p className="text-xs text-red-500 mt-2">{playerError}</p>
+              )}
+            </div>
+
+            {/* Episode info */}
+            <div className="flex-grow ">
+              <h5 className="font-medium flex items-center gap-2">
+                {episode.episode_number}. {episode.name || t('common.episode', { number: episode.episode_number })}
+                {watched && (
+                  <span className="text-xs font-medium text-green-700 bg-green-100 dark:text-green-200 dark:bg-green-900 px-2 py-0.5 rounded-full">
+                    {t('common.watched')}
+                  </span>
                 )}
-              </div>
-            )}
+              </h5>
+              <p className="text-sm text-gray-600 dark:text-white mt-1">
+                {episode.air_date ? formatDate(episode.air_date) : t('common.noAirDate')}
+                {episode.runtime ? ` • ${t('common.minutes', { count: episode.runtime })}` : ''}
+              </p>
+              {episode.overview && (
+                <p className="text-sm text-gray-600 dark:text-white  mt-1 line-clamp-2">
+                  {episode.overview}
+                </p>
+              )}
+            </div>
 
-            {!showPlayer && (
+            {/* Actions */}
+            <div className="flex gap-2 mt-2 sm:mt-0 ">
+              {episode.vote_average > 0 && (
+                <div className="bg-blue-50 text-blue-700 px-2 py-1 rounded text-xs font-medium flex items-center gap-1 h-fit">
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
+                    <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
+                  </svg>
+                  <span>{formatNumber(episode.vote_average, ONE_DECIMAL)}</span>
+                </div>
+              )}
               <button
-                onClick={startWatchingEpisode}
-                className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded font-medium mb-4 flex items-center gap-2 transition-colors"
+                onClick={() => setEpisodeWatched(tvId, episode.season_number, episode.episode_number, !watched)}
+                aria-pressed={watched}
+                title={watched ? t('common.markUnwatched') : t('common.markWatched')}
+                className={`px-2 py-1 rounded text-sm font-medium transition-colors ${
+                  watched
+                    ? 'bg-green-600 text-white hover:bg-green-700'
+                    : 'bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+                }`}
               >
-                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                  <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
-                Play Episode
+                <span className="sr-only">{watched ? t('common.markUnwatched') : t('common.markWatched')}</span>
               </button>
-            )}
+              <button
+                onClick={() => toggleEpisodeDetails(episode.episode_number)}
+                className="bg-gray-red- dark:bg-gray-800 dark:text-white hover:bg-gray-200 text-gray-800 px-3 py-1 rounded text-sm font-medium transition-colors"
+              >
+                {activeEpisode === episode.episode_number ? t('seasons.hideDetails') : t('seasons.details')}
+              </button>
+              <button
+                onClick={() => {
+                  toggleEpisodeDetails(episode.episode_number);
+                  if (activeEpisode !== episode.episode_number) {
+                    // Wait for the details section to expand, then show player
+                    setTimeout(() => startWatchingEpisode(), 100);
+                  }
+                }}
+                className="bg-bluee hover:bg-blueh text-white px-3 py-1 rounded text-sm font-medium transition-colors"
+              >
+                {t('common.watch')}
+              </button>
+              <Link
+                to={watchEpisodePath(tvId, episode.season_number, episode.episode_number)}
+                title={t('seasons.openEpisode')}
+                className="bg-gray-200 dark:bg-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600 text-gray-800 px-2 py-1 rounded text-sm font-medium transition-colors flex items-center"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4m0 0h4M4 4l5 5m11-1V4m0 0h-4m4 0l-5 5M4 16v4m0 0h4m-4 0l5-5m11 5l-5-5m5 5v-4m0 4h-4" />
+                </svg>
+                <span className="sr-only">{t('seasons.openEpisode')}</span>
+              </Link>
+            </div>
+          </div>
 
-            {episode.overview && (
-              <div className="mb-3">
-                <h6 className="font-medium text-gray-900 mb-1 dark:text-white">Overview:</h6>
-                <p className="text-gray-700 dark:text-gray-300">
-                  {episode.overview}
-                </p>
-              </div>
-            )}
+          {/* Episode expanded details */}
+          {activeEpisode === episode.episode_number && (
+            <div className="border-t border-gray-200 p-4  dark:bg-card">
+              {/* Embed player - only load when explicitly requested */}
+              {showPlayer && (
+                <div className="mb-4">
+                  <h6 className="font-medium text-gray-900 dark:text-white mb-2">{t('seasons.watchEpisode')}</h6>
+                  <div className="relative aspect-video overflow-hidden rounded-lg shadow-lg bg-black">
+                    <iframe
+                      key={`player-${tvId}-${selectedSeason}-${episode.episode_number}-${player.attempt}`}
+                      src={getEmbedUrl(episode.episode_number)}
+                      width="100%"
+                      height="100%"
+                      frameBorder="0"
+                      allowFullScreen
+                      className="w-full h-full"
+                      title={t('seasons.playerTitle', { season: seasonData.name || t('common.season', { number: selectedSeason }), episode: episode.episode_number })}
+                      onLoad={player.handleLoad}
+                      onError={player.handleError}
+                    ></iframe>
+                    {autoplay.countdown !== null && nextEpisode && (
+                      <UpNextOverlay
+                        countdown={autoplay.countdown}
+                        next={nextEpisode}
+                        onPlayNow={autoplay.playNow}
+                        onCancel={autoplay.cancel}
+                      />
+                    )}
+                  </div>
+                  <EpisodeNavigation
+                    previous={previousEpisode}
+                    next={nextEpisode}
+                    onSelect={playEpisode}
+                    isAutoplay={autoplay.isEnabled}
+                    onAutoplayChange={autoplay.setIsEnabled}
+                  />
+                  {player.isLoading && (
+                    <p className="text-xs text-gray-500 mt-2">{t('common.loadingPlayer')}</p>
+                  )}
+                  {player.error && (
+                    <p className="text-xs text-red-500 mt-2">{t(player.error.key, player.error.values)}</p>
+                  )}
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {player.providers.map(provider => (
+                      <button
+                        key={provider.id}
+                        onClick={() => player.selectSource(provider.id)}
+                        className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+                          player.provider.id === provider.id
+                            ? 'bg-bluee text-white'
+                            : 'bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+                        }`}
+                      >
+                        {provider.label}
+                      </button>
+                    ))}
+                    <button
+                      onClick={player.reportCurrentBroken}
+                      className="px-3 py-1 rounded text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900 transition-colors"
+                    >
+                      {t('common.reportBroken', { source: player.provider.label })}
+                    </button>
+                  </div>
+                </div>
+              )}
 
-            {episode.guest_stars && episode.guest_stars.length > 0 && (
-              <div className="mb-3">
-                <h6 className="font-medium text-gray-900 mb-1 dark:text-white">Guest Stars:</h6>
-                <p className="text-sm text-gray-600 dark:text-gray-300">
-                  {episode.guest_stars
-                    .slice(0, 5)
-                    .map(star => star.name)
-                    .join(', ')}
-                  {episode.guest_stars.length > 5 ? ` and ${episode.guest_stars.length - 5} more...` : ''}
-                </p>
-              </div>
-            )}
+              {!showPlayer && (
+                <button
+                  onClick={startWatchingEpisode}
+                  className="bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded font-medium mb-4 flex items-center gap-2 transition-colors"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                  {t('seasons.playEpisode')}
+                </button>
+              )}
 
-            {episode.crew && episode.crew.length > 0 && (
-              <div>
-                <h6 className="font-medium text-gray-900 mb-1">Director:</h6>
-                <p className="text-sm text-gray-600">
-                  {episode.crew
-                    .filter(member => member.job === 'Director')
-                    .map(director => director.name)
-                    .join(', ') || 'Not listed'}
-                </p>
-              </div>
-            )}
-          </div>
-        )}
-      </div>
-    ));
-  }, [seasonData?.episodes, activeEpisode, tvId, selectedSeason, isPlayerLoading, playerError, embedSource]);
+              {episode.overview && (
+                <div className="mb-3">
+                  <h6 className="font-medium text-gray-900 mb-1 dark:text-white">{t('seasons.overview')}</h6>
+                  <p className="text-gray-700 dark:text-gray-300">
+                    {episode.overview}
+                  </p>
+                </div>
+              )}
+
+              {episode.guest_stars && episode.guest_stars.length > 0 && (
+                <div className="mb-3">
+                  <h6 className="font-medium text-gray-900 mb-1 dark:text-white">{t('seasons.guestStars')}</h6>
+                  <p className="text-sm text-gray-600 dark:text-gray-300">
+                    {episode.guest_stars
+                      .slice(0, 5)
+                      .map(star => star.name)
+                      .join(', ')}
+                    {episode.guest_stars.length > 5 ? ` ${t('seasons.andMore', { count: episode.guest_stars.length - 5 })}` : ''}
+                  </p>
+                </div>
+              )}
+
+              {episode.crew && episode.crew.length > 0 && (
+                <div>
+                  <h6 className="font-medium text-gray-900 mb-1">{t('seasons.director')}</h6>
+                  <p className="text-sm text-gray-600">
+                    {episode.crew
+                      .filter(member => member.job === 'Director')
+                      .map(director => director.name)
+                      .join(', ') || t('seasons.notListed')}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      );
+    });
+  };
 
   if (!seasons || seasons.length === 0) {
-    return <div className="text-center py-4">No seasons information available</div>;
+    return <div className="text-center py-4">{t('seasons.noSeasons')}</div>;
   }
 
   return (
@@ -351,25 +487,37 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
         <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
         </svg>
-        Seasons & Episodes
+        {t('seasons.heading')}
       </h3>
 
       {/* Season selector */}
       <div className="mb-6">
-        <label className="block text-sm font-medium text-gray-700 dark:text-white mb-2">Select Season:</label>
+        <label className="block text-sm font-medium text-gray-700 dark:text-white mb-2">{t('seasons.selectSeason')}</label>
         <div className="flex flex-wrap gap-2">
-          {sortedSeasons.map((season) => (
-            <button
-              key={season.season_number}
-              onClick={() => setSelectedSeason(season.season_number)}
-              className={`px-3 py-1.5 rounded-full text-sm font-medium transition-all duration-300 
-                ${selectedSeason === season.season_number 
-                  ? 'bg-bluee text-white shadow-md' 
-                  : 'bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'}`}
-            >
-              Season {season.season_number}
-            </button>
-          ))}
+          {sortedSeasons.map((season) => {
+            const watchedCount = getWatchedCount(tvId, season.season_number);
+            const progress = season.episode_count ? Math.min(100, Math.round((watchedCount / season.episode_count) * 100)) : 0;
+            return (
+              <button
+                key={season.season_number}
+                onClick={() => setSelectedSeason(season.season_number)}
+                title={season.episode_count ? t('seasons.watchedOf', { count: season.episode_count, watched: watchedCount }) : undefined}
+                className={`relative overflow-hidden px-3 py-1.5 rounded-full text-sm font-medium transition-all duration-300 
+                  ${selectedSeason === season.season_number 
+                    ? 'bg-bluee text-white shadow-md' 
+                    : 'bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'}`}
+              >
+                {t('common.season', { number: season.season_number })}
+                {progress > 0 && (
+                  <span
+                    className="absolute left-0 bottom-0 h-1 bg-green-500"
+                    style={{ width: `${progress}%` }}
+                    aria-hidden="true"
+                  />
+                )}
+              </button>
+            );
+          })}
         </div>
       </div>
 
@@ -378,19 +526,19 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
         {isLoading && (
           <div className="flex justify-center py-8">
             <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
-            <p className="ml-3 text-gray-600">Loading episodes...</p>
+            <p className="ml-3 text-gray-600">{t('seasons.loadingEpisodes')}</p>
           </div>
         )}
 
         {error && (
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">
-            <p className="mb-2">{error}</p>
-            {!error.includes('Retrying in') && (
+            <p className="mb-2">{t(error.key, error.values)}</p>
+            {!isRetrying && (
               <button
                 onClick={handleRetry}
                 className="bg-red-100 hover:bg-red-200 text-red-800 font-medium py-1.5 px-3 rounded text-sm transition-colors"
               >
-                Try Again
+                {t('common.tryAgain')}
               </button>
             )}
           </div>
@@ -400,13 +548,26 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
           <div >
             <div className="flex items-center justify-between bg-gray-50 dark:bg-gray-800 p-2 rounded mb-4 border border-gray-100 dark:border-gray-600">
               <h4 className="font-medium">
-                {seasonData.name || `Season ${seasonData.season_number}`} • {seasonData.episodes.length} Episodes
+                <Link to={seasonPath(tvId, seasonData.season_number)} className="hover:text-bluee hover:underline">
+                  {seasonData.name || t('common.season', { number: seasonData.season_number })}
+                </Link>
+                {' '}• {t('common.episodes', { count: seasonData.episodes.length })}
               </h4>
-              {seasonData.air_date && (
-                <span className="text-sm text-gray-600 bg-blue-50 dark:bg-gray-600 dark:text-white px-2 py-1 rounded-full">
-                  First aired: {new Date(seasonData.air_date).toLocaleDateString()}
-                </span>
-              )}
+              <div className="flex flex-wrap items-center justify-end gap-2">
+                {airedEpisodes.length > 0 && (
+                  <button
+                    onClick={toggleSeasonWatched}
+                    className="text-sm font-medium px-2 py-1 rounded-full bg-gray-200 dark:bg-gray-700 hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                  >
+                    {isSeasonWatched ? t('seasons.markSeasonUnwatched') : t('seasons.markSeasonWatched')}
+                  </button>
+                )}
+                {seasonData.air_date && (
+                  <span className="text-sm text-gray-600 bg-blue-50 dark:bg-gray-600 dark:text-white px-2 py-1 rounded-full">
+                    {t('seasons.firstAired', { date: formatDate(seasonData.air_date) })}
+                  </span>
+                )}
+              </div>
             </div>
 
             {seasonData.overview && (
@@ -416,7 +577,7 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
             )}
 
             <div className="space-y-3 mt-4">
-              {renderEpisodes}
+              {renderEpisodes()}
             </div>
           </div>
         )}
@@ -426,7 +587,7 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
             <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 mb-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            <p className="text-gray-600">No episode information available for this season</p>
+            <p className="text-gray-600">{t('seasons.noEpisodes')}</p>
           </div>
         )}
       </div>
@@ -434,4 +595,22 @@ const SeasonEpisodes = ({ tvId, seasons }) => {
   );
 };
 
+SeasonEpisodes.propTypes = {
+  tvId: PropTypes.number.isRequired,
+  seasons: PropTypes.arrayOf(PropTypes.shape({
+    season_number: PropTypes.number.isRequired,
+    episode_count: PropTypes.number
+  })).isRequired,
+  // The show's details, recorded in the watch history along with the episode
+  show: PropTypes.shape({
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+    poster_path: PropTypes.string,
+    // Keeps "next episode" from rolling over into seasons that haven't aired
+    last_episode_to_air: PropTypes.shape({
+      season_number: PropTypes.number
+    })
+  })
+};
+
 export default SeasonEpisodes;
\ No newline at end of file
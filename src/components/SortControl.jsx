@@ -0,0 +1,50 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { getSortFields } from '../utils/DiscoverFilters';
+import { useLocale } from '../contexts/LocaleContext';
+
+const SortControl = memo(({ mediaType = 'movie', value, onChange }) => {
+  const { t } = useLocale();
+  const [fieldId, direction] = value.split('.');
+  const fields = getSortFields(mediaType);
+  const isDescending = direction === 'desc';
+
+  return (
+    <div className="flex items-center gap-2">
+      <label htmlFor={`sort-${mediaType}`} className="text-sm text-gray-600 dark:text-gray-400">
+        {t('common.sortBy')}
+      </label>
+      <select
+        id={`sort-${mediaType}`}
+        value={fieldId}
+        onChange={(e) => onChange(`${e.target.value}.${direction}`)}
+        className="px-3 py-2 rounded-lg text-sm bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300"
+      >
+        {fields.map(field => (
+          <option key={field.id} value={field.id}>{t(field.labelKey)}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={() => onChange(`${fieldId}.${isDescending ? 'asc' : 'desc'}`)}
+        title={isDescending ? t('sort.descending') : t('sort.ascending')}
+        aria-label={isDescending ? t('sort.switchToAscending') : t('sort.switchToDescending')}
+        className="p-2 rounded-lg bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200 transition-colors"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 transition-transform ${isDescending ? '' : 'rotate-180'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+        </svg>
+      </button>
+    </div>
+  );
+});
+
+SortControl.displayName = 'SortControl';
+
+SortControl.propTypes = {
+  mediaType: PropTypes.oneOf(['movie', 'tv']),
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SortControl;
@@ -0,0 +1,105 @@
+import { useState, memo } from 'react';
+import PropTypes from 'prop-types';
+import { MAX_RATING } from '../contexts/RatingsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const STAR_PATH = 'M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z';
+
+const STARS = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+const clamp = (value) => Math.min(MAX_RATING, Math.max(0.5, value));
+
+// Five stars rated in halves: click the left or right half of a star, or use the arrow keys.
+// `readOnly` just shows the value.
+const StarRating = memo(({ value, onChange, readOnly = false, size = 'md' }) => {
+  const [hoverValue, setHoverValue] = useState(null);
+  const { t } = useLocale();
+  const shown = hoverValue ?? value ?? 0;
+  const starClass = size === 'sm' ? 'h-4 w-4' : 'h-7 w-7';
+
+  const handleKeyDown = (event) => {
+    const steps = { ArrowRight: 0.5, ArrowUp: 0.5, ArrowLeft: -0.5, ArrowDown: -0.5 };
+    if (event.key in steps) {
+      event.preventDefault();
+      onChange(clamp((value ?? 0) + steps[event.key]));
+    } else if (event.key === 'Home') {
+      event.preventDefault();
+      onChange(0.5);
+    } else if (event.key === 'End') {
+      event.preventDefault();
+      onChange(MAX_RATING);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      onChange(null);
+    }
+  };
+
+  const stars = STARS.map((star) => {
+    const fill = Math.min(1, Math.max(0, shown - star + 1));
+    return (
+      <span key={star} className={`relative inline-block ${starClass}`}>
+        <svg className={`absolute inset-0 ${starClass} text-gray-400`} viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+          <path d={STAR_PATH} />
+        </svg>
+        <span className="absolute inset-y-0 left-0 overflow-hidden" style={{ width: `${fill * 100}%` }}>
+          <svg className={`${starClass} text-yellow-400`} viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+            <path d={STAR_PATH} />
+          </svg>
+        </span>
+        {!readOnly && (
+          <>
+            <span
+              className="absolute inset-y-0 left-0 w-1/2 cursor-pointer"
+              onMouseEnter={() => setHoverValue(star - 0.5)}
+              onClick={() => onChange(star - 0.5)}
+            />
+            <span
+              className="absolute inset-y-0 right-0 w-1/2 cursor-pointer"
+              onMouseEnter={() => setHoverValue(star)}
+              onClick={() => onChange(star)}
+            />
+          </>
+        )}
+      </span>
+    );
+  });
+
+  const valueText = value ? t('rating.stars', { value, max: MAX_RATING }) : t('rating.notRated');
+
+  if (readOnly) {
+    return (
+      <span className="inline-flex" role="img" aria-label={valueText}>
+        {stars}
+      </span>
+    );
+  }
+
+  return (
+    <div
+      role="slider"
+      tabIndex={0}
+      aria-label={t('rating.yours')}
+      aria-valuemin={0.5}
+      aria-valuemax={MAX_RATING}
+      aria-valuenow={value ?? undefined}
+      aria-valuetext={valueText}
+      onKeyDown={handleKeyDown}
+      onMouseLeave={() => setHoverValue(null)}
+      className="inline-flex gap-0.5 rounded outline-none focus-visible:ring-2 focus-visible:ring-bluee"
+    >
+      {stars}
+    </div>
+  );
+});
+
+StarRating.displayName = 'StarRating';
+
+StarRating.propTypes = {
+  // Half stars from 0.5 up, null when not rated
+  value: PropTypes.number,
+  onChange: PropTypes.func,
+  readOnly: PropTypes.bool,
+  size: PropTypes.oneOf(['sm', 'md'])
+};
+
+export default StarRating;
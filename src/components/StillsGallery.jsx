@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback, memo } from 'react';
+import PropTypes from 'prop-types';
+import { imageUrl } from '../utils/Endpoint';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Grid of stills that open full size in a lightbox, browsable with the arrow keys
+const StillsGallery = memo(({ title: customTitle, stills }) => {
+  const { t } = useLocale();
+  const title = customTitle || t('stills.title');
+  const [openIndex, setOpenIndex] = useState(null);
+  const isOpen = openIndex !== null;
+
+  const step = useCallback((direction) => {
+    setOpenIndex(index => (index + direction + stills.length) % stills.length);
+  }, [stills.length]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') setOpenIndex(null);
+      if (event.key === 'ArrowRight') step(1);
+      if (event.key === 'ArrowLeft') step(-1);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, step]);
+
+  if (stills.length === 0) return null;
+
+  const openStill = isOpen ? stills[openIndex] : null;
+
+  return (
+    <section className="mt-8" aria-label={title}>
+      <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">{title}</h2>
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+        {stills.map((still, index) => (
+          <button
+            key={still.file_path}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="aspect-video overflow-hidden rounded-lg bg-gray-200 dark:bg-card shadow hover:ring-2 hover:ring-bluee transition"
+          >
+            <img
+              src={imageUrl(still.file_path, 'w300')}
+              alt={still.caption || t('stills.still', { title, number: index + 1 })}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+          </button>
+        ))}
+      </div>
+
+      {openStill && (
+        <div
+          role="dialog"
+          aria-modal="true"
+          aria-label={t('stills.dialog', { title, number: openIndex + 1, count: stills.length })}
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-4"
+          onClick={() => setOpenIndex(null)}
+        >
+          <img
+            src={imageUrl(openStill.file_path, 'original')}
+            alt={openStill.caption || t('stills.still', { title, number: openIndex + 1 })}
+            className="max-h-full max-w-full rounded shadow-lg"
+            onClick={event => event.stopPropagation()}
+          />
+          {openStill.caption && (
+            <p className="absolute bottom-4 left-1/2 -translate-x-1/2 max-w-lg text-center text-sm text-gray-200">
+              {openStill.caption}
+            </p>
+          )}
+          {stills.length > 1 && (
+            <>
+              <button
+                type="button"
+                onClick={(event) => { event.stopPropagation(); step(-1); }}
+                aria-label={t('stills.previous')}
+                className="absolute left-4 top-1/2 -translate-y-1/2 p-2 rounded-full bg-black/60 text-white hover:bg-black/80"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={(event) => { event.stopPropagation(); step(1); }}
+                aria-label={t('stills.next')}
+                className="absolute right-4 top-1/2 -translate-y-1/2 p-2 rounded-full bg-black/60 text-white hover:bg-black/80"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={() => setOpenIndex(null)}
+            aria-label={t('common.close')}
+            className="absolute top-4 right-4 p-2 rounded-full bg-black/60 text-white hover:bg-black/80"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
+    </section>
+  );
+});
+
+StillsGallery.displayName = 'StillsGallery';
+
+StillsGallery.propTypes = {
+  // Defaults to "Stills" in the current language
+  title: PropTypes.string,
+  // TMDB image objects, `caption` is ours for stills taken from episodes
+  stills: PropTypes.arrayOf(PropTypes.shape({
+    file_path: PropTypes.string.isRequired,
+    caption: PropTypes.string
+  })).isRequired
+};
+
+export default StillsGallery;
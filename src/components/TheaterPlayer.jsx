@@ -0,0 +1,95 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Full width embed player with its source picker, driven by a useEmbedPlayer `player`
+const TheaterPlayer = memo(({ player, src, title, children }) => {
+  const { t } = useLocale();
+
+  return (
+    <div>
+      <div className="relative aspect-video max-h-[80vh] w-full overflow-hidden bg-black rounded-lg shadow-lg">
+        {player.attempt > 0 && (
+          <iframe
+            key={player.attempt}
+            src={src}
+            width="100%"
+            height="100%"
+            frameBorder="0"
+            allowFullScreen
+            className="w-full h-full"
+            title={title}
+            onLoad={player.handleLoad}
+            onError={player.handleError}
+          ></iframe>
+        )}
+        {player.isLoading && (
+          <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+            <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+          </div>
+        )}
+        {children}
+      </div>
+
+      {player.error && (
+        <p className="text-sm text-red-400 mt-3">{t(player.error.key, player.error.values)}</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <span className="text-sm text-gray-400 mr-1">{t('player.source')}</span>
+        {player.providers.map(provider => (
+          <button
+            key={provider.id}
+            onClick={() => player.selectSource(provider.id)}
+            aria-pressed={player.provider.id === provider.id}
+            className={`px-3 py-1 rounded text-sm font-medium transition-colors ${
+              player.provider.id === provider.id
+                ? 'bg-bluee text-white'
+                : 'bg-gray-800 text-white hover:bg-gray-700'
+            }`}
+          >
+            {provider.label}
+          </button>
+        ))}
+        <button
+          onClick={player.reportCurrentBroken}
+          className="px-3 py-1 rounded text-sm font-medium text-red-400 hover:bg-red-900 transition-colors"
+        >
+          {t('common.reportBroken', { source: player.provider.label })}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+TheaterPlayer.displayName = 'TheaterPlayer';
+
+TheaterPlayer.propTypes = {
+  // Return value of useEmbedPlayer
+  player: PropTypes.shape({
+    providers: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired
+    })).isRequired,
+    provider: PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired
+    }).isRequired,
+    attempt: PropTypes.number.isRequired,
+    isLoading: PropTypes.bool.isRequired,
+    error: PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      values: PropTypes.object
+    }),
+    selectSource: PropTypes.func.isRequired,
+    handleLoad: PropTypes.func.isRequired,
+    handleError: PropTypes.func.isRequired,
+    reportCurrentBroken: PropTypes.func.isRequired
+  }).isRequired,
+  src: PropTypes.string.isRequired,
+  title: PropTypes.string.isRequired,
+  // Overlays on top of the player
+  children: PropTypes.node
+};
+
+export default TheaterPlayer;
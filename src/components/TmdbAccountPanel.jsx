@@ -0,0 +1,177 @@
+import { useState, useEffect, memo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useTmdbAccount, AUTH_CALLBACK_PARAM } from '../contexts/TmdbAccountContext';
+import { CONFLICT_POLICIES } from '../utils/SyncEngine';
+import { useLocale } from '../contexts/LocaleContext';
+
+const buttonClass = "px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+const selectClass = "text-sm px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+const STATUS_KEYS = {
+  idle: null,
+  syncing: 'account.status.syncing',
+  offline: 'account.status.offline',
+  error: 'account.status.error'
+};
+
+// Sign in with TMDB and the state of the library sync, on the settings page
+const TmdbAccountPanel = memo(() => {
+  const {
+    account,
+    isLoaded,
+    status,
+    error,
+    report,
+    lastSyncedAt,
+    pendingCount,
+    conflictPolicy,
+    setConflictPolicy,
+    startSignIn,
+    completeSignIn,
+    signOut,
+    syncNow
+  } = useTmdbAccount();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  // Message key
+  const [signInError, setSignInError] = useState(null);
+  const { t, formatDate } = useLocale();
+
+  // Back from approving the sign-in on TMDB
+  const callback = searchParams.get(AUTH_CALLBACK_PARAM);
+  useEffect(() => {
+    if (!callback) return;
+    setIsSigningIn(true);
+    completeSignIn()
+      .catch((callbackError) => {
+        console.error('TMDB sign-in failed:', callbackError);
+        setSignInError('account.errors.callback');
+      })
+      .finally(() => {
+        setIsSigningIn(false);
+        setSearchParams((current) => {
+          const next = new URLSearchParams(current);
+          next.delete(AUTH_CALLBACK_PARAM);
+          return next;
+        }, { replace: true });
+      });
+  }, [callback, completeSignIn, setSearchParams]);
+
+  const handleSignIn = async () => {
+    setIsSigningIn(true);
+    setSignInError(null);
+    try {
+      await startSignIn();
+    } catch (signInFailure) {
+      console.error('TMDB sign-in failed:', signInFailure);
+      setSignInError('account.errors.start');
+      setIsSigningIn(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    if (!window.confirm(t('account.confirmSignOut'))) return;
+    signOut();
+  };
+
+  if (!isLoaded) return null;
+
+  if (!account) {
+    return (
+      <div>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {t('account.description')}
+        </p>
+        <button
+          type="button"
+          onClick={handleSignIn}
+          disabled={isSigningIn}
+          className={`${buttonClass} bg-bluee text-white hover:bg-blueh`}
+        >
+          {isSigningIn ? t('account.signingIn') : t('account.signIn')}
+        </button>
+        {(signInError || error) && (
+          <p className="mt-3 text-sm text-red-600 dark:text-red-400">{signInError ? t(signInError) : t(error.key, error.values)}</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-700 dark:text-gray-300">
+        {t('account.signedInAs')} <span className="font-semibold">{account.username}</span>.
+        {lastSyncedAt && ` ${t('account.lastSynced', { date: formatDate(lastSyncedAt, { dateStyle: 'medium', timeStyle: 'short' }) })}`}
+      </p>
+      {pendingCount > 0 && (
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          {t('account.pending', { count: pendingCount })}
+        </p>
+      )}
+      {STATUS_KEYS[status] && (
+        <p className={`text-sm mt-1 ${status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}`} role="status">
+          {t(STATUS_KEYS[status])}{status === 'error' && error ? ` ${t(error.key, error.values)}` : ''}
+        </p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2 mt-4">
+        <button
+          type="button"
+          onClick={syncNow}
+          disabled={status === 'syncing'}
+          className={`${buttonClass} bg-bluee text-white hover:bg-blueh`}
+        >
+          {t('account.syncNow')}
+        </button>
+        <button
+          type="button"
+          onClick={handleSignOut}
+          className={`${buttonClass} bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600`}
+        >
+          {t('account.signOut')}
+        </button>
+      </div>
+
+      <label className="flex flex-wrap items-center gap-2 mt-4 text-sm text-gray-700 dark:text-gray-300">
+        {t('account.conflictPolicy')}
+        <select value={conflictPolicy} onChange={(e) => setConflictPolicy(e.target.value)} className={selectClass}>
+          {CONFLICT_POLICIES.map(option => (
+            <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+          ))}
+        </select>
+      </label>
+
+      {report?.conflicts.length > 0 && (
+        <div className="mt-4 text-sm text-gray-700 dark:text-gray-300">
+          <p className="mb-1">{t('account.conflicts')}</p>
+          <ul className="list-disc pl-5">
+            {report.conflicts.map(conflict => (
+              <li key={conflict.key}>
+                {t(conflict.kept === 'local' ? 'account.conflictKeptLocal' : 'account.conflictKeptRemote', {
+                  title: conflict.title,
+                  local: conflict.local ?? t('account.none'),
+                  remote: conflict.remote ?? t('account.none')
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {report?.failed.length > 0 && (
+        <div className="mt-4 text-sm text-red-600 dark:text-red-400">
+          <p className="mb-1">{t('account.rejected')}</p>
+          <ul className="list-disc pl-5">
+            {report.failed.map(({ op, reason }) => (
+              <li key={`${op.list}-${op.mediaType}-${op.id}`}>{op.mediaType} {op.id} ({op.list}): {t(reason.key, reason.values)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+TmdbAccountPanel.displayName = 'TmdbAccountPanel';
+
+export default TmdbAccountPanel;
@@ -0,0 +1,51 @@
+import { memo } from 'react';
+import PropTypes from 'prop-types';
+import { episodeCode } from '../utils/MediaItem';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "Up next" card counting down over the player, place it in a `relative` container
+const UpNextOverlay = memo(({ countdown, next, onPlayNow, onCancel }) => {
+  const { t } = useLocale();
+
+  return (
+    <div
+      role="status"
+      className="absolute bottom-4 right-4 max-w-xs rounded-lg bg-black/80 p-4 text-white shadow-lg"
+    >
+      <p className="text-xs uppercase tracking-wide text-gray-300">{t('episodeNavigation.upNextIn', { seconds: countdown })}</p>
+      <p className="font-semibold truncate">
+        {episodeCode(next.season, next.episode)}
+        {next.name ? ` · ${next.name}` : ''}
+      </p>
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={onPlayNow}
+          className="bg-bluee hover:bg-blueh text-white px-3 py-1 rounded text-sm font-medium transition-colors"
+        >
+          {t('episodeNavigation.playNow')}
+        </button>
+        <button
+          onClick={onCancel}
+          className="bg-white/20 hover:bg-white/30 text-white px-3 py-1 rounded text-sm font-medium transition-colors"
+        >
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+UpNextOverlay.displayName = 'UpNextOverlay';
+
+UpNextOverlay.propTypes = {
+  countdown: PropTypes.number.isRequired,
+  next: PropTypes.shape({
+    season: PropTypes.number.isRequired,
+    episode: PropTypes.number.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  onPlayNow: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default UpNextOverlay;
@@ -0,0 +1,18 @@
+import { createContext, useContext } from 'react';
+
+// The saved lists, each persisted under its own protected storage key
+export const LIBRARY_LISTS = {
+  WATCHLIST: 'watchlist',
+  FAVORITES: 'favorites'
+};
+
+// Provided by LibraryProvider, see there for the shape
+export const LibraryContext = createContext(null);
+
+export const useLibrary = () => {
+  const context = useContext(LibraryContext);
+  if (!context) {
+    throw new Error('useLibrary must be used inside a LibraryProvider');
+  }
+  return context;
+};
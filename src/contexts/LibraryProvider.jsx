@@ -0,0 +1,103 @@
+import { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { LibraryContext, LIBRARY_LISTS } from './LibraryContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { libraryKey, toLibraryEntry } from '../utils/Library';
+
+/**
+ * @typedef {Object} LibraryEntry
+ * @property {string} key - `<mediaType>-<id>`
+ * @property {'movie'|'tv'} mediaType
+ * @property {number} id
+ * @property {string} title
+ * @property {string|null} posterPath
+ * @property {string|null} releaseDate
+ * @property {number} rating
+ * @property {number} addedAt
+ */
+
+// Titles saved while storage was loading are kept, the saved copy wins otherwise
+const mergeEntries = (current, saved) => {
+  const savedKeys = new Set(saved.map(entry => entry.key));
+  return [...current.filter(entry => !savedKeys.has(entry.key)), ...saved];
+};
+
+const listOptions = { isValid: Array.isArray, merge: mergeEntries };
+
+// Watchlist and favorites, persisted through StorageHandler
+const LibraryProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  const [watchlist, setWatchlist, isWatchlistLoaded] = usePersistedState(profileKey(LIBRARY_LISTS.WATCHLIST), [], listOptions);
+  const [favorites, setFavorites, isFavoritesLoaded] = usePersistedState(profileKey(LIBRARY_LISTS.FAVORITES), [], listOptions);
+
+  const lists = useMemo(() => ({
+    [LIBRARY_LISTS.WATCHLIST]: watchlist,
+    [LIBRARY_LISTS.FAVORITES]: favorites
+  }), [watchlist, favorites]);
+
+  const setList = useCallback((list, update) => {
+    if (list === LIBRARY_LISTS.WATCHLIST) setWatchlist(update);
+    else if (list === LIBRARY_LISTS.FAVORITES) setFavorites(update);
+    else throw new Error(`Unknown library list: ${list}`);
+  }, [setWatchlist, setFavorites]);
+
+  const isInList = useCallback(
+    (list, mediaType, id) => lists[list].some(entry => entry.key === libraryKey(mediaType, id)),
+    [lists]
+  );
+
+  /**
+   * Add a title to `list`, or take it out when it's already there
+   *
+   * @param {string} list - One of LIBRARY_LISTS
+   * @param {'movie'|'tv'} mediaType
+   * @param {Object} item - ListItem card props (see toCardProps)
+   */
+  const toggleInList = useCallback((list, mediaType, item) => {
+    const key = libraryKey(mediaType, item.id);
+    setList(list, (current) => {
+      if (current.some(entry => entry.key === key)) {
+        return current.filter(entry => entry.key !== key);
+      }
+      return [toLibraryEntry(mediaType, item), ...current];
+    });
+  }, [setList]);
+
+  /** Add imported LibraryEntry objects to `list`, titles already in it are left as they are */
+  const addEntries = useCallback((list, entries) => {
+    setList(list, (current) => {
+      const keys = new Set(current.map(entry => entry.key));
+      const added = entries.filter(entry => !keys.has(entry.key));
+      return [...added.sort((a, b) => b.addedAt - a.addedAt), ...current];
+    });
+  }, [setList]);
+
+  /** Remove every entry whose key is in `keys` from `list` */
+  const removeFromList = useCallback((list, keys) => {
+    const removed = new Set(keys);
+    setList(list, current => current.filter(entry => !removed.has(entry.key)));
+  }, [setList]);
+
+  const value = useMemo(() => ({
+    watchlist,
+    favorites,
+    isLoaded: isWatchlistLoaded && isFavoritesLoaded,
+    isInList,
+    toggleInList,
+    addEntries,
+    removeFromList
+  }), [watchlist, favorites, isWatchlistLoaded, isFavoritesLoaded, isInList, toggleInList, addEntries, removeFromList]);
+
+  return (
+    <LibraryContext.Provider value={value}>
+      {children}
+    </LibraryContext.Provider>
+  );
+};
+
+LibraryProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default LibraryProvider;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by LocaleProvider, see there for the shape
+export const LocaleContext = createContext(null);
+
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+  if (!context) {
+    throw new Error('useLocale must be used inside a LocaleProvider');
+  }
+  return context;
+};
@@ -0,0 +1,36 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { LocaleContext } from './LocaleContext';
+import { createI18n, detectLocale, isSupportedLocale } from '../utils/I18n';
+
+// Read synchronously like the theme, so the first render is already in the right language
+const LOCALE_KEY = 'locale';
+
+const readLocale = () => {
+  const saved = localStorage.getItem(LOCALE_KEY);
+  return isSupportedLocale(saved) ? saved : detectLocale();
+};
+
+// UI language for the whole device, shared by every profile so the profile picker is translated too
+const LocaleProvider = ({ children }) => {
+  const [locale, setLocale] = useState(readLocale);
+
+  useEffect(() => {
+    localStorage.setItem(LOCALE_KEY, locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({ ...createI18n(locale), setLocale }), [locale]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
+
+LocaleProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default LocaleProvider;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by ParentalControlsProvider, see there for the shape
+export const ParentalControlsContext = createContext(null);
+
+export const useParentalControls = () => {
+  const context = useContext(ParentalControlsContext);
+  if (!context) {
+    throw new Error('useParentalControls must be used inside a ParentalControlsProvider');
+  }
+  return context;
+};
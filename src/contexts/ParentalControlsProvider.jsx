@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ParentalControlsContext } from './ParentalControlsContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { safeGetItem, safeRemoveItem } from '../utils/StorageHandler';
+import { DEFAULT_PROFILE_ID, namespacedKey, hashPin } from '../utils/Profiles';
+import { isAbortError } from '../utils/TmdbClient';
+import {
+  DEFAULT_PARENTAL_CONTROLS,
+  getMediaType,
+  certificationKey,
+  fetchCertifications
+} from '../utils/ContentFilter';
+
+const CONTROLS_KEY = 'parental_controls';
+
+const isControls = value => Boolean(value) && typeof value === 'object' && Array.isArray(value.allowed?.movie);
+
+// The parental PIN is hashed apart from the profiles' own PINs, even when it's the same. The
+// salt is the default profile's from when every profile had its own controls, so a PIN set
+// back then still works.
+const PIN_SALT = `${DEFAULT_PROFILE_ID}/parental`;
+
+// Certification requests running at once, a page of results shouldn't fire twenty at TMDB
+const CERTIFICATION_CONCURRENCY = 4;
+
+// The age rating limit, persisted through StorageHandler, and the certifications of every title
+// checked against it so far. The limit is the same for every profile (the default profile's
+// key), so switching to or creating another profile doesn't get around it.
+const ParentalControlsProvider = ({ children }) => {
+  const { profiles } = useProfiles();
+  const [controls, setControls, isLoaded] = usePersistedState(CONTROLS_KEY, DEFAULT_PARENTAL_CONTROLS, {
+    isValid: isControls
+  });
+  const [isMigrated, setIsMigrated] = useState(false);
+  // `certificationKey` to the title's certifications, missing while they're loading
+  const [certifications, setCertifications] = useState({});
+  const requested = useRef(new Set());
+  // Titles waiting for a free request, as `{ type, id, key }`
+  const queue = useRef([]);
+  const activeRequests = useRef(0);
+  const controller = useRef(null);
+
+  // Controls set on another profile back when each had its own are taken over (with that
+  // profile's PIN) if there are none yet, then the per-profile copies are dropped
+  useEffect(() => {
+    if (!isLoaded || isMigrated) return undefined;
+    let isCurrent = true;
+    const keys = profiles
+      .filter(profile => profile.id !== DEFAULT_PROFILE_ID)
+      .map(profile => ({ key: namespacedKey(CONTROLS_KEY, profile.id), pinSalt: `${profile.id}/parental` }));
+
+    Promise.all(keys.map(({ key }) => safeGetItem(key).catch(() => null)))
+      .then((saved) => {
+        if (!isCurrent) return;
+        const index = saved.findIndex(value => isControls(value) && value.enabled);
+        if (index !== -1) {
+          setControls(current => (current.enabled ? current : { ...saved[index], pinSalt: keys[index].pinSalt }));
+        }
+        saved.forEach((value, position) => {
+          if (value !== null) safeRemoveItem(keys[position].key).catch(() => {});
+        });
+        setIsMigrated(true);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [isLoaded, isMigrated, profiles, setControls]);
+
+  useEffect(() => {
+    const current = new AbortController();
+    controller.current = current;
+    return () => current.abort();
+  }, []);
+
+  // Start queued requests until CERTIFICATION_CONCURRENCY are running
+  const loadNext = useCallback(() => {
+    while (activeRequests.current < CERTIFICATION_CONCURRENCY && queue.current.length > 0) {
+      const { type, id, key } = queue.current.shift();
+      activeRequests.current += 1;
+
+      // Answered from CacheManager's 'certification' cache when the title was checked before
+      fetchCertifications(type, id, { signal: controller.current?.signal })
+        .catch((error) => {
+          if (isAbortError(error)) {
+            requested.current.delete(key);
+            return null;
+          }
+          // Counted as unrated until the next visit
+          console.warn(`Failed to load the rating of ${key}:`, error);
+          return {};
+        })
+        .then((result) => {
+          activeRequests.current -= 1;
+          if (result === null) return;
+          setCertifications(current => ({ ...current, [key]: result }));
+          loadNext();
+        });
+    }
+  }, []);
+
+  /** Start loading the certifications of TMDB results, each title is only asked for once */
+  const loadCertifications = useCallback((items, mediaType) => {
+    items.forEach((item) => {
+      const type = getMediaType(item, mediaType);
+      if (type !== 'movie' && type !== 'tv') return;
+      const key = certificationKey(type, item.id);
+      if (requested.current.has(key)) return;
+      requested.current.add(key);
+      queue.current.push({ type, id: item.id, key });
+    });
+    loadNext();
+  }, [loadNext]);
+
+  /** @returns {Promise<boolean>} Whether `pin` is the parental PIN */
+  const verifyPin = useCallback(async (pin) => (
+    Boolean(pin) && await hashPin(pin, controls.pinSalt || PIN_SALT) === controls.pinHash
+  ), [controls.pinHash, controls.pinSalt]);
+
+  /**
+   * Turn the controls on with new settings
+   *
+   * @param {{region: string, maxCertification: Object, allowed: Object, hideUnrated: boolean}} settings
+   * @param {string} [pin] - New parental PIN, the current one is kept without it
+   */
+  const saveControls = useCallback(async (settings, pin) => {
+    const pinHash = pin ? await hashPin(pin, PIN_SALT) : undefined;
+    setControls(current => ({
+      ...current,
+      ...settings,
+      enabled: true,
+      pinHash: pinHash ?? current.pinHash,
+      pinSalt: pinHash ? undefined : current.pinSalt
+    }));
+  }, [setControls]);
+
+  /** Turn the controls off and forget the parental PIN */
+  const disableControls = useCallback(() => setControls(DEFAULT_PARENTAL_CONTROLS), [setControls]);
+
+  const value = useMemo(() => ({
+    controls,
+    certifications,
+    loadCertifications,
+    verifyPin,
+    saveControls,
+    disableControls
+  }), [controls, certifications, loadCertifications, verifyPin, saveControls, disableControls]);
+
+  // Nothing is shown before it's known what may be shown
+  if (!isLoaded || !isMigrated) return null;
+
+  return (
+    <ParentalControlsContext.Provider value={value}>
+      {children}
+    </ParentalControlsContext.Provider>
+  );
+};
+
+ParentalControlsProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default ParentalControlsProvider;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by ProfileProvider, see there for the shape
+export const ProfileContext = createContext(null);
+
+export const useProfiles = () => {
+  const context = useContext(ProfileContext);
+  if (!context) {
+    throw new Error('useProfiles must be used inside a ProfileProvider');
+  }
+  return context;
+};
@@ -0,0 +1,152 @@
+import { Fragment, useState, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ProfileContext } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { safeRemoveItem } from '../utils/StorageHandler';
+import {
+  DEFAULT_PROFILE_ID,
+  PROFILE_COLORS,
+  PROFILE_DATA_KEYS,
+  namespacedKey,
+  createProfileId,
+  hashPin
+} from '../utils/Profiles';
+import ProfileGate from '../components/ProfileGate';
+
+const PROFILES_KEY = 'profiles';
+// Profile whose PIN was entered in this tab, so a reload doesn't ask again
+const UNLOCKED_KEY = 'unlocked_profile';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {string} color - One of PROFILE_COLORS
+ * @property {boolean} isKid - Kid profiles only see content for kids (see ContentFilter)
+ * @property {string|null} pinHash - See hashPin
+ * @property {number} createdAt
+ */
+
+const INITIAL_STATE = {
+  profiles: [{
+    id: DEFAULT_PROFILE_ID,
+    name: 'Me',
+    color: PROFILE_COLORS[0],
+    isKid: false,
+    pinHash: null,
+    createdAt: 0
+  }],
+  activeId: DEFAULT_PROFILE_ID
+};
+
+const isProfilesState = value => Array.isArray(value?.profiles) && value.profiles.length > 0;
+
+// Named profiles sharing this browser. Everything below is remounted when the profile changes,
+// so the providers read that profile's data through `profileKey`.
+const ProfileProvider = ({ children }) => {
+  const [state, setState, isLoaded] = usePersistedState(PROFILES_KEY, INITIAL_STATE, { isValid: isProfilesState });
+  const [unlockedId, setUnlockedId] = useState(() => sessionStorage.getItem(UNLOCKED_KEY));
+
+  const { profiles } = state;
+  const activeProfile = profiles.find(profile => profile.id === state.activeId) || profiles[0];
+  const isLocked = Boolean(activeProfile.pinHash) && unlockedId !== activeProfile.id;
+
+  const profileKey = useCallback(key => namespacedKey(key, activeProfile.id), [activeProfile.id]);
+
+  const updateProfiles = useCallback((update) => {
+    setState(current => ({ ...current, profiles: update(current.profiles) }));
+  }, [setState]);
+
+  const checkPin = useCallback(async (profile, pin) => (
+    !profile.pinHash || (Boolean(pin) && await hashPin(pin, profile.id) === profile.pinHash)
+  ), []);
+
+  /** @returns {Promise<boolean>} Whether `pin` is right, always true for profiles without one */
+  const verifyPin = useCallback(async (profileId, pin) => {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    return Boolean(profile) && checkPin(profile, pin);
+  }, [profiles, checkPin]);
+
+  /**
+   * Make `profileId` the active profile
+   *
+   * @param {string} [pin] - Needed when the profile has one
+   * @returns {Promise<boolean>} False when the PIN is wrong
+   */
+  const switchProfile = useCallback(async (profileId, pin) => {
+    const profile = profiles.find(candidate => candidate.id === profileId);
+    if (!profile || !await checkPin(profile, pin)) return false;
+    sessionStorage.setItem(UNLOCKED_KEY, profile.id);
+    setUnlockedId(profile.id);
+    setState(current => ({ ...current, activeId: profile.id }));
+    return true;
+  }, [profiles, checkPin, setState]);
+
+  /** @returns {Promise<string>} The new profile's id */
+  const createProfile = useCallback(async ({ name, color, isKid = false, pin = null }) => {
+    const id = createProfileId();
+    const pinHash = pin ? await hashPin(pin, id) : null;
+    updateProfiles(current => [...current, {
+      id,
+      name: name.trim(),
+      color,
+      isKid,
+      pinHash,
+      createdAt: Date.now()
+    }]);
+    return id;
+  }, [updateProfiles]);
+
+  /** Change a profile's name, color or kid flag */
+  const updateProfile = useCallback((profileId, changes) => {
+    updateProfiles(current => current.map(profile => (
+      profile.id === profileId
+        ? { ...profile, ...changes, name: (changes.name ?? profile.name).trim() }
+        : profile
+    )));
+  }, [updateProfiles]);
+
+  /** Set a profile's PIN, null removes it */
+  const setProfilePin = useCallback(async (profileId, pin) => {
+    const pinHash = pin ? await hashPin(pin, profileId) : null;
+    updateProfiles(current => current.map(profile => (
+      profile.id === profileId ? { ...profile, pinHash } : profile
+    )));
+  }, [updateProfiles]);
+
+  /** Delete a profile and all of its data, the default and the active profile can't be */
+  const deleteProfile = useCallback(async (profileId) => {
+    if (profileId === DEFAULT_PROFILE_ID || profileId === activeProfile.id) return;
+    updateProfiles(current => current.filter(profile => profile.id !== profileId));
+    localStorage.removeItem(namespacedKey('theme', profileId));
+    await Promise.all(PROFILE_DATA_KEYS.map(key => safeRemoveItem(namespacedKey(key, profileId))));
+  }, [activeProfile.id, updateProfiles]);
+
+  const value = useMemo(() => ({
+    profiles,
+    activeProfile,
+    isLocked,
+    profileKey,
+    switchProfile,
+    verifyPin,
+    createProfile,
+    updateProfile,
+    setProfilePin,
+    deleteProfile
+  }), [profiles, activeProfile, isLocked, profileKey, switchProfile, verifyPin, createProfile, updateProfile, setProfilePin, deleteProfile]);
+
+  // Nothing is shown before it's known whose data to show
+  if (!isLoaded) return null;
+
+  return (
+    <ProfileContext.Provider value={value}>
+      {isLocked ? <ProfileGate /> : <Fragment key={activeProfile.id}>{children}</Fragment>}
+    </ProfileContext.Provider>
+  );
+};
+
+ProfileProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default ProfileProvider;
@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+// Half stars from 0.5 to MAX_RATING
+export const MAX_RATING = 5;
+
+// Provided by RatingsProvider, see there for the shape
+export const RatingsContext = createContext(null);
+
+export const useRatings = () => {
+  const context = useContext(RatingsContext);
+  if (!context) {
+    throw new Error('useRatings must be used inside a RatingsProvider');
+  }
+  return context;
+};
@@ -0,0 +1,119 @@
+import { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { RatingsContext } from './RatingsContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { libraryKey, toLibraryEntry } from '../utils/Library';
+
+const RATINGS_KEY = 'user_ratings';
+
+/**
+ * `{ [key]: RatingEntry }`, an entry lives as long as it has a rating or a review.
+ * `addedAt` is when the title was first rated or reviewed.
+ *
+ * @typedef {import('./LibraryProvider').LibraryEntry & {
+ *   userRating: number|null,
+ *   review: string,
+ *   updatedAt: number
+ * }} RatingEntry - `userRating` goes from 0.5 to MAX_RATING in half stars
+ */
+
+const isRatingsMap = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Ratings made while storage was loading win over the saved ones
+const mergeRatings = (current, saved) => ({ ...saved, ...current });
+
+// The user's own star ratings and reviews, persisted through StorageHandler
+const RatingsProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  const [ratings, setRatings, isLoaded] = usePersistedState(profileKey(RATINGS_KEY), {}, {
+    isValid: isRatingsMap,
+    merge: mergeRatings
+  });
+
+  const getRating = useCallback(
+    (mediaType, id) => ratings[libraryKey(mediaType, id)] || null,
+    [ratings]
+  );
+
+  // Apply `changes` to a title's entry, dropping it once it has neither rating nor review
+  const updateEntry = useCallback((mediaType, item, changes) => {
+    const key = libraryKey(mediaType, item.id);
+    setRatings((current) => {
+      const previous = current[key];
+      const entry = {
+        userRating: null,
+        review: '',
+        ...previous,
+        ...toLibraryEntry(mediaType, item),
+        ...changes,
+        updatedAt: Date.now()
+      };
+      if (previous) entry.addedAt = previous.addedAt;
+      const next = { ...current };
+      if (entry.userRating === null && !entry.review.trim()) {
+        delete next[key];
+      } else {
+        next[key] = entry;
+      }
+      return next;
+    });
+  }, [setRatings]);
+
+  /** Rate a title (ListItem card props), null takes the rating away */
+  const rate = useCallback((mediaType, item, userRating) => {
+    updateEntry(mediaType, item, { userRating });
+  }, [updateEntry]);
+
+  const setReview = useCallback((mediaType, item, review) => {
+    updateEntry(mediaType, item, { review });
+  }, [updateEntry]);
+
+  /** Merge imported RatingEntry objects in, keeping what an import leaves empty */
+  const importRatings = useCallback((entries) => {
+    setRatings((current) => {
+      const next = { ...current };
+      entries.forEach((entry) => {
+        const previous = current[entry.key];
+        next[entry.key] = {
+          ...previous,
+          ...entry,
+          userRating: entry.userRating ?? previous?.userRating ?? null,
+          review: entry.review || previous?.review || '',
+          addedAt: Math.min(entry.addedAt, previous?.addedAt ?? Infinity)
+        };
+      });
+      return next;
+    });
+  }, [setRatings]);
+
+  const removeRating = useCallback((key) => {
+    setRatings((current) => {
+      const next = { ...current };
+      delete next[key];
+      return next;
+    });
+  }, [setRatings]);
+
+  const value = useMemo(() => ({
+    ratings,
+    isLoaded,
+    getRating,
+    rate,
+    setReview,
+    importRatings,
+    removeRating
+  }), [ratings, isLoaded, getRating, rate, setReview, importRatings, removeRating]);
+
+  return (
+    <RatingsContext.Provider value={value}>
+      {children}
+    </RatingsContext.Provider>
+  );
+};
+
+RatingsProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default RatingsProvider;
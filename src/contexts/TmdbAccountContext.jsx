@@ -0,0 +1,15 @@
+import { createContext, useContext } from 'react';
+
+// TMDB sends the user back to /settings with this query param once they approve the sign-in
+export const AUTH_CALLBACK_PARAM = 'tmdb_auth';
+
+// Provided by TmdbAccountProvider, see there for the shape
+export const TmdbAccountContext = createContext(null);
+
+export const useTmdbAccount = () => {
+  const context = useContext(TmdbAccountContext);
+  if (!context) {
+    throw new Error('useTmdbAccount must be used inside a TmdbAccountProvider');
+  }
+  return context;
+};
@@ -0,0 +1,203 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { TmdbAccountContext, AUTH_CALLBACK_PARAM } from './TmdbAccountContext';
+import { useLibrary, LIBRARY_LISTS } from './LibraryContext';
+import { useRatings } from './RatingsContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { accountApi, approvalUrl } from '../utils/TmdbAccount';
+import { isAbortError, errorReason } from '../utils/TmdbClient';
+import { INITIAL_SYNC_STATE, hasLocalChanges, runSync } from '../utils/SyncEngine';
+import { toLibraryEntry } from '../utils/Library';
+
+const AUTH_KEY = 'auth_token';
+const SYNC_KEY = 'tmdb_sync';
+// The request token waits here while the user is on TMDB approving it
+const REQUEST_TOKEN_KEY = 'tmdb_request_token';
+// Library changes are sent this long after the last one
+const SYNC_DELAY = 5000;
+
+const isAuth = value => Boolean(value?.sessionId && value.accountId);
+const isSyncState = value => Boolean(value) && Array.isArray(value.queue);
+
+// The signed-in TMDB account and the sync of the library with it (see SyncEngine).
+// `api` can be swapped for one pointed at a mock, see createAccountApi.
+const TmdbAccountProvider = ({ children, api = accountApi }) => {
+  const { profileKey } = useProfiles();
+  const { watchlist, favorites, isLoaded: isLibraryLoaded, addEntries, removeFromList } = useLibrary();
+  const { ratings, isLoaded: isRatingsLoaded, importRatings, rate } = useRatings();
+  const [auth, setAuth, isAuthLoaded] = usePersistedState(profileKey(AUTH_KEY), null, { isValid: isAuth });
+  const [syncState, setSyncState, isSyncLoaded] = usePersistedState(profileKey(SYNC_KEY), INITIAL_SYNC_STATE, { isValid: isSyncState });
+  // idle, syncing, offline or error
+  const [status, setStatus] = useState('idle');
+  // UI message as `{ key, values }`
+  const [error, setError] = useState(null);
+  // Conflicts and rejected changes of the last sync
+  const [report, setReport] = useState(null);
+  const isSyncing = useRef(false);
+  // Cancels the running sync when the account changes, whatever it hasn't sent stays queued
+  const syncController = useRef(null);
+  // A sync outlives the render it started in, it reads everything from here
+  const latest = useRef(null);
+
+  const local = useMemo(() => ({ watchlist, favorites, ratings }), [watchlist, favorites, ratings]);
+  const isReady = isAuthLoaded && isSyncLoaded && isLibraryLoaded && isRatingsLoaded;
+
+  useEffect(() => {
+    latest.current = { auth, syncState, local };
+  }, [auth, syncState, local]);
+
+  const applyPulls = useCallback((pulls) => {
+    [[LIBRARY_LISTS.WATCHLIST, pulls.watchlist], [LIBRARY_LISTS.FAVORITES, pulls.favorite]].forEach(([list, { add, remove }]) => {
+      if (add.length) addEntries(list, add.map(({ mediaType, item }) => toLibraryEntry(mediaType, item)));
+      if (remove.length) removeFromList(list, remove);
+    });
+    if (pulls.rated.add.length) {
+      importRatings(pulls.rated.add.map(({ mediaType, item, rating }) => ({
+        ...toLibraryEntry(mediaType, item),
+        userRating: rating,
+        review: '',
+        updatedAt: Date.now()
+      })));
+    }
+    // Ratings deleted on TMDB, any review stays
+    pulls.rated.remove.forEach((key) => {
+      const entry = latest.current.local.ratings[key];
+      if (entry) rate(entry.mediaType, entry, null);
+    });
+  }, [addEntries, removeFromList, importRatings, rate]);
+
+  const syncNow = useCallback(async () => {
+    if (!latest.current?.auth || isSyncing.current) return;
+    const { auth: currentAuth, syncState: state, local: currentLocal } = latest.current;
+    const controller = new AbortController();
+    syncController.current = controller;
+    isSyncing.current = true;
+    setStatus('syncing');
+    setError(null);
+    try {
+      const result = await runSync({ api, auth: currentAuth, local: currentLocal, state, signal: controller.signal });
+      // Signed out (or into another account) while it ran, the result belongs to the old one
+      if (controller.signal.aborted || latest.current.auth?.sessionId !== currentAuth.sessionId) {
+        setStatus('idle');
+        return;
+      }
+      // The conflict policy may have been changed while the sync ran
+      setSyncState(current => ({ ...result.state, conflictPolicy: current.conflictPolicy }));
+      if (result.pulls) applyPulls(result.pulls);
+      setReport({
+        conflicts: result.conflicts.map(conflict => ({
+          ...conflict,
+          title: currentLocal.ratings[conflict.key]?.title || conflict.title
+        })),
+        failed: result.failed
+      });
+      setStatus(result.pulls ? 'idle' : 'offline');
+    } catch (syncError) {
+      if (isAbortError(syncError)) {
+        setStatus('idle');
+        return;
+      }
+      console.warn('TMDB sync failed:', syncError);
+      if (syncError.isUnauthorized) {
+        // The session was revoked on TMDB's side
+        setAuth(null);
+        setError({ key: 'account.errors.sessionExpired' });
+        setStatus('error');
+      } else {
+        setError({ key: 'account.errors.sync', values: { reason: errorReason(syncError) } });
+        setStatus(syncError.isNetworkError ? 'offline' : 'error');
+      }
+    } finally {
+      isSyncing.current = false;
+      if (syncController.current === controller) syncController.current = null;
+    }
+  }, [api, applyPulls, setSyncState, setAuth]);
+
+  // Pick up changes made on TMDB once per visit
+  const sessionId = auth?.sessionId;
+  useEffect(() => {
+    if (isReady && sessionId) syncNow();
+  }, [isReady, sessionId, syncNow]);
+
+  useEffect(() => () => syncController.current?.abort(), [sessionId]);
+
+  // Send library changes, and anything still queued, shortly after they happen
+  useEffect(() => {
+    if (!isReady || !auth) return undefined;
+    if (syncState.queue.length === 0 && !hasLocalChanges(syncState.base, local)) return undefined;
+    const timer = setTimeout(syncNow, SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [isReady, auth, syncState, local, syncNow]);
+
+  useEffect(() => {
+    if (!auth) return undefined;
+    window.addEventListener('online', syncNow);
+    return () => window.removeEventListener('online', syncNow);
+  }, [auth, syncNow]);
+
+  /** Send the user to TMDB to approve the sign-in, they come back to /settings */
+  const startSignIn = useCallback(async () => {
+    const redirectTo = `${window.location.origin}/settings?${AUTH_CALLBACK_PARAM}=approved`;
+    const requestToken = await api.createRequestToken(redirectTo);
+    sessionStorage.setItem(REQUEST_TOKEN_KEY, requestToken);
+    window.location.assign(approvalUrl(requestToken));
+  }, [api]);
+
+  /** Finish the sign-in started by startSignIn, does nothing when none is pending */
+  const completeSignIn = useCallback(async () => {
+    const requestToken = sessionStorage.getItem(REQUEST_TOKEN_KEY);
+    if (!requestToken) return;
+    sessionStorage.removeItem(REQUEST_TOKEN_KEY);
+    const newAuth = await api.signIn(requestToken);
+    // A new account starts from a first sync
+    setSyncState(current => ({ ...INITIAL_SYNC_STATE, conflictPolicy: current.conflictPolicy }));
+    setAuth(newAuth);
+    setError(null);
+    setStatus('idle');
+  }, [api, setAuth, setSyncState]);
+
+  const signOut = useCallback(async () => {
+    if (auth) {
+      api.signOut(auth).catch(signOutError => console.warn('TMDB sign-out failed:', signOutError));
+    }
+    setAuth(null);
+    setSyncState(current => ({ ...INITIAL_SYNC_STATE, conflictPolicy: current.conflictPolicy }));
+    setReport(null);
+    setStatus('idle');
+  }, [api, auth, setAuth, setSyncState]);
+
+  const setConflictPolicy = useCallback((conflictPolicy) => {
+    setSyncState(current => ({ ...current, conflictPolicy }));
+  }, [setSyncState]);
+
+  const value = useMemo(() => ({
+    account: auth ? { accountId: auth.accountId, username: auth.username } : null,
+    isLoaded: isAuthLoaded && isSyncLoaded,
+    status,
+    error,
+    report,
+    lastSyncedAt: syncState.lastSyncedAt,
+    pendingCount: syncState.queue.length,
+    conflictPolicy: syncState.conflictPolicy,
+    setConflictPolicy,
+    startSignIn,
+    completeSignIn,
+    signOut,
+    syncNow
+  }), [auth, isAuthLoaded, isSyncLoaded, status, error, report, syncState, setConflictPolicy, startSignIn, completeSignIn, signOut, syncNow]);
+
+  return (
+    <TmdbAccountContext.Provider value={value}>
+      {children}
+    </TmdbAccountContext.Provider>
+  );
+};
+
+TmdbAccountProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+  // Account API from createAccountApi
+  api: PropTypes.object
+};
+
+export default TmdbAccountProvider;
@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by UserListsProvider, see there for the shape
+export const UserListsContext = createContext(null);
+
+export const useUserLists = () => {
+  const context = useContext(UserListsContext);
+  if (!context) {
+    throw new Error('useUserLists must be used inside a UserListsProvider');
+  }
+  return context;
+};
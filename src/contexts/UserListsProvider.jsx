@@ -0,0 +1,129 @@
+import { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { UserListsContext } from './UserListsContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+import { libraryKey, toLibraryEntry } from '../utils/Library';
+
+const LISTS_KEY = 'user_lists';
+
+/**
+ * @typedef {Object} UserList
+ * @property {string} id
+ * @property {string} name
+ * @property {string} description
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {(import('./LibraryProvider').LibraryEntry & {note: string})[]} items - In the user's order
+ */
+
+const createListId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Lists created while storage was loading are kept next to the saved ones
+const mergeLists = (current, saved) => {
+  const savedIds = new Set(saved.map(list => list.id));
+  return [...saved, ...current.filter(list => !savedIds.has(list.id))];
+};
+
+// Named lists of movies and shows the user puts together, persisted through StorageHandler
+const UserListsProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  const [lists, setLists, isLoaded] = usePersistedState(profileKey(LISTS_KEY), [], {
+    isValid: Array.isArray,
+    merge: mergeLists
+  });
+
+  // Apply `update` to one list and bump its updatedAt
+  const updateList = useCallback((listId, update) => {
+    setLists(current => current.map(list => (
+      list.id === listId ? { ...list, ...update(list), updatedAt: Date.now() } : list
+    )));
+  }, [setLists]);
+
+  const getList = useCallback((listId) => lists.find(list => list.id === listId) || null, [lists]);
+
+  /** @returns {string} The new list's id */
+  const createList = useCallback((name, description = '') => {
+    const now = Date.now();
+    const id = createListId();
+    setLists(current => [...current, {
+      id,
+      name: name.trim(),
+      description: description.trim(),
+      createdAt: now,
+      updatedAt: now,
+      items: []
+    }]);
+    return id;
+  }, [setLists]);
+
+  const renameList = useCallback((listId, { name, description }) => {
+    updateList(listId, () => ({ name: name.trim(), description: description.trim() }));
+  }, [updateList]);
+
+  const deleteList = useCallback((listId) => {
+    setLists(current => current.filter(list => list.id !== listId));
+  }, [setLists]);
+
+  const isInList = useCallback((listId, mediaType, id) => {
+    const key = libraryKey(mediaType, id);
+    return Boolean(getList(listId)?.items.some(item => item.key === key));
+  }, [getList]);
+
+  /** Add a title (ListItem card props) to the end of a list, once */
+  const addToList = useCallback((listId, mediaType, item) => {
+    const entry = toLibraryEntry(mediaType, item);
+    updateList(listId, list => ({
+      items: list.items.some(existing => existing.key === entry.key)
+        ? list.items
+        : [...list.items, { ...entry, note: '' }]
+    }));
+  }, [updateList]);
+
+  const removeFromList = useCallback((listId, key) => {
+    updateList(listId, list => ({ items: list.items.filter(item => item.key !== key) }));
+  }, [updateList]);
+
+  const setItemNote = useCallback((listId, key, note) => {
+    updateList(listId, list => ({
+      items: list.items.map(item => (item.key === key ? { ...item, note } : item))
+    }));
+  }, [updateList]);
+
+  /** Move the item at `fromIndex` so it ends up at `toIndex` */
+  const moveItem = useCallback((listId, fromIndex, toIndex) => {
+    updateList(listId, (list) => {
+      if (toIndex < 0 || toIndex >= list.items.length || fromIndex === toIndex) return {};
+      const items = [...list.items];
+      const [moved] = items.splice(fromIndex, 1);
+      items.splice(toIndex, 0, moved);
+      return { items };
+    });
+  }, [updateList]);
+
+  const value = useMemo(() => ({
+    lists,
+    isLoaded,
+    getList,
+    createList,
+    renameList,
+    deleteList,
+    isInList,
+    addToList,
+    removeFromList,
+    setItemNote,
+    moveItem
+  }), [lists, isLoaded, getList, createList, renameList, deleteList, isInList, addToList, removeFromList, setItemNote, moveItem]);
+
+  return (
+    <UserListsContext.Provider value={value}>
+      {children}
+    </UserListsContext.Provider>
+  );
+};
+
+UserListsProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default UserListsProvider;
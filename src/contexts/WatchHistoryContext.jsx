@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by WatchHistoryProvider, see there for the shape
+export const WatchHistoryContext = createContext(null);
+
+export const useWatchHistory = () => {
+  const context = useContext(WatchHistoryContext);
+  if (!context) {
+    throw new Error('useWatchHistory must be used inside a WatchHistoryProvider');
+  }
+  return context;
+};
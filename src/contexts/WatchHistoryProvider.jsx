@@ -0,0 +1,111 @@
+import { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { WatchHistoryContext } from './WatchHistoryContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+
+const HISTORY_KEY = 'watch_history';
+// Oldest entries are dropped past this many titles
+const MAX_ENTRIES = 100;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} key - `<mediaType>-<id>`, one entry per title
+ * @property {'movie'|'tv'} mediaType
+ * @property {number} id
+ * @property {string} title
+ * @property {string|null} posterPath
+ * @property {number} [season] - TV only, the episode last started
+ * @property {number} [episode]
+ * @property {string} [episodeName]
+ * @property {string} source - Embed provider id
+ * @property {number} startedAt - First time the title was played
+ * @property {number} updatedAt - Last time it was played
+ * @property {boolean} finished - Cleared when the title is played again
+ */
+
+const entryKey = (mediaType, id) => `${mediaType}-${id}`;
+
+const byRecent = (a, b) => b.updatedAt - a.updatedAt;
+
+// Newest copy of each title wins, capped to MAX_ENTRIES
+const mergeEntries = (...lists) => {
+  const entries = new Map();
+  lists.flat().sort(byRecent).forEach((entry) => {
+    if (!entries.has(entry.key)) entries.set(entry.key, entry);
+  });
+  return [...entries.values()].slice(0, MAX_ENTRIES);
+};
+
+// Keeps what each title was last played at, persisted through StorageHandler
+const WatchHistoryProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  // Anything recorded while storage was still loading is kept
+  const [entries, setEntries, isLoaded] = usePersistedState(profileKey(HISTORY_KEY), [], {
+    isValid: Array.isArray,
+    merge: mergeEntries
+  });
+
+  // Called when playback starts, only the user starting a player gets here
+  const record = useCallback((mediaType, item, details) => {
+    const now = Date.now();
+    const key = entryKey(mediaType, item.id);
+    setEntries((current) => {
+      const previous = current.find(entry => entry.key === key);
+      return mergeEntries(current.filter(entry => entry.key !== key), {
+        key,
+        mediaType,
+        id: item.id,
+        title: item.title || item.name,
+        posterPath: item.poster_path || null,
+        ...details,
+        startedAt: previous ? previous.startedAt : now,
+        updatedAt: now,
+        // Watching it again, it's in progress until marked finished again
+        finished: false
+      });
+    });
+  }, [setEntries]);
+
+  /** A movie was started in the player with `source` */
+  const recordMovie = useCallback((movie, source) => {
+    record('movie', movie, { source });
+  }, [record]);
+
+  /** An episode of `show` was started with `source` */
+  const recordEpisode = useCallback((show, { season, episode, name }, source) => {
+    record('tv', show, { season, episode, episodeName: name || null, source });
+  }, [record]);
+
+  const removeEntry = useCallback((key) => {
+    setEntries(current => current.filter(entry => entry.key !== key));
+  }, [setEntries]);
+
+  const setFinished = useCallback((key, finished = true) => {
+    setEntries(current => current.map(entry => (entry.key === key ? { ...entry, finished } : entry)));
+  }, [setEntries]);
+
+  const clearHistory = useCallback(() => setEntries([]), [setEntries]);
+
+  const value = useMemo(() => ({
+    history: entries,
+    isLoaded,
+    recordMovie,
+    recordEpisode,
+    removeEntry,
+    setFinished,
+    clearHistory
+  }), [entries, isLoaded, recordMovie, recordEpisode, removeEntry, setFinished, clearHistory]);
+
+  return (
+    <WatchHistoryContext.Provider value={value}>
+      {children}
+    </WatchHistoryContext.Provider>
+  );
+};
+
+WatchHistoryProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default WatchHistoryProvider;
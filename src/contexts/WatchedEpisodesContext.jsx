@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Provided by WatchedEpisodesProvider, see there for the shape
+export const WatchedEpisodesContext = createContext(null);
+
+export const useWatchedEpisodes = () => {
+  const context = useContext(WatchedEpisodesContext);
+  if (!context) {
+    throw new Error('useWatchedEpisodes must be used inside a WatchedEpisodesProvider');
+  }
+  return context;
+};
@@ -0,0 +1,118 @@
+import { useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { WatchedEpisodesContext } from './WatchedEpisodesContext';
+import { useProfiles } from './ProfileContext';
+import usePersistedState from '../hooks/usePersistedState';
+
+const WATCHED_KEY = 'watched_episodes';
+
+// `{ [tvId]: { [season]: { [episode]: watchedAt } } }`
+const isWatchedMap = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Marks made while storage was loading are added to the saved ones
+const mergeWatched = (current, saved) => {
+  const merged = { ...saved };
+  Object.entries(current).forEach(([tvId, seasons]) => {
+    merged[tvId] = { ...merged[tvId] };
+    Object.entries(seasons).forEach(([season, episodes]) => {
+      merged[tvId][season] = { ...merged[tvId][season], ...episodes };
+    });
+  });
+  return merged;
+};
+
+// Replace the watched flags of `episodes` in one season, dropping emptied branches
+const updateSeason = (watched, tvId, season, episodes, isWatched) => {
+  const now = Date.now();
+  const seasonMap = { ...watched[tvId]?.[season] };
+  episodes.forEach((episode) => {
+    if (isWatched) {
+      seasonMap[episode] = seasonMap[episode] || now;
+    } else {
+      delete seasonMap[episode];
+    }
+  });
+
+  const showMap = { ...watched[tvId], [season]: seasonMap };
+  if (Object.keys(seasonMap).length === 0) delete showMap[season];
+
+  const next = { ...watched, [tvId]: showMap };
+  if (Object.keys(showMap).length === 0) delete next[tvId];
+  return next;
+};
+
+// Which episodes of which shows have been seen, persisted through StorageHandler
+const WatchedEpisodesProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  const [watched, setWatched, isLoaded] = usePersistedState(profileKey(WATCHED_KEY), {}, {
+    isValid: isWatchedMap,
+    merge: mergeWatched
+  });
+
+  const isWatched = useCallback(
+    (tvId, season, episode) => Boolean(watched[tvId]?.[season]?.[episode]),
+    [watched]
+  );
+
+  const getWatchedCount = useCallback(
+    (tvId, season) => Object.keys(watched[tvId]?.[season] || {}).length,
+    [watched]
+  );
+
+  const setEpisodeWatched = useCallback((tvId, season, episode, isWatchedNow = true) => {
+    setWatched(current => updateSeason(current, tvId, season, [episode], isWatchedNow));
+  }, [setWatched]);
+
+  /** Mark every episode number in `episodes` of a season at once */
+  const setSeasonWatched = useCallback((tvId, season, episodes, isWatchedNow = true) => {
+    setWatched(current => updateSeason(current, tvId, season, episodes, isWatchedNow));
+  }, [setWatched]);
+
+  /**
+   * First unwatched episode that has aired, walking the seasons in order
+   *
+   * @param {Object} show - TV details with `seasons` and `last_episode_to_air`
+   * @returns {{season: number, episode: number}|null} Null when everything aired has been watched
+   */
+  const getNextEpisode = useCallback((show) => {
+    const lastAired = show.last_episode_to_air;
+    if (!lastAired) return null;
+
+    const seasons = (show.seasons || [])
+      .filter(season => season.season_number > 0 && season.season_number <= lastAired.season_number)
+      .sort((a, b) => a.season_number - b.season_number);
+
+    for (const season of seasons) {
+      const lastEpisode = season.season_number === lastAired.season_number
+        ? lastAired.episode_number
+        : season.episode_count;
+      for (let episode = 1; episode <= lastEpisode; episode += 1) {
+        if (!watched[show.id]?.[season.season_number]?.[episode]) {
+          return { season: season.season_number, episode };
+        }
+      }
+    }
+    return null;
+  }, [watched]);
+
+  const value = useMemo(() => ({
+    isLoaded,
+    isWatched,
+    getWatchedCount,
+    setEpisodeWatched,
+    setSeasonWatched,
+    getNextEpisode
+  }), [isLoaded, isWatched, getWatchedCount, setEpisodeWatched, setSeasonWatched, getNextEpisode]);
+
+  return (
+    <WatchedEpisodesContext.Provider value={value}>
+      {children}
+    </WatchedEpisodesContext.Provider>
+  );
+};
+
+WatchedEpisodesProvider.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+export default WatchedEpisodesProvider;
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import usePersistedState from './usePersistedState';
+import { useProfiles } from '../contexts/ProfileContext';
+
+const AUTOPLAY_KEY = 'autoplay_next';
+// Seconds the "up next" overlay counts down before playing the next episode
+const AUTOPLAY_COUNTDOWN = 10;
+
+/**
+ * The "autoplay next episode" preference and its countdown. Embedded players don't
+ * report when playback ends, so the countdown starts once the episode's runtime has
+ * passed since its source loaded.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.next - Episode to play next, nothing counts down without one
+ * @param {number} [options.runtime] - Minutes, nothing counts down without one
+ * @param {boolean} options.isPlayerReady - The current source has loaded
+ * @param {number} options.attempt - The player's attempt, every (re)load starts over
+ * @param {(next: Object) => void} options.onPlay
+ * @returns {{
+ *   isEnabled: boolean,
+ *   setIsEnabled: (enabled: boolean) => void,
+ *   countdown: number|null,
+ *   playNow: () => void,
+ *   cancel: () => void
+ * }} `countdown` is null while the overlay is hidden
+ */
+const useAutoplayNext = ({ next, runtime, isPlayerReady, attempt, onPlay }) => {
+  const { profileKey } = useProfiles();
+  const [isEnabled, setIsEnabled] = usePersistedState(profileKey(AUTOPLAY_KEY), false, {
+    isValid: value => typeof value === 'boolean'
+  });
+  const [countdown, setCountdown] = useState(null);
+  const hasNext = Boolean(next);
+
+  useEffect(() => {
+    setCountdown(null);
+    if (!isEnabled || !hasNext || !isPlayerReady || !runtime) return;
+    const timer = setTimeout(() => setCountdown(AUTOPLAY_COUNTDOWN), runtime * 60 * 1000);
+    return () => clearTimeout(timer);
+  }, [isEnabled, hasNext, isPlayerReady, runtime, attempt]);
+
+  const playNow = useCallback(() => {
+    setCountdown(null);
+    if (next) onPlay(next);
+  }, [next, onPlay]);
+
+  useEffect(() => {
+    if (countdown === null) return;
+    if (countdown === 0) {
+      playNow();
+      return;
+    }
+    const timer = setTimeout(() => setCountdown(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown, playNow]);
+
+  const cancel = useCallback(() => setCountdown(null), []);
+
+  return { isEnabled, setIsEnabled, countdown, playNow, cancel };
+};
+
+export default useAutoplayNext;
@@ -0,0 +1,65 @@
+import { useEffect, useCallback } from 'react';
+import { useProfiles } from '../contexts/ProfileContext';
+import { useParentalControls } from '../contexts/ParentalControlsContext';
+import {
+  isKidFriendly,
+  isCertificationAllowed,
+  getMediaType,
+  certificationKey
+} from '../utils/ContentFilter';
+
+const NO_ITEMS = [];
+
+/**
+ * The active profile's content restrictions, for TMDB results and details
+ *
+ * @param {Object[]} [items] - Titles that will be checked, their age ratings are loaded
+ *   while parental controls are on
+ * @param {'movie'|'tv'} [mediaType] - For items without a `media_type` of their own
+ * @returns {{
+ *   isRestricted: boolean,
+ *   isAllowed: (item: Object) => boolean,
+ *   isPending: (item: Object) => boolean,
+ *   filterItems: (items: Object[]) => Object[]
+ * }} Nothing is filtered while `isRestricted` is false. Titles whose rating is still
+ *   loading are `isPending` and not allowed yet.
+ */
+const useContentFilter = (items = NO_ITEMS, mediaType = 'movie') => {
+  const { activeProfile } = useProfiles();
+  const { controls, certifications, loadCertifications } = useParentalControls();
+  const isKid = activeProfile.isKid;
+  const isRated = controls.enabled;
+
+  useEffect(() => {
+    if (isRated) loadCertifications(items, mediaType);
+  }, [isRated, items, mediaType, loadCertifications]);
+
+  const certificationsOf = useCallback((item) => {
+    const type = getMediaType(item, mediaType);
+    return { type, titleCertifications: certifications[certificationKey(type, item.id)] };
+  }, [certifications, mediaType]);
+
+  const isPending = useCallback((item) => {
+    if (!isRated) return false;
+    const { type, titleCertifications } = certificationsOf(item);
+    return (type === 'movie' || type === 'tv') && !titleCertifications;
+  }, [isRated, certificationsOf]);
+
+  const isAllowed = useCallback((item) => {
+    if (isKid && !isKidFriendly(item)) return false;
+    if (!isRated) return true;
+    const { type, titleCertifications } = certificationsOf(item);
+    // People and anything else without an age rating
+    if (type !== 'movie' && type !== 'tv') return true;
+    return Boolean(titleCertifications) && isCertificationAllowed(item, type, titleCertifications, controls);
+  }, [isKid, isRated, certificationsOf, controls]);
+
+  const filterItems = useCallback(
+    list => (isKid || isRated ? list.filter(isAllowed) : list),
+    [isKid, isRated, isAllowed]
+  );
+
+  return { isRestricted: isKid || isRated, isAllowed, isPending, filterItems };
+};
+
+export default useContentFilter;
@@ -0,0 +1,139 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getProviders, getProvider } from '../utils/EmbedProviders';
+import {
+  LOAD_TIMEOUT_MS,
+  loadSourceHealth,
+  rankProviders,
+  recordLoad,
+  recordFailure,
+  reportBroken
+} from '../utils/SourceHealth';
+
+/**
+ * Source selection for an embed player: starts on the most reliable provider, times
+ * loads out and fails over to the next untried one, feeding every result back into
+ * the source health stats.
+ *
+ * @param {'movie'|'episode'} kind
+ * @returns {{
+ *   providers: import('../utils/EmbedProviders').EmbedProvider[],
+ *   provider: import('../utils/EmbedProviders').EmbedProvider,
+ *   attempt: number,
+ *   isLoading: boolean,
+ *   error: { key: string, values?: Object }|null,
+ *   start: (sourceId?: string) => void,
+ *   stop: () => void,
+ *   selectSource: (id: string) => void,
+ *   handleLoad: () => void,
+ *   handleError: () => void,
+ *   reportCurrentBroken: () => void
+ * }} `attempt` changes on every (re)load, use it in the iframe's key. `error` is a
+ *   message for the locale's `t`.
+ */
+const useEmbedPlayer = (kind) => {
+  const [providers, setProviders] = useState(() => rankProviders(getProviders(kind)));
+  const [sourceId, setSourceId] = useState(() => providers[0].id);
+  const [attempt, setAttempt] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const startedAt = useRef(0);
+  const tried = useRef(new Set());
+
+  // Stats from earlier visits arrive after the first render
+  useEffect(() => {
+    let isCurrent = true;
+    loadSourceHealth().then(() => {
+      if (isCurrent) setProviders(rankProviders(getProviders(kind)));
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [kind]);
+
+  const load = useCallback((id) => {
+    tried.current.add(id);
+    startedAt.current = Date.now();
+    setSourceId(id);
+    setAttempt(count => count + 1);
+    setIsLoading(true);
+  }, []);
+
+  // Try the best ranked provider that hasn't failed during this playback
+  const failOver = useCallback((failedId, reasonKey) => {
+    const ranked = rankProviders(getProviders(kind));
+    setProviders(ranked);
+    const next = ranked.find(provider => !tried.current.has(provider.id));
+    if (next) {
+      setError({ key: reasonKey, values: { source: getProvider(failedId).label, next: next.label } });
+      load(next.id);
+    } else {
+      setIsLoading(false);
+      setError({ key: 'player.errors.allFailed' });
+    }
+  }, [kind, load]);
+
+  useEffect(() => {
+    if (!isLoading) return;
+    const timer = setTimeout(() => {
+      recordFailure(sourceId);
+      failOver(sourceId, 'player.errors.timeout');
+    }, LOAD_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [isLoading, sourceId, attempt, failOver]);
+
+  // Starts on `sourceId` when it serves this kind (e.g. the one the last episode played
+  // from), otherwise on the best ranked provider
+  const start = useCallback((sourceId) => {
+    const ranked = rankProviders(getProviders(kind));
+    setProviders(ranked);
+    tried.current = new Set();
+    setError(null);
+    const preferred = ranked.find(provider => provider.id === sourceId);
+    load((preferred || ranked[0]).id);
+  }, [kind, load]);
+
+  // The player was hidden, a load that never finishes is not the source's fault
+  const stop = useCallback(() => {
+    setIsLoading(false);
+  }, []);
+
+  // A manual pick is tried even if it failed before
+  const selectSource = useCallback((id) => {
+    tried.current = new Set();
+    setError(null);
+    load(id);
+  }, [load]);
+
+  const handleLoad = () => {
+    if (!isLoading) return;
+    recordLoad(sourceId, Date.now() - startedAt.current);
+    setIsLoading(false);
+    setError(null);
+  };
+
+  const handleError = () => {
+    recordFailure(sourceId);
+    failOver(sourceId, 'player.errors.failed');
+  };
+
+  const reportCurrentBroken = () => {
+    reportBroken(sourceId);
+    failOver(sourceId, 'player.errors.reported');
+  };
+
+  return {
+    providers,
+    provider: getProvider(sourceId),
+    attempt,
+    isLoading,
+    error,
+    start,
+    stop,
+    selectSource,
+    handleLoad,
+    handleError,
+    reportCurrentBroken
+  };
+};
+
+export default useEmbedPlayer;
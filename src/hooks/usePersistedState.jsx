@@ -0,0 +1,63 @@
+import { useState, useEffect, useRef } from 'react';
+import { safeGetItem, safeSetItem } from '../utils/StorageHandler';
+
+/**
+ * useState that is read from and written back to StorageHandler under `key`.
+ * Keys holding user data belong in StorageHandler's PROTECTED_KEYS.
+ *
+ * @param {string} key
+ * @param {*} initialValue - Used until the saved value is read, and when there is none
+ * @param {Object} [options]
+ * @param {(saved: *) => boolean} [options.isValid] - Saved values failing this are ignored
+ * @param {(current: *, saved: *) => *} [options.merge] - Combines changes made while the saved
+ *   value was loading with it; by default the saved value replaces them
+ * @returns {[*, Function, boolean]} Value, setter and whether the saved value has been read
+ */
+const usePersistedState = (key, initialValue, { isValid = () => true, merge = (current, saved) => saved } = {}) => {
+  const [value, setValue] = useState(initialValue);
+  const [isLoaded, setIsLoaded] = useState(false);
+  // Only the options from the first render are used, like `initialValue`
+  const options = useRef({ initialValue, isValid, merge });
+  const loadedKey = useRef(key);
+  // Key whose saved value has been read, null while a read is pending
+  const readyKey = useRef(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    // Switching keys starts over instead of carrying the old value into the new key
+    if (loadedKey.current !== key) {
+      loadedKey.current = key;
+      setValue(options.current.initialValue);
+    }
+    readyKey.current = null;
+    setIsLoaded(false);
+    safeGetItem(key)
+      .then((saved) => {
+        if (!isCurrent || saved === null || !options.current.isValid(saved)) return;
+        setValue(current => options.current.merge(current, saved));
+      })
+      .catch((error) => {
+        console.warn(`Failed to load ${key}:`, error);
+      })
+      .finally(() => {
+        if (!isCurrent) return;
+        readyKey.current = key;
+        setIsLoaded(true);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [key]);
+
+  useEffect(() => {
+    // Writing before the saved value is read would overwrite it
+    if (!isLoaded || readyKey.current !== key) return;
+    safeSetItem(key, value, { compress: false }).catch((error) => {
+      console.warn(`Failed to save ${key}:`, error);
+    });
+  }, [key, value, isLoaded]);
+
+  return [value, setValue, isLoaded];
+};
+
+export default usePersistedState;
@@ -0,0 +1,736 @@
+// English UI messages, the fallback for every other catalog. See utils/I18n for the
+// `{placeholder}` and plural syntax.
+const en = {
+  common: {
+    tryAgain: 'Try Again',
+    loading: 'Loading...',
+    loadingPlayer: 'Loading video player...',
+    minutes: '{count} min',
+    episode: 'Episode {number}',
+    season: 'Season {number}',
+    episodes: {
+      one: '{count} Episode',
+      other: '{count} Episodes'
+    },
+    seasons: {
+      one: '{count} Season',
+      other: '{count} Seasons'
+    },
+    watched: 'Watched',
+    markWatched: 'Mark as watched',
+    markUnwatched: 'Mark as unwatched',
+    noImage: 'No image',
+    noAirDate: 'No air date',
+    watch: 'Watch',
+    reportBroken: 'Report {source} as broken',
+    unknown: 'Unknown',
+    notAvailable: 'N/A',
+    untitled: 'Untitled',
+    search: 'Search',
+    back: 'Back',
+    clearSearch: 'Clear Search',
+    clearFilters: 'Clear Filters',
+    loadingMore: 'Loading more...',
+    loadMore: 'Load More Results',
+    searchingFor: 'Searching for "{query}"...',
+    resultsFor: 'Results for "{query}"',
+    resultsPage: {
+      one: '{count} result (Page {page} of {total})',
+      other: '{count} results (Page {page} of {total})'
+    },
+    pageExceeds: 'Page {page} exceeds maximum of {total}',
+    cacheCleared: 'Cache cleared successfully',
+    clearCacheDev: 'Clear cache (dev only)',
+    errors: {
+      badResponse: 'Unexpected API response format. The server might be down or the API format has changed.',
+      badSearchResponse: 'Unexpected search response format. The server might be down or the API format has changed.'
+    },
+    guestStars: 'Guest Stars',
+    breadcrumb: 'Breadcrumb',
+    votes: {
+      one: '{count} vote',
+      other: '{count} votes'
+    },
+    selectAll: 'Select all',
+    selectNone: 'Select none',
+    select: 'Select',
+    selectTitle: 'Select {title}',
+    removeSelected: 'Remove selected ({count})',
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    remove: 'Remove',
+    edit: 'Edit',
+    movie: 'Movie',
+    tvShow: 'TV Show',
+    titles: {
+      one: '{count} title',
+      other: '{count} titles'
+    },
+    error: 'Error',
+    overview: 'Overview',
+    runtime: '{hours}h {minutes}m',
+    goBack: 'Go Back',
+    showLess: 'Show less',
+    readMore: 'Read more',
+    close: 'Close',
+    loadError: 'Something went wrong while loading. Please try again.',
+    sortBy: 'Sort by'
+  },
+  nav: {
+    home: 'Home',
+    homeLabel: 'RanwUse Homepage',
+    movies: 'Movies',
+    tvShows: 'TV Shows',
+    library: 'Library',
+    settings: 'Settings',
+    github: 'View on GitHub',
+    toggleMenu: 'Toggle menu',
+    dark: 'Dark',
+    light: 'Light',
+    language: 'Language',
+    searchLabel: 'Search movies, TV shows and people',
+    searchPlaceholder: 'Search movies, shows, people...'
+  },
+  pagination: {
+    firstPage: 'Go to first page',
+    lastPage: 'Go to last page',
+    goToPage: 'Go to page {page}',
+    previous: 'Previous page',
+    prev: 'Prev',
+    next: 'Next page',
+    nextShort: 'Next',
+    goTo: 'Go to:',
+    goToPageRange: 'Go to page (1-{total})',
+    goToSpecified: 'Go to specified page',
+    go: 'Go',
+    exceeds: 'Page {page} exceeds total. Showing last page ({total})',
+    pageOf: 'Page {page} of {total}',
+    showingItems: 'Showing items {from} - {to}'
+  },
+  seasons: {
+    heading: 'Seasons & Episodes',
+    selectSeason: 'Select Season:',
+    watchedOf: {
+      one: '{watched} of {count} episode watched',
+      other: '{watched} of {count} episodes watched'
+    },
+    loadingEpisodes: 'Loading episodes...',
+    rateLimited: 'The API rate limit was exceeded. Retrying in {seconds} seconds... (Attempt {attempt}/{attempts})',
+    thumbnail: '{name} thumbnail',
+    hideDetails: 'Hide Details',
+    details: 'Details',
+    openEpisode: 'Open episode page',
+    watchEpisode: 'Watch Episode:',
+    playerTitle: '{season} Episode {episode}',
+    playEpisode: 'Play Episode',
+    overview: 'Overview:',
+    guestStars: 'Guest Stars:',
+    andMore: 'and {count} more...',
+    director: 'Director:',
+    notListed: 'Not listed',
+    noSeasons: 'No seasons information available',
+    markSeasonWatched: 'Mark season watched',
+    markSeasonUnwatched: 'Mark season unwatched',
+    firstAired: 'First aired: {date}',
+    noEpisodes: 'No episode information available for this season'
+  },
+  movies: {
+    title: 'Discover Movies',
+    intro: 'Find the latest and greatest movies from around the world. Search for your favorites or discover new titles to watch.',
+    searchPlaceholder: 'Search for a movie...',
+    loading: 'Loading movies...',
+    errorTitle: 'Error loading movies',
+    filtered: 'Filtered Movies',
+    popular: 'Popular Movies',
+    all: 'All Movies',
+    noneFound: 'No movies found',
+    pagesLoaded: {
+      one: '{loaded} of {total} pages loaded ({count} movie)',
+      other: '{loaded} of {total} pages loaded ({count} movies)'
+    },
+    errors: {
+      emptyPage: 'No movies found for this page. The API may have reached its pagination limit.',
+      connect: 'Failed to load movies. {reason}',
+      search: 'Failed to search movies. {reason}'
+    }
+  },
+  tvShows: {
+    title: 'Discover TV Shows',
+    intro: 'Find popular series, anime, and TV shows from around the world. Explore trending shows or search for your favorites.',
+    searchPlaceholder: 'Search for a TV show...',
+    loading: 'Loading TV shows...',
+    errorTitle: 'Error loading TV shows',
+    filtered: 'Filtered TV Shows',
+    popular: 'Popular TV Shows',
+    all: 'All TV Shows',
+    noneFound: 'No TV shows found',
+    pagesLoaded: {
+      one: '{loaded} of {total} pages loaded ({count} show)',
+      other: '{loaded} of {total} pages loaded ({count} shows)'
+    },
+    errors: {
+      emptyPage: 'No TV shows found for this page. The API may have reached its pagination limit.',
+      connect: 'Failed to load TV shows. {reason}',
+      search: 'Failed to search TV shows. {reason}'
+    }
+  },
+  collections: {
+    today: 'Today',
+    thisWeek: 'This Week',
+    trendingMovies: 'Trending Movies',
+    nowPlaying: 'Now Playing',
+    upcoming: 'Upcoming',
+    topRatedMovies: 'Top Rated Movies',
+    airingToday: 'Airing Today',
+    onTheAir: 'On The Air',
+    topRatedTvShows: 'Top Rated TV Shows'
+  },
+  rails: {
+    scrollLeft: 'Scroll left',
+    scrollRight: 'Scroll right',
+    seeAll: 'See all',
+    recommended: 'Recommended',
+    similar: 'More like this'
+  },
+  browse: {
+    notFound: 'This list does not exist.',
+    backToMovies: 'Back to Movies',
+    backToTvShows: 'Back to TV Shows',
+    description: 'Browse {title} on RanwUse.',
+    loading: 'Loading {title}...',
+    errorTitle: 'Error loading {title}'
+  },
+  episode: {
+    loadingTitle: 'Loading Episode',
+    loadingDescription: 'Loading the episode player...',
+    loadingPlayer: 'Loading player...',
+    notFoundTitle: 'Episode Not Found',
+    notFoundDescription: 'The requested episode could not be found.',
+    notFound: 'Episode not found',
+    backTo: 'Back to {name}',
+    backToShow: 'Back to the show',
+    description: '{name}, episode {episode} of {show} season {season}',
+    playerTitle: '{show} {code} Player',
+    still: '{name} still',
+    stills: '{code} Stills'
+  },
+  library: {
+    title: 'My Library',
+    description: 'Your watchlist and favorite movies and TV shows.',
+    myRatings: 'My ratings',
+    myLists: 'My lists',
+    watchlist: 'Watchlist',
+    favorites: 'Favorites',
+    filterByType: 'Filter by type',
+    confirmRemove: {
+      one: 'Remove {count} title from your {list}?',
+      other: 'Remove {count} titles from your {list}?'
+    },
+    loading: 'Loading your library...',
+    empty: 'Nothing saved here yet.',
+    emptyType: 'Nothing of this type saved here.',
+    hint: 'Use the bookmark and heart buttons on any title to save it.',
+    browseMovies: 'Browse movies',
+    sorts: {
+      added: 'Recently added',
+      title: 'Title',
+      rating: 'Rating',
+      release: 'Release date'
+    },
+    types: {
+      all: 'All',
+      movie: 'Movies',
+      tv: 'TV Shows'
+    },
+    toggles: {
+      addToWatchlist: 'Add to watchlist',
+      removeFromWatchlist: 'Remove from watchlist',
+      watchlist: 'Watchlist',
+      addToFavorites: 'Add to favorites',
+      removeFromFavorites: 'Remove from favorites',
+      favorite: 'Favorite'
+    }
+  },
+  ratings: {
+    title: 'My Ratings',
+    description: 'Your own ratings and reviews of movies and TV shows.',
+    backToLibrary: 'Back to library',
+    distributionLabel: 'Rating distribution',
+    distribution: 'Distribution',
+    summary: '{count} rated · average {average}/{max}',
+    binTitle: {
+      one: '{count} star: {people}',
+      other: '{count} stars: {people}'
+    },
+    confirmRemove: 'Remove your rating and review of "{title}"?',
+    loading: 'Loading your ratings...',
+    empty: 'Nothing rated here yet.',
+    hint: 'Rate a title from its details page to see it here.',
+    remove: 'Remove your rating of {title}',
+    notRated: 'Not rated',
+    sorts: {
+      date: 'Recently rated',
+      rating: 'Highest rated',
+      lowest: 'Lowest rated'
+    }
+  },
+  lists: {
+    title: 'My Lists',
+    description: 'Your own lists of movies and TV shows.',
+    library: 'Watchlist & favorites',
+    newList: 'New list',
+    namePlaceholder: 'Name, e.g. Friday horror',
+    name: 'List name',
+    descriptionPlaceholder: 'Description (optional)',
+    descriptionLabel: 'List description',
+    create: 'Create list',
+    loading: 'Loading your lists...',
+    empty: 'No lists yet. Create one above, or use "Add to list" on any movie or show.',
+    updated: 'Updated {date}',
+    loadingList: 'Loading list...',
+    notFoundTitle: 'List Not Found',
+    notFoundDescription: 'The requested list could not be found.',
+    notFound: 'This list doesn\'t exist (anymore).',
+    backToLists: 'Back to my lists',
+    confirmDelete: 'Delete the list "{name}"? This can\'t be undone.',
+    listDescription: {
+      one: '{name}: a list of {count} movie or TV show.',
+      other: '{name}: a list of {count} movies and TV shows.'
+    },
+    delete: 'Delete list',
+    emptyList: 'This list is empty. Use "Add to list" on any movie or show page to fill it.',
+    moveEarlier: 'Move {title} earlier',
+    moveLater: 'Move {title} later',
+    removeTitle: 'Remove {title} from the list',
+    removeFromList: 'Remove from list',
+    addNote: 'Add a note',
+    noteFor: 'Note for {title}',
+    menu: {
+      inLists: {
+        one: 'In {count} list',
+        other: 'In {count} lists'
+      },
+      add: 'Add to list',
+      empty: 'You don\'t have any lists yet.',
+      newListName: 'New list name',
+      create: 'Create',
+      manage: 'Manage lists'
+    }
+  },
+  movieDetails: {
+    loading: 'Loading movie details...',
+    notFound: 'Movie not found',
+    title: 'Movie Details',
+    description: 'Details about {title}',
+    noPoster: 'No poster available',
+    releaseDate: 'Release Date:',
+    runtime: 'Runtime:',
+    rating: 'Rating:',
+    production: 'Production',
+    country: 'Country',
+    budget: 'Budget',
+    revenue: 'Revenue',
+    videos: 'Videos',
+    watch: 'Watch Movie',
+    theaterMode: 'Open in theater mode',
+    playerTitle: '{title} Player',
+    playerHint: 'If the player doesn\'t load correctly, please try refreshing the page or check back later.',
+    errors: {
+      load: 'Failed to load movie details. {reason}'
+    },
+    play: 'Play Movie'
+  },
+  player: {
+    source: 'Source:',
+    errors: {
+      timeout: '{source} did not respond. Trying {next}...',
+      failed: '{source} failed to load. Trying {next}...',
+      reported: '{source} was reported as broken. Trying {next}...',
+      allFailed: 'None of the sources could load this title. Please try again later or pick a source manually.'
+    }
+  },
+  person: {
+    loading: 'Loading profile...',
+    errorTitle: 'Could not load this person',
+    description: 'Movies and TV shows with {name}',
+    noPhoto: 'No photo available',
+    knownFor: 'Known For',
+    born: 'Born',
+    age: 'age {age}',
+    placeOfBirth: 'Place of Birth',
+    died: 'Died',
+    agedAtDeath: 'aged {age}',
+    biography: 'Biography',
+    noBiography: 'We don\'t have a biography for {name}.',
+    filmography: 'Filmography',
+    filterByRole: 'Filter by role',
+    allRoles: 'All roles',
+    acting: 'Acting',
+    sortFilmography: 'Sort filmography',
+    noCredits: 'No credits to show.',
+    tv: 'TV',
+    sorts: {
+      year: 'Newest first',
+      popularity: 'Most popular'
+    },
+    credits: {
+      job: '{job}',
+      character: 'as {character}',
+      characterEpisodes: {
+        one: 'as {character} ({count} episode)',
+        other: 'as {character} ({count} episodes)'
+      },
+      cast: 'Cast',
+      castEpisodes: {
+        one: 'Cast ({count} episode)',
+        other: 'Cast ({count} episodes)'
+      }
+    }
+  },
+  profiles: {
+    title: 'Profiles',
+    description: 'Manage the profiles on this device.',
+    confirmDelete: 'Delete the profile "{name}" with its watchlist, history and ratings? This can\'t be undone.',
+    kidNotice: 'Profiles can\'t be managed from a kid profile.',
+    kidHint: 'Switch to another profile from the avatar menu first.',
+    add: 'Add profile',
+    intro: 'Each profile has its own watchlist, favorites, lists, ratings, history, theme and TMDB account.',
+    newProfile: 'New profile',
+    active: 'Active',
+    kid: 'Kid profile',
+    pinLocked: 'PIN locked',
+    noPin: 'No PIN',
+    whoIsWatching: 'Who\'s watching?',
+    kidBadge: 'KID',
+    menuLabel: 'Profile: {name}',
+    manage: 'Manage profiles',
+    errors: {
+      name: 'Give the profile a name.'
+    },
+    form: {
+      name: 'Name',
+      color: 'Avatar color',
+      kidHint: 'Only shows titles for kids, and can\'t manage profiles. Lock the other profiles with a PIN so it can\'t switch to them.',
+      newPin: 'New PIN (leave empty to keep the current one)',
+      pin: 'PIN (optional, 4-8 digits)',
+      removePin: 'Remove the PIN'
+    },
+    colors: {
+      blue: 'Blue',
+      rose: 'Rose',
+      emerald: 'Emerald',
+      amber: 'Amber',
+      violet: 'Violet',
+      cyan: 'Cyan',
+      orange: 'Orange',
+      pink: 'Pink'
+    }
+  },
+  search: {
+    resultsTitle: 'Search results for "{query}"',
+    description: 'Search movies, TV shows and people in one place.',
+    hint: 'Type a title or a name in the search bar to find movies, TV shows and people.',
+    failed: 'Search failed',
+    nothingFound: 'Nothing found for "{query}".',
+    types: {
+      all: 'All',
+      movie: 'Movies',
+      tv: 'TV Shows',
+      person: 'People'
+    },
+    seeAll: {
+      movie: 'See all movies',
+      tv: 'See all TV shows',
+      person: 'See all people'
+    }
+  },
+  seasonDetails: {
+    loadingTitle: 'Loading Season',
+    loading: 'Loading season details...',
+    notFoundTitle: 'Season Not Found',
+    notFoundDescription: 'The requested season could not be found.',
+    notFound: 'Season not found',
+    description: {
+      one: 'The {count} episode of {show} {season}',
+      other: 'All {count} episodes of {show} {season}'
+    },
+    watch: 'Watch {code}',
+    seasons: 'Seasons',
+    episodes: 'Episodes'
+  },
+  settings: {
+    title: 'Settings',
+    description: 'Sync with your TMDB account, set parental controls, back up your library or import it from Letterboxd and Trakt.',
+    exportFailed: 'Your data could not be exported, please try again.',
+    account: 'TMDB account',
+    parental: 'Parental controls',
+    export: 'Export your data',
+    exportIntro: 'Everything saved in this browser: watchlist, favorites, lists, ratings, watch history and settings. JSON is a full backup, CSV has one row per title for spreadsheets.',
+    downloadJson: 'Download JSON',
+    downloadCsv: 'Download CSV',
+    import: 'Import from another service',
+    importIntro: 'Titles are matched to TMDB first. Nothing is saved until you have checked the report.'
+  },
+  tvShowDetails: {
+    loadingTitle: 'Loading TV Show',
+    loading: 'Loading TV show details...',
+    errorTitle: 'Error | TV Show Details',
+    errorDescription: 'There was an error loading the TV show details.',
+    error: 'Error loading TV show details',
+    notFoundTitle: 'TV Show Not Found',
+    notFoundDescription: 'The requested TV show could not be found.',
+    notFound: 'TV show not found',
+    createdBy: 'Created by',
+    nextUp: 'Next up: {code}',
+    networks: 'Networks',
+    productionCompanies: 'Production Companies',
+    status: {
+      returning: 'Returning Series',
+      ended: 'Ended',
+      canceled: 'Canceled',
+      inProduction: 'In Production',
+      planned: 'Planned',
+      pilot: 'Pilot'
+    }
+  },
+  watchMovie: {
+    loadingTitle: 'Loading Movie',
+    loadingDescription: 'Loading the movie player...',
+    notFoundTitle: 'Movie Not Found',
+    notFoundDescription: 'The requested movie could not be found.',
+    title: 'Watch {title}',
+    unknownYear: 'Unknown year'
+  },
+  backToTop: {
+    label: 'Back to top',
+    description: 'Scroll to top of page'
+  },
+  episodeNavigation: {
+    previous: 'Previous',
+    next: 'Next',
+    autoplay: 'Autoplay next episode',
+    upNextIn: 'Up next in {seconds}s',
+    playNow: 'Play now'
+  },
+  sort: {
+    descending: 'Descending',
+    ascending: 'Ascending',
+    switchToAscending: 'Sorted descending, switch to ascending',
+    switchToDescending: 'Sorted ascending, switch to descending',
+    fields: {
+      popularity: 'Popularity',
+      rating: 'Rating',
+      votes: 'Vote count',
+      releaseDate: 'Release date',
+      firstAirDate: 'First air date',
+      title: 'Title',
+      revenue: 'Revenue'
+    }
+  },
+  stills: {
+    title: 'Stills',
+    still: '{title} {number}',
+    dialog: '{title} {number} of {count}',
+    previous: 'Previous still',
+    next: 'Next still'
+  },
+  filters: {
+    title: 'Filters',
+    loadError: 'Could not load filter options. {reason}',
+    genres: 'Genres',
+    country: 'Origin country',
+    anyCountry: 'Any country',
+    language: 'Original language',
+    anyLanguage: 'Any language',
+    firstAired: 'First aired',
+    releaseYear: 'Release year',
+    from: 'From',
+    fromYear: 'From year',
+    to: 'To',
+    toYear: 'To year',
+    runtime: 'Runtime (minutes)',
+    min: 'Min',
+    minRuntime: 'Minimum runtime',
+    max: 'Max',
+    maxRuntime: 'Maximum runtime',
+    minRating: 'Minimum rating',
+    minVotes: 'Minimum votes',
+    minVotesPlaceholder: 'e.g. 100',
+    reset: 'Reset',
+    apply: 'Apply filters'
+  },
+  pin: {
+    label: 'PIN for {name}',
+    wrong: 'Wrong PIN, try again.',
+    unlock: 'Unlock',
+    locked: 'PIN locked'
+  },
+  restricted: {
+    checking: 'Checking the age rating...',
+    title: 'Not available on this profile',
+    description: 'This title isn\'t available with this profile\'s content settings.',
+    backToBrowsing: 'Back to browsing'
+  },
+  parental: {
+    moviesUpTo: 'Movies up to',
+    tvUpTo: 'TV shows up to',
+    confirmTurnOff: 'Turn off parental controls for every profile? The parental PIN will be removed.',
+    pinTarget: 'parental controls',
+    summary: '{region} ratings: movies up to {movie}, TV shows up to {tv}.',
+    unratedHidden: 'Unrated titles are hidden.',
+    unratedShown: 'Unrated titles are shown.',
+    description: 'Hide titles rated above an age rating on every profile, everywhere in the app. Changing the limit takes a PIN.',
+    change: 'Change',
+    setUp: 'Set up parental controls',
+    loading: 'Loading age ratings...',
+    region: 'Ratings of',
+    pickRating: 'Pick a rating',
+    hideUnrated: 'Hide unrated titles',
+    hideUnratedHint: 'Titles without a rating in {region}, often older or foreign ones.',
+    newPin: 'New PIN (optional)',
+    pin: 'Parental PIN',
+    repeatPin: 'Repeat the PIN',
+    turnOn: 'Turn on',
+    turnOff: 'Turn off',
+    errors: {
+      pickRatings: 'Pick the highest rating allowed for movies and for TV shows.',
+      pinLength: 'A PIN is 4 to 8 digits.',
+      pinMismatch: 'The PINs don\'t match.',
+      load: 'Age ratings could not be loaded. {reason}'
+    }
+  },
+  import: {
+    hints: {
+      letterboxd: 'The CSV files from your Letterboxd data export (ratings, reviews, diary, watchlist, likes/films).',
+      trakt: 'The JSON files from a Trakt backup (ratings, watchlist, favorites).'
+    },
+    errors: {
+      notLetterboxd: '{file} is not a Letterboxd export file.',
+      nothingToImport: '{file} has nothing to import, only ratings, reviews, the watchlist and liked films are.',
+      invalidJson: '{file} is not valid JSON.',
+      notTrakt: '{file} is not a Trakt backup file.',
+      unreadable: '{file} could not be read.',
+      matchingFailed: 'Matching titles on TMDB failed, please try again.'
+    },
+    reasons: {
+      noMatch: 'No matching title on TMDB',
+      lookupFailed: 'Lookup failed. {reason}'
+    },
+    targets: {
+      rating: {
+        one: '{count} rating or review',
+        other: '{count} ratings and reviews'
+      },
+      watchlist: {
+        one: '{count} watchlist title',
+        other: '{count} watchlist titles'
+      },
+      favorites: {
+        one: '{count} favorite',
+        other: '{count} favorites'
+      }
+    },
+    from: 'Import from',
+    files: '{source} files',
+    matching: 'Matching titles on TMDB... {done}/{total}',
+    report: 'Match report',
+    ready: 'Ready to import {counts}.',
+    noneMatched: 'No titles could be matched.',
+    unmatched: {
+      one: '{count} row was not matched and will be skipped:',
+      other: '{count} rows were not matched and will be skipped:'
+    },
+    columns: {
+      title: 'Title',
+      year: 'Year',
+      row: 'Row',
+      reason: 'Reason'
+    },
+    noTitle: '(no title)',
+    importTitles: {
+      one: 'Import {count} title',
+      other: 'Import {count} titles'
+    },
+    done: 'Imported {counts} from {source}.',
+    more: 'Import more'
+  },
+  account: {
+    status: {
+      syncing: 'Syncing...',
+      offline: 'Offline, changes are queued and sent once TMDB can be reached.',
+      error: 'The last sync failed.'
+    },
+    errors: {
+      callback: 'Signing in with TMDB failed. Was the request approved?',
+      start: 'Could not reach TMDB to start signing in.',
+      sessionExpired: 'Your TMDB session has expired, please sign in again.',
+      sync: 'The sync failed. {reason}'
+    },
+    policies: {
+      local: 'Keep this device\'s rating',
+      remote: 'Keep the TMDB rating'
+    },
+    confirmSignOut: 'Sign out of TMDB? Your library stays on this device.',
+    description: 'Sign in to keep your watchlist, favorites and ratings in sync with your TMDB account.',
+    signingIn: 'Signing in...',
+    signIn: 'Sign in with TMDB',
+    signedInAs: 'Signed in as',
+    lastSynced: 'Last synced {date}.',
+    pending: {
+      one: '{count} change is waiting to be sent.',
+      other: '{count} changes are waiting to be sent.'
+    },
+    syncNow: 'Sync now',
+    signOut: 'Sign out',
+    conflictPolicy: 'When a rating was changed on both sides',
+    conflicts: 'Ratings changed on both sides in the last sync:',
+    conflictKeptLocal: '{title}: {local} here, {remote} on TMDB, kept this device\'s',
+    conflictKeptRemote: '{title}: {local} here, {remote} on TMDB, kept TMDB\'s',
+    none: 'none',
+    rejected: 'TMDB rejected some changes:'
+  },
+  rating: {
+    stars: '{value} out of {max} stars',
+    notRated: 'Not rated',
+    yours: 'Your rating',
+    clear: 'Clear',
+    review: 'Private review',
+    reviewPlaceholder: 'What did you think? Only you can see this.',
+    saveReview: 'Save review',
+    savedOn: 'Saved {date}'
+  },
+  credits: {
+    label: 'Cast and crew',
+    topCast: 'Top Cast',
+    hideAll: 'Hide full cast & crew',
+    showAll: 'Full cast & crew',
+    cast: 'Cast'
+  },
+  continueWatching: {
+    title: 'Continue Watching',
+    resume: 'Continue watching {title}',
+    watchedOn: 'Watched {date}',
+    markFinished: 'Mark as finished',
+    markFinishedTitle: 'Mark {title} as finished',
+    removeTitle: 'Remove {title} from continue watching'
+  },
+  listItem: {
+    watchTv: 'Watch TV Show: {title}',
+    watchMovie: 'Watch Movie: {title}',
+    noImage: 'No Image Available',
+    yourRating: 'You: {rating}/{max}',
+    watchNow: 'Watch Now'
+  },
+  errors: {
+    network: 'Could not reach TMDB, check your internet connection.',
+    unauthorized: 'TMDB refused the request, the API token may be invalid.',
+    notFound: 'TMDB doesn\'t have this.',
+    rateLimited: 'Too many requests to TMDB, try again in a moment.',
+    server: 'TMDB is having problems, try again later.',
+    status: 'TMDB answered with error {status}.',
+    unknown: 'Something went wrong.'
+  }
+};
+
+export default en;
@@ -0,0 +1,673 @@
+// Bahasa Indonesia UI messages, keys mirror locales/en. Indonesian has no plural forms,
+// so counted messages are plain strings.
+const id = {
+  common: {
+    tryAgain: 'Coba Lagi',
+    loading: 'Memuat...',
+    loadingPlayer: 'Memuat pemutar video...',
+    minutes: '{count} mnt',
+    episode: 'Episode {number}',
+    season: 'Musim {number}',
+    episodes: '{count} Episode',
+    seasons: '{count} Musim',
+    watched: 'Sudah ditonton',
+    markWatched: 'Tandai sudah ditonton',
+    markUnwatched: 'Tandai belum ditonton',
+    noImage: 'Tidak ada gambar',
+    noAirDate: 'Tanggal tayang belum ada',
+    watch: 'Tonton',
+    reportBroken: 'Laporkan {source} rusak',
+    unknown: 'Tidak diketahui',
+    notAvailable: 'T/A',
+    untitled: 'Tanpa judul',
+    search: 'Cari',
+    back: 'Kembali',
+    clearSearch: 'Hapus Pencarian',
+    clearFilters: 'Hapus Filter',
+    loadingMore: 'Memuat lagi...',
+    loadMore: 'Muat Hasil Lainnya',
+    searchingFor: 'Mencari "{query}"...',
+    resultsFor: 'Hasil untuk "{query}"',
+    resultsPage: '{count} hasil (Halaman {page} dari {total})',
+    pageExceeds: 'Halaman {page} melebihi batas {total}',
+    cacheCleared: 'Cache berhasil dihapus',
+    clearCacheDev: 'Hapus cache (khusus dev)',
+    errors: {
+      badResponse: 'Format respons API tidak terduga. Server mungkin sedang mati atau format API telah berubah.',
+      badSearchResponse: 'Format respons pencarian tidak terduga. Server mungkin sedang mati atau format API telah berubah.'
+    },
+    guestStars: 'Bintang Tamu',
+    breadcrumb: 'Navigasi jejak',
+    votes: '{count} suara',
+    selectAll: 'Pilih semua',
+    selectNone: 'Batalkan pilihan',
+    select: 'Pilih',
+    selectTitle: 'Pilih {title}',
+    removeSelected: 'Hapus yang dipilih ({count})',
+    cancel: 'Batal',
+    save: 'Simpan',
+    delete: 'Hapus',
+    remove: 'Hapus',
+    edit: 'Ubah',
+    movie: 'Film',
+    tvShow: 'Serial TV',
+    titles: '{count} judul',
+    error: 'Kesalahan',
+    overview: 'Sinopsis',
+    runtime: '{hours} j {minutes} m',
+    goBack: 'Kembali',
+    showLess: 'Tampilkan lebih sedikit',
+    readMore: 'Baca selengkapnya',
+    close: 'Tutup',
+    loadError: 'Terjadi kesalahan saat memuat. Silakan coba lagi.',
+    sortBy: 'Urutkan menurut'
+  },
+  nav: {
+    home: 'Beranda',
+    homeLabel: 'Beranda RanwUse',
+    movies: 'Film',
+    tvShows: 'Acara TV',
+    library: 'Koleksi',
+    settings: 'Pengaturan',
+    github: 'Lihat di GitHub',
+    toggleMenu: 'Buka atau tutup menu',
+    dark: 'Gelap',
+    light: 'Terang',
+    language: 'Bahasa',
+    searchLabel: 'Cari film, acara TV, dan orang',
+    searchPlaceholder: 'Cari film, acara, orang...'
+  },
+  pagination: {
+    firstPage: 'Ke halaman pertama',
+    lastPage: 'Ke halaman terakhir',
+    goToPage: 'Ke halaman {page}',
+    previous: 'Halaman sebelumnya',
+    prev: 'Sebelumnya',
+    next: 'Halaman berikutnya',
+    nextShort: 'Berikutnya',
+    goTo: 'Ke:',
+    goToPageRange: 'Ke halaman (1-{total})',
+    goToSpecified: 'Ke halaman yang dipilih',
+    go: 'Buka',
+    exceeds: 'Halaman {page} melebihi total. Menampilkan halaman terakhir ({total})',
+    pageOf: 'Halaman {page} dari {total}',
+    showingItems: 'Menampilkan item {from} - {to}'
+  },
+  seasons: {
+    heading: 'Musim & Episode',
+    selectSeason: 'Pilih Musim:',
+    watchedOf: '{watched} dari {count} episode sudah ditonton',
+    loadingEpisodes: 'Memuat episode...',
+    rateLimited: 'Batas permintaan API terlampaui. Mencoba lagi dalam {seconds} detik... (Percobaan {attempt}/{attempts})',
+    thumbnail: 'Gambar mini {name}',
+    hideDetails: 'Sembunyikan Detail',
+    details: 'Detail',
+    openEpisode: 'Buka halaman episode',
+    watchEpisode: 'Tonton Episode:',
+    playerTitle: '{season} Episode {episode}',
+    playEpisode: 'Putar Episode',
+    overview: 'Sinopsis:',
+    guestStars: 'Bintang Tamu:',
+    andMore: 'dan {count} lainnya...',
+    director: 'Sutradara:',
+    notListed: 'Tidak tercantum',
+    noSeasons: 'Informasi musim tidak tersedia',
+    markSeasonWatched: 'Tandai musim sudah ditonton',
+    markSeasonUnwatched: 'Tandai musim belum ditonton',
+    firstAired: 'Pertama tayang: {date}',
+    noEpisodes: 'Informasi episode untuk musim ini tidak tersedia'
+  },
+  movies: {
+    title: 'Jelajahi Film',
+    intro: 'Temukan film terbaru dan terbaik dari seluruh dunia. Cari film favorit Anda atau temukan judul baru untuk ditonton.',
+    searchPlaceholder: 'Cari film...',
+    loading: 'Memuat film...',
+    errorTitle: 'Gagal memuat film',
+    filtered: 'Film Terfilter',
+    popular: 'Film Populer',
+    all: 'Semua Film',
+    noneFound: 'Film tidak ditemukan',
+    pagesLoaded: '{loaded} dari {total} halaman dimuat ({count} film)',
+    errors: {
+      emptyPage: 'Tidak ada film di halaman ini. API mungkin sudah mencapai batas halaman.',
+      connect: 'Gagal memuat film. {reason}',
+      search: 'Gagal mencari film. {reason}'
+    }
+  },
+  tvShows: {
+    title: 'Jelajahi Serial TV',
+    intro: 'Temukan serial, anime, dan acara TV populer dari seluruh dunia. Jelajahi acara yang sedang tren atau cari favorit Anda.',
+    searchPlaceholder: 'Cari serial TV...',
+    loading: 'Memuat serial TV...',
+    errorTitle: 'Gagal memuat serial TV',
+    filtered: 'Serial TV Terfilter',
+    popular: 'Serial TV Populer',
+    all: 'Semua Serial TV',
+    noneFound: 'Serial TV tidak ditemukan',
+    pagesLoaded: '{loaded} dari {total} halaman dimuat ({count} serial)',
+    errors: {
+      emptyPage: 'Tidak ada serial TV di halaman ini. API mungkin sudah mencapai batas halaman.',
+      connect: 'Gagal memuat serial TV. {reason}',
+      search: 'Gagal mencari serial TV. {reason}'
+    }
+  },
+  collections: {
+    today: 'Hari Ini',
+    thisWeek: 'Minggu Ini',
+    trendingMovies: 'Film Trending',
+    nowPlaying: 'Sedang Tayang',
+    upcoming: 'Segera Hadir',
+    topRatedMovies: 'Film Rating Tertinggi',
+    airingToday: 'Tayang Hari Ini',
+    onTheAir: 'Sedang Berlangsung',
+    topRatedTvShows: 'Serial TV Rating Tertinggi'
+  },
+  rails: {
+    scrollLeft: 'Geser ke kiri',
+    scrollRight: 'Geser ke kanan',
+    seeAll: 'Lihat semua',
+    recommended: 'Rekomendasi',
+    similar: 'Serupa dengan ini'
+  },
+  browse: {
+    notFound: 'Daftar ini tidak ada.',
+    backToMovies: 'Kembali ke Film',
+    backToTvShows: 'Kembali ke Serial TV',
+    description: 'Jelajahi {title} di RanwUse.',
+    loading: 'Memuat {title}...',
+    errorTitle: 'Gagal memuat {title}'
+  },
+  episode: {
+    loadingTitle: 'Memuat Episode',
+    loadingDescription: 'Memuat pemutar episode...',
+    loadingPlayer: 'Memuat pemutar...',
+    notFoundTitle: 'Episode Tidak Ditemukan',
+    notFoundDescription: 'Episode yang diminta tidak dapat ditemukan.',
+    notFound: 'Episode tidak ditemukan',
+    backTo: 'Kembali ke {name}',
+    backToShow: 'Kembali ke serial',
+    description: '{name}, episode {episode} dari {show} musim {season}',
+    playerTitle: 'Pemutar {show} {code}',
+    still: 'Cuplikan {name}',
+    stills: 'Cuplikan {code}'
+  },
+  library: {
+    title: 'Koleksi Saya',
+    description: 'Daftar tonton serta film dan serial TV favorit Anda.',
+    myRatings: 'Rating saya',
+    myLists: 'Daftar saya',
+    watchlist: 'Daftar Tonton',
+    favorites: 'Favorit',
+    filterByType: 'Filter menurut jenis',
+    confirmRemove: 'Hapus {count} judul dari {list} Anda?',
+    loading: 'Memuat koleksi Anda...',
+    empty: 'Belum ada yang disimpan di sini.',
+    emptyType: 'Belum ada judul jenis ini yang disimpan di sini.',
+    hint: 'Gunakan tombol penanda dan hati pada judul mana pun untuk menyimpannya.',
+    browseMovies: 'Jelajahi film',
+    sorts: {
+      added: 'Baru ditambahkan',
+      title: 'Judul',
+      rating: 'Rating',
+      release: 'Tanggal rilis'
+    },
+    types: {
+      all: 'Semua',
+      movie: 'Film',
+      tv: 'Serial TV'
+    },
+    toggles: {
+      addToWatchlist: 'Tambah ke daftar tonton',
+      removeFromWatchlist: 'Hapus dari daftar tonton',
+      watchlist: 'Daftar tonton',
+      addToFavorites: 'Tambah ke favorit',
+      removeFromFavorites: 'Hapus dari favorit',
+      favorite: 'Favorit'
+    }
+  },
+  ratings: {
+    title: 'Rating Saya',
+    description: 'Rating dan ulasan Anda sendiri untuk film dan serial TV.',
+    backToLibrary: 'Kembali ke koleksi',
+    distributionLabel: 'Sebaran rating',
+    distribution: 'Sebaran',
+    summary: '{count} diberi rating · rata-rata {average}/{max}',
+    binTitle: '{count} bintang: {people}',
+    confirmRemove: 'Hapus rating dan ulasan Anda untuk "{title}"?',
+    loading: 'Memuat rating Anda...',
+    empty: 'Belum ada yang diberi rating di sini.',
+    hint: 'Beri rating sebuah judul dari halaman detailnya untuk melihatnya di sini.',
+    remove: 'Hapus rating Anda untuk {title}',
+    notRated: 'Belum diberi rating',
+    sorts: {
+      date: 'Baru diberi rating',
+      rating: 'Rating tertinggi',
+      lowest: 'Rating terendah'
+    }
+  },
+  lists: {
+    title: 'Daftar Saya',
+    description: 'Daftar film dan serial TV buatan Anda sendiri.',
+    library: 'Daftar tonton & favorit',
+    newList: 'Daftar baru',
+    namePlaceholder: 'Nama, mis. Horor Jumat malam',
+    name: 'Nama daftar',
+    descriptionPlaceholder: 'Deskripsi (opsional)',
+    descriptionLabel: 'Deskripsi daftar',
+    create: 'Buat daftar',
+    loading: 'Memuat daftar Anda...',
+    empty: 'Belum ada daftar. Buat di atas, atau gunakan "Tambah ke daftar" pada film atau serial mana pun.',
+    updated: 'Diperbarui {date}',
+    loadingList: 'Memuat daftar...',
+    notFoundTitle: 'Daftar Tidak Ditemukan',
+    notFoundDescription: 'Daftar yang diminta tidak dapat ditemukan.',
+    notFound: 'Daftar ini tidak ada (lagi).',
+    backToLists: 'Kembali ke daftar saya',
+    confirmDelete: 'Hapus daftar "{name}"? Tindakan ini tidak dapat dibatalkan.',
+    listDescription: '{name}: daftar berisi {count} film dan serial TV.',
+    delete: 'Hapus daftar',
+    emptyList: 'Daftar ini kosong. Gunakan "Tambah ke daftar" di halaman film atau serial mana pun untuk mengisinya.',
+    moveEarlier: 'Pindahkan {title} ke depan',
+    moveLater: 'Pindahkan {title} ke belakang',
+    removeTitle: 'Hapus {title} dari daftar',
+    removeFromList: 'Hapus dari daftar',
+    addNote: 'Tambahkan catatan',
+    noteFor: 'Catatan untuk {title}',
+    menu: {
+      inLists: 'Ada di {count} daftar',
+      add: 'Tambah ke daftar',
+      empty: 'Anda belum memiliki daftar.',
+      newListName: 'Nama daftar baru',
+      create: 'Buat',
+      manage: 'Kelola daftar'
+    }
+  },
+  movieDetails: {
+    loading: 'Memuat detail film...',
+    notFound: 'Film tidak ditemukan',
+    title: 'Detail Film',
+    description: 'Detail tentang {title}',
+    noPoster: 'Poster tidak tersedia',
+    releaseDate: 'Tanggal Rilis:',
+    runtime: 'Durasi:',
+    rating: 'Rating:',
+    production: 'Produksi',
+    country: 'Negara',
+    budget: 'Anggaran',
+    revenue: 'Pendapatan',
+    videos: 'Video',
+    watch: 'Tonton Film',
+    theaterMode: 'Buka dalam mode bioskop',
+    playerTitle: 'Pemutar {title}',
+    playerHint: 'Jika pemutar tidak termuat dengan benar, coba muat ulang halaman atau kembali lagi nanti.',
+    errors: {
+      load: 'Gagal memuat detail film. {reason}'
+    },
+    play: 'Putar Film'
+  },
+  player: {
+    source: 'Sumber:',
+    errors: {
+      timeout: '{source} tidak merespons. Mencoba {next}...',
+      failed: '{source} gagal dimuat. Mencoba {next}...',
+      reported: '{source} dilaporkan rusak. Mencoba {next}...',
+      allFailed: 'Tidak ada sumber yang dapat memuat judul ini. Silakan coba lagi nanti atau pilih sumber secara manual.'
+    }
+  },
+  person: {
+    loading: 'Memuat profil...',
+    errorTitle: 'Tidak dapat memuat orang ini',
+    description: 'Film dan serial TV bersama {name}',
+    noPhoto: 'Foto tidak tersedia',
+    knownFor: 'Dikenal Sebagai',
+    born: 'Lahir',
+    age: 'usia {age}',
+    placeOfBirth: 'Tempat Lahir',
+    died: 'Meninggal',
+    agedAtDeath: 'pada usia {age}',
+    biography: 'Biografi',
+    noBiography: 'Kami tidak memiliki biografi untuk {name}.',
+    filmography: 'Filmografi',
+    filterByRole: 'Filter menurut peran',
+    allRoles: 'Semua peran',
+    acting: 'Akting',
+    sortFilmography: 'Urutkan filmografi',
+    noCredits: 'Tidak ada kredit untuk ditampilkan.',
+    tv: 'TV',
+    sorts: {
+      year: 'Terbaru dulu',
+      popularity: 'Paling populer'
+    },
+    credits: {
+      job: '{job}',
+      character: 'sebagai {character}',
+      characterEpisodes: 'sebagai {character} ({count} episode)',
+      cast: 'Pemeran',
+      castEpisodes: 'Pemeran ({count} episode)'
+    }
+  },
+  profiles: {
+    title: 'Profil',
+    description: 'Kelola profil di perangkat ini.',
+    confirmDelete: 'Hapus profil "{name}" beserta daftar tonton, riwayat, dan ratingnya? Tindakan ini tidak dapat dibatalkan.',
+    kidNotice: 'Profil tidak dapat dikelola dari profil anak.',
+    kidHint: 'Beralih dulu ke profil lain melalui menu avatar.',
+    add: 'Tambah profil',
+    intro: 'Setiap profil memiliki daftar tonton, favorit, daftar, rating, riwayat, tema, dan akun TMDB sendiri.',
+    newProfile: 'Profil baru',
+    active: 'Aktif',
+    kid: 'Profil anak',
+    pinLocked: 'Dikunci PIN',
+    noPin: 'Tanpa PIN',
+    whoIsWatching: 'Siapa yang menonton?',
+    kidBadge: 'ANAK',
+    menuLabel: 'Profil: {name}',
+    manage: 'Kelola profil',
+    errors: {
+      name: 'Beri nama profil ini.'
+    },
+    form: {
+      name: 'Nama',
+      color: 'Warna avatar',
+      kidHint: 'Hanya menampilkan judul untuk anak, dan tidak dapat mengelola profil. Kunci profil lain dengan PIN agar tidak dapat beralih ke profil tersebut.',
+      newPin: 'PIN baru (kosongkan untuk mempertahankan PIN saat ini)',
+      pin: 'PIN (opsional, 4-8 digit)',
+      removePin: 'Hapus PIN'
+    },
+    colors: {
+      blue: 'Biru',
+      rose: 'Merah mawar',
+      emerald: 'Hijau zamrud',
+      amber: 'Kuning amber',
+      violet: 'Ungu',
+      cyan: 'Sian',
+      orange: 'Oranye',
+      pink: 'Merah muda'
+    }
+  },
+  search: {
+    resultsTitle: 'Hasil pencarian untuk "{query}"',
+    description: 'Cari film, serial TV, dan orang di satu tempat.',
+    hint: 'Ketik judul atau nama di kolom pencarian untuk menemukan film, serial TV, dan orang.',
+    failed: 'Pencarian gagal',
+    nothingFound: 'Tidak ada hasil untuk "{query}".',
+    types: {
+      all: 'Semua',
+      movie: 'Film',
+      tv: 'Serial TV',
+      person: 'Orang'
+    },
+    seeAll: {
+      movie: 'Lihat semua film',
+      tv: 'Lihat semua serial TV',
+      person: 'Lihat semua orang'
+    }
+  },
+  seasonDetails: {
+    loadingTitle: 'Memuat Musim',
+    loading: 'Memuat detail musim...',
+    notFoundTitle: 'Musim Tidak Ditemukan',
+    notFoundDescription: 'Musim yang diminta tidak dapat ditemukan.',
+    notFound: 'Musim tidak ditemukan',
+    description: 'Semua {count} episode {show} {season}',
+    watch: 'Tonton {code}',
+    seasons: 'Musim',
+    episodes: 'Episode'
+  },
+  settings: {
+    title: 'Pengaturan',
+    description: 'Sinkronkan dengan akun TMDB Anda, atur kontrol orang tua, cadangkan koleksi Anda, atau impor dari Letterboxd dan Trakt.',
+    exportFailed: 'Data Anda tidak dapat diekspor, silakan coba lagi.',
+    account: 'Akun TMDB',
+    parental: 'Kontrol orang tua',
+    export: 'Ekspor data Anda',
+    exportIntro: 'Semua yang tersimpan di browser ini: daftar tonton, favorit, daftar, rating, riwayat tontonan, dan pengaturan. JSON adalah cadangan lengkap, CSV berisi satu baris per judul untuk spreadsheet.',
+    downloadJson: 'Unduh JSON',
+    downloadCsv: 'Unduh CSV',
+    import: 'Impor dari layanan lain',
+    importIntro: 'Judul dicocokkan dengan TMDB terlebih dahulu. Tidak ada yang disimpan sebelum Anda memeriksa laporannya.'
+  },
+  tvShowDetails: {
+    loadingTitle: 'Memuat Serial TV',
+    loading: 'Memuat detail serial TV...',
+    errorTitle: 'Kesalahan | Detail Serial TV',
+    errorDescription: 'Terjadi kesalahan saat memuat detail serial TV.',
+    error: 'Gagal memuat detail serial TV',
+    notFoundTitle: 'Serial TV Tidak Ditemukan',
+    notFoundDescription: 'Serial TV yang diminta tidak dapat ditemukan.',
+    notFound: 'Serial TV tidak ditemukan',
+    createdBy: 'Dibuat oleh',
+    nextUp: 'Selanjutnya: {code}',
+    networks: 'Jaringan',
+    productionCompanies: 'Perusahaan Produksi',
+    status: {
+      returning: 'Berlanjut',
+      ended: 'Tamat',
+      canceled: 'Dibatalkan',
+      inProduction: 'Dalam Produksi',
+      planned: 'Direncanakan',
+      pilot: 'Pilot'
+    }
+  },
+  watchMovie: {
+    loadingTitle: 'Memuat Film',
+    loadingDescription: 'Memuat pemutar film...',
+    notFoundTitle: 'Film Tidak Ditemukan',
+    notFoundDescription: 'Film yang diminta tidak dapat ditemukan.',
+    title: 'Tonton {title}',
+    unknownYear: 'Tahun tidak diketahui'
+  },
+  backToTop: {
+    label: 'Kembali ke atas',
+    description: 'Gulir ke bagian atas halaman'
+  },
+  episodeNavigation: {
+    previous: 'Sebelumnya',
+    next: 'Berikutnya',
+    autoplay: 'Putar episode berikutnya otomatis',
+    upNextIn: 'Berikutnya dalam {seconds} dtk',
+    playNow: 'Putar sekarang'
+  },
+  sort: {
+    descending: 'Menurun',
+    ascending: 'Menaik',
+    switchToAscending: 'Urutan menurun, ganti ke menaik',
+    switchToDescending: 'Urutan menaik, ganti ke menurun',
+    fields: {
+      popularity: 'Popularitas',
+      rating: 'Rating',
+      votes: 'Jumlah suara',
+      releaseDate: 'Tanggal rilis',
+      firstAirDate: 'Tanggal tayang perdana',
+      title: 'Judul',
+      revenue: 'Pendapatan'
+    }
+  },
+  stills: {
+    title: 'Cuplikan',
+    still: '{title} {number}',
+    dialog: '{title} {number} dari {count}',
+    previous: 'Cuplikan sebelumnya',
+    next: 'Cuplikan berikutnya'
+  },
+  filters: {
+    title: 'Filter',
+    loadError: 'Opsi filter tidak dapat dimuat. {reason}',
+    genres: 'Genre',
+    country: 'Negara asal',
+    anyCountry: 'Semua negara',
+    language: 'Bahasa asli',
+    anyLanguage: 'Semua bahasa',
+    firstAired: 'Tayang perdana',
+    releaseYear: 'Tahun rilis',
+    from: 'Dari',
+    fromYear: 'Dari tahun',
+    to: 'Sampai',
+    toYear: 'Sampai tahun',
+    runtime: 'Durasi (menit)',
+    min: 'Min',
+    minRuntime: 'Durasi minimum',
+    max: 'Maks',
+    maxRuntime: 'Durasi maksimum',
+    minRating: 'Rating minimum',
+    minVotes: 'Suara minimum',
+    minVotesPlaceholder: 'mis. 100',
+    reset: 'Atur ulang',
+    apply: 'Terapkan filter'
+  },
+  pin: {
+    label: 'PIN untuk {name}',
+    wrong: 'PIN salah, coba lagi.',
+    unlock: 'Buka kunci',
+    locked: 'Dikunci PIN'
+  },
+  restricted: {
+    checking: 'Memeriksa rating usia...',
+    title: 'Tidak tersedia di profil ini',
+    description: 'Judul ini tidak tersedia dengan pengaturan konten profil ini.',
+    backToBrowsing: 'Kembali menjelajah'
+  },
+  parental: {
+    moviesUpTo: 'Film hingga',
+    tvUpTo: 'Acara TV hingga',
+    confirmTurnOff: 'Matikan kontrol orang tua untuk semua profil? PIN orang tua akan dihapus.',
+    pinTarget: 'kontrol orang tua',
+    summary: 'Rating {region}: film hingga {movie}, acara TV hingga {tv}.',
+    unratedHidden: 'Judul tanpa rating disembunyikan.',
+    unratedShown: 'Judul tanpa rating ditampilkan.',
+    description: 'Sembunyikan judul dengan rating usia di atas batas pada semua profil, di seluruh aplikasi. Mengubah batas memerlukan PIN.',
+    change: 'Ubah',
+    setUp: 'Atur kontrol orang tua',
+    loading: 'Memuat rating usia...',
+    region: 'Rating dari',
+    pickRating: 'Pilih rating',
+    hideUnrated: 'Sembunyikan judul tanpa rating',
+    hideUnratedHint: 'Judul tanpa rating di {region}, sering kali judul lama atau luar negeri.',
+    newPin: 'PIN baru (opsional)',
+    pin: 'PIN orang tua',
+    repeatPin: 'Ulangi PIN',
+    turnOn: 'Aktifkan',
+    turnOff: 'Matikan',
+    errors: {
+      pickRatings: 'Pilih rating tertinggi yang diizinkan untuk film dan acara TV.',
+      pinLength: 'PIN terdiri dari 4 hingga 8 digit.',
+      pinMismatch: 'PIN tidak cocok.',
+      load: 'Rating usia tidak dapat dimuat. {reason}'
+    }
+  },
+  import: {
+    hints: {
+      letterboxd: 'File CSV dari ekspor data Letterboxd Anda (ratings, reviews, diary, watchlist, likes/films).',
+      trakt: 'File JSON dari cadangan Trakt (ratings, watchlist, favorites).'
+    },
+    errors: {
+      notLetterboxd: '{file} bukan file ekspor Letterboxd.',
+      nothingToImport: '{file} tidak berisi apa pun untuk diimpor, hanya rating, ulasan, daftar tonton, dan film yang disukai yang didukung.',
+      invalidJson: '{file} bukan JSON yang valid.',
+      notTrakt: '{file} bukan file cadangan Trakt.',
+      unreadable: '{file} tidak dapat dibaca.',
+      matchingFailed: 'Pencocokan judul di TMDB gagal, silakan coba lagi.'
+    },
+    reasons: {
+      noMatch: 'Tidak ada judul yang cocok di TMDB',
+      lookupFailed: 'Pencarian gagal. {reason}'
+    },
+    targets: {
+      rating: '{count} rating dan ulasan',
+      watchlist: '{count} judul daftar tonton',
+      favorites: '{count} favorit'
+    },
+    from: 'Impor dari',
+    files: 'File {source}',
+    matching: 'Mencocokkan judul di TMDB... {done}/{total}',
+    report: 'Laporan pencocokan',
+    ready: 'Siap mengimpor {counts}.',
+    noneMatched: 'Tidak ada judul yang cocok.',
+    unmatched: '{count} baris tidak cocok dan akan dilewati:',
+    columns: {
+      title: 'Judul',
+      year: 'Tahun',
+      row: 'Baris',
+      reason: 'Alasan'
+    },
+    noTitle: '(tanpa judul)',
+    importTitles: 'Impor {count} judul',
+    done: 'Berhasil mengimpor {counts} dari {source}.',
+    more: 'Impor lagi'
+  },
+  account: {
+    status: {
+      syncing: 'Menyinkronkan...',
+      offline: 'Offline, perubahan diantrekan dan dikirim setelah TMDB dapat dijangkau.',
+      error: 'Sinkronisasi terakhir gagal.'
+    },
+    errors: {
+      callback: 'Masuk dengan TMDB gagal. Apakah permintaan sudah disetujui?',
+      start: 'Tidak dapat menghubungi TMDB untuk mulai masuk.',
+      sessionExpired: 'Sesi TMDB Anda telah berakhir, silakan masuk lagi.',
+      sync: 'Sinkronisasi gagal. {reason}'
+    },
+    policies: {
+      local: 'Pertahankan rating perangkat ini',
+      remote: 'Pertahankan rating TMDB'
+    },
+    confirmSignOut: 'Keluar dari TMDB? Pustaka Anda tetap tersimpan di perangkat ini.',
+    description: 'Masuk untuk menyinkronkan daftar tonton, favorit, dan rating dengan akun TMDB Anda.',
+    signingIn: 'Sedang masuk...',
+    signIn: 'Masuk dengan TMDB',
+    signedInAs: 'Masuk sebagai',
+    lastSynced: 'Terakhir disinkronkan {date}.',
+    pending: '{count} perubahan menunggu untuk dikirim.',
+    syncNow: 'Sinkronkan sekarang',
+    signOut: 'Keluar',
+    conflictPolicy: 'Jika rating diubah di kedua sisi',
+    conflicts: 'Rating yang berubah di kedua sisi pada sinkronisasi terakhir:',
+    conflictKeptLocal: '{title}: {local} di sini, {remote} di TMDB, yang dipertahankan milik perangkat ini',
+    conflictKeptRemote: '{title}: {local} di sini, {remote} di TMDB, yang dipertahankan milik TMDB',
+    none: 'tidak ada',
+    rejected: 'TMDB menolak beberapa perubahan:'
+  },
+  rating: {
+    stars: '{value} dari {max} bintang',
+    notRated: 'Belum dinilai',
+    yours: 'Rating Anda',
+    clear: 'Hapus',
+    review: 'Ulasan pribadi',
+    reviewPlaceholder: 'Bagaimana menurut Anda? Hanya Anda yang dapat melihat ini.',
+    saveReview: 'Simpan ulasan',
+    savedOn: 'Disimpan {date}'
+  },
+  credits: {
+    label: 'Pemeran dan kru',
+    topCast: 'Pemeran Utama',
+    hideAll: 'Sembunyikan semua pemeran & kru',
+    showAll: 'Semua pemeran & kru',
+    cast: 'Pemeran'
+  },
+  continueWatching: {
+    title: 'Lanjutkan Menonton',
+    resume: 'Lanjutkan menonton {title}',
+    watchedOn: 'Ditonton {date}',
+    markFinished: 'Tandai selesai',
+    markFinishedTitle: 'Tandai {title} selesai',
+    removeTitle: 'Hapus {title} dari lanjutkan menonton'
+  },
+  listItem: {
+    watchTv: 'Tonton Acara TV: {title}',
+    watchMovie: 'Tonton Film: {title}',
+    noImage: 'Gambar Tidak Tersedia',
+    yourRating: 'Anda: {rating}/{max}',
+    watchNow: 'Tonton Sekarang'
+  },
+  errors: {
+    network: 'Tidak dapat menghubungi TMDB, periksa koneksi internet Anda.',
+    unauthorized: 'TMDB menolak permintaan, token API mungkin tidak valid.',
+    notFound: 'TMDB tidak memiliki data ini.',
+    rateLimited: 'Terlalu banyak permintaan ke TMDB, coba lagi sebentar lagi.',
+    server: 'TMDB sedang bermasalah, coba lagi nanti.',
+    status: 'TMDB menjawab dengan galat {status}.',
+    unknown: 'Terjadi kesalahan.'
+  }
+};
+
+export default id;
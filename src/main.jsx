@@ -2,13 +2,40 @@ import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import "./style/index.css";
 import { ThemeProvider } from "./theme/darkMode.jsx";
+import LocaleProvider from "./contexts/LocaleProvider.jsx";
+import ProfileProvider from "./contexts/ProfileProvider.jsx";
+import WatchHistoryProvider from "./contexts/WatchHistoryProvider.jsx";
+import WatchedEpisodesProvider from "./contexts/WatchedEpisodesProvider.jsx";
+import LibraryProvider from "./contexts/LibraryProvider.jsx";
+import UserListsProvider from "./contexts/UserListsProvider.jsx";
+import RatingsProvider from "./contexts/RatingsProvider.jsx";
+import TmdbAccountProvider from "./contexts/TmdbAccountProvider.jsx";
+import ParentalControlsProvider from "./contexts/ParentalControlsProvider.jsx";
 
 import App from "./App.jsx";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
-    <ThemeProvider>
-      <App />
-    </ThemeProvider>
+    <LocaleProvider>
+      <ProfileProvider>
+        <ThemeProvider>
+          <WatchHistoryProvider>
+            <WatchedEpisodesProvider>
+              <LibraryProvider>
+                <UserListsProvider>
+                  <RatingsProvider>
+                    <TmdbAccountProvider>
+                      <ParentalControlsProvider>
+                        <App />
+                      </ParentalControlsProvider>
+                    </TmdbAccountProvider>
+                  </RatingsProvider>
+                </UserListsProvider>
+              </LibraryProvider>
+            </WatchedEpisodesProvider>
+          </WatchHistoryProvider>
+        </ThemeProvider>
+      </ProfileProvider>
+    </LocaleProvider>
   </StrictMode>
 );
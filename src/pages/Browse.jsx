@@ -0,0 +1,189 @@
+import { useEffect, useState } from 'react';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import ListItem from '../components/ListItem';
+import Container from '../components/Container';
+import Pagination from '../components/Pagination';
+import BackToTop from '../components/BackToTop';
+import { preloadImages, isAbortError, errorReason, MAX_API_PAGE } from '../utils/TmdbClient';
+import { getCollection, resolveVariant, collectionPath, fetchCollection } from '../utils/Collections';
+import { toCardProps } from '../utils/MediaItem';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+
+// "See all" page for a curated collection, e.g. /browse/movie/top-rated?page=2
+const Browse = () => {
+  const { mediaType, collectionId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLocale();
+
+  const collection = getCollection(mediaType, collectionId);
+  const variant = collection ? resolveVariant(collection, searchParams.get('window')) : undefined;
+  const requestedPage = parseInt(searchParams.get('page') || '1', 10);
+  const page = Math.min(Math.max(1, requestedPage || 1), MAX_API_PAGE);
+
+  const [items, setItems] = useState([]);
+  const { filterItems } = useContentFilter(items, mediaType);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+
+  useEffect(() => {
+    if (!collection) return;
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    const showPage = (data) => {
+      setItems(data.results || []);
+      setTotalPages(Math.max(1, Math.min(data.total_pages || 1, MAX_API_PAGE)));
+      preloadImages(data.results);
+    };
+
+    fetchCollection(mediaType, collection, page, { variant, signal: controller.signal, onRevalidate: showPage })
+      .then(showPage)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error(`Error loading ${collection.id}:`, err);
+        setError(errorReason(err));
+        setItems([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [mediaType, collection, variant, page, retryCount]);
+
+  const handlePageChange = (newPage) => {
+    const nextSearchParams = new URLSearchParams(searchParams);
+    if (newPage > 1) {
+      nextSearchParams.set('page', String(newPage));
+    } else {
+      nextSearchParams.delete('page');
+    }
+    setSearchParams(nextSearchParams);
+  };
+
+  const backPath = mediaType === 'tv' ? '/tv' : '/';
+
+  if (!collection) {
+    return (
+      <div className="bg-white text-black dark:bg-bg dark:text-white min-h-[60vh]">
+        <Container>
+          <div className="py-16 text-center">
+            <p className="text-gray-600 dark:text-gray-400 mb-4">{t('browse.notFound')}</p>
+            <Link to={backPath} className="bg-bluee hover:bg-blueh text-white px-6 py-2.5 rounded-lg shadow transition-colors">
+              {mediaType === 'tv' ? t('browse.backToTvShows') : t('browse.backToMovies')}
+            </Link>
+          </div>
+        </Container>
+      </div>
+    );
+  }
+
+  const activeVariant = collection.variants?.find(option => option.id === variant);
+  const collectionTitle = t(collection.titleKey);
+  const title = activeVariant ? `${collectionTitle} ${t(activeVariant.labelKey)}` : collectionTitle;
+
+  return (
+    <div className="bg-white text-black dark:bg-bg dark:text-white min-h-[60vh]">
+      <SEO
+        title={title}
+        description={t('browse.description', { title })}
+        keywords={`${title.toLowerCase()}, ${mediaType === 'tv' ? 'tv shows, series' : 'movies'}`}
+      />
+
+      <BackToTop />
+
+      <Container>
+        <div className="py-6 md:py-8">
+          <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4 md:mb-6 px-2 sm:px-0">
+            <div className="flex items-center gap-3 flex-wrap">
+              <Link
+                to={backPath}
+                className="text-sm bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200 py-1 px-3 rounded-full flex items-center transition-colors"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+                {t('common.back')}
+              </Link>
+              <h1 className="text-xl md:text-2xl font-bold text-gray-800 dark:text-white">{collectionTitle}</h1>
+              {collection.variants && (
+                <div className="flex rounded-full bg-gray-100 dark:bg-gray-800 p-0.5 text-xs">
+                  {collection.variants.map(option => (
+                    <Link
+                      key={option.id}
+                      to={collectionPath(mediaType, collection, option.id)}
+                      replace
+                      aria-current={variant === option.id ? 'page' : undefined}
+                      className={`px-3 py-1 rounded-full transition-colors ${
+                        variant === option.id
+                          ? 'bg-bluee text-white'
+                          : 'text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white'
+                      }`}
+                    >
+                      {t(option.labelKey)}
+                    </Link>
+                  ))}
+                </div>
+              )}
+            </div>
+            {!isLoading && !error && (
+              <p className="text-sm md:text-base text-gray-600 dark:text-gray-400">
+                {t('pagination.pageOf', { page, total: totalPages })}
+              </p>
+            )}
+          </div>
+
+          {isLoading && (
+            <div className="py-8 md:py-16 text-center">
+              <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-bluee mb-4"></div>
+              <p className="text-gray-600 dark:text-gray-300">{t('browse.loading', { title: collectionTitle })}</p>
+            </div>
+          )}
+
+          {error && !isLoading && (
+            <div className="py-6 md:py-12 text-center">
+              <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-4 rounded-lg max-w-md mx-auto shadow-sm">
+                <p className="font-bold mb-1">{t('browse.errorTitle', { title: collectionTitle })}</p>
+                <p className="text-sm">{t(error.key, error.values)}</p>
+                <button
+                  onClick={() => setRetryCount(count => count + 1)}
+                  className="mt-3 bg-red-100 dark:bg-red-700 hover:bg-red-200 dark:hover:bg-red-600 text-red-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
+                >
+                  {t('common.tryAgain')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {!isLoading && !error && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6 px-2 sm:px-0">
+                {filterItems(items).map(item => (
+                  <ListItem key={item.id} {...toCardProps(item, mediaType)} />
+                ))}
+              </div>
+
+              {items.length > 0 && (
+                <div className="px-2 sm:px-0 mt-6">
+                  <Pagination
+                    page={page}
+                    totalPages={totalPages}
+                    onPageChange={handlePageChange}
+                    itemsPerPage={items.length}
+                  />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default Browse;
@@ -0,0 +1,289 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import TheaterPlayer from '../components/TheaterPlayer';
+import EpisodeNavigation from '../components/EpisodeNavigation';
+import UpNextOverlay from '../components/UpNextOverlay';
+import CreditsList from '../components/CreditsList';
+import StillsGallery from '../components/StillsGallery';
+import RestrictedNotice from '../components/RestrictedNotice';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, isAbortError } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { EMBED_FEATURES, buildEmbedUrl } from '../utils/EmbedProviders';
+import { episodeCode } from '../utils/MediaItem';
+import { getEpisodeNeighbours } from '../utils/Episodes';
+import { seasonPath, watchEpisodePath } from '../utils/Paths';
+import useEmbedPlayer from '../hooks/useEmbedPlayer';
+import useAutoplayNext from '../hooks/useAutoplayNext';
+import useContentFilter from '../hooks/useContentFilter';
+import { useWatchHistory } from '../contexts/WatchHistoryContext';
+import { useWatchedEpisodes } from '../contexts/WatchedEpisodesContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
+
+// An episode's own page at /tv/:id/season/:season/episode/:episode: a theater-style
+// player with the episode's details, guest stars and stills, always in the dark theme
+const EpisodeDetails = () => {
+  const { id, season, episode: episodeParam } = useParams();
+  const navigate = useNavigate();
+  const { t, formatDate, formatNumber } = useLocale();
+  const seasonNumber = parseInt(season, 10);
+  const episodeNumber = parseInt(episodeParam, 10);
+  const [show, setShow] = useState(null);
+  const [seasonData, setSeasonData] = useState(null);
+  const [stills, setStills] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [hasError, setHasError] = useState(false);
+  const player = useEmbedPlayer(EMBED_FEATURES.EPISODE);
+  const startPlayer = player.start;
+  // Source the previous episode played from, kept when moving between episodes
+  const lastSource = useRef(null);
+  const { recordEpisode } = useWatchHistory();
+  const { setEpisodeWatched } = useWatchedEpisodes();
+  const { isAllowed, isPending } = useContentFilter(show ? [show] : undefined, 'tv');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    window.scrollTo(0, 0);
+
+    const fetchEpisode = async () => {
+      setIsLoading(true);
+      setHasError(false);
+
+      try {
+        const [showDetails, seasonDetails] = await Promise.all([
+          cachedRequest(
+            'tvDetails',
+            [id],
+            () => tmdb.tvDetails(id, { signal: controller.signal }),
+            { onRevalidate: setShow, signal: controller.signal }
+          ),
+          cachedRequest(
+            'tvSeason',
+            [id, seasonNumber],
+            () => tmdb.tvSeason(id, seasonNumber, { signal: controller.signal }),
+            { onRevalidate: setSeasonData, signal: controller.signal }
+          )
+        ]);
+        setShow(showDetails);
+        setSeasonData(seasonDetails);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching episode:', err);
+        setHasError(true);
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchEpisode();
+
+    return () => controller.abort();
+  }, [id, seasonNumber]);
+
+  // Stills aren't part of the season payload, the page shows without them until they're in
+  useEffect(() => {
+    const controller = new AbortController();
+    setStills([]);
+
+    cachedRequest(
+      'tvEpisode',
+      [id, seasonNumber, episodeNumber],
+      () => tmdb.tvEpisode(id, seasonNumber, episodeNumber, { signal: controller.signal }),
+      { signal: controller.signal }
+    )
+      .then(data => setStills(data.images?.stills || []))
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error fetching episode stills:', err);
+      });
+
+    return () => controller.abort();
+  }, [id, seasonNumber, episodeNumber]);
+
+  const episode = seasonData?.season_number === seasonNumber
+    ? seasonData.episodes?.find(item => item.episode_number === episodeNumber)
+    : null;
+
+  const sortedSeasons = useMemo(
+    () => [...(show?.seasons || [])].sort((a, b) => a.season_number - b.season_number),
+    [show]
+  );
+  const { previousEpisode, nextEpisode } = useMemo(
+    () => getEpisodeNeighbours(seasonData, episode, sortedSeasons, show?.last_episode_to_air),
+    [seasonData, episode, sortedSeasons, show]
+  );
+
+  // Every episode starts on the source the last one played from, unless the profile may not see the show
+  const isShowAllowed = Boolean(show) && isAllowed(show);
+  const episodeId = isShowAllowed ? episode?.id : null;
+  useEffect(() => {
+    if (episodeId) startPlayer(lastSource.current);
+  }, [episodeId, startPlayer]);
+
+  // Remember the episode and its source for "Continue watching", and count it as watched
+  const playerSource = player.attempt > 0 ? player.provider.id : null;
+  useEffect(() => {
+    if (!playerSource) return;
+    lastSource.current = playerSource;
+    if (!show || !episode) return;
+    recordEpisode(show, {
+      season: episode.season_number,
+      episode: episode.episode_number,
+      name: episode.name
+    }, playerSource);
+  }, [show, episode, playerSource, recordEpisode]);
+
+  useEffect(() => {
+    if (!isShowAllowed || !episode) return;
+    setEpisodeWatched(show.id, episode.season_number, episode.episode_number, true);
+  }, [show, episode, isShowAllowed, setEpisodeWatched]);
+
+  const goToEpisode = useCallback((target) => {
+    navigate(watchEpisodePath(id, target.season, target.episode));
+  }, [navigate, id]);
+
+  const autoplay = useAutoplayNext({
+    next: nextEpisode,
+    runtime: episode?.runtime,
+    isPlayerReady: player.attempt > 0 && !player.isLoading && !player.error,
+    attempt: player.attempt,
+    onPlay: goToEpisode
+  });
+
+  if (isLoading) {
+    return (
+      <div className="dark bg-bg min-h-screen py-20 text-center text-white">
+        <SEO title={t('episode.loadingTitle')} description={t('episode.loadingDescription')} />
+        <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+        <p className="text-gray-400">{t('episode.loadingPlayer')}</p>
+      </div>
+    );
+  }
+
+  if (hasError || !show || !episode) {
+    return (
+      <div className="dark bg-bg min-h-screen py-20 text-center text-white">
+        <SEO title={t('episode.notFoundTitle')} description={t('episode.notFoundDescription')} />
+        <p className="text-gray-300">{hasError ? t('common.loadError') : t('episode.notFound')}</p>
+        <Link to={`/tv/${id}`} className="block mt-3 text-sm text-bluee hover:underline">
+          {show ? t('episode.backTo', { name: show.name }) : t('episode.backToShow')}
+        </Link>
+      </div>
+    );
+  }
+
+  if (!isAllowed(show)) {
+    return <RestrictedNotice isChecking={isPending(show)} />;
+  }
+
+  const code = episodeCode(episode.season_number, episode.episode_number);
+  const episodeName = episode.name || t('common.episode', { number: String(episode.episode_number) });
+  const title = `${show.name} ${code} - ${episodeName}`;
+
+  // Search result snippets get cut off around 155 characters
+  const generateDescription = () => {
+    let description = episode.overview || t('episode.description', {
+      name: episodeName,
+      episode: String(episode.episode_number),
+      show: show.name,
+      season: String(episode.season_number)
+    });
+    if (description.length > 155) {
+      description = description.substring(0, 152) + '...';
+    }
+    return description;
+  };
+
+  return (
+    <div className="dark bg-bg min-h-screen text-white pb-12">
+      <SEO
+        title={title}
+        description={generateDescription()}
+        keywords={`${show.name}, ${code}, ${episodeName}, episode, tv show`}
+        image={episode.still_path ? `${BASE_IMG_URL}${episode.still_path}` : undefined}
+      />
+      <Container>
+        <div className="pt-6">
+          <nav aria-label={t('common.breadcrumb')} className="text-sm text-gray-400">
+            <Link to={`/tv/${show.id}`} className="hover:text-white">{show.name}</Link>
+            {' › '}
+            <Link to={seasonPath(show.id, episode.season_number)} className="hover:text-white">
+              {seasonData.name || t('common.season', { number: String(episode.season_number) })}
+            </Link>
+          </nav>
+          <h1 className="text-2xl md:text-3xl font-bold mt-2">{show.name}</h1>
+          <p className="text-gray-300 mb-4">
+            {code} · {episodeName}
+          </p>
+
+          <TheaterPlayer
+            player={player}
+            src={buildEmbedUrl(player.provider, EMBED_FEATURES.EPISODE, {
+              tmdbId: show.id,
+              season: episode.season_number,
+              episode: episode.episode_number
+            })}
+            title={t('episode.playerTitle', { show: show.name, code })}
+          >
+            {autoplay.countdown !== null && nextEpisode && (
+              <UpNextOverlay
+                countdown={autoplay.countdown}
+                next={nextEpisode}
+                onPlayNow={autoplay.playNow}
+                onCancel={autoplay.cancel}
+              />
+            )}
+          </TheaterPlayer>
+
+          <EpisodeNavigation
+            previous={previousEpisode}
+            next={nextEpisode}
+            onSelect={goToEpisode}
+            isAutoplay={autoplay.isEnabled}
+            onAutoplayChange={autoplay.setIsEnabled}
+          />
+
+          <div className="mt-6 flex flex-col sm:flex-row gap-4 max-w-4xl">
+            {episode.still_path && (
+              <img
+                src={`${BASE_IMG_URL}${episode.still_path}`}
+                alt={t('episode.still', { name: episodeName })}
+                className="sm:w-64 w-full h-auto rounded object-cover shadow-sm flex-shrink-0"
+                loading="lazy"
+              />
+            )}
+            <div>
+              <h2 className="text-xl font-semibold">{episodeName}</h2>
+              <p className="text-sm text-gray-400 mt-1 flex flex-wrap items-center gap-2">
+                <span>
+                  {episode.air_date ? formatDate(episode.air_date) : t('common.noAirDate')}
+                  {episode.runtime ? ` • ${t('common.minutes', { count: episode.runtime })}` : ''}
+                </span>
+                {episode.vote_average > 0 && (
+                  <span className="bg-yellow-500 text-yellow-900 px-2 py-0.5 rounded-md text-xs font-medium">
+                    ★ {formatNumber(episode.vote_average, ONE_DECIMAL)}/10
+                    {episode.vote_count ? ` (${t('common.votes', { count: episode.vote_count })})` : ''}
+                  </span>
+                )}
+              </p>
+              {episode.overview && <p className="text-gray-300 mt-3">{episode.overview}</p>}
+            </div>
+          </div>
+
+          <div className="mt-8">
+            <CreditsList
+              castTitle={t('common.guestStars')}
+              credits={{ cast: episode.guest_stars, crew: episode.crew }}
+            />
+          </div>
+
+          <StillsGallery title={t('episode.stills', { code })} stills={stills} />
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default EpisodeDetails;
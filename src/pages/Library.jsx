@@ -0,0 +1,228 @@
+import { useState, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import BackToTop from '../components/BackToTop';
+import ListItem from '../components/ListItem';
+import { LIBRARY_SORTS, LIBRARY_TYPES, getLibraryView } from '../utils/Library';
+import { useLibrary, LIBRARY_LISTS } from '../contexts/LibraryContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const TABS = [
+  { id: LIBRARY_LISTS.WATCHLIST, labelKey: 'library.watchlist' },
+  { id: LIBRARY_LISTS.FAVORITES, labelKey: 'library.favorites' }
+];
+
+const selectClass = "text-sm px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+const pickParam = (options, value) =>
+  (options.some(option => option.id === value) ? value : options[0].id);
+
+// Saved titles, e.g. /library?list=favorites&type=tv&sort=rating
+const Library = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const library = useLibrary();
+  const { t } = useLocale();
+  // Keys of the entries picked for removal, null while not selecting
+  const [selected, setSelected] = useState(null);
+
+  const list = pickParam(TABS, searchParams.get('list'));
+  const type = pickParam(LIBRARY_TYPES, searchParams.get('type'));
+  const sort = pickParam(LIBRARY_SORTS, searchParams.get('sort'));
+
+  const entries = list === LIBRARY_LISTS.WATCHLIST ? library.watchlist : library.favorites;
+  const visibleEntries = useMemo(() => getLibraryView(entries, type, sort), [entries, type, sort]);
+
+  const setParam = (name, value, defaultValue) => {
+    const nextSearchParams = new URLSearchParams(searchParams);
+    if (value === defaultValue) {
+      nextSearchParams.delete(name);
+    } else {
+      nextSearchParams.set(name, value);
+    }
+    setSearchParams(nextSearchParams, { replace: true });
+    setSelected(null);
+  };
+
+  const isSelecting = selected !== null;
+  const allSelected = isSelecting && visibleEntries.length > 0 && visibleEntries.every(entry => selected.has(entry.key));
+
+  const toggleSelected = (key) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(visibleEntries.map(entry => entry.key)));
+  };
+
+  const removeSelected = () => {
+    if (!selected?.size) return;
+    const listName = t(TABS.find(tab => tab.id === list).labelKey);
+    if (!window.confirm(t('library.confirmRemove', { count: selected.size, list: listName }))) return;
+    library.removeFromList(list, [...selected]);
+    setSelected(null);
+  };
+
+  return (
+    <>
+      <SEO
+        title={t('library.title')}
+        description={t('library.description')}
+      />
+      <BackToTop />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white">{t('library.title')}</h1>
+            <div className="flex gap-4">
+              <Link to="/library/ratings" className="text-sm font-semibold text-bluee hover:text-blueh">
+                {t('library.myRatings')}
+              </Link>
+              <Link to="/lists" className="text-sm font-semibold text-bluee hover:text-blueh">
+                {t('library.myLists')}
+              </Link>
+            </div>
+          </div>
+
+          {/* Lists */}
+          <div className="flex gap-2 mb-6" role="tablist">
+            {TABS.map(tab => {
+              const count = tab.id === LIBRARY_LISTS.WATCHLIST ? library.watchlist.length : library.favorites.length;
+              return (
+                <button
+                  key={tab.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={list === tab.id}
+                  onClick={() => setParam('list', tab.id, TABS[0].id)}
+                  className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                    list === tab.id
+                      ? 'bg-bluee text-white shadow-md'
+                      : 'bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {t(tab.labelKey)} ({count})
+                </button>
+              );
+            })}
+          </div>
+
+          {/* Controls */}
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-6">
+            <div className="flex flex-wrap gap-2">
+              <select
+                value={type}
+                onChange={(e) => setParam('type', e.target.value, LIBRARY_TYPES[0].id)}
+                aria-label={t('library.filterByType')}
+                className={selectClass}
+              >
+                {LIBRARY_TYPES.map(option => (
+                  <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+                ))}
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setParam('sort', e.target.value, LIBRARY_SORTS[0].id)}
+                aria-label={t('common.sortBy')}
+                className={selectClass}
+              >
+                {LIBRARY_SORTS.map(option => (
+                  <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+                ))}
+              </select>
+            </div>
+
+            {visibleEntries.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                {isSelecting ? (
+                  <>
+                    <button
+                      type="button"
+                      onClick={toggleAll}
+                      className="text-sm font-medium px-3 py-1.5 rounded-lg bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600"
+                    >
+                      {allSelected ? t('common.selectNone') : t('common.selectAll')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={removeSelected}
+                      disabled={selected.size === 0}
+                      className="text-sm font-medium px-3 py-1.5 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {t('common.removeSelected', { count: selected.size })}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSelected(null)}
+                      className="text-sm font-medium px-3 py-1.5 rounded-lg text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-800"
+                    >
+                      {t('common.cancel')}
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setSelected(new Set())}
+                    className="text-sm font-medium px-3 py-1.5 rounded-lg bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600"
+                  >
+                    {t('common.select')}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {!library.isLoaded ? (
+            <div className="py-16 text-center">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+              <p className="text-gray-600 dark:text-gray-400">{t('library.loading')}</p>
+            </div>
+          ) : visibleEntries.length === 0 ? (
+            <div className="py-16 text-center text-gray-600 dark:text-gray-400">
+              <p>{entries.length === 0 ? t('library.empty') : t('library.emptyType')}</p>
+              <p className="mt-1 text-sm">
+                {t('library.hint')}{' '}
+                <Link to="/" className="text-bluee hover:underline">{t('library.browseMovies')}</Link>
+              </p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6">
+              {visibleEntries.map(entry => (
+                <div key={entry.key} className="relative">
+                  <ListItem
+                    id={entry.id}
+                    title={entry.title}
+                    posterPath={entry.posterPath}
+                    releaseDate={entry.releaseDate}
+                    rating={entry.rating}
+                    type={entry.mediaType}
+                  />
+                  {isSelecting && (
+                    <label className={`absolute inset-0 z-30 rounded-lg cursor-pointer border-4 ${
+                      selected.has(entry.key) ? 'border-bluee bg-bluee/20' : 'border-transparent bg-black/20'
+                    }`}>
+                      <input
+                        type="checkbox"
+                        checked={selected.has(entry.key)}
+                        onChange={() => toggleSelected(entry.key)}
+                        aria-label={t('common.selectTitle', { title: entry.title })}
+                        className="absolute top-3 left-3 h-5 w-5"
+                      />
+                    </label>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default Library;
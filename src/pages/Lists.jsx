@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import { imageUrl } from '../utils/Endpoint';
+import { useUserLists } from '../contexts/UserListsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const inputClass = "w-full text-sm px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+// Every custom list with a form to start a new one, at /lists
+const Lists = () => {
+  const { lists, isLoaded, createList } = useUserLists();
+  const { t, formatDate } = useLocale();
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+    createList(name, description);
+    setName('');
+    setDescription('');
+  };
+
+  return (
+    <>
+      <SEO
+        title={t('lists.title')}
+        description={t('lists.description')}
+      />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white">{t('lists.title')}</h1>
+            <Link to="/library" className="text-sm font-semibold text-bluee hover:text-blueh">
+              {t('lists.library')}
+            </Link>
+          </div>
+
+          <form onSubmit={handleCreate} className="mb-8 p-4 rounded-lg bg-gray-100 dark:bg-card space-y-3 max-w-xl">
+            <h2 className="font-semibold text-gray-800 dark:text-white">{t('lists.newList')}</h2>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder={t('lists.namePlaceholder')}
+              aria-label={t('lists.name')}
+              maxLength={80}
+              className={inputClass}
+            />
+            <textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder={t('lists.descriptionPlaceholder')}
+              aria-label={t('lists.descriptionLabel')}
+              rows={2}
+              maxLength={500}
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh disabled:opacity-50"
+            >
+              {t('lists.create')}
+            </button>
+          </form>
+
+          {!isLoaded ? (
+            <div className="py-16 text-center">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+              <p className="text-gray-600 dark:text-gray-400">{t('lists.loading')}</p>
+            </div>
+          ) : lists.length === 0 ? (
+            <p className="py-8 text-center text-gray-600 dark:text-gray-400">
+              {t('lists.empty')}
+            </p>
+          ) : (
+            <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {lists.map(list => (
+                <li key={list.id}>
+                  <Link
+                    to={`/lists/${list.id}`}
+                    className="block h-full rounded-lg overflow-hidden bg-gray-100 dark:bg-card border border-transparent hover:border-bluee shadow-sm hover:shadow-md transition-all"
+                  >
+                    {/* First few posters of the list */}
+                    <div className="grid grid-cols-4 h-28 bg-gray-200 dark:bg-gray-800">
+                      {list.items.slice(0, 4).map(item => (
+                        item.posterPath ? (
+                          <img
+                            key={item.key}
+                            src={imageUrl(item.posterPath, 'w154')}
+                            alt=""
+                            loading="lazy"
+                            className="w-full h-28 object-cover"
+                          />
+                        ) : (
+                          <div key={item.key} className="h-28 bg-gray-300 dark:bg-gray-700" />
+                        )
+                      ))}
+                    </div>
+                    <div className="p-4">
+                      <h2 className="font-semibold text-gray-800 dark:text-white truncate">{list.name}</h2>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+                        {t('common.titles', { count: list.items.length })}
+                        {' · '}{t('lists.updated', { date: formatDate(list.updatedAt) })}
+                      </p>
+                      {list.description && (
+                        <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-2">{list.description}</p>
+                      )}
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default Lists;
@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useRef } from 'react'
+import { useEffect, useState, useCallback, useRef, useMemo } from 'react'
 import { useSearchParams, useNavigate } from 'react-router-dom'
 import SEO from '../utils/SEO'
 import Input from '../components/Input'
@@ -6,9 +6,27 @@ import ListItem from '../components/ListItem'
 import Container from '../components/Container'
 import Pagination from '../components/Pagination'
 import BackToTop from '../components/BackToTop'
-import { PAGINATED_MOVIES, SEARCH_MOVIES, BASE_IMG_URL, getHeaders } from '../utils/Endpoint'
-import { safeSetItem, safeGetItem, safeRemoveItem, clearAllCache } from '../utils/StorageHandler'
+import FilterPanel from '../components/FilterPanel'
+import SortControl from '../components/SortControl'
+import Rail from '../components/Rail'
+import ContinueWatching from '../components/ContinueWatching'
+import { tmdb, preloadImages, isAbortError, errorReason, MAX_API_PAGE } from '../utils/TmdbClient'
+import { safeGetItem, safeRemoveItem, clearAllCache } from '../utils/StorageHandler'
+import { cachedRequest } from '../utils/CacheManager'
+import { COLLECTIONS } from '../utils/Collections'
+import {
+  EMPTY_FILTERS,
+  DEFAULT_SORT,
+  parseFilters,
+  applyFilters,
+  filtersToQuery,
+  parseSort,
+  applySort,
+  toDiscoverParams
+} from '../utils/DiscoverFilters'
 import { useTheme } from "../theme/darkMode";
+import useContentFilter from '../hooks/useContentFilter'
+import { useLocale } from '../contexts/LocaleContext'
 
 
 
@@ -39,10 +57,13 @@ const Movie = () => {
   const initialPage = parseInt(searchParams.get('page') || '1', 10);
   
   const [movies, setMovies] = useState([]);
+  const { filterItems } = useContentFilter(movies, 'movie')
+  const { t } = useLocale()
   const [keyword, setKeyword] = useState(initialSearchTerm);
   const [searchTerm, setSearchTerm] = useState(initialSearchTerm);
   const [isLoading, setIsLoading] = useState(true);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // `{ key, values }` of the message, translated when shown
   const [error, setError] = useState(null);
   const [page, setPage] = useState(initialPage);
   const [totalPages, setTotalPages] = useState(1);
@@ -50,6 +71,11 @@ const Movie = () => {
   const [loadedPages, setLoadedPages] = useState(new Set([1]));
   const searchInputRef = useRef(null);
   const [isScrollRestored, setIsScrollRestored] = useState(false);
+  
+  // Discover filters live in the URL, `filterQuery` is '' when nothing is filtered
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const filterQuery = filtersToQuery(filters);
+  const sort = parseSort(searchParams, 'movie');
 
   // UI enhancement - Add search icon for input
   const searchIcon = (
@@ -59,8 +85,8 @@ const Movie = () => {
   );
 
   // Modify handleBackNavigation function to properly reset the search state and URL
-  const handleBackNavigation = () => {
-    const previousLocation = safeGetItem("previousLocation");
+  const handleBackNavigation = async () => {
+    const previousLocation = await safeGetItem("previousLocation");
     
     // Reset search state immediately
     setKeyword('');
@@ -119,96 +145,69 @@ const Movie = () => {
     }
   }, [searchTerm, page, setSearchParams, searchParams]);
 
-  const fetchMovies = useCallback((pageNum = 1) => {
+  const fetchMovies = useCallback((pageNum = 1, filterQuery = '', sort = DEFAULT_SORT, signal) => {
     setIsLoading(true);
     setError(null);
     
-    const MAX_API_PAGE = 500;
     const validatedPage = Math.min(pageNum, MAX_API_PAGE);
-    const apiUrl = PAGINATED_MOVIES(validatedPage);
-    const cachedKey = `cachedMovies_${validatedPage}`;
-    const cachedMoviesData = safeGetItem(cachedKey);
-    const cachedTimestamp = safeGetItem(`${cachedKey}_timestamp`);
-    const cacheExpiry = 30 * 60 * 1000;
     
-    if (cachedMoviesData && cachedTimestamp) {
-      const currentTime = new Date().getTime();
-      if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-        try {
-          console.log("Using cached movie data");
-          setMovies(cachedMoviesData.results);
-          setTotalPages(cachedMoviesData.total_pages > MAX_API_PAGE ? MAX_API_PAGE : cachedMoviesData.total_pages);
+    const showMovies = (response) => {
+      if (response && Array.isArray(response.results)) {
+        // An empty filtered result is a normal outcome, the grid shows its empty state
+        if (response.results.length === 0 && !filterQuery) {
+          setError({ key: 'movies.errors.emptyPage' });
+          setMovies([]);
           setIsLoading(false);
           return;
-        } catch (err) {
-          console.error("Error parsing cached data", err);
         }
+        
+        setMovies(response.results);
+        
+        const reportedPages = response.total_pages || 1;
+        const actualTotalPages = Math.min(reportedPages, MAX_API_PAGE);
+        
+        setTotalPages(actualTotalPages);
+        
+        if (pageNum > actualTotalPages) {
+          console.warn(`Requested page ${pageNum} exceeds available pages ${actualTotalPages}. Setting to last available page.`);
+          setPage(actualTotalPages);
+        }
+        
+        preloadImages(response.results);
+      } else {
+        console.error('Unexpected API response format:', response);
+        setError({ key: 'common.errors.badResponse' });
+        setMovies([]);
+        setTotalPages(1);
       }
-    }
+      setIsLoading(false);
+    };
     
-    console.log("Fetching movies from:", apiUrl);
+    const isDefaultView = !filterQuery && sort === DEFAULT_SORT;
+    const loadPage = () => (isDefaultView
+      ? tmdb.popularMovies(validatedPage, { signal })
+      : tmdb.discoverMovies(toDiscoverParams(parseFilters(new URLSearchParams(filterQuery)), 'movie', sort), validatedPage, { signal }));
     
-    fetch(apiUrl, { headers: getHeaders() })
-      .then(r => {
-        if (!r.ok) {
-          throw new Error(`HTTP error! Status: ${r.status}`);
-        }
-        return r.json();
-      })
-      .then((response) => {
-        console.log("API Response:", response);
-        
-        if (response && Array.isArray(response.results)) {
-          if (response.results.length === 0) {
-            setError("No movies found for this page. The API may have reached its pagination limit.");
-            setMovies([]);
-            setIsLoading(false);
-            return;
-          }
-          
-          setMovies(response.results);
-          
-          const reportedPages = response.total_pages || 1;
-          const actualTotalPages = Math.min(reportedPages, MAX_API_PAGE);
-          
-          setTotalPages(actualTotalPages);
-          
-          if (pageNum > actualTotalPages) {
-            console.warn(`Requested page ${pageNum} exceeds available pages ${actualTotalPages}. Setting to last available page.`);
-            setPage(actualTotalPages);
-          }
-          
-          const cacheData = {
-            results: response.results,
-            total_pages: response.total_pages
-          };
-          safeSetItem(cachedKey, cacheData);
-          safeSetItem(`${cachedKey}_timestamp`, new Date().getTime());
-          
-          response.results.forEach(movie => {
-            if (movie.poster_path) {
-              const img = new Image();
-              img.src = `${BASE_IMG_URL}${movie.poster_path}`;
-            }
-          });
-        } else {
-          console.error('Unexpected API response format:', response);
-          setError('Unexpected API response format. The server might be down or the API format has changed.');
-          setMovies([]);
-          setTotalPages(1);
-        }
-        setIsLoading(false);
-      })
+    // One entry per sort order, filter set and page: `cachedMovies_<sort>_<filters>_<page>`,
+    // the default view keeps the plain `cachedMovies_<page>` key
+    cachedRequest(
+      'movieList',
+      [sort === DEFAULT_SORT ? '' : sort, filterQuery, validatedPage],
+      () => loadPage().then(({ results, total_pages }) => ({ results, total_pages })),
+      { onRevalidate: showMovies, signal }
+    )
+      .then(showMovies)
       .catch((err) => {
+        if (isAbortError(err)) return;
         console.error('Error fetching movies:', err);
-        setError(`Failed to connect to the movie server. Please check your internet connection or try again later. (${err.message})`);
+        setError({ key: 'movies.errors.connect', values: { reason: errorReason(err) } });
         setMovies([]);
         setTotalPages(1);
         setIsLoading(false);
       });
   }, []);
 
-  const searchMovies = useCallback((query, pageNum = 1, appendResults = false) => {
+  const searchMovies = useCallback((query, pageNum = 1, appendResults = false, signal) => {
     if (!query.trim()) return;
     
     if (appendResults) {
@@ -219,88 +218,46 @@ const Movie = () => {
     }
     setError(null);
     
-    const cachedKey = `searchCache_movie_${query.toLowerCase()}_${pageNum}`;
-    const cachedData = safeGetItem(cachedKey);
-    const cachedTimestamp = safeGetItem(`${cachedKey}_timestamp`);
-    const cacheExpiry = 30 * 60 * 1000;
-    
-    if (cachedData && cachedTimestamp) {
-      const currentTime = new Date().getTime();
-      if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-        try {
-          console.log("Using cached search data for page", pageNum);
-          
-          if (appendResults) {
-            setMovies(prev => [...prev, ...cachedData.results]);
-            setLoadedPages(prev => new Set([...prev, pageNum]));
-            setIsLoadingMore(false);
-          } else {
-            setMovies(cachedData.results);
-          }
-          
-          setTotalPages(Math.min(cachedData.total_pages, 500));
-          
-          if (!appendResults) {
-            setIsLoading(false);
-          }
-          return;
-        } catch (err) {
-          console.error("Error parsing cached search data", err);
-        }
-      }
-    }
-    
-    const searchUrl = SEARCH_MOVIES(query, pageNum);
-    console.log("Searching movies from:", searchUrl);
-    
-    fetch(searchUrl, {
-      headers: getHeaders()
-    })
-      .then(response => {
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        return response.json();
-      })
-      .then(data => {
-        if (data && Array.isArray(data.results)) {
-          if (appendResults) {
-            setMovies(prev => [...prev, ...data.results]);
-            setLoadedPages(prev => new Set([...prev, pageNum]));
-          } else {
-            setMovies(data.results);
-          }
-          
-          setTotalPages(Math.min(data.total_pages, 500));
-          
-          safeSetItem(cachedKey, data);
-          safeSetItem(`${cachedKey}_timestamp`, new Date().getTime());
-          
-          // Preload images
-          data.results.forEach(movie => {
-            if (movie.poster_path) {
-              const img = new Image();
-              img.src = `${BASE_IMG_URL}${movie.poster_path}`;
-            }
-          });
+    const showResults = (data) => {
+      if (data && Array.isArray(data.results)) {
+        if (appendResults) {
+          setMovies(prev => [...prev, ...data.results]);
+          setLoadedPages(prev => new Set([...prev, pageNum]));
         } else {
-          if (!appendResults) {
-            setMovies([]);
-            setTotalPages(1);
-          }
-          console.error('Unexpected search response format:', data);
-          setError('Unexpected search response format. The server might be down or the API format has changed.');
+          setMovies(data.results);
         }
         
-        if (appendResults) {
-          setIsLoadingMore(false);
-        } else {
-          setIsLoading(false);
+        setTotalPages(Math.min(data.total_pages, MAX_API_PAGE));
+        
+        preloadImages(data.results);
+      } else {
+        if (!appendResults) {
+          setMovies([]);
+          setTotalPages(1);
         }
-      })
+        console.error('Unexpected search response format:', data);
+        setError({ key: 'common.errors.badSearchResponse' });
+      }
+      
+      if (appendResults) {
+        setIsLoadingMore(false);
+      } else {
+        setIsLoading(false);
+      }
+    };
+    
+    cachedRequest(
+      'movieSearch',
+      [query, pageNum],
+      () => tmdb.searchMovies(query, pageNum, { signal }),
+      // Appended pages are not refreshed in place, that would duplicate them
+      { onRevalidate: appendResults ? undefined : showResults, signal }
+    )
+      .then(showResults)
       .catch(err => {
+        if (isAbortError(err)) return;
         console.error('Error searching movies:', err);
-        setError(`Failed to search movies. Please check your internet connection or try again later. (${err.message})`);
+        setError({ key: 'movies.errors.search', values: { reason: errorReason(err) } });
         if (!appendResults) {
           setMovies([]);
           setTotalPages(1);
@@ -311,14 +268,19 @@ const Movie = () => {
   }, []);
 
   useEffect(() => {
+    // Cancel the request if the page or search changes before it completes
+    const controller = new AbortController();
+    
     if (searchTerm) {
       setIsSearchMode(true);
-      searchMovies(searchTerm, page);
+      searchMovies(searchTerm, page, false, controller.signal);
     } else {
       setIsSearchMode(false);
-      fetchMovies(page);
+      fetchMovies(page, filterQuery, sort, controller.signal);
     }
-  }, [page, searchTerm, fetchMovies, searchMovies]);
+    
+    return () => controller.abort();
+  }, [page, searchTerm, filterQuery, sort, fetchMovies, searchMovies]);
 
   // Initialize from searchParams when component mounts
   useEffect(() => {
@@ -407,8 +369,8 @@ const Movie = () => {
   }, [page, searchTerm]);
 
   const clearCache = () => {
-    clearAllCache(true); // Using the StorageHandler utility, preserving user data
-    alert('Cache cleared successfully');
+    // Using the StorageHandler utility, preserving user data
+    clearAllCache(true).then(() => alert(t('common.cacheCleared')));
   };
 
   const loadMoreResults = () => {
@@ -423,12 +385,27 @@ const Movie = () => {
     setSearchTerm('');
     setPage(1);
   };
+
+  // New filters start over from the first page and get their own history entry
+  const handleFiltersChange = (nextFilters) => {
+    const nextSearchParams = applyFilters(searchParams, nextFilters);
+    nextSearchParams.delete('page');
+    setSearchParams(nextSearchParams);
+    setPage(1);
+  };
+
+  const handleSortChange = (nextSort) => {
+    const nextSearchParams = applySort(searchParams, nextSort);
+    nextSearchParams.delete('page');
+    setSearchParams(nextSearchParams);
+    setPage(1);
+  };
     
   return (
     <div className="bg-white text-black dark:bg-bg dark:text-white">
       <SEO 
-        title="Discover Movies"
-        description="Find the latest and greatest movies from around the world. Search for your favorites or discover new titles to watch."
+        title={t('movies.title')}
+        description={t('movies.intro')}
         keywords="movies, popular movies, movie search, watch movies"
       />
       
@@ -444,16 +421,16 @@ const Movie = () => {
         <Container>
           <div className='min-h-[40vh] md:min-h-[50vh] flex flex-col justify-center py-8 md:py-0'>
             <h1 className='text-white w-full mx-auto text-2xl sm:text-3xl md:text-5xl font-bold text-center mb-2 md:mb-4'>
-              Discover Movies
+              {t('movies.title')}
             </h1>
             <p className='text-gray-200 text-center mb-4 md:mb-8 max-w-2xl mx-auto px-4 text-sm md:text-base'>
-              Find the latest and greatest movies from around the world. Search for your favorites or discover new titles to watch.
+              {t('movies.intro')}
             </p>
             <div className='w-[95%] sm:w-[90%] md:w-2/3 lg:w-1/2 mx-auto py-3 md:py-6'>
               <div className="flex flex-col sm:flex-row gap-2">
                 <Input 
                   onInput={handleInputChange}
-                  placeholder="Search for a movie..." 
+                  placeholder={t('movies.searchPlaceholder')}
                   value={keyword}
                   className="shadow-lg flex-grow mb-2 sm:mb-0 text-bg"
                   ref={searchInputRef}
@@ -464,7 +441,7 @@ const Movie = () => {
                   onClick={executeSearch}
                   className="bg-bluee hover:bg-blueh text-white px-6 py-2.5 rounded-lg shadow-lg transition-all duration-200 flex items-center justify-center"
                 >
-                  Search
+                  {t('common.search')}
                 </button>
               </div>
               {import.meta.env.DEV && (
@@ -473,7 +450,7 @@ const Movie = () => {
                     onClick={clearCache}
                     className="text-xs text-gray-300 underline hover:text-white"
                   >
-                    Clear cache (dev only)
+                    {t('common.clearCacheDev')}
                   </button>
                 </div>
               )}
@@ -483,13 +460,34 @@ const Movie = () => {
       </div>
 
       <Container>
+  {/* Curated rails only lead the unfiltered first page */}
+  {!isSearchMode && !filterQuery && sort === DEFAULT_SORT && page === 1 && (
+    <div className="pt-4 md:pt-6">
+      <ContinueWatching mediaType="movie" />
+      {COLLECTIONS.movie.map(collection => (
+        <Rail key={collection.id} mediaType="movie" collection={collection} />
+      ))}
+    </div>
+  )}
+
+  {!isSearchMode && (
+    <div className="pt-6 md:pt-8">
+      <FilterPanel
+        mediaType="movie"
+        filters={filters}
+        onChange={handleFiltersChange}
+        actions={<SortControl mediaType="movie" value={sort} onChange={handleSortChange} />}
+      />
+    </div>
+  )}
+
   {isLoading && (
     <div className='py-8 md:py-16 text-center'>
       <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-bluee mb-4"></div>
       <p className="text-gray-600 dark:text-gray-300">
         {isSearchMode 
-          ? `Searching for "${searchTerm}"...` 
-          : "Loading movies..."}
+          ? t('common.searchingFor', { query: searchTerm })
+          : t('movies.loading')}
       </p>
     </div>
   )}
@@ -497,13 +495,13 @@ const Movie = () => {
   {error && !isLoading && (
     <div className='py-6 md:py-12 text-center'>
       <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-4 rounded-lg max-w-md mx-auto shadow-sm">
-        <p className="font-bold mb-1">Error loading movies</p>
-        <p className="text-sm">{error}</p>
+        <p className="font-bold mb-1">{t('movies.errorTitle')}</p>
+        <p className="text-sm">{t(error.key, error.values)}</p>
         <button 
-          onClick={() => searchTerm ? searchMovies(searchTerm, page) : fetchMovies(page)} 
+          onClick={() => searchTerm ? searchMovies(searchTerm, page) : fetchMovies(page, filterQuery, sort)} 
           className="mt-3 bg-red-100 dark:bg-red-700 hover:bg-red-200 dark:hover:bg-red-600 text-red-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
         >
-          Try Again
+          {t('common.tryAgain')}
         </button>
       </div>
     </div>
@@ -522,7 +520,7 @@ const Movie = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                     </svg>
                   </span>
-                  Results for "{searchTerm}"
+                  {t('common.resultsFor', { query: searchTerm })}
                   <button 
                     onClick={handleBackNavigation} 
                     className="ml-3 text-sm bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-800 dark:text-gray-200 py-1 px-3 rounded-full flex items-center transition-colors"
@@ -530,34 +528,34 @@ const Movie = () => {
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
                     </svg>
-                    Back
+                    {t('common.back')}
                   </button>
                 </>
               ) 
               : (
                 <h1 className="mr-2 text-gray-800 dark:text-white">
-                  Popular Movies
+                  {filterQuery ? t('movies.filtered') : sort === DEFAULT_SORT ? t('movies.popular') : t('movies.all')}
                 </h1>
               )}
           </h1>
           <p className="text-sm md:text-base text-gray-600 dark:text-gray-400">
             {isSearchMode && totalPages > 1 
-              ? <span className="flex items-center"><span className="inline-block w-2 h-2 rounded-full bg-bluee mr-2"></span>{movies.length} results (Page {page} of {totalPages})</span>
+              ? <span className="flex items-center"><span className="inline-block w-2 h-2 rounded-full bg-bluee mr-2"></span>{t('common.resultsPage', { count: movies.length, page, total: totalPages })}</span>
               : page > totalPages 
-                ? <span className="text-red-600 dark:text-red-400">Page {page} exceeds maximum of {totalPages}</span> 
-                : <span className="flex items-center"><span className="inline-block w-2 h-2 rounded-full bg-green-500 mr-2"></span>Page {page} of {totalPages}</span>
+                ? <span className="text-red-600 dark:text-red-400">{t('common.pageExceeds', { page, total: totalPages })}</span> 
+                : <span className="flex items-center"><span className="inline-block w-2 h-2 rounded-full bg-green-500 mr-2"></span>{t('pagination.pageOf', { page, total: totalPages })}</span>
             }
           </p>
         </div>
 
         <div className='grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6 px-2 sm:px-0'>
-          {movies.length > 0 ? (
-            movies.map((movie) => (
+          {filterItems(movies).length > 0 ? (
+            filterItems(movies).map((movie) => (
               <ListItem 
                 key={movie.id}
                 posterPath={movie.poster_path}
                 id={movie.id}
-                title={movie.title || 'Untitled'}
+                title={movie.title || t('common.untitled')}
                 rating={movie.vote_average || 0}
                 releaseDate={movie.release_date}
               />
@@ -567,13 +565,21 @@ const Movie = () => {
               <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400 dark:text-gray-500 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M12 14a7 7 0 110-14 7 7 0 010 14z" />
               </svg>
-              <p className="text-gray-600 dark:text-gray-400 mb-3">No movies found</p>
+              <p className="text-gray-600 dark:text-gray-400 mb-3">{t('movies.noneFound')}</p>
               {searchTerm && (
                 <button 
                   onClick={clearSearch} 
                   className="bg-blue-100 dark:bg-bluee hover:bg-blue-200 dark:hover:bg-blueh text-blue-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
                 >
-                  Clear Search
+                  {t('common.clearSearch')}
+                </button>
+              )}
+              {!searchTerm && filterQuery && (
+                <button 
+                  onClick={() => handleFiltersChange(EMPTY_FILTERS)} 
+                  className="bg-blue-100 dark:bg-bluee hover:bg-blue-200 dark:hover:bg-blueh text-blue-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
+                >
+                  {t('common.clearFilters')}
                 </button>
               )}
             </div>
@@ -590,14 +596,14 @@ const Movie = () => {
               {isLoadingMore ? (
                 <>
                   <div className="w-5 h-5 border-t-2 border-b-2 border-white rounded-full animate-spin"></div>
-                  <span>Loading more...</span>
+                  <span>{t('common.loadingMore')}</span>
                 </>
               ) : (
                 <>
                   <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
                   </svg>
-                  <span>Load More Results</span>
+                  <span>{t('common.loadMore')}</span>
                 </>
               )}
             </button>
@@ -617,7 +623,7 @@ const Movie = () => {
 
         {isSearchMode && loadedPages.size > 1 && (
           <div className="text-center text-sm text-gray-500 dark:text-gray-400 mt-4">
-            {loadedPages.size} of {totalPages} pages loaded ({movies.length} movies)
+            {t('movies.pagesLoaded', { loaded: loadedPages.size, total: totalPages, count: movies.length })}
           </div>
         )}
       </div>
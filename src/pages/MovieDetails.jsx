@@ -1,95 +1,41 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link, useLocation } from 'react-router-dom';
 import SEO from '../utils/SEO';
 import Container from '../components/Container';
 import BackToTop from '../components/BackToTop';
-import { BASE_API, MOVIE_DETAILS, BASE_IMG_URL, getHeaders } from '../utils/Endpoint';
+import CreditsList from '../components/CreditsList';
+import RelatedTitles from '../components/RelatedTitles';
+import LibraryToggles from '../components/LibraryToggles';
+import AddToListMenu from '../components/AddToListMenu';
+import PersonalRating from '../components/PersonalRating';
+import RestrictedNotice from '../components/RestrictedNotice';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, preloadImage, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { EMBED_FEATURES, buildEmbedUrl } from '../utils/EmbedProviders';
+import useEmbedPlayer from '../hooks/useEmbedPlayer';
+import useContentFilter from '../hooks/useContentFilter';
+import { watchMoviePath } from '../utils/Paths';
+import { toCardProps } from '../utils/MediaItem';
+import { useWatchHistory } from '../contexts/WatchHistoryContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
 
 const MovieDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
+  const { t, formatDate, formatNumber } = useLocale();
   const [movie, setMovie] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  // `{ key, values }` of the message, translated when shown
   const [error, setError] = useState(null);
+  const { isAllowed, isPending } = useContentFilter(movie ? [movie] : undefined, 'movie');
   
-  // Player state
-  const [isPlayerLoading, setIsPlayerLoading] = useState(false);
-  const [playerError, setPlayerError] = useState(null);
-  const [embedSource, setEmbedSource] = useState('default'); // 'default', 'alternative', 'fallback'
-  const [showPlayer, setShowPlayer] = useState(true);
-  const playerRef = useRef(null);
-
-  // Function to restart player with the current source
-  const restartPlayer = () => {
-    setIsPlayerLoading(true);
-    setPlayerError(null);
-    setShowPlayer(false);
-    setTimeout(() => {
-      setShowPlayer(true);
-    }, 50);
-  };
-
-  // Function to switch to a specific source
-  const switchSource = (source) => {
-    if (embedSource !== source) {
-      setEmbedSource(source);
-      setIsPlayerLoading(true);
-      setPlayerError(null);
-      restartPlayer();
-    }
-  };
-
-  // Get source name for display
-  const getSourceName = (source) => {
-    switch(source) {
-      case 'alternative':
-        return 'Source 2';
-      case 'fallback':
-        return 'Source 3';
-      case 'default':
-      default:
-        return 'Source 1';
-    }
-  };
-
-  // Function to handle player load events
-  const handlePlayerLoad = () => {
-    setIsPlayerLoading(false);
-    setPlayerError(null);
-  };
-
-  // Function to handle player errors
-  const handlePlayerError = () => {
-    setIsPlayerLoading(false);
-    
-    if (embedSource === 'default') {
-      // Try alternative source
-      setPlayerError("Primary player failed. Trying alternative source...");
-      setEmbedSource('alternative');
-      restartPlayer();
-    } else if (embedSource === 'alternative') {
-      // Try fallback source
-      setPlayerError("Alternative player failed. Trying fallback source...");
-      setEmbedSource('fallback');
-      restartPlayer();
-    } else {
-      setPlayerError("Failed to load video player. Please try again later or check if this movie is available.");
-    }
-  };
-  
-  // Generate the embed URL based on the current source
-  const getEmbedUrl = () => {
-    switch(embedSource) {
-      case 'alternative':
-        return `https://vidsrc.xyz/embed/movie?tmdb=${id}`;
-      case 'fallback':
-        return `https://www.2embed.cc/embed/${id}`;
-      case 'default':
-      default:
-        return `https://embed.su/embed/movie/${id}`;
-    }
-  };
+  // Player source, ranked by how reliably each provider has loaded
+  const player = useEmbedPlayer(EMBED_FEATURES.MOVIE);
+  const startPlayer = player.start;
+  const { recordMovie } = useWatchHistory();
 
   // Improved back navigation function
   const handleGoBack = () => {
@@ -113,68 +59,82 @@ const MovieDetails = () => {
       return;
     }
     
+    const controller = new AbortController();
+    
+    // Related rails link one details page to the next, start each title at the top
+    window.scrollTo(0, 0);
+    
     const fetchMovieDetails = async () => {
       setIsLoading(true);
       setError(null);
       
-      const cachedKey = `cachedMovieDetails_${id}`;
-      const cachedData = localStorage.getItem(cachedKey);
-      const cachedTimestamp = localStorage.getItem(`${cachedKey}_timestamp`);
-      const cacheExpiry = 30 * 60 * 1000; // 30 minutes
-      
-      if (cachedData && cachedTimestamp) {
-        const currentTime = new Date().getTime();
-        if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-          try {
-            const parsedData = JSON.parse(cachedData);
-            console.log("Using cached movie details");
-            setMovie(parsedData);
-            setIsLoading(false);
-            return;
-          } catch (err) {
-            console.error("Error parsing cached data", err);
-          }
-        }
-      }
-      
       try {
-        const response = await fetch(MOVIE_DETAILS(id), { headers: getHeaders() });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        console.log("Movie details:", data);
+        const data = await cachedRequest(
+          'movieDetails',
+          [id],
+          () => tmdb.movieDetails(id, { signal: controller.signal }),
+          { onRevalidate: setMovie, signal: controller.signal }
+        );
         
         setMovie(data);
         
-        // Cache the data
-        localStorage.setItem(cachedKey, JSON.stringify(data));
-        localStorage.setItem(`${cachedKey}_timestamp`, new Date().getTime().toString());
-        
         // Preload backdrop image
-        if (data.backdrop_path) {
-          const img = new Image();
-          img.src = `${BASE_IMG_URL}${data.backdrop_path}`;
-        }
+        preloadImage(data.backdrop_path);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error("Error fetching movie details:", err);
-        setError(`Failed to load movie details. Please try again later. (${err.message})`);
+        setError({ key: 'movieDetails.errors.load', values: { reason: errorReason(err) } });
       } finally {
-        setIsLoading(false);
+        if (!controller.signal.aborted) setIsLoading(false);
       }
     };
     
     fetchMovieDetails();
+    
+    return () => controller.abort();
   }, [id, navigate]);
   
+  // The player waits for the play button, opening the page isn't watching the movie.
+  // Related rails link one details page to the next, each starts stopped.
+  const movieId = movie?.id;
+  const [isPlaying, setIsPlaying] = useState(false);
+  const stopPlayer = player.stop;
+  useEffect(() => {
+    setIsPlaying(false);
+    stopPlayer();
+  }, [movieId, stopPlayer]);
+  
+  // Every title starts on the best ranked source
+  const playMovie = () => {
+    startPlayer();
+    setIsPlaying(true);
+  };
+  
+  const selectSource = (sourceId) => {
+    player.selectSource(sourceId);
+    setIsPlaying(true);
+  };
+  
+  // Remember the movie and the source it plays from for "Continue watching"
+  const playerSource = isPlaying && player.attempt > 0 ? player.provider.id : null;
+  useEffect(() => {
+    if (movie && playerSource) recordMovie(movie, playerSource);
+  }, [movie, playerSource, recordMovie]);
+  
+  // Links to `#player` go straight to the player
+  const wantsPlayer = location.hash === '#player';
+  useEffect(() => {
+    if (movieId && wantsPlayer) {
+      document.getElementById('player')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [movieId, wantsPlayer]);
+  
   if (isLoading) {
     return (
       <Container>
         <div className='py-16 text-center'>
           <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
-          <p>Loading movie details...</p>
+          <p>{t('movieDetails.loading')}</p>
         </div>
       </Container>
     );
@@ -185,20 +145,20 @@ const MovieDetails = () => {
       <Container>
         <div className='py-8 text-center'>
           <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded max-w-md mx-auto">
-            <p className="font-bold">Error</p>
-            <p>{error}</p>
+            <p className="font-bold">{t('common.error')}</p>
+            <p>{t(error.key, error.values)}</p>
             <div className="mt-3">
               <button 
                 onClick={() => navigate('/')}
                 className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded mr-2"
               >
-                Back to Movies
+                {t('browse.backToMovies')}
               </button>
               <button 
                 onClick={() => window.location.reload()}
                 className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded"
               >
-                Try Again
+                {t('common.tryAgain')}
               </button>
             </div>
           </div>
@@ -211,38 +171,38 @@ const MovieDetails = () => {
     return (
       <Container className='dark'>
         <div className='py-8 text-center'>
-          <p>Movie not found</p>
+          <p>{t('movieDetails.notFound')}</p>
           <button 
             onClick={() => navigate('/')}
             className="mt-4 bg-bluee hover:bg-blueh text-white px-4 py-2 rounded"
           >
-            Back to Movies
+            {t('browse.backToMovies')}
           </button>
         </div>
       </Container>
     );
   }
+
+  if (!isAllowed(movie)) {
+    return <RestrictedNotice isChecking={isPending(movie)} />;
+  }
   
   // Format runtime from minutes to hours and minutes
   const formatRuntime = (minutes) => {
-    if (!minutes) return 'N/A';
+    if (!minutes) return t('common.notAvailable');
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
-    return `${hours}h ${remainingMinutes}m`;
-  };
-  
-  // Format release date
-  const formatDate = (dateString) => {
-    if (!dateString) return 'Unknown';
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    return new Date(dateString).toLocaleDateString(undefined, options);
+    return t('common.runtime', { hours, minutes: remainingMinutes });
   };
+
+  // Budgets and box office are in US dollars on TMDB
+  const formatDollars = amount => formatNumber(amount, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
   
   return (
     <div className='bg-white dark:bg-gray-800'>
       <SEO 
-        title={`${movie.title || 'Movie Details'}`}
-        description={movie.overview || `Details about ${movie.title}`}
+        title={movie.title || t('movieDetails.title')}
+        description={movie.overview || t('movieDetails.description', { title: movie.title })}
         keywords={`movie, ${movie.title}, details, film`}
       />
       
@@ -274,7 +234,7 @@ const MovieDetails = () => {
                     />
                   ) : (
                     <div className="w-full pt-[150%] bg-gray-800 flex items-center justify-center">
-                      <span className="text-gray-400">No poster available</span>
+                      <span className="text-gray-400">{t('movieDetails.noPoster')}</span>
                     </div>
                   )}
                 </div>
@@ -296,23 +256,30 @@ const MovieDetails = () => {
                     <p className="text-gray-400 italic mb-4">{movie.tagline}</p>
                   )}
                   
+                  <div className="flex flex-wrap gap-2 mb-6">
+                    <LibraryToggles mediaType="movie" item={toCardProps(movie, 'movie')} variant="details" />
+                    <AddToListMenu mediaType="movie" item={toCardProps(movie, 'movie')} />
+                  </div>
+
+                  <PersonalRating mediaType="movie" item={toCardProps(movie, 'movie')} />
+                  
                   {/* Meta info */}
                   <div className="flex flex-wrap gap-y-2 mb-6 text-sm md:text-base text-gray-300">
                     {movie.release_date && (
                       <div className="mr-4">
-                        <span className="block md:inline text-gray-400">Release Date:</span> {formatDate(movie.release_date)}
+                        <span className="block md:inline text-gray-400">{t('movieDetails.releaseDate')}</span> {formatDate(movie.release_date)}
                       </div>
                     )}
                     
                     {movie.runtime && (
                       <div className="mr-4">
-                        <span className="block md:inline text-gray-400">Runtime:</span> {formatRuntime(movie.runtime)}
+                        <span className="block md:inline text-gray-400">{t('movieDetails.runtime')}</span> {formatRuntime(movie.runtime)}
                       </div>
                     )}
                     
                     {movie.vote_average > 0 && (
                       <div>
-                        <span className="block md:inline text-gray-400">Rating:</span> {movie.vote_average.toFixed(1)}/10
+                        <span className="block md:inline text-gray-400">{t('movieDetails.rating')}</span> {formatNumber(movie.vote_average, ONE_DECIMAL)}/10
                       </div>
                     )}
                   </div>
@@ -336,7 +303,7 @@ const MovieDetails = () => {
                   {/* Overview */}
                   {movie.overview && (
                     <div className="mb-6">
-                      <h2 className="text-xl font-semibold mb-2">Overview</h2>
+                      <h2 className="text-xl font-semibold mb-2">{t('common.overview')}</h2>
                       <p className="text-gray-300 leading-relaxed">{movie.overview}</p>
                     </div>
                   )}
@@ -345,7 +312,7 @@ const MovieDetails = () => {
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-4 mb-6">
                     {movie.production_companies && movie.production_companies.length > 0 && (
                       <div>
-                        <h3 className="text-lg font-medium mb-1">Production</h3>
+                        <h3 className="text-lg font-medium mb-1">{t('movieDetails.production')}</h3>
                         <p className="text-gray-300">
                           {movie.production_companies.map(company => company.name).join(', ')}
                         </p>
@@ -354,7 +321,7 @@ const MovieDetails = () => {
                     
                     {movie.production_countries && movie.production_countries.length > 0 && (
                       <div>
-                        <h3 className="text-lg font-medium mb-1">Country</h3>
+                        <h3 className="text-lg font-medium mb-1">{t('movieDetails.country')}</h3>
                         <p className="text-gray-300">
                           {movie.production_countries.map(country => country.name).join(', ')}
                         </p>
@@ -363,18 +330,18 @@ const MovieDetails = () => {
                     
                     {movie.budget > 0 && (
                       <div>
-                        <h3 className="text-lg font-medium mb-1">Budget</h3>
+                        <h3 className="text-lg font-medium mb-1">{t('movieDetails.budget')}</h3>
                         <p className="text-gray-300">
-                          ${movie.budget.toLocaleString()}
+                          {formatDollars(movie.budget)}
                         </p>
                       </div>
                     )}
                     
                     {movie.revenue > 0 && (
                       <div>
-                        <h3 className="text-lg font-medium mb-1">Revenue</h3>
+                        <h3 className="text-lg font-medium mb-1">{t('movieDetails.revenue')}</h3>
                         <p className="text-gray-300">
-                          ${movie.revenue.toLocaleString()}
+                          {formatDollars(movie.revenue)}
                         </p>
                       </div>
                     )}
@@ -386,7 +353,7 @@ const MovieDetails = () => {
                       onClick={handleGoBack}
                       className="bg-blue-600 hover:bg-blue-700 text-white px-5 py-2 rounded-lg transition-colors"
                     >
-                      Back to Movies
+                      {t('browse.backToMovies')}
                     </button>
                   </div>
                 </div>
@@ -398,9 +365,14 @@ const MovieDetails = () => {
       
       {/* Additional content sections */}
       <Container>
+        {/* Cast and crew */}
+        <div className="pt-8">
+          <CreditsList credits={movie.credits} />
+        </div>
+
         {movie.videos && movie.videos.results && movie.videos.results.length > 0 && (
           <div className="py-8">
-            <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">Videos</h2>
+            <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">{t('movieDetails.videos')}</h2>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
               {movie.videos.results.slice(0, 3).map(video => (
                 <div key={video.id} className="aspect-video bg-gray-900 rounded overflow-hidden">
@@ -420,55 +392,86 @@ const MovieDetails = () => {
         )}
 
         {/* Movie Player */}
-        <div className="py-8">
-          <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">Watch Movie</h2>
+        <div id="player" className="py-8 scroll-mt-20">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold">{t('movieDetails.watch')}</h2>
+            <Link
+              to={watchMoviePath(movie.id)}
+              className="text-sm font-semibold text-bluee hover:text-blueh"
+            >
+              {t('movieDetails.theaterMode')}
+            </Link>
+          </div>
           <div className="dark:bg-card bg-gray-200 rounded-lg shadow-md p-4">
             <div className="aspect-video mb-4 bg-gray-900 rounded overflow-hidden">
-              {showPlayer && (
+              {!isPlaying && (
+                <button
+                  onClick={playMovie}
+                  className="w-full h-full flex items-center justify-center gap-2 text-white text-lg font-semibold hover:bg-gray-800 transition-colors"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-10 w-10" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                  {t('movieDetails.play')}
+                </button>
+              )}
+              {isPlaying && player.attempt > 0 && (
                 <iframe
-                  src={getEmbedUrl()}
+                  key={player.attempt}
+                  src={buildEmbedUrl(player.provider, EMBED_FEATURES.MOVIE, { tmdbId: id })}
                   width="100%"
                   height="100%"
                   frameBorder="0"
                   allowFullScreen
                   className="w-full h-full"
-                  title={`${movie.title} Player`}
-                  onLoad={handlePlayerLoad}
-                  onError={handlePlayerError}
+                  title={t('movieDetails.playerTitle', { title: movie.title })}
+                  onLoad={player.handleLoad}
+                  onError={player.handleError}
                 ></iframe>
               )}
             </div>
-            {isPlayerLoading && (
+            {player.isLoading && (
               <div className="text-center">
                 <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
-                <p>Loading player...</p>
+                <p>{t('episode.loadingPlayer')}</p>
               </div>
             )}
-            {playerError && (
+            {player.error && (
               <div className="text-center text-red-500">
-                <p>{playerError}</p>
+                <p>{t(player.error.key, player.error.values)}</p>
               </div>
             )}
-            <div className="flex justify-center gap-4 mb-4">
-              {['default', 'alternative', 'fallback'].map(source => (
+            <div className="flex flex-wrap justify-center gap-4 mb-4">
+              {player.providers.map(provider => (
                 <button
-                  key={source}
-                  onClick={() => switchSource(source)}
+                  key={provider.id}
+                  onClick={() => selectSource(provider.id)}
                   className={`px-4 py-2 rounded-lg ${
-                    embedSource === source
+                    player.provider.id === provider.id
                       ? 'bg-bluee text-white'
                       : 'bg-gray-300 text-gray-800 hover:bg-blue-300'
                   }`}
                 >
-                  {getSourceName(source)}
+                  {provider.label}
                 </button>
               ))}
+              {isPlaying && (
+                <button
+                  onClick={player.reportCurrentBroken}
+                  className="px-4 py-2 rounded-lg text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900"
+                >
+                  {t('common.reportBroken', { source: player.provider.label })}
+                </button>
+              )}
             </div>
             <p className="dark:text-white text-custom-secondary text-sm">
-              {"If the player does't load correctly, please try refreshing the page or check back later."}
+              {t('movieDetails.playerHint')}
             </p>
           </div>
         </div>
+
+        {/* What to watch next */}
+        <RelatedTitles details={movie} mediaType="movie" />
       </Container>
     </div>
   );
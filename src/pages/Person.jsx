@@ -0,0 +1,306 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useParams, useSearchParams, useNavigate, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import BackToTop from '../components/BackToTop';
+import { imageUrl } from '../utils/Endpoint';
+import { tmdb, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import {
+  FILMOGRAPHY_SORTS,
+  ALL_ROLES,
+  getCreditRoles,
+  buildFilmography,
+  sortFilmography
+} from '../utils/Filmography';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Long biographies are cut to this many characters until expanded
+const BIOGRAPHY_PREVIEW = 600;
+
+// Age today, or at death
+const getAge = (birthday, deathday) => {
+  const birth = new Date(birthday);
+  const end = deathday ? new Date(deathday) : new Date();
+  let age = end.getFullYear() - birth.getFullYear();
+  if (end.getMonth() < birth.getMonth() || (end.getMonth() === birth.getMonth() && end.getDate() < birth.getDate())) {
+    age -= 1;
+  }
+  return age;
+};
+
+const selectClass = "text-sm px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+// Person profile with their combined movie and TV filmography, e.g. /person/287?role=Directing&sort=popularity
+const Person = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t, formatDate } = useLocale();
+
+  const [person, setPerson] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  const [showFullBio, setShowFullBio] = useState(false);
+
+  const sort = FILMOGRAPHY_SORTS.some(option => option.id === searchParams.get('sort'))
+    ? searchParams.get('sort')
+    : FILMOGRAPHY_SORTS[0].id;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+    setShowFullBio(false);
+
+    cachedRequest(
+      'personDetails',
+      [id],
+      () => tmdb.personDetails(id, { signal: controller.signal }),
+      { onRevalidate: setPerson, signal: controller.signal }
+    )
+      .then(setPerson)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('Error fetching person details:', err);
+        setError(errorReason(err));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [id, retryCount]);
+
+  const roles = useMemo(() => getCreditRoles(person?.combined_credits), [person]);
+  // Fall back to everything when the URL names a role this person never had
+  const role = roles.some(option => option.id === searchParams.get('role'))
+    ? searchParams.get('role')
+    : ALL_ROLES;
+
+  const credits = useMemo(
+    () => sortFilmography(buildFilmography(person?.combined_credits, role), sort),
+    [person, role, sort]
+  );
+  const { filterItems } = useContentFilter(credits);
+  const filmography = useMemo(() => filterItems(credits), [credits, filterItems]);
+
+  const setParam = (name, value, defaultValue) => {
+    const nextSearchParams = new URLSearchParams(searchParams);
+    if (value === defaultValue) {
+      nextSearchParams.delete(name);
+    } else {
+      nextSearchParams.set(name, value);
+    }
+    setSearchParams(nextSearchParams, { replace: true });
+  };
+
+  if (isLoading) {
+    return (
+      <Container>
+        <div className="py-16 text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-bluee mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-300">{t('person.loading')}</p>
+        </div>
+      </Container>
+    );
+  }
+
+  if (error || !person) {
+    return (
+      <Container>
+        <div className="py-8 text-center">
+          <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-4 rounded-lg max-w-md mx-auto shadow-sm">
+            <p className="font-bold mb-1">{t('person.errorTitle')}</p>
+            {error && <p className="text-sm">{t(error.key, error.values)}</p>}
+            <div className="mt-3 flex justify-center gap-2">
+              <button
+                onClick={() => navigate(-1)}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded transition-colors"
+              >
+                {t('common.goBack')}
+              </button>
+              <button
+                onClick={() => setRetryCount(count => count + 1)}
+                className="bg-red-100 dark:bg-red-700 hover:bg-red-200 dark:hover:bg-red-600 text-red-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
+              >
+                {t('common.tryAgain')}
+              </button>
+            </div>
+          </div>
+        </div>
+      </Container>
+    );
+  }
+
+  const biography = person.biography || '';
+  const isBioLong = biography.length > BIOGRAPHY_PREVIEW;
+  const visibleBio = isBioLong && !showFullBio
+    ? `${biography.slice(0, BIOGRAPHY_PREVIEW).trimEnd()}…`
+    : biography;
+
+  return (
+    <div className="bg-white text-black dark:bg-bg dark:text-white min-h-[60vh]">
+      <SEO
+        title={person.name}
+        description={biography.slice(0, 160) || t('person.description', { name: person.name })}
+        keywords={`${person.name}, filmography, movies, tv shows`}
+        image={person.profile_path ? imageUrl(person.profile_path, 'w342') : undefined}
+      />
+
+      <BackToTop />
+
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0">
+          <div className="flex flex-col md:flex-row gap-6 md:gap-8">
+            {/* Photo and personal info */}
+            <div className="w-full md:w-1/3 lg:w-1/4 flex-shrink-0">
+              <div className="w-48 md:w-full mx-auto rounded-lg overflow-hidden shadow-lg bg-gray-200 dark:bg-card">
+                {person.profile_path ? (
+                  <img
+                    src={imageUrl(person.profile_path, 'w342')}
+                    alt={person.name}
+                    className="w-full h-auto"
+                  />
+                ) : (
+                  <div className="w-full pt-[150%] relative">
+                    <span className="absolute inset-0 flex items-center justify-center text-gray-500">{t('person.noPhoto')}</span>
+                  </div>
+                )}
+              </div>
+
+              <dl className="mt-6 space-y-3 text-sm">
+                {person.known_for_department && (
+                  <div>
+                    <dt className="font-semibold text-gray-800 dark:text-gray-200">{t('person.knownFor')}</dt>
+                    <dd className="text-gray-600 dark:text-gray-400">{person.known_for_department}</dd>
+                  </div>
+                )}
+                {person.birthday && (
+                  <div>
+                    <dt className="font-semibold text-gray-800 dark:text-gray-200">{t('person.born')}</dt>
+                    <dd className="text-gray-600 dark:text-gray-400">
+                      {formatDate(person.birthday)}
+                      {!person.deathday && ` (${t('person.age', { age: getAge(person.birthday) })})`}
+                    </dd>
+                  </div>
+                )}
+                {person.place_of_birth && (
+                  <div>
+                    <dt className="font-semibold text-gray-800 dark:text-gray-200">{t('person.placeOfBirth')}</dt>
+                    <dd className="text-gray-600 dark:text-gray-400">{person.place_of_birth}</dd>
+                  </div>
+                )}
+                {person.deathday && (
+                  <div>
+                    <dt className="font-semibold text-gray-800 dark:text-gray-200">{t('person.died')}</dt>
+                    <dd className="text-gray-600 dark:text-gray-400">
+                      {formatDate(person.deathday)}
+                      {person.birthday && ` (${t('person.agedAtDeath', { age: getAge(person.birthday, person.deathday) })})`}
+                    </dd>
+                  </div>
+                )}
+              </dl>
+            </div>
+
+            {/* Biography and filmography */}
+            <div className="flex-1 min-w-0">
+              <h1 className="text-2xl md:text-3xl lg:text-4xl font-bold text-gray-800 dark:text-white mb-4">{person.name}</h1>
+
+              <section className="mb-8" aria-label={t('person.biography')}>
+                <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-2">{t('person.biography')}</h2>
+                {biography ? (
+                  <>
+                    <p className="text-gray-700 dark:text-gray-300 leading-relaxed whitespace-pre-line">{visibleBio}</p>
+                    {isBioLong && (
+                      <button
+                        type="button"
+                        onClick={() => setShowFullBio(open => !open)}
+                        className="mt-2 text-sm font-semibold text-bluee hover:text-blueh"
+                      >
+                        {showFullBio ? t('common.showLess') : t('common.readMore')}
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  <p className="text-gray-600 dark:text-gray-400">{t('person.noBiography', { name: person.name })}</p>
+                )}
+              </section>
+
+              <section aria-label={t('person.filmography')}>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-4">
+                  <h2 className="text-xl font-semibold text-gray-800 dark:text-gray-200">
+                    {t('person.filmography')} <span className="text-gray-500 font-normal text-base">({filmography.length})</span>
+                  </h2>
+                  <div className="flex flex-wrap gap-2">
+                    <select
+                      value={role}
+                      onChange={(e) => setParam('role', e.target.value, ALL_ROLES)}
+                      aria-label={t('person.filterByRole')}
+                      className={selectClass}
+                    >
+                      <option value={ALL_ROLES}>{t('person.allRoles')}</option>
+                      {roles.map(option => (
+                        <option key={option.id} value={option.id}>{option.labelKey ? t(option.labelKey) : option.label} ({option.count})</option>
+                      ))}
+                    </select>
+                    <select
+                      value={sort}
+                      onChange={(e) => setParam('sort', e.target.value, FILMOGRAPHY_SORTS[0].id)}
+                      aria-label={t('person.sortFilmography')}
+                      className={selectClass}
+                    >
+                      {FILMOGRAPHY_SORTS.map(option => (
+                        <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {filmography.length === 0 ? (
+                  <p className="py-8 text-center text-gray-600 dark:text-gray-400">{t('person.noCredits')}</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 dark:divide-gray-700 rounded-lg border border-gray-200 dark:border-gray-700">
+                    {filmography.map(entry => (
+                      <li key={entry.key}>
+                        <Link
+                          to={`/${entry.mediaType}/${entry.id}`}
+                          className="flex items-center gap-3 p-3 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
+                        >
+                          <span className="w-12 flex-shrink-0 text-sm text-gray-500 dark:text-gray-400 tabular-nums">
+                            {entry.year || '—'}
+                          </span>
+                          {entry.posterPath ? (
+                            <img
+                              src={imageUrl(entry.posterPath, 'w92')}
+                              alt=""
+                              loading="lazy"
+                              className="w-10 h-14 rounded object-cover flex-shrink-0"
+                            />
+                          ) : (
+                            <div className="w-10 h-14 rounded bg-gray-200 dark:bg-gray-700 flex-shrink-0" aria-hidden="true" />
+                          )}
+                          <div className="min-w-0 flex-1">
+                            <p className="font-semibold text-gray-800 dark:text-white truncate">{entry.title || t('common.untitled')}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 truncate">{entry.roles.map(message => t(message.key, message.values)).join(', ')}</p>
+                          </div>
+                          <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 flex-shrink-0">
+                            {entry.mediaType === 'tv' ? t('person.tv') : t('common.movie')}
+                          </span>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </div>
+          </div>
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default Person;
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import ProfileAvatar from '../components/ProfileAvatar';
+import ProfileForm from '../components/ProfileForm';
+import PinPrompt from '../components/PinPrompt';
+import { useProfiles } from '../contexts/ProfileContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { DEFAULT_PROFILE_ID } from '../utils/Profiles';
+
+const secondaryButtonClass = "px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600";
+
+// /profiles: add, edit and delete the profiles on this device. Another profile's PIN has to be
+// entered before it can be changed.
+const Profiles = () => {
+  const {
+    profiles,
+    activeProfile,
+    verifyPin,
+    createProfile,
+    updateProfile,
+    setProfilePin,
+    deleteProfile
+  } = useProfiles();
+  const { t } = useLocale();
+  // Profile id being edited, 'new' while adding one
+  const [editingId, setEditingId] = useState(null);
+  // Locked profile waiting for its PIN before it can be edited or deleted
+  const [unlocking, setUnlocking] = useState(null);
+  const [unlockedIds, setUnlockedIds] = useState(() => new Set());
+
+  const canChange = profile =>
+    !profile.pinHash || profile.id === activeProfile.id || unlockedIds.has(profile.id);
+
+  // Run `action` on a profile now, or once its PIN has been entered
+  const whenUnlocked = (profile, action) => {
+    if (canChange(profile)) action();
+    else setUnlocking({ profileId: profile.id, action });
+  };
+
+  const handleUnlock = async (pin) => {
+    if (!await verifyPin(unlocking.profileId, pin)) return false;
+    setUnlockedIds(current => new Set(current).add(unlocking.profileId));
+    unlocking.action();
+    setUnlocking(null);
+    return true;
+  };
+
+  const handleCreate = async ({ name, color, isKid, pin }) => {
+    await createProfile({ name, color, isKid, pin: pin || null });
+    setEditingId(null);
+  };
+
+  const handleUpdate = async (profile, { name, color, isKid, pin }) => {
+    updateProfile(profile.id, { name, color, isKid });
+    if (pin !== undefined) await setProfilePin(profile.id, pin);
+    setEditingId(null);
+  };
+
+  const handleDelete = (profile) => {
+    if (!window.confirm(t('profiles.confirmDelete', { name: profile.name }))) return;
+    deleteProfile(profile.id);
+  };
+
+  if (activeProfile.isKid) {
+    return (
+      <Container>
+        <div className="py-16 text-center text-gray-600 dark:text-gray-400">
+          <p>{t('profiles.kidNotice')}</p>
+          <p className="mt-1 text-sm">{t('profiles.kidHint')}</p>
+        </div>
+      </Container>
+    );
+  }
+
+  return (
+    <>
+      <SEO title={t('profiles.title')} description={t('profiles.description')} />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0 max-w-3xl">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white">{t('profiles.title')}</h1>
+            {editingId !== 'new' && (
+              <button
+                type="button"
+                onClick={() => setEditingId('new')}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh"
+              >
+                {t('profiles.add')}
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+            {t('profiles.intro')}
+          </p>
+
+          {editingId === 'new' && (
+            <div className="mb-6 p-4 md:p-6 rounded-lg bg-gray-100 dark:bg-card">
+              <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-4">{t('profiles.newProfile')}</h2>
+              <ProfileForm onSave={handleCreate} onCancel={() => setEditingId(null)} submitLabel={t('profiles.add')} />
+            </div>
+          )}
+
+          <ul className="space-y-3">
+            {profiles.map(profile => (
+              <li key={profile.id} className="p-4 rounded-lg bg-gray-100 dark:bg-card">
+                {editingId === profile.id ? (
+                  <ProfileForm
+                    profile={profile}
+                    onSave={changes => handleUpdate(profile, changes)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="flex flex-wrap items-center gap-4">
+                    <ProfileAvatar profile={profile} />
+                    <div className="flex-1 min-w-0">
+                      <p className="font-semibold text-gray-800 dark:text-white truncate">{profile.name}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {[
+                          profile.id === activeProfile.id && t('profiles.active'),
+                          profile.isKid && t('profiles.kid'),
+                          profile.pinHash && t('profiles.pinLocked')
+                        ].filter(Boolean).join(' · ') || t('profiles.noPin')}
+                      </p>
+                    </div>
+                    <div className="flex gap-2">
+                      <button type="button" onClick={() => whenUnlocked(profile, () => setEditingId(profile.id))} className={secondaryButtonClass}>
+                        {t('common.edit')}
+                      </button>
+                      {profile.id !== DEFAULT_PROFILE_ID && profile.id !== activeProfile.id && (
+                        <button
+                          type="button"
+                          onClick={() => whenUnlocked(profile, () => handleDelete(profile))}
+                          className="px-3 py-1.5 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30"
+                        >
+                          {t('common.delete')}
+                        </button>
+                      )}
+                    </div>
+                    {unlocking?.profileId === profile.id && (
+                      <div className="w-full max-w-xs">
+                        <PinPrompt profileName={profile.name} onSubmit={handleUnlock} onCancel={() => setUnlocking(null)} />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default Profiles;
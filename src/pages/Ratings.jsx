@@ -0,0 +1,236 @@
+import { useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import BackToTop from '../components/BackToTop';
+import StarRating from '../components/StarRating';
+import { imageUrl } from '../utils/Endpoint';
+import { LIBRARY_TYPES } from '../utils/Library';
+import { MAX_RATING, useRatings } from '../contexts/RatingsContext';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
+
+const SORTS = [
+  { id: 'date', labelKey: 'ratings.sorts.date' },
+  { id: 'rating', labelKey: 'ratings.sorts.rating' },
+  { id: 'lowest', labelKey: 'ratings.sorts.lowest' }
+];
+
+// Reviewed but unrated titles go last whichever way the ratings are sorted
+const COMPARATORS = {
+  date: (a, b) => b.updatedAt - a.updatedAt,
+  rating: (a, b) => (b.userRating ?? -1) - (a.userRating ?? -1) || b.updatedAt - a.updatedAt,
+  lowest: (a, b) => (a.userRating ?? Infinity) - (b.userRating ?? Infinity) || b.updatedAt - a.updatedAt
+};
+
+// 0.5, 1, ... MAX_RATING
+const BINS = Array.from({ length: MAX_RATING * 2 }, (_, index) => (index + 1) / 2);
+
+const selectClass = "text-sm px-3 py-1.5 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+const pickParam = (options, value) =>
+  (options.some(option => option.id === value) ? value : options[0].id);
+
+const DATE_FORMAT = { year: 'numeric', month: 'short', day: 'numeric' };
+
+// Everything rated or reviewed, e.g. /library/ratings?type=movie&sort=rating
+const Ratings = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { ratings, isLoaded, removeRating } = useRatings();
+  const { t, formatNumber, formatDate } = useLocale();
+
+  const type = pickParam(LIBRARY_TYPES, searchParams.get('type'));
+  const sort = pickParam(SORTS, searchParams.get('sort'));
+
+  const entries = useMemo(
+    () => Object.values(ratings).filter(entry => type === 'all' || entry.mediaType === type),
+    [ratings, type]
+  );
+  const visibleEntries = useMemo(() => [...entries].sort(COMPARATORS[sort]), [entries, sort]);
+
+  const histogram = useMemo(() => {
+    const counts = new Map(BINS.map(bin => [bin, 0]));
+    entries.forEach((entry) => {
+      if (counts.has(entry.userRating)) counts.set(entry.userRating, counts.get(entry.userRating) + 1);
+    });
+    const rated = [...counts.values()].reduce((sum, count) => sum + count, 0);
+    const total = [...counts.entries()].reduce((sum, [bin, count]) => sum + bin * count, 0);
+    return {
+      counts,
+      rated,
+      highest: Math.max(...counts.values()),
+      average: rated ? total / rated : null
+    };
+  }, [entries]);
+
+  const setParam = (name, value, defaultValue) => {
+    const nextSearchParams = new URLSearchParams(searchParams);
+    if (value === defaultValue) {
+      nextSearchParams.delete(name);
+    } else {
+      nextSearchParams.set(name, value);
+    }
+    setSearchParams(nextSearchParams, { replace: true });
+  };
+
+  const handleRemove = (entry) => {
+    if (!window.confirm(t('ratings.confirmRemove', { title: entry.title }))) return;
+    removeRating(entry.key);
+  };
+
+  return (
+    <>
+      <SEO
+        title={t('ratings.title')}
+        description={t('ratings.description')}
+      />
+      <BackToTop />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+            <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white">{t('ratings.title')}</h1>
+            <Link to="/library" className="text-sm font-semibold text-bluee hover:text-blueh">
+              {t('ratings.backToLibrary')}
+            </Link>
+          </div>
+
+          {/* Distribution */}
+          {histogram.rated > 0 && (
+            <section aria-label={t('ratings.distributionLabel')} className="mb-8 p-4 rounded-lg bg-gray-100 dark:bg-card">
+              <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+                <h2 className="text-lg font-semibold text-gray-800 dark:text-white">{t('ratings.distribution')}</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {t('ratings.summary', {
+                    count: histogram.rated,
+                    average: formatNumber(histogram.average, ONE_DECIMAL),
+                    max: MAX_RATING
+                  })}
+                </p>
+              </div>
+              <div className="flex items-end gap-1 sm:gap-2 h-32">
+                {BINS.map((bin) => {
+                  const count = histogram.counts.get(bin);
+                  return (
+                    <div key={bin} className="flex-1 h-full flex flex-col justify-end items-center" title={t('ratings.binTitle', { count: bin, people: count })}>
+                      <span className="text-xs text-gray-600 dark:text-gray-400 mb-1">{count || ''}</span>
+                      <div
+                        className="w-full rounded-t bg-bluee"
+                        style={{ height: `${(count / histogram.highest) * 100}%` }}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="flex gap-1 sm:gap-2 mt-1 border-t border-gray-300 dark:border-gray-700 pt-1">
+                {BINS.map(bin => (
+                  <span key={bin} className="flex-1 text-center text-xs text-gray-600 dark:text-gray-400">{formatNumber(bin)}</span>
+                ))}
+              </div>
+            </section>
+          )}
+
+          {/* Controls */}
+          <div className="flex flex-wrap gap-2 mb-6">
+            <select
+              value={type}
+              onChange={(e) => setParam('type', e.target.value, LIBRARY_TYPES[0].id)}
+              aria-label={t('library.filterByType')}
+              className={selectClass}
+            >
+              {LIBRARY_TYPES.map(option => (
+                <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+              ))}
+            </select>
+            <select
+              value={sort}
+              onChange={(e) => setParam('sort', e.target.value, SORTS[0].id)}
+              aria-label={t('common.sortBy')}
+              className={selectClass}
+            >
+              {SORTS.map(option => (
+                <option key={option.id} value={option.id}>{t(option.labelKey)}</option>
+              ))}
+            </select>
+          </div>
+
+          {!isLoaded ? (
+            <div className="py-16 text-center">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+              <p className="text-gray-600 dark:text-gray-400">{t('ratings.loading')}</p>
+            </div>
+          ) : visibleEntries.length === 0 ? (
+            <div className="py-16 text-center text-gray-600 dark:text-gray-400">
+              <p>{t('ratings.empty')}</p>
+              <p className="mt-1 text-sm">
+                {t('ratings.hint')}{' '}
+                <Link to="/" className="text-bluee hover:underline">{t('library.browseMovies')}</Link>
+              </p>
+            </div>
+          ) : (
+            <ul className="space-y-3">
+              {visibleEntries.map(entry => (
+                <li key={entry.key} className="flex gap-4 p-3 rounded-lg bg-gray-100 dark:bg-card">
+                  <Link to={`/${entry.mediaType}/${entry.id}`} className="flex-shrink-0 w-16 sm:w-20">
+                    <div className="aspect-[2/3] rounded overflow-hidden bg-gray-200 dark:bg-gray-800">
+                      {entry.posterPath && (
+                        <img
+                          src={imageUrl(entry.posterPath, 'w154')}
+                          alt={entry.title}
+                          loading="lazy"
+                          className="w-full h-full object-cover"
+                        />
+                      )}
+                    </div>
+                  </Link>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-start justify-between gap-2">
+                      <Link
+                        to={`/${entry.mediaType}/${entry.id}`}
+                        className="font-semibold text-gray-800 dark:text-white hover:text-bluee truncate"
+                      >
+                        {entry.title || t('common.untitled')}
+                        {entry.releaseDate && (
+                          <span className="ml-1 font-normal text-gray-500">({entry.releaseDate.split('-')[0]})</span>
+                        )}
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(entry)}
+                        aria-label={t('ratings.remove', { title: entry.title })}
+                        title={t('common.remove')}
+                        className="p-1 rounded text-gray-500 hover:text-red-600 flex-shrink-0"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-sm text-gray-600 dark:text-gray-400">
+                      {entry.userRating !== null ? (
+                        <>
+                          <StarRating value={entry.userRating} readOnly size="sm" />
+                          <span>{formatNumber(entry.userRating)}/{MAX_RATING}</span>
+                        </>
+                      ) : (
+                        <span>{t('ratings.notRated')}</span>
+                      )}
+                      <span>· {entry.mediaType === 'tv' ? t('common.tvShow') : t('common.movie')}</span>
+                      <span>· {formatDate(entry.updatedAt, DATE_FORMAT)}</span>
+                    </div>
+                    {entry.review && (
+                      <p className="mt-2 text-sm text-gray-700 dark:text-gray-300 line-clamp-3 whitespace-pre-line">
+                        {entry.review}
+                      </p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default Ratings;
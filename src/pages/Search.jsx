@@ -0,0 +1,225 @@
+import { useEffect, useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import ListItem from '../components/ListItem';
+import PersonCard from '../components/PersonCard';
+import Container from '../components/Container';
+import Pagination from '../components/Pagination';
+import BackToTop from '../components/BackToTop';
+import { tmdb, preloadImages, isAbortError, errorReason, MAX_API_PAGE } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { toCardProps } from '../utils/MediaItem';
+import { searchPath } from '../utils/Paths';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+
+// One tab per `type` URL param; `all` hits /search/multi and groups the results
+const SEARCH_TYPES = [
+  { id: 'all', labelKey: 'search.types.all', resource: 'multiSearch', search: tmdb.searchMulti },
+  { id: 'movie', labelKey: 'search.types.movie', resource: 'movieSearch', search: tmdb.searchMovies },
+  { id: 'tv', labelKey: 'search.types.tv', resource: 'tvSearch', search: tmdb.searchTvShows },
+  { id: 'person', labelKey: 'search.types.person', resource: 'personSearch', search: tmdb.searchPeople }
+];
+
+const GROUPS = [
+  { id: 'movie', labelKey: 'search.types.movie', seeAllKey: 'search.seeAll.movie' },
+  { id: 'tv', labelKey: 'search.types.tv', seeAllKey: 'search.seeAll.tv' },
+  { id: 'person', labelKey: 'search.types.person', seeAllKey: 'search.seeAll.person' }
+];
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { t } = useLocale();
+  const query = (searchParams.get('q') || '').trim();
+  const searchType = SEARCH_TYPES.find(type => type.id === searchParams.get('type')) || SEARCH_TYPES[0];
+  const page = Math.min(Math.max(1, parseInt(searchParams.get('page') || '1', 10) || 1), MAX_API_PAGE);
+
+  const [results, setResults] = useState([]);
+  // Typed searches have no `media_type` on their results, `all` ones do
+  const { filterItems } = useContentFilter(results, searchType.id);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalResults, setTotalResults] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+
+  useEffect(() => {
+    if (!query) {
+      setResults([]);
+      setTotalPages(1);
+      setTotalResults(0);
+      return;
+    }
+
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    const showResults = (data) => {
+      setResults(data.results || []);
+      setTotalPages(Math.max(1, Math.min(data.total_pages || 1, MAX_API_PAGE)));
+      setTotalResults(data.total_results || 0);
+      preloadImages((data.results || []).filter(item => item.poster_path));
+    };
+
+    cachedRequest(
+      searchType.resource,
+      [query, page],
+      () => searchType.search(query, page, { signal: controller.signal }),
+      { onRevalidate: showResults, signal: controller.signal }
+    )
+      .then(showResults)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        console.error('Error searching:', err);
+        setError(errorReason(err));
+        setResults([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [query, searchType, page, retryCount]);
+
+  const handlePageChange = (newPage) => {
+    const nextSearchParams = new URLSearchParams(searchParams);
+    if (newPage > 1) {
+      nextSearchParams.set('page', String(newPage));
+    } else {
+      nextSearchParams.delete('page');
+    }
+    setSearchParams(nextSearchParams);
+  };
+
+  // Typed searches return a single media type without a `media_type` field
+  const groups = searchType.id === 'all'
+    ? GROUPS
+      .map(group => ({ ...group, items: results.filter(item => item.media_type === group.id) }))
+      .filter(group => group.items.length > 0)
+    : [{ ...GROUPS.find(group => group.id === searchType.id), items: results }];
+
+  const renderItems = (groupId, items) => (
+    groupId === 'person' ? (
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 px-2 sm:px-0">
+        {items.map(person => <PersonCard key={person.id} person={person} />)}
+      </div>
+    ) : (
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6 px-2 sm:px-0">
+        {filterItems(items).map(item => <ListItem key={item.id} {...toCardProps(item, groupId)} />)}
+      </div>
+    )
+  );
+
+  return (
+    <div className="bg-white text-black dark:bg-bg dark:text-white min-h-[60vh]">
+      <SEO
+        title={query ? t('search.resultsTitle', { query }) : t('common.search')}
+        description={t('search.description')}
+        keywords="search movies, search tv shows, search actors"
+      />
+
+      <BackToTop />
+
+      <Container>
+        <div className="py-6 md:py-8">
+          <h1 className="text-xl md:text-2xl font-bold text-gray-800 dark:text-white mb-4 px-2 sm:px-0">
+            {query ? t('common.resultsFor', { query }) : t('common.search')}
+          </h1>
+
+          <div className="flex gap-2 overflow-x-auto mb-6 px-2 sm:px-0" role="tablist">
+            {SEARCH_TYPES.map(type => (
+              <Link
+                key={type.id}
+                to={searchPath(query, type.id)}
+                replace
+                role="tab"
+                aria-selected={type.id === searchType.id}
+                className={`text-sm px-4 py-1.5 rounded-full whitespace-nowrap transition-colors ${
+                  type.id === searchType.id
+                    ? 'bg-bluee text-white'
+                    : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+                }`}
+              >
+                {t(type.labelKey)}
+              </Link>
+            ))}
+          </div>
+
+          {!query && (
+            <p className="py-12 text-center text-gray-600 dark:text-gray-400">
+              {t('search.hint')}
+            </p>
+          )}
+
+          {query && isLoading && (
+            <div className="py-8 md:py-16 text-center">
+              <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-bluee mb-4"></div>
+              <p className="text-gray-600 dark:text-gray-300">{t('common.searchingFor', { query })}</p>
+            </div>
+          )}
+
+          {query && error && !isLoading && (
+            <div className="py-6 md:py-12 text-center">
+              <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-4 rounded-lg max-w-md mx-auto shadow-sm">
+                <p className="font-bold mb-1">{t('search.failed')}</p>
+                <p className="text-sm">{t(error.key, error.values)}</p>
+                <button
+                  onClick={() => setRetryCount(count => count + 1)}
+                  className="mt-3 bg-red-100 dark:bg-red-700 hover:bg-red-200 dark:hover:bg-red-600 text-red-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
+                >
+                  {t('common.tryAgain')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {query && !isLoading && !error && (
+            <>
+              {groups.every(group => group.items.length === 0) ? (
+                <p className="py-12 text-center text-gray-600 dark:text-gray-400">
+                  {t('search.nothingFound', { query })}
+                </p>
+              ) : (
+                <>
+                  <p className="text-sm text-gray-600 dark:text-gray-400 mb-4 px-2 sm:px-0">
+                    {t('common.resultsPage', { count: totalResults, page, total: totalPages })}
+                  </p>
+                  {groups.map(group => (
+                    <section key={group.id} className="mb-8" aria-label={t(group.labelKey)}>
+                      {searchType.id === 'all' && (
+                        <div className="flex items-center justify-between mb-3 px-2 sm:px-0">
+                          <h2 className="text-lg font-bold text-gray-800 dark:text-white">{t(group.labelKey)}</h2>
+                          <Link
+                            to={searchPath(query, group.id)}
+                            className="text-sm font-semibold text-bluee hover:text-blueh"
+                          >
+                            {t(group.seeAllKey)}
+                          </Link>
+                        </div>
+                      )}
+                      {renderItems(group.id, group.items)}
+                    </section>
+                  ))}
+                </>
+              )}
+
+              {results.length > 0 && totalPages > 1 && (
+                <div className="px-2 sm:px-0 mt-6">
+                  <Pagination
+                    page={page}
+                    totalPages={totalPages}
+                    onPageChange={handlePageChange}
+                    itemsPerPage={results.length}
+                  />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default Search;
@@ -0,0 +1,302 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import BackToTop from '../components/BackToTop';
+import CreditsList from '../components/CreditsList';
+import StillsGallery from '../components/StillsGallery';
+import RestrictedNotice from '../components/RestrictedNotice';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, preloadImages, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { episodeCode } from '../utils/MediaItem';
+import { hasAired } from '../utils/Episodes';
+import { seasonPath, watchEpisodePath } from '../utils/Paths';
+import { useWatchedEpisodes } from '../contexts/WatchedEpisodesContext';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
+
+// A season's own page at /tv/:id/season/:season with every episode, the season's
+// cast and crew and the episode stills
+const SeasonDetails = () => {
+  const { id, season } = useParams();
+  const seasonNumber = parseInt(season, 10);
+  const { t, formatDate, formatNumber } = useLocale();
+  const [show, setShow] = useState(null);
+  const [seasonData, setSeasonData] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { isWatched } = useWatchedEpisodes();
+  const { isAllowed, isPending } = useContentFilter(show ? [show] : undefined, 'tv');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    window.scrollTo(0, 0);
+
+    const fetchSeason = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const [showDetails, seasonDetails] = await Promise.all([
+          cachedRequest(
+            'tvDetails',
+            [id],
+            () => tmdb.tvDetails(id, { signal: controller.signal }),
+            { onRevalidate: setShow, signal: controller.signal }
+          ),
+          cachedRequest(
+            'tvSeason',
+            [id, seasonNumber],
+            () => tmdb.tvSeason(id, seasonNumber, { signal: controller.signal }),
+            { onRevalidate: setSeasonData, signal: controller.signal }
+          )
+        ]);
+        setShow(showDetails);
+        setSeasonData(seasonDetails);
+        preloadImages(seasonDetails.episodes, 'still_path');
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching season details:', err);
+        setError(errorReason(err));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchSeason();
+
+    return () => controller.abort();
+  }, [id, seasonNumber]);
+
+  if (isLoading) {
+    return (
+      <>
+        <SEO
+          title={t('seasonDetails.loadingTitle')}
+          description={t('seasonDetails.loading')}
+        />
+        <Container>
+          <div className="py-20 text-center">
+            <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+            <p className="text-gray-600">{t('seasonDetails.loading')}</p>
+          </div>
+        </Container>
+      </>
+    );
+  }
+
+  if (error || !show || !seasonData) {
+    return (
+      <>
+        <SEO
+          title={t('seasonDetails.notFoundTitle')}
+          description={t('seasonDetails.notFoundDescription')}
+        />
+        <Container>
+          <div className="py-20 text-center">
+            <p className="text-gray-600">{error ? t(error.key, error.values) : t('seasonDetails.notFound')}</p>
+            <Link
+              to={`/tv/${id}`}
+              className="block mt-3 text-sm text-blue-600 hover:underline"
+            >
+              {show ? t('episode.backTo', { name: show.name }) : t('episode.backToShow')}
+            </Link>
+          </div>
+        </Container>
+      </>
+    );
+  }
+
+  if (!isAllowed(show)) {
+    return <RestrictedNotice isChecking={isPending(show)} />;
+  }
+
+  const episodes = seasonData.episodes || [];
+  const seasonName = seasonData.name || t('common.season', { number: String(seasonNumber) });
+  const episodeName = episode => episode.name || t('common.episode', { number: String(episode.episode_number) });
+  const allSeasons = [...(show.seasons || [])].sort((a, b) => a.season_number - b.season_number);
+  // Pick up at the first aired episode not watched yet, or start from the top
+  const resumeEpisode = episodes.find(episode => hasAired(episode) && !isWatched(show.id, seasonNumber, episode.episode_number)) || episodes[0];
+  const stills = episodes
+    .filter(episode => episode.still_path)
+    .map(episode => ({
+      file_path: episode.still_path,
+      caption: `${episodeCode(episode.season_number, episode.episode_number)} · ${episodeName(episode)}`
+    }));
+
+  // Search result snippets get cut off around 155 characters
+  const generateDescription = () => {
+    let description = seasonData.overview || t('seasonDetails.description', { count: episodes.length, show: show.name, season: seasonName });
+    if (description.length > 155) {
+      description = description.substring(0, 152) + '...';
+    }
+    return description;
+  };
+
+  const posterPath = seasonData.poster_path || show.poster_path;
+
+  return (
+    <div className='bg-white dark:bg-bg dark:text-white'>
+      <SEO
+        title={`${show.name} ${seasonName}`}
+        description={generateDescription()}
+        keywords={`${show.name}, ${seasonName}, episodes, tv show`}
+        image={posterPath ? `${BASE_IMG_URL}${posterPath}` : undefined}
+      />
+
+      <BackToTop />
+
+      {/* Hero section with the show's backdrop */}
+      <div
+        style={{
+          background: show.backdrop_path
+            ? `linear-gradient(rgba(0,0,0,.7), rgba(0,0,0,.8)), url('https://image.tmdb.org/t/p/original${show.backdrop_path}')`
+            : 'linear-gradient(rgba(0,0,0,.7), rgba(0,0,0,.8))',
+          backgroundPosition: 'center',
+          backgroundSize: 'cover'
+        }}
+        className="py-12"
+      >
+        <Container>
+          <div className="flex flex-col md:flex-row items-start gap-8">
+            <div className="w-48 flex-shrink-0 mx-auto md:mx-0">
+              {posterPath ? (
+                <img
+                  src={`${BASE_IMG_URL}${posterPath}`}
+                  alt={`${show.name} ${seasonName}`}
+                  className="w-full rounded-lg shadow-lg"
+                />
+              ) : (
+                <div className="w-full h-72 bg-gray-200 rounded-lg flex items-center justify-center">
+                  <span className="text-gray-500">{t('movieDetails.noPoster')}</span>
+                </div>
+              )}
+            </div>
+
+            <div className="text-white">
+              <Link to={`/tv/${show.id}`} className="text-gray-300 hover:text-white hover:underline">
+                {show.name}
+              </Link>
+              <h1 className="text-3xl md:text-4xl font-bold mb-2">{seasonName}</h1>
+
+              <div className="mb-4 flex flex-wrap items-center gap-2">
+                {seasonData.air_date && (
+                  <span className="text-gray-300">
+                    {formatDate(seasonData.air_date)}
+                  </span>
+                )}
+                <span className="text-gray-300">
+                  {t('common.episodes', { count: episodes.length })}
+                </span>
+                {seasonData.vote_average > 0 && (
+                  <span className="bg-yellow-500 text-yellow-900 px-2 py-1 rounded-md font-medium">
+                    ★ {formatNumber(seasonData.vote_average, ONE_DECIMAL)}/10
+                  </span>
+                )}
+              </div>
+
+              {seasonData.overview && (
+                <p className="text-gray-300 mb-4 max-w-3xl">{seasonData.overview}</p>
+              )}
+
+              {resumeEpisode && (
+                <Link
+                  to={watchEpisodePath(show.id, seasonNumber, resumeEpisode.episode_number)}
+                  className="inline-flex items-center gap-2 bg-bluee hover:bg-blueh text-white px-5 py-2 rounded-lg shadow transition-colors"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                  {t('seasonDetails.watch', { code: episodeCode(seasonNumber, resumeEpisode.episode_number) })}
+                </Link>
+              )}
+            </div>
+          </div>
+        </Container>
+      </div>
+
+      <Container>
+        <div className="py-8">
+          {/* Season switcher */}
+          {allSeasons.length > 1 && (
+            <nav aria-label={t('seasonDetails.seasons')} className="flex flex-wrap gap-2 mb-8">
+              {allSeasons.map(item => (
+                <Link
+                  key={item.season_number}
+                  to={seasonPath(show.id, item.season_number)}
+                  aria-current={item.season_number === seasonNumber ? 'page' : undefined}
+                  className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+                    item.season_number === seasonNumber
+                      ? 'bg-bluee text-white shadow-md'
+                      : 'bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {item.name || t('common.season', { number: String(item.season_number) })}
+                </Link>
+              ))}
+            </nav>
+          )}
+
+          {/* Episodes */}
+          <h2 className="text-gray-800 dark:text-gray-200 text-2xl font-bold mb-4">{t('seasonDetails.episodes')}</h2>
+          <ol className="space-y-3 mb-8">
+            {episodes.map(episode => {
+              const watched = isWatched(show.id, episode.season_number, episode.episode_number);
+              const name = episodeName(episode);
+              return (
+                <li key={episode.id}>
+                  <Link
+                    to={watchEpisodePath(show.id, episode.season_number, episode.episode_number)}
+                    className="flex flex-col sm:flex-row gap-3 p-3 rounded-md border border-gray-200 dark:border-gray-600 dark:bg-card hover:border-bluee hover:shadow-md transition-all"
+                  >
+                    <div className="sm:w-40 flex-shrink-0">
+                      {episode.still_path ? (
+                        <img
+                          src={`${BASE_IMG_URL}${episode.still_path}`}
+                          alt={t('seasons.thumbnail', { name })}
+                          className="w-full h-auto rounded object-cover shadow-sm"
+                          loading="lazy"
+                        />
+                      ) : (
+                        <div className="bg-gray-200 dark:bg-gray-800 rounded w-full h-20 flex items-center justify-center">
+                          <span className="text-gray-500 text-sm">{t('common.noImage')}</span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="min-w-0">
+                      <h3 className="font-medium flex flex-wrap items-center gap-2 text-gray-800 dark:text-white">
+                        <span className="text-gray-500 dark:text-gray-400">{episodeCode(episode.season_number, episode.episode_number)}</span>
+                        {name}
+                        {watched && (
+                          <span className="text-xs font-medium text-green-700 bg-green-100 dark:text-green-200 dark:bg-green-900 px-2 py-0.5 rounded-full">
+                            {t('common.watched')}
+                          </span>
+                        )}
+                      </h3>
+                      <p className="text-sm text-gray-600 dark:text-gray-300 mt-1">
+                        {episode.air_date ? formatDate(episode.air_date) : t('common.noAirDate')}
+                        {episode.runtime ? ` • ${t('common.minutes', { count: episode.runtime })}` : ''}
+                        {episode.vote_average > 0 ? ` • ★ ${formatNumber(episode.vote_average, ONE_DECIMAL)}` : ''}
+                      </p>
+                      {episode.overview && (
+                        <p className="text-sm text-gray-600 dark:text-gray-300 mt-1 line-clamp-2">{episode.overview}</p>
+                      )}
+                    </div>
+                  </Link>
+                </li>
+              );
+            })}
+          </ol>
+
+          <CreditsList credits={seasonData.credits} />
+
+          <StillsGallery stills={stills} />
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default SeasonDetails;
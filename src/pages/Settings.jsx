@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import ImportPanel from '../components/ImportPanel';
+import TmdbAccountPanel from '../components/TmdbAccountPanel';
+import ParentalControlsPanel from '../components/ParentalControlsPanel';
+import { collectUserData, toUserDataCsv, downloadFile } from '../utils/DataExport';
+import { useProfiles } from '../contexts/ProfileContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const buttonClass = "px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+const sectionClass = "mb-8 p-4 md:p-6 rounded-lg bg-gray-100 dark:bg-card";
+
+// App settings: the TMDB account, parental controls and the user's data (backups and imports from other services)
+const Settings = () => {
+  const { profileKey } = useProfiles();
+  const { t } = useLocale();
+  const [isExporting, setIsExporting] = useState(false);
+
+  const exportData = async (format) => {
+    setIsExporting(true);
+    try {
+      const backup = await collectUserData(profileKey);
+      const date = backup.exportedAt.slice(0, 10);
+      if (format === 'json') {
+        downloadFile(`rw-movies-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+      } else {
+        downloadFile(`rw-movies-${date}.csv`, toUserDataCsv(backup.data), 'text/csv');
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      window.alert(t('settings.exportFailed'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <>
+      <SEO
+        title={t('settings.title')}
+        description={t('settings.description')}
+      />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0 max-w-3xl">
+          <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white mb-6">{t('settings.title')}</h1>
+
+          <section className={sectionClass} aria-labelledby="account-heading">
+            <h2 id="account-heading" className="text-lg font-semibold text-gray-800 dark:text-white mb-1">{t('settings.account')}</h2>
+            <TmdbAccountPanel />
+          </section>
+
+          <section className={sectionClass} aria-labelledby="parental-heading">
+            <h2 id="parental-heading" className="text-lg font-semibold text-gray-800 dark:text-white mb-1">{t('settings.parental')}</h2>
+            <ParentalControlsPanel />
+          </section>
+
+          <section className={sectionClass} aria-labelledby="export-heading">
+            <h2 id="export-heading" className="text-lg font-semibold text-gray-800 dark:text-white mb-1">{t('settings.export')}</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              {t('settings.exportIntro')}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button type="button" onClick={() => exportData('json')} disabled={isExporting} className={buttonClass}>
+                {t('settings.downloadJson')}
+              </button>
+              <button type="button" onClick={() => exportData('csv')} disabled={isExporting} className={buttonClass}>
+                {t('settings.downloadCsv')}
+              </button>
+            </div>
+          </section>
+
+          <section className={sectionClass} aria-labelledby="import-heading">
+            <h2 id="import-heading" className="text-lg font-semibold text-gray-800 dark:text-white mb-1">{t('settings.import')}</h2>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              {t('settings.importIntro')}
+            </p>
+            <ImportPanel />
+          </section>
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default Settings;
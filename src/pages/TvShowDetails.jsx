@@ -3,16 +3,43 @@ import { useParams, useNavigate, Link, useLocation } from 'react-router-dom';
 import SEO from '../utils/SEO';
 import Container from '../components/Container';
 import SeasonEpisodes from '../components/SeasonEpisodes';
+import CreditsList from '../components/CreditsList';
+import RelatedTitles from '../components/RelatedTitles';
 import BackToTop from '../components/BackToTop';
-import { TV_DETAILS, BASE_IMG_URL, getHeaders } from '../utils/Endpoint';
+import LibraryToggles from '../components/LibraryToggles';
+import AddToListMenu from '../components/AddToListMenu';
+import PersonalRating from '../components/PersonalRating';
+import RestrictedNotice from '../components/RestrictedNotice';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, preloadImage, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { watchEpisodePath } from '../utils/Paths';
+import { episodeCode, toCardProps } from '../utils/MediaItem';
+import { useWatchedEpisodes } from '../contexts/WatchedEpisodesContext';
+import useContentFilter from '../hooks/useContentFilter';
+import { useLocale } from '../contexts/LocaleContext';
+import { ONE_DECIMAL } from '../utils/I18n';
+
+// TMDB's show statuses, anything else is shown as it comes
+const STATUS_KEYS = {
+  'Returning Series': 'tvShowDetails.status.returning',
+  'Ended': 'tvShowDetails.status.ended',
+  'Canceled': 'tvShowDetails.status.canceled',
+  'In Production': 'tvShowDetails.status.inProduction',
+  'Planned': 'tvShowDetails.status.planned',
+  'Pilot': 'tvShowDetails.status.pilot'
+};
 
 const TvShowDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
+  const { t, formatNumber } = useLocale();
   const [tvShow, setTvShow] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { getNextEpisode } = useWatchedEpisodes();
+  const { isAllowed, isPending } = useContentFilter(tvShow ? [tvShow] : undefined, 'tv');
   
   // Enhanced back navigation function with more reliable behavior
   const handleGoBack = () => {
@@ -31,6 +58,11 @@ const TvShowDetails = () => {
   };
 
   useEffect(() => {
+    const controller = new AbortController();
+
+    // Related rails link one details page to the next, start each title at the top
+    window.scrollTo(0, 0);
+
     const fetchTvShowDetails = async () => {
       if (!id) return;
       
@@ -38,73 +70,42 @@ const TvShowDetails = () => {
       setError(null);
       
       try {
-        const cachedKey = `tvShowDetails_${id}`;
-        const cachedData = localStorage.getItem(cachedKey);
-        const cachedTimestamp = localStorage.getItem(`${cachedKey}_timestamp`);
-        const cacheExpiry = 60 * 60 * 1000; // 1 hour
-        
-        if (cachedData && cachedTimestamp) {
-          const currentTime = new Date().getTime();
-          if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-            try {
-              const parsedData = JSON.parse(cachedData);
-              console.log("Using cached TV show details");
-              setTvShow(parsedData);
-              setIsLoading(false);
-              return;
-            } catch (err) {
-              console.error("Error parsing cached data", err);
-            }
-          }
-        }
-        
-        // Use the TV_DETAILS endpoint function with authorization headers
-        const response = await fetch(TV_DETAILS(id), {
-          headers: getHeaders()
-        });
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = await cachedRequest(
+          'tvDetails',
+          [id],
+          () => tmdb.tvDetails(id, { signal: controller.signal }),
+          { onRevalidate: setTvShow, signal: controller.signal }
+        );
         setTvShow(data);
         
-        // Cache the details
-        localStorage.setItem(cachedKey, JSON.stringify(data));
-        localStorage.setItem(`${cachedKey}_timestamp`, new Date().getTime().toString());
-        
         // Preload images for better UX
-        if (data.backdrop_path) {
-          const backdropImg = new Image();
-          backdropImg.src = `https://image.tmdb.org/t/p/original${data.backdrop_path}`;
-        }
-        if (data.poster_path) {
-          const posterImg = new Image();
-          posterImg.src = `${BASE_IMG_URL}${data.poster_path}`;
-        }
+        preloadImage(data.backdrop_path, 'original');
+        preloadImage(data.poster_path);
       } catch (err) {
+        if (isAbortError(err)) return;
         console.error('Error fetching TV show details:', err);
-        setError(err.message);
+        setError(errorReason(err));
       } finally {
-        setIsLoading(false);
+        if (!controller.signal.aborted) setIsLoading(false);
       }
     };
     
     fetchTvShowDetails();
+
+    return () => controller.abort();
   }, [id]);
 
   if (isLoading) {
     return (
       <>
         <SEO
-          title="Loading TV Show"
-          description="Loading TV show details..."
+          title={t('tvShowDetails.loadingTitle')}
+          description={t('tvShowDetails.loading')}
         />
         <Container>
           <div className="py-20 text-center">
             <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
-            <p className="text-gray-600">Loading TV show details...</p>
+            <p className="text-gray-600">{t('tvShowDetails.loading')}</p>
           </div>
         </Container>
       </>
@@ -115,19 +116,19 @@ const TvShowDetails = () => {
     return (
       <>
         <SEO
-          title="Error | TV Show Details"
-          description="There was an error loading the TV show details."
+          title={t('tvShowDetails.errorTitle')}
+          description={t('tvShowDetails.errorDescription')}
         />
         <Container>
           <div className="py-20 text-center">
             <div className="bg-red-50 border border-red-200 text-red-700 px-6 py-4 rounded max-w-md mx-auto">
-              <p className="font-bold mb-2">Error loading TV show details</p>
-              <p>{error}</p>
+              <p className="font-bold mb-2">{t('tvShowDetails.error')}</p>
+              <p>{t(error.key, error.values)}</p>
               <Link 
                 to="/tv" 
                 className="block mt-3 text-sm text-red-600 hover:underline"
               >
-                Back to TV Shows
+                {t('browse.backToTvShows')}
               </Link>
             </div>
           </div>
@@ -140,17 +141,17 @@ const TvShowDetails = () => {
     return (
       <>
         <SEO
-          title="TV Show Not Found"
-          description="The requested TV show could not be found."
+          title={t('tvShowDetails.notFoundTitle')}
+          description={t('tvShowDetails.notFoundDescription')}
         />
         <Container>
           <div className="py-20 text-center">
-            <p className="text-gray-600">TV show not found</p>
+            <p className="text-gray-600">{t('tvShowDetails.notFound')}</p>
             <Link 
               to="/tv"
               className="block mt-3 text-sm text-blue-600 hover:underline"
             >
-              Back to TV Shows
+              {t('browse.backToTvShows')}
             </Link>
           </div>
         </Container>
@@ -158,6 +159,13 @@ const TvShowDetails = () => {
     );
   }
 
+  if (!isAllowed(tvShow)) {
+    return <RestrictedNotice isChecking={isPending(tvShow)} />;
+  }
+
+  // First aired episode not marked as watched yet
+  const nextEpisode = getNextEpisode(tvShow);
+
   // Generate a list of keywords based on show data
   const generateKeywords = () => {
     const keywords = [
@@ -183,7 +191,7 @@ const TvShowDetails = () => {
 
   // Generate a description based on the TV show data
   const generateDescription = () => {
-    let description = tvShow.overview || `Details about ${tvShow.name}`;
+    let description = tvShow.overview || t('movieDetails.description', { title: tvShow.name });
     if (description.length > 155) {
       description = description.substring(0, 152) + '...';
     }
@@ -225,7 +233,7 @@ const TvShowDetails = () => {
                 />
               ) : (
                 <div className="w-full h-96 bg-gray-200 rounded-lg flex items-center justify-center">
-                  <span className="text-gray-500">No poster available</span>
+                  <span className="text-gray-500">{t('movieDetails.noPoster')}</span>
                 </div>
               )}              
             </div>
@@ -246,13 +254,13 @@ const TvShowDetails = () => {
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
                       <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z" />
                     </svg>
-                    <span className="font-medium">{tvShow.vote_average}/10</span>
+                    <span className="font-medium">{formatNumber(tvShow.vote_average, ONE_DECIMAL)}/10</span>
                   </div>
                 )}
                 
                 {tvShow.number_of_seasons && (
                   <span className="text-gray-300">
-                    {tvShow.number_of_seasons} {tvShow.number_of_seasons === 1 ? 'Season' : 'Seasons'}
+                    {t('common.seasons', { count: tvShow.number_of_seasons })}
                   </span>
                 )}
                 
@@ -264,7 +272,7 @@ const TvShowDetails = () => {
                         ? 'bg-green-700 text-green-100'
                         : 'bg-bluee text-blue-100'
                   }`}>
-                    {tvShow.status}
+                    {STATUS_KEYS[tvShow.status] ? t(STATUS_KEYS[tvShow.status]) : tvShow.status}
                   </span>
                 )}
               </div>
@@ -290,21 +298,47 @@ const TvShowDetails = () => {
                 </div>
               )}
               
+              <div className="flex flex-wrap gap-2 mb-4">
+                <LibraryToggles mediaType="tv" item={toCardProps(tvShow, 'tv')} variant="details" />
+                <AddToListMenu mediaType="tv" item={toCardProps(tvShow, 'tv')} />
+              </div>
+
+              <PersonalRating mediaType="tv" item={toCardProps(tvShow, 'tv')} className="mb-4" />
+              
               {tvShow.overview && (
                 <div className="mb-4">
-                  <h3 className="text-xl font-semibold mb-2">Overview</h3>
+                  <h3 className="text-xl font-semibold mb-2">{t('common.overview')}</h3>
                   <p className="text-gray-300">{tvShow.overview}</p>
                 </div>
               )}
               
               {tvShow.created_by && tvShow.created_by.length > 0 && (
                 <div className="mb-4">
-                  <h3 className="text-lg font-medium mb-1">Created by</h3>
+                  <h3 className="text-lg font-medium mb-1">{t('tvShowDetails.createdBy')}</h3>
                   <p className="text-gray-300">
-                    {tvShow.created_by.map(person => person.name).join(', ')}
+                    {tvShow.created_by.map((person, index) => (
+                      <span key={person.id}>
+                        {index > 0 && ', '}
+                        <Link to={`/person/${person.id}`} className="hover:text-white hover:underline">
+                          {person.name}
+                        </Link>
+                      </span>
+                    ))}
                   </p>
                 </div>
               )}              
+              
+              {nextEpisode && (
+                <Link
+                  to={watchEpisodePath(tvShow.id, nextEpisode.season, nextEpisode.episode)}
+                  className="inline-flex items-center gap-2 bg-bluee hover:bg-blueh text-white px-5 py-2 rounded-lg shadow transition-colors"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM9.555 7.168A1 1 0 008 8v4a1 1 0 001.555.832l3-2a1 1 0 000-1.664l-3-2z" clipRule="evenodd" />
+                  </svg>
+                  {t('tvShowDetails.nextUp', { code: episodeCode(nextEpisode.season, nextEpisode.episode) })}
+                </Link>
+              )}
             </div>
           </div>
         </Container>
@@ -313,38 +347,14 @@ const TvShowDetails = () => {
       {/* Content section */}
       <Container>
         <div className="py-8">
-          {/* Cast information */}
-          {tvShow.credits && tvShow.credits.cast && tvShow.credits.cast.length > 0 && (
-            <div className="mb-8 ">
-              <h2 className="text-2xl font-bold mb-4">Top Cast</h2>
-              <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-4">
-                {tvShow.credits.cast.slice(0, 6).map(person => (
-                  <div key={person.id} className="bg-gray-200 dark:bg-card rounded-lg shadow-md overflow-hidden">
-                    {person.profile_path ? (
-                      <img 
-                        src={`${BASE_IMG_URL}${person.profile_path}`} 
-                        alt={person.name}
-                        className="w-full h-48 object-cover"
-                      />
-                    ) : (
-                      <div className="w-full h-48 bg-gray-200 flex items-center justify-center">
-                        <span className="text-gray-500">No image</span>
-                      </div>
-                    )}
-                    <div className="p-3">
-                      <h3 className="font-semibold text-gray-800 dark:text-white">{person.name}</h3>
-                      <p className="text-sm text-gray-600 dark:text-gray-100">{person.character}</p>
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+          {/* Cast and crew */}
+          <CreditsList credits={tvShow.credits} creators={tvShow.created_by} />
         
           {/* Seasons and Episodes */}
           {tvShow.seasons && tvShow.seasons.length > 0 && (
             <SeasonEpisodes 
               tvId={tvShow.id} 
+              show={tvShow}
               seasons={tvShow.seasons.filter(season => season.season_number > 0)} 
             />
           )}
@@ -352,7 +362,7 @@ const TvShowDetails = () => {
           {/* Videos section */}
           {tvShow.videos && tvShow.videos.results && tvShow.videos.results.length > 0 && (
             <div className="mt-8">
-              <h2 className="text-2xl font-bold mb-4">Videos</h2>
+              <h2 className="text-2xl font-bold mb-4">{t('movieDetails.videos')}</h2>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 {tvShow.videos.results.slice(0, 2).map(video => (
                   <div key={video.id} className="bg-white rounded-lg shadow-md overflow-hidden">
@@ -379,7 +389,7 @@ const TvShowDetails = () => {
             {/* Networks */}
             {tvShow.networks && tvShow.networks.length > 0 && (
               <div className="bg-white rounded-lg shadow-md p-4">
-                <h3 className="text-xl font-semibold mb-4">Networks</h3>
+                <h3 className="text-xl font-semibold mb-4">{t('tvShowDetails.networks')}</h3>
                 <div className="flex flex-wrap gap-4">
                   {tvShow.networks.map(network => (
                     <div key={network.id} className="flex flex-col items-center">
@@ -401,7 +411,7 @@ const TvShowDetails = () => {
             {/* Production Companies */}
             {tvShow.production_companies && tvShow.production_companies.length > 0 && (
               <div className="bg-white rounded-lg shadow-md p-4">
-                <h3 className="text-xl font-semibold mb-4">Production Companies</h3>
+                <h3 className="text-xl font-semibold mb-4">{t('tvShowDetails.productionCompanies')}</h3>
                 <div className="flex flex-wrap gap-4">
                   {tvShow.production_companies.map(company => (
                     <div key={company.id} className="flex flex-col items-center">
@@ -422,6 +432,11 @@ const TvShowDetails = () => {
               </div>
             )}
           </div>
+          
+          {/* What to watch next */}
+          <div className="mt-8">
+            <RelatedTitles details={tvShow} mediaType="tv" />
+          </div>
         </div>        
       </Container>
     </div>
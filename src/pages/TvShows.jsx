@@ -1,4 +1,4 @@
-import { useEffect, useState, useCallback, useRef } from "react";
+import { useEffect, useState, useCallback, useRef, useMemo } from "react";
 import { useSearchParams, useLocation, useNavigate } from "react-router-dom";
 import SEO from "../utils/SEO";
 import Input from "../components/Input";
@@ -6,18 +6,36 @@ import ListItem from "../components/ListItem";
 import Container from "../components/Container";
 import Pagination from "../components/Pagination";
 import BackToTop from "../components/BackToTop";
+import FilterPanel from "../components/FilterPanel";
+import SortControl from "../components/SortControl";
+import Rail from "../components/Rail";
+import ContinueWatching from "../components/ContinueWatching";
 import {
-  PAGINATED_TV_SHOWS,
-  SEARCH_TV_SHOWS,
-  BASE_IMG_URL,
-  getHeaders,
-} from "../utils/Endpoint";
+  tmdb,
+  preloadImages,
+  isAbortError,
+  errorReason,
+  MAX_API_PAGE,
+} from "../utils/TmdbClient";
 import {
-  safeSetItem,
   safeGetItem,
   safeRemoveItem,
   clearAllCache,
 } from "../utils/StorageHandler";
+import { cachedRequest } from "../utils/CacheManager";
+import { COLLECTIONS } from "../utils/Collections";
+import {
+  EMPTY_FILTERS,
+  DEFAULT_SORT,
+  parseFilters,
+  applyFilters,
+  filtersToQuery,
+  parseSort,
+  applySort,
+  toDiscoverParams,
+} from "../utils/DiscoverFilters";
+import useContentFilter from "../hooks/useContentFilter";
+import { useLocale } from "../contexts/LocaleContext";
 
 const TvShows = () => {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -29,10 +47,13 @@ const TvShows = () => {
   const initialPage = parseInt(searchParams.get("page") || "1", 10);
 
   const [tvShows, setTvShows] = useState([]);
+  const { filterItems } = useContentFilter(tvShows, "tv");
+  const { t } = useLocale();
   const [keyword, setKeyword] = useState(initialSearchTerm);
   const [searchTerm, setSearchTerm] = useState(initialSearchTerm);
   const [isLoading, setIsLoading] = useState(true);
   const [isLoadingMore, setIsLoadingMore] = useState(false);
+  // `{ key, values }` of the message, translated when shown
   const [error, setError] = useState(null);
   const [page, setPage] = useState(initialPage);
   const [totalPages, setTotalPages] = useState(1);
@@ -41,6 +62,11 @@ const TvShows = () => {
   const [loadedPages, setLoadedPages] = useState(new Set([1]));
   const searchInputRef = useRef(null);
 
+  // Discover filters live in the URL, `filterQuery` is "" when nothing is filtered
+  const filters = useMemo(() => parseFilters(searchParams), [searchParams]);
+  const filterQuery = filtersToQuery(filters);
+  const sort = parseSort(searchParams, "tv");
+
   // UI enhancement - Add search icon for input
   const searchIcon = (
     <svg
@@ -60,8 +86,8 @@ const TvShows = () => {
   );
 
   // Back button function to return to previous page
-  const handleBackNavigation = () => {
-    const previousLocation = safeGetItem("previousLocation");
+  const handleBackNavigation = async () => {
+    const previousLocation = await safeGetItem("previousLocation");
 
     // Reset search state
     setKeyword("");
@@ -130,57 +156,18 @@ const TvShows = () => {
     }
   }, [initialSearchTerm]);
 
-  const fetchTvShows = useCallback((pageNum = 1) => {
-    setIsLoading(true);
-    setError(null);
-
-    const MAX_API_PAGE = 500; // TMDB API limit
-    const validatedPage = Math.min(pageNum, MAX_API_PAGE);
-    const apiUrl = PAGINATED_TV_SHOWS(validatedPage);
-
-    console.log("Fetching TV shows from:", apiUrl);
-
-    const cachedKey = `cachedTvShows_${validatedPage}`;
-    const cachedTvShowsData = safeGetItem(cachedKey);
-    const cachedTimestamp = safeGetItem(`${cachedKey}_timestamp`);
-    const cacheExpiry = 30 * 60 * 1000; // 30 minutes
-
-    if (cachedTvShowsData && cachedTimestamp) {
-      const currentTime = new Date().getTime();
-      if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-        try {
-          console.log("Using cached TV shows data");
-          setTvShows(cachedTvShowsData.results);
-          setTotalPages(
-            cachedTvShowsData.total_pages > MAX_API_PAGE
-              ? MAX_API_PAGE
-              : cachedTvShowsData.total_pages
-          );
-          setIsLoading(false);
-          return;
-        } catch (err) {
-          console.error("Error parsing cached data", err);
-        }
-      }
-    }
+  const fetchTvShows = useCallback(
+    (pageNum = 1, filterQuery = "", sort = DEFAULT_SORT, signal) => {
+      setIsLoading(true);
+      setError(null);
 
-    fetch(apiUrl, {
-      headers: getHeaders(),
-    })
-      .then((r) => {
-        if (!r.ok) {
-          throw new Error(`HTTP error! Status: ${r.status}`);
-        }
-        return r.json();
-      })
-      .then((response) => {
-        console.log("API Response:", response);
+      const validatedPage = Math.min(pageNum, MAX_API_PAGE);
 
+      const showTvShows = (response) => {
         if (response && Array.isArray(response.results)) {
-          if (response.results.length === 0) {
-            setError(
-              "No TV shows found for this page. The API may have reached its pagination limit."
-            );
+          // An empty filtered result is a normal outcome, the grid shows its empty state
+          if (response.results.length === 0 && !filterQuery) {
+            setError({ key: "tvShows.errors.emptyPage" });
             setTvShows([]);
             setIsLoading(false);
             return;
@@ -200,44 +187,61 @@ const TvShows = () => {
             setPage(actualTotalPages);
           }
 
-          const cacheData = {
-            results: response.results,
-            total_pages: response.total_pages,
-          };
-          safeSetItem(cachedKey, cacheData);
-          safeSetItem(`${cachedKey}_timestamp`, new Date().getTime());
-
           // Preload images for better UX
-          response.results.forEach((show) => {
-            if (show.poster_path) {
-              const img = new Image();
-              img.loading = "lazy"; // Enable lazy loading
-              img.src = `${BASE_IMG_URL}${show.poster_path}`;
-            }
-          });
+          preloadImages(response.results);
         } else {
           console.error("Unexpected API response format:", response);
-          setError(
-            "Unexpected API response format. The server might be down or the API format has changed."
-          );
+          setError({ key: "common.errors.badResponse" });
           setTvShows([]);
           setTotalPages(1);
         }
         setIsLoading(false);
-      })
-      .catch((err) => {
-        console.error("Error fetching TV shows:", err);
-        setError(
-          `Failed to connect to the TV shows server. Please check your internet connection or try again later. (${err.message})`
-        );
-        setTvShows([]);
-        setTotalPages(1);
-        setIsLoading(false);
-      });
-  }, []);
+      };
+
+      const isDefaultView = !filterQuery && sort === DEFAULT_SORT;
+      const loadPage = () =>
+        isDefaultView
+          ? tmdb.popularTvShows(validatedPage, { signal })
+          : tmdb.discoverTvShows(
+              toDiscoverParams(
+                parseFilters(new URLSearchParams(filterQuery)),
+                "tv",
+                sort
+              ),
+              validatedPage,
+              { signal }
+            );
+
+      // One entry per sort order, filter set and page: `cachedTvShows_<sort>_<filters>_<page>`,
+      // the default view keeps the plain `cachedTvShows_<page>` key
+      cachedRequest(
+        "tvList",
+        [sort === DEFAULT_SORT ? "" : sort, filterQuery, validatedPage],
+        () =>
+          loadPage().then(({ results, total_pages }) => ({
+            results,
+            total_pages,
+          })),
+        { onRevalidate: showTvShows, signal }
+      )
+        .then(showTvShows)
+        .catch((err) => {
+          if (isAbortError(err)) return;
+          console.error("Error fetching TV shows:", err);
+          setError({
+            key: "tvShows.errors.connect",
+            values: { reason: errorReason(err) },
+          });
+          setTvShows([]);
+          setTotalPages(1);
+          setIsLoading(false);
+        });
+    },
+    []
+  );
 
   const searchTvShows = useCallback(
-    (query, pageNum = 1, appendResults = false) => {
+    (query, pageNum = 1, appendResults = false, signal) => {
       if (!query.trim()) return;
 
       if (appendResults) {
@@ -249,98 +253,53 @@ const TvShows = () => {
       }
       setError(null);
 
-      const cachedKey = `searchCache_tvShow_${query.toLowerCase()}_${pageNum}`;
-      const cachedData = safeGetItem(cachedKey);
-      const cachedTimestamp = safeGetItem(`${cachedKey}_timestamp`);
-      const cacheExpiry = 30 * 60 * 1000; // 30 minutes
-
-      if (cachedData && cachedTimestamp) {
-        const currentTime = new Date().getTime();
-        if (currentTime - parseInt(cachedTimestamp) < cacheExpiry) {
-          try {
-            console.log("Using cached search data for page", pageNum);
-
-            if (appendResults) {
-              setAllResults((prev) => [...prev, ...cachedData.results]);
-              setTvShows((prev) => [...prev, ...cachedData.results]);
-              setLoadedPages((prev) => new Set([...prev, pageNum]));
-              setIsLoadingMore(false);
-            } else {
-              setTvShows(cachedData.results);
-              setAllResults(cachedData.results);
-            }
-
-            setTotalPages(Math.min(cachedData.total_pages, 500));
-
-            if (!appendResults) {
-              setIsLoading(false);
-            }
-            return;
-          } catch (err) {
-            console.error("Error parsing cached search data", err);
+      const showResults = (data) => {
+        if (data && Array.isArray(data.results)) {
+          if (appendResults) {
+            setAllResults((prev) => [...prev, ...data.results]);
+            setTvShows((prev) => [...prev, ...data.results]);
+            setLoadedPages((prev) => new Set([...prev, pageNum]));
+          } else {
+            setTvShows(data.results);
+            setAllResults(data.results);
           }
-        }
-      }
 
-      const searchUrl = SEARCH_TV_SHOWS(query, pageNum);
-      console.log("Searching TV shows from:", searchUrl);
+          setTotalPages(Math.min(data.total_pages, MAX_API_PAGE));
 
-      fetch(searchUrl, {
-        headers: getHeaders(),
-      })
-        .then((response) => {
-          if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
-          }
-          return response.json();
-        })
-        .then((data) => {
-          if (data && Array.isArray(data.results)) {
-            if (appendResults) {
-              setAllResults((prev) => [...prev, ...data.results]);
-              setTvShows((prev) => [...prev, ...data.results]);
-              setLoadedPages((prev) => new Set([...prev, pageNum]));
-            } else {
-              setTvShows(data.results);
-              setAllResults(data.results);
-            }
-
-            setTotalPages(Math.min(data.total_pages, 500));
-
-            safeSetItem(cachedKey, data);
-            safeSetItem(`${cachedKey}_timestamp`, new Date().getTime());
-
-            // Preload images
-            data.results.forEach((show) => {
-              if (show.poster_path) {
-                const img = new Image();
-                img.loading = "lazy"; // Enable lazy loading
-                img.src = `${BASE_IMG_URL}${show.poster_path}`;
-              }
-            });
-          } else {
-            if (!appendResults) {
-              setTvShows([]);
-              setAllResults([]);
-              setTotalPages(1);
-            }
-            console.error("Unexpected search response format:", data);
-            setError(
-              "Unexpected search response format. The server might be down or the API format has changed."
-            );
+          // Preload images
+          preloadImages(data.results);
+        } else {
+          if (!appendResults) {
+            setTvShows([]);
+            setAllResults([]);
+            setTotalPages(1);
           }
+          console.error("Unexpected search response format:", data);
+          setError({ key: "common.errors.badSearchResponse" });
+        }
 
-          if (appendResults) {
-            setIsLoadingMore(false);
-          } else {
-            setIsLoading(false);
-          }
-        })
+        if (appendResults) {
+          setIsLoadingMore(false);
+        } else {
+          setIsLoading(false);
+        }
+      };
+
+      cachedRequest(
+        "tvSearch",
+        [query, pageNum],
+        () => tmdb.searchTvShows(query, pageNum, { signal }),
+        // Appended pages are not refreshed in place, that would duplicate them
+        { onRevalidate: appendResults ? undefined : showResults, signal }
+      )
+        .then(showResults)
         .catch((err) => {
+          if (isAbortError(err)) return;
           console.error("Error searching TV shows:", err);
-          setError(
-            `Failed to search TV shows. Please check your internet connection or try again later. (${err.message})`
-          );
+          setError({
+            key: "tvShows.errors.search",
+            values: { reason: errorReason(err) },
+          });
           if (!appendResults) {
             setTvShows([]);
             setAllResults([]);
@@ -354,14 +313,19 @@ const TvShows = () => {
   );
 
   useEffect(() => {
+    // Cancel the request if the page or search changes before it completes
+    const controller = new AbortController();
+
     if (searchTerm) {
       setIsSearchMode(true);
-      searchTvShows(searchTerm, page);
+      searchTvShows(searchTerm, page, false, controller.signal);
     } else {
       setIsSearchMode(false);
-      fetchTvShows(page);
+      fetchTvShows(page, filterQuery, sort, controller.signal);
     }
-  }, [page, searchTerm, fetchTvShows, searchTvShows]);
+
+    return () => controller.abort();
+  }, [page, searchTerm, filterQuery, sort, fetchTvShows, searchTvShows]);
 
   const handleInputChange = (e) => {
     setKeyword(e.target.value);
@@ -400,8 +364,23 @@ const TvShows = () => {
   };
 
   const clearCache = () => {
-    clearAllCache(true); // Using the StorageHandler utility, preserving user data
-    alert("Cache cleared successfully");
+    // Using the StorageHandler utility, preserving user data
+    clearAllCache(true).then(() => alert(t("common.cacheCleared")));
+  };
+
+  // New filters start over from the first page and get their own history entry
+  const handleFiltersChange = (nextFilters) => {
+    const nextSearchParams = applyFilters(searchParams, nextFilters);
+    nextSearchParams.delete("page");
+    setSearchParams(nextSearchParams);
+    setPage(1);
+  };
+
+  const handleSortChange = (nextSort) => {
+    const nextSearchParams = applySort(searchParams, nextSort);
+    nextSearchParams.delete("page");
+    setSearchParams(nextSearchParams);
+    setPage(1);
   };
 
   // Function to load more search results
@@ -415,8 +394,8 @@ const TvShows = () => {
   return (
     <div className="bg-white text-black dark:bg-bg dark:text-white">
       <SEO
-        title="Discover TV Shows"
-        description="Find popular series, anime, and TV shows from around the world. Explore trending shows or search for your favorites."
+        title={t("tvShows.title")}
+        description={t("tvShows.intro")}
         keywords="tv shows, series, popular tv shows, tv series, anime"
       />
 
@@ -433,17 +412,16 @@ const TvShows = () => {
         <Container>
           <div className="min-h-[40vh] md:min-h-[50vh] flex flex-col justify-center py-8 md:py-0">
             <h1 className="text-white w-full mx-auto text-2xl sm:text-3xl md:text-5xl font-bold text-center mb-2 md:mb-4">
-              Discover TV Shows
+              {t("tvShows.title")}
             </h1>
             <p className="text-gray-200 text-center mb-4 md:mb-8 max-w-2xl mx-auto px-4 text-sm md:text-base">
-              Find popular series, anime, and TV shows from around the world.
-              Explore trending shows or search for your favorites.
+              {t("tvShows.intro")}
             </p>
             <div className="w-[95%] sm:w-[90%] md:w-2/3 lg:w-1/2 mx-auto py-3 md:py-6">
               <div className="flex flex-col sm:flex-row gap-2">
                 <Input
                   onInput={handleInputChange}
-                  placeholder="Search for a TV show..."
+                  placeholder={t("tvShows.searchPlaceholder")}
                   value={keyword}
                   className="shadow-lg flex-grow mb-2 sm:mb-0 text-bg "
                   ref={searchInputRef}
@@ -454,7 +432,7 @@ const TvShows = () => {
                   onClick={executeSearch}
                   className="bg-bluee hover:bg-blueh text-white px-6 py-2.5 rounded-lg shadow-lg transition-all duration-200 flex items-center justify-center"
                 >
-                  Search
+                  {t("common.search")}
                 </button>
               </div>
               {import.meta.env.DEV && (
@@ -463,7 +441,7 @@ const TvShows = () => {
                     onClick={clearCache}
                     className="text-xs text-gray-300 underline hover:text-white"
                   >
-                    Clear cache (dev only)
+                    {t("common.clearCacheDev")}
                   </button>
                 </div>
               )}
@@ -473,13 +451,43 @@ const TvShows = () => {
       </div>
 
       <Container>
+        {/* Curated rails only lead the unfiltered first page */}
+        {!isSearchMode &&
+          !filterQuery &&
+          sort === DEFAULT_SORT &&
+          page === 1 && (
+            <div className="pt-4 md:pt-6">
+              <ContinueWatching mediaType="tv" />
+              {COLLECTIONS.tv.map((collection) => (
+                <Rail key={collection.id} mediaType="tv" collection={collection} />
+              ))}
+            </div>
+          )}
+
+        {!isSearchMode && (
+          <div className="pt-6 md:pt-8">
+            <FilterPanel
+              mediaType="tv"
+              filters={filters}
+              onChange={handleFiltersChange}
+              actions={
+                <SortControl
+                  mediaType="tv"
+                  value={sort}
+                  onChange={handleSortChange}
+                />
+              }
+            />
+          </div>
+        )}
+
         {isLoading && (
           <div className="py-8 md:py-16 text-center">
             <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-bluee mb-4"></div>
             <p className="text-gray-600 dark:text-gray-300">
               {isSearchMode
-                ? `Searching for "${searchTerm}"...`
-                : "Loading TV shows..."}
+                ? t("common.searchingFor", { query: searchTerm })
+                : t("tvShows.loading")}
             </p>
           </div>
         )}
@@ -487,17 +495,17 @@ const TvShows = () => {
         {error && !isLoading && (
           <div className="py-6 md:py-12 text-center">
             <div className="bg-red-50 dark:bg-red-900 border border-red-200 dark:border-red-600 text-red-700 dark:text-red-200 px-4 py-4 rounded-lg max-w-md mx-auto shadow-sm">
-              <p className="font-bold mb-1">Error loading TV shows</p>
-              <p className="text-sm">{error}</p>
+              <p className="font-bold mb-1">{t("tvShows.errorTitle")}</p>
+              <p className="text-sm">{t(error.key, error.values)}</p>
               <button
                 onClick={() =>
                   searchTerm
                     ? searchTvShows(searchTerm, page)
-                    : fetchTvShows(page)
+                    : fetchTvShows(page, filterQuery, sort)
                 }
                 className="mt-3 bg-red-100 dark:bg-red-700 hover:bg-red-200 dark:hover:bg-red-600 text-red-800 dark:text-white font-semibold py-2 px-4 rounded transition-colors"
               >
-                Try Again
+                {t("common.tryAgain")}
               </button>
             </div>
           </div>
@@ -526,7 +534,7 @@ const TvShows = () => {
                           />
                         </svg>
                       </span>
-                      Results for "{searchTerm}"
+                      {t("common.resultsFor", { query: searchTerm })}
                       <button
                         onClick={handleBackNavigation}
                         className="ml-3 text-sm bg-gray-100 hover:bg-gray-200 text-gray-800 py-1 px-3 rounded-full flex items-center transition-colors"
@@ -545,12 +553,16 @@ const TvShows = () => {
                             d="M15 19l-7-7 7-7"
                           />
                         </svg>
-                        Back
+                        {t("common.back")}
                       </button>
                     </>
                   ) : (
                     <h1 className="mr-2 text-gray-800 dark:text-white">
-                  Popular TV Shows
+                  {filterQuery
+                    ? t("tvShows.filtered")
+                    : sort === DEFAULT_SORT
+                      ? t("tvShows.popular")
+                      : t("tvShows.all")}
                 </h1>
                   )}
                 </h2>
@@ -558,29 +570,33 @@ const TvShows = () => {
                   {isSearchMode && totalPages > 1 ? (
                     <span className="flex items-center">
                       <span className="inline-block w-2 h-2 rounded-full bg-bluee mr-2"></span>
-                      {tvShows.length} results (Page {page} of {totalPages})
+                      {t("common.resultsPage", {
+                        count: tvShows.length,
+                        page,
+                        total: totalPages,
+                      })}
                     </span>
                   ) : page > totalPages ? (
                     <span className="text-red-600">
-                      Page {page} exceeds maximum of {totalPages}
+                      {t("common.pageExceeds", { page, total: totalPages })}
                     </span>
                   ) : (
                     <span className="flex items-center">
                       <span className="inline-block w-2 h-2 rounded-full bg-green-500 mr-2"></span>
-                      Page {page} of {totalPages}
+                      {t("pagination.pageOf", { page, total: totalPages })}
                     </span>
                   )}
                 </p>
               </div>
 
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6 px-2 sm:px-0">
-                {tvShows.length > 0 ? (
-                  tvShows.map((show) => (
+                {filterItems(tvShows).length > 0 ? (
+                  filterItems(tvShows).map((show) => (
                     <ListItem
                       key={show.id}
                       posterPath={show.poster_path}
                       id={show.id}
-                      title={show.name || "Untitled"}
+                      title={show.name || t("common.untitled")}
                       rating={show.vote_average || 0}
                       releaseDate={show.first_air_date}
                       type="tv"
@@ -602,7 +618,7 @@ const TvShows = () => {
                         d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M12 14a7 7 0 110-14 7 7 0 010 14z"
                       />
                     </svg>
-                    <p className="text-gray-600 mb-3">No TV shows found</p>
+                    <p className="text-gray-600 mb-3">{t("tvShows.noneFound")}</p>
                     {searchTerm && (
                       <button
                         onClick={() => {
@@ -612,7 +628,15 @@ const TvShows = () => {
                         }}
                         className="bg-blue-100 hover:bg-blue-200 text-blueh font-semibold py-2 px-4 rounded transition-colors"
                       >
-                        Clear Search
+                        {t("common.clearSearch")}
+                      </button>
+                    )}
+                    {!searchTerm && filterQuery && (
+                      <button
+                        onClick={() => handleFiltersChange(EMPTY_FILTERS)}
+                        className="bg-blue-100 hover:bg-blue-200 text-blueh font-semibold py-2 px-4 rounded transition-colors"
+                      >
+                        {t("common.clearFilters")}
                       </button>
                     )}
                   </div>
@@ -631,7 +655,7 @@ const TvShows = () => {
                     {isLoadingMore ? (
                       <>
                         <div className="w-5 h-5 border-t-2 border-b-2 border-white rounded-full animate-spin"></div>
-                        <span>Loading more...</span>
+                        <span>{t("common.loadingMore")}</span>
                       </>
                     ) : (
                       <>
@@ -649,7 +673,7 @@ const TvShows = () => {
                             d="M19 14l-7 7m0 0l-7-7m7 7V3"
                           />
                         </svg>
-                        <span>Load More Results</span>
+                        <span>{t("common.loadMore")}</span>
                       </>
                     )}
                   </button>
@@ -669,8 +693,11 @@ const TvShows = () => {
 
               {isSearchMode && loadedPages.size > 1 && (
                 <div className="text-center text-sm text-gray-500 mt-4">
-                  {loadedPages.size} of {totalPages} pages loaded (
-                  {tvShows.length} shows)
+                  {t("tvShows.pagesLoaded", {
+                    loaded: loadedPages.size,
+                    total: totalPages,
+                    count: tvShows.length,
+                  })}
                 </div>
               )}
             </div>
@@ -0,0 +1,252 @@
+import { useState, useRef } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import BackToTop from '../components/BackToTop';
+import ListItem from '../components/ListItem';
+import { useUserLists } from '../contexts/UserListsContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+const inputClass = "w-full text-sm px-3 py-2 rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-100 outline-none focus:ring-2 focus:ring-blue-300";
+
+const moveButtonClass = "p-1.5 rounded bg-gray-200 dark:bg-gray-800 text-gray-700 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-40 disabled:cursor-not-allowed";
+
+// One custom list at /lists/:listId, in the user's order: drag cards (or use the arrows) to reorder
+const UserList = () => {
+  const { listId } = useParams();
+  const navigate = useNavigate();
+  const { getList, isLoaded, renameList, deleteList, removeFromList, setItemNote, moveItem } = useUserLists();
+  const { t } = useLocale();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState({ name: '', description: '' });
+  const dragIndex = useRef(null);
+  const [dropIndex, setDropIndex] = useState(null);
+
+  const list = getList(listId);
+
+  if (!isLoaded) {
+    return (
+      <Container>
+        <div className="py-16 text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+          <p className="text-gray-600 dark:text-gray-400">{t('lists.loadingList')}</p>
+        </div>
+      </Container>
+    );
+  }
+
+  if (!list) {
+    return (
+      <>
+        <SEO title={t('lists.notFoundTitle')} description={t('lists.notFoundDescription')} />
+        <Container>
+          <div className="py-20 text-center">
+            <p className="text-gray-600 dark:text-gray-400">{t('lists.notFound')}</p>
+            <Link to="/lists" className="block mt-3 text-sm text-bluee hover:underline">
+              {t('lists.backToLists')}
+            </Link>
+          </div>
+        </Container>
+      </>
+    );
+  }
+
+  const startEditing = () => {
+    setDraft({ name: list.name, description: list.description });
+    setIsEditing(true);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (!draft.name.trim()) return;
+    renameList(list.id, draft);
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('lists.confirmDelete', { name: list.name }))) return;
+    deleteList(list.id);
+    navigate('/lists');
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex.current !== null) moveItem(list.id, dragIndex.current, index);
+    dragIndex.current = null;
+    setDropIndex(null);
+  };
+
+  return (
+    <>
+      <SEO
+        title={list.name}
+        description={list.description || t('lists.listDescription', { name: list.name, count: list.items.length })}
+      />
+      <BackToTop />
+      <Container>
+        <div className="py-6 md:py-10 px-2 sm:px-0">
+          <Link to="/lists" className="text-sm text-gray-500 dark:text-gray-400 hover:text-bluee">
+            ‹ {t('library.myLists')}
+          </Link>
+
+          {isEditing ? (
+            <form onSubmit={handleSave} className="mt-2 mb-6 space-y-3 max-w-xl">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(current => ({ ...current, name: e.target.value }))}
+                aria-label={t('lists.name')}
+                maxLength={80}
+                className={inputClass}
+              />
+              <textarea
+                value={draft.description}
+                onChange={(e) => setDraft(current => ({ ...current, description: e.target.value }))}
+                aria-label={t('lists.descriptionLabel')}
+                placeholder={t('lists.descriptionPlaceholder')}
+                rows={2}
+                maxLength={500}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={!draft.name.trim()}
+                  className="px-4 py-2 rounded-lg text-sm font-medium bg-bluee text-white hover:bg-blueh disabled:opacity-50"
+                >
+                  {t('common.save')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(false)}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-800"
+                >
+                  {t('common.cancel')}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="mt-2 mb-6 flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+              <div>
+                <h1 className="text-2xl md:text-3xl font-bold text-gray-800 dark:text-white">{list.name}</h1>
+                {list.description && (
+                  <p className="mt-1 text-gray-600 dark:text-gray-300 whitespace-pre-line">{list.description}</p>
+                )}
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  {t('common.titles', { count: list.items.length })}
+                </p>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={startEditing}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium bg-gray-200 dark:bg-gray-800 text-gray-800 dark:text-white hover:bg-gray-300 dark:hover:bg-gray-600"
+                >
+                  {t('common.edit')}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleDelete}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900"
+                >
+                  {t('lists.delete')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {list.items.length === 0 ? (
+            <p className="py-12 text-center text-gray-600 dark:text-gray-400">
+              {t('lists.emptyList')}
+            </p>
+          ) : (
+            <ol className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-3 md:gap-6">
+              {list.items.map((item, index) => (
+                <li
+                  key={item.key}
+                  draggable
+                  onDragStart={(event) => {
+                    dragIndex.current = index;
+                    event.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onDragOver={(event) => {
+                    event.preventDefault();
+                    setDropIndex(index);
+                  }}
+                  onDragLeave={() => setDropIndex(current => (current === index ? null : current))}
+                  onDrop={(event) => {
+                    event.preventDefault();
+                    handleDrop(index);
+                  }}
+                  onDragEnd={() => {
+                    dragIndex.current = null;
+                    setDropIndex(null);
+                  }}
+                  className={`rounded-lg transition-shadow ${dropIndex === index ? 'ring-2 ring-bluee' : ''}`}
+                >
+                  <ListItem
+                    id={item.id}
+                    title={item.title}
+                    posterPath={item.posterPath}
+                    releaseDate={item.releaseDate}
+                    rating={item.rating}
+                    type={item.mediaType}
+                  />
+                  <div className="mt-2 flex items-center gap-1">
+                    <span className="text-sm font-semibold text-gray-500 dark:text-gray-400 mr-auto">#{index + 1}</span>
+                    <button
+                      type="button"
+                      onClick={() => moveItem(list.id, index, index - 1)}
+                      disabled={index === 0}
+                      aria-label={t('lists.moveEarlier', { title: item.title })}
+                      className={moveButtonClass}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                      </svg>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveItem(list.id, index, index + 1)}
+                      disabled={index === list.items.length - 1}
+                      aria-label={t('lists.moveLater', { title: item.title })}
+                      className={moveButtonClass}
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                      </svg>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => removeFromList(list.id, item.key)}
+                      aria-label={t('lists.removeTitle', { title: item.title })}
+                      title={t('lists.removeFromList')}
+                      className="p-1.5 rounded text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </div>
+                  {/* Saved when the field loses focus */}
+                  <textarea
+                    defaultValue={item.note}
+                    onBlur={(event) => {
+                      if (event.target.value !== item.note) setItemNote(list.id, item.key, event.target.value);
+                    }}
+                    placeholder={t('lists.addNote')}
+                    aria-label={t('lists.noteFor', { title: item.title })}
+                    rows={2}
+                    maxLength={500}
+                    className={`${inputClass} mt-2 resize-y`}
+                  />
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </Container>
+    </>
+  );
+};
+
+export default UserList;
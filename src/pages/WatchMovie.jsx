@@ -0,0 +1,129 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import SEO from '../utils/SEO';
+import Container from '../components/Container';
+import TheaterPlayer from '../components/TheaterPlayer';
+import RestrictedNotice from '../components/RestrictedNotice';
+import { BASE_IMG_URL } from '../utils/Endpoint';
+import { tmdb, isAbortError, errorReason } from '../utils/TmdbClient';
+import { cachedRequest } from '../utils/CacheManager';
+import { EMBED_FEATURES, buildEmbedUrl } from '../utils/EmbedProviders';
+import useEmbedPlayer from '../hooks/useEmbedPlayer';
+import useContentFilter from '../hooks/useContentFilter';
+import { useWatchHistory } from '../contexts/WatchHistoryContext';
+import { useLocale } from '../contexts/LocaleContext';
+
+// Theater-style player for a movie at /watch/movie/:id, always in the dark theme
+const WatchMovie = () => {
+  const { id } = useParams();
+  const { t } = useLocale();
+  const [movie, setMovie] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const player = useEmbedPlayer(EMBED_FEATURES.MOVIE);
+  const startPlayer = player.start;
+  const { recordMovie } = useWatchHistory();
+  const { isAllowed, isPending } = useContentFilter(movie ? [movie] : undefined, 'movie');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    window.scrollTo(0, 0);
+
+    const fetchMovie = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const data = await cachedRequest(
+          'movieDetails',
+          [id],
+          () => tmdb.movieDetails(id, { signal: controller.signal }),
+          { onRevalidate: setMovie, signal: controller.signal }
+        );
+        setMovie(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching movie details:', err);
+        setError(errorReason(err));
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+
+    fetchMovie();
+
+    return () => controller.abort();
+  }, [id]);
+
+  // Titles the profile may not see are never loaded into the player
+  const movieId = movie && isAllowed(movie) ? movie.id : null;
+  useEffect(() => {
+    if (movieId) startPlayer();
+  }, [movieId, startPlayer]);
+
+  // Remember the movie and the source it plays from for "Continue watching"
+  const playerSource = player.attempt > 0 ? player.provider.id : null;
+  useEffect(() => {
+    if (movie && playerSource) recordMovie(movie, playerSource);
+  }, [movie, playerSource, recordMovie]);
+
+  if (isLoading) {
+    return (
+      <div className="dark bg-bg min-h-screen py-20 text-center text-white">
+        <SEO title={t('watchMovie.loadingTitle')} description={t('watchMovie.loadingDescription')} />
+        <div className="inline-block animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500 mb-4"></div>
+        <p className="text-gray-400">{t('episode.loadingPlayer')}</p>
+      </div>
+    );
+  }
+
+  if (error || !movie) {
+    return (
+      <div className="dark bg-bg min-h-screen py-20 text-center text-white">
+        <SEO title={t('watchMovie.notFoundTitle')} description={t('watchMovie.notFoundDescription')} />
+        <p className="text-gray-300">{error ? t(error.key, error.values) : t('movieDetails.notFound')}</p>
+        <Link to="/" className="block mt-3 text-sm text-bluee hover:underline">
+          {t('browse.backToMovies')}
+        </Link>
+      </div>
+    );
+  }
+
+  if (!isAllowed(movie)) {
+    return <RestrictedNotice isChecking={isPending(movie)} />;
+  }
+
+  return (
+    <div className="dark bg-bg min-h-screen text-white pb-12">
+      <SEO
+        title={t('watchMovie.title', { title: movie.title })}
+        description={movie.overview || t('watchMovie.title', { title: movie.title })}
+        image={movie.poster_path ? `${BASE_IMG_URL}${movie.poster_path}` : undefined}
+      />
+      <Container>
+        <div className="pt-6">
+          <Link to={`/movie/${movie.id}`} className="text-sm text-gray-400 hover:text-white">
+            ‹ {t('episode.backTo', { name: movie.title })}
+          </Link>
+          <h1 className="text-2xl md:text-3xl font-bold mt-2 mb-4">{movie.title}</h1>
+
+          <TheaterPlayer
+            player={player}
+            src={buildEmbedUrl(player.provider, EMBED_FEATURES.MOVIE, { tmdbId: movie.id })}
+            title={t('movieDetails.playerTitle', { title: movie.title })}
+          />
+
+          <div className="mt-6 max-w-3xl">
+            <p className="text-sm text-gray-400 mb-2">
+              {movie.release_date ? new Date(movie.release_date).getFullYear() : t('watchMovie.unknownYear')}
+              {movie.runtime ? ` • ${t('common.minutes', { count: movie.runtime })}` : ''}
+            </p>
+            {movie.overview && <p className="text-gray-300">{movie.overview}</p>}
+          </div>
+        </div>
+      </Container>
+    </div>
+  );
+};
+
+export default WatchMovie;
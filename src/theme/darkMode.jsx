@@ -1,26 +1,30 @@
 import PropTypes from "prop-types";
 import { createContext, useContext, useEffect, useState } from "react";
+import { useProfiles } from "../contexts/ProfileContext";
 
 const ThemeContext = createContext();
 
+// Each profile keeps its own theme, the provider is remounted when the profile changes
 export const ThemeProvider = ({ children }) => {
+  const { profileKey } = useProfiles();
+  const themeKey = profileKey("theme");
   const [isDarkMode, setIsDarkMode] = useState(() => {
     return (
-      localStorage.getItem("theme") === "dark" ||
+      localStorage.getItem(themeKey) === "dark" ||
       (window.matchMedia("(prefers-color-scheme: dark)").matches &&
-        !localStorage.getItem("theme"))
+        !localStorage.getItem(themeKey))
     );
   });
 
   useEffect(() => {
     if (isDarkMode) {
       document.documentElement.classList.add("dark");
-      localStorage.setItem("theme", "dark");
+      localStorage.setItem(themeKey, "dark");
     } else {
       document.documentElement.classList.remove("dark");
-      localStorage.setItem("theme", "light");
+      localStorage.setItem(themeKey, "light");
     }
-  }, [isDarkMode]);
+  }, [isDarkMode, themeKey]);
 
   const toggleDarkMode = () => setIsDarkMode((prev) => !prev);
 
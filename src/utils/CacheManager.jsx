@@ -0,0 +1,98 @@
+// Read-through cache for TMDB data, built on top of StorageHandler.
+// Every cached resource type gets exactly one row in CACHE_POLICIES; pages never
+// compare timestamps themselves. Entries are stored with an expiry of
+// ttl + staleWhileRevalidate, so StorageHandler drops them once they are unusable.
+import { safeGetEntry, safeSetItem, safeRemoveItem } from './StorageHandler';
+import { isAbortError } from './TmdbClient';
+import { CACHE_POLICIES } from './CachePolicies';
+
+const getPolicy = (resource) => {
+  const policy = CACHE_POLICIES[resource];
+  if (!policy) throw new Error(`Unknown cache resource: ${resource}`);
+  return policy;
+};
+
+// The one key schema for cached data: `<prefix>_<part>_<part>...`
+// Strings are lower-cased so "Batman" and "batman" share an entry.
+export const cacheKey = (resource, parts = []) => {
+  const { prefix } = getPolicy(resource);
+  const normalized = parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .map(part => (typeof part === 'string' ? part.trim().toLowerCase() : String(part)));
+  return [prefix, ...normalized].join('_');
+};
+
+/**
+ * Read an entry without going to the network
+ *
+ * @param {string} resource - Key of CACHE_POLICIES
+ * @param {Array<string|number>} [parts] - Identifies the entry within the resource (id, page, query...)
+ * @returns {Promise<{ data: *, age: number, isFresh: boolean }|null>} Null when missing or too old to serve
+ */
+export const readCache = async (resource, parts) => {
+  const { ttl, staleWhileRevalidate } = getPolicy(resource);
+  const key = cacheKey(resource, parts);
+  const entry = await safeGetEntry(key);
+
+  if (!entry) return null;
+
+  // StorageHandler drops entries past their own expiry, this catches any stored without one
+  const age = Date.now() - entry.createdAt;
+  if (entry.ttl === null && age >= ttl + staleWhileRevalidate) {
+    safeRemoveItem(key);
+    return null;
+  }
+
+  return { data: entry.value, age, isFresh: age < ttl };
+};
+
+export const writeCache = (resource, parts, data) => {
+  const { ttl, staleWhileRevalidate } = getPolicy(resource);
+  return safeSetItem(cacheKey(resource, parts), data, { ttl: ttl + staleWhileRevalidate });
+};
+
+export const invalidateCache = (resource, parts) =>
+  safeRemoveItem(cacheKey(resource, parts));
+
+/**
+ * Serve a resource from cache, falling back to `fetcher` when needed.
+ *
+ * - fresh entry: returned as-is
+ * - stale entry: returned immediately, `fetcher` refreshes it in the background
+ *   and `onRevalidate` receives the new data
+ * - missing/expired entry (or `forceRefresh`): waits for `fetcher`
+ *
+ * @param {string} resource - Key of CACHE_POLICIES
+ * @param {Array<string|number>} parts - Identifies the entry within the resource
+ * @param {() => Promise<*>} fetcher - Loads fresh data, usually a `tmdb.*` call
+ * @param {Object} [options]
+ * @param {(data: *) => void} [options.onRevalidate] - Called when a background refresh lands
+ * @param {boolean} [options.forceRefresh] - Skip the cache read
+ * @param {AbortSignal} [options.signal] - Rejects with an AbortError instead of
+ *   resolving once aborted, even when the data came from the cache
+ * @returns {Promise<*>}
+ */
+export const cachedRequest = async (resource, parts, fetcher, { onRevalidate, forceRefresh = false, signal } = {}) => {
+  const cached = forceRefresh ? null : await readCache(resource, parts);
+
+  // Storage reads are async too, the caller may have moved on in the meantime
+  if (signal?.aborted) throw new DOMException('The request was aborted.', 'AbortError');
+
+  if (cached?.isFresh) return cached.data;
+
+  if (cached) {
+    fetcher()
+      .then(data => {
+        writeCache(resource, parts, data);
+        if (onRevalidate && !signal?.aborted) onRevalidate(data);
+      })
+      .catch(err => {
+        if (!isAbortError(err)) console.warn(`Background refresh of ${resource} failed:`, err);
+      });
+    return cached.data;
+  }
+
+  const data = await fetcher();
+  writeCache(resource, parts, data);
+  return data;
+};
@@ -0,0 +1,43 @@
+// How long each kind of cached TMDB data is kept, see CacheManager. Kept apart from it so
+// StorageHandler and the IndexedDB driver can give entries from older versions an expiry.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// prefix: storage key prefix for the resource
+// ttl: how long an entry is fresh and served without touching the network
+// staleWhileRevalidate: how long after `ttl` an entry may still be served
+//   immediately while a fresh copy is fetched in the background
+export const CACHE_POLICIES = {
+  movieList:     { prefix: 'cachedMovies',       ttl: 30 * MINUTE, staleWhileRevalidate: DAY },
+  tvList:        { prefix: 'cachedTvShows',      ttl: 30 * MINUTE, staleWhileRevalidate: DAY },
+  movieSearch:   { prefix: 'searchCache_movie',  ttl: 30 * MINUTE, staleWhileRevalidate: 2 * HOUR },
+  tvSearch:      { prefix: 'searchCache_tvShow', ttl: 30 * MINUTE, staleWhileRevalidate: 2 * HOUR },
+  personSearch:  { prefix: 'searchCache_person', ttl: 30 * MINUTE, staleWhileRevalidate: 2 * HOUR },
+  multiSearch:   { prefix: 'searchCache_multi',  ttl: 30 * MINUTE, staleWhileRevalidate: 2 * HOUR },
+  movieDetails:  { prefix: 'cachedMovieDetails', ttl: 30 * MINUTE, staleWhileRevalidate: 7 * DAY },
+  tvDetails:     { prefix: 'tvShowDetails',      ttl: HOUR,        staleWhileRevalidate: 7 * DAY },
+  tvSeason:      { prefix: 'tvShowSeason',       ttl: DAY,         staleWhileRevalidate: 7 * DAY },
+  tvEpisode:     { prefix: 'tvShowEpisode',      ttl: DAY,         staleWhileRevalidate: 7 * DAY },
+  personDetails: { prefix: 'cachedPerson',       ttl: DAY,         staleWhileRevalidate: 7 * DAY },
+  certification: { prefix: 'cachedRating',       ttl: 7 * DAY,     staleWhileRevalidate: 30 * DAY },
+  poster:        { prefix: 'image',              ttl: 7 * DAY,     staleWhileRevalidate: 0 },
+  genres:        { prefix: 'genres',             ttl: 7 * DAY,     staleWhileRevalidate: 30 * DAY },
+  configuration: { prefix: 'tmdbConfiguration',  ttl: 30 * DAY,    staleWhileRevalidate: 30 * DAY },
+  collection:    { prefix: 'cachedCollection',   ttl: 30 * MINUTE, staleWhileRevalidate: DAY }
+};
+
+/**
+ * How long a cache entry stored under `key` is kept (ttl + staleWhileRevalidate), worked out from
+ * its prefix. Null for keys of no cached resource, user data among them.
+ *
+ * @param {string} key
+ * @returns {number|null}
+ */
+export const cacheExpiryForKey = (key) => {
+  const match = Object.values(CACHE_POLICIES)
+    .filter(({ prefix }) => key === prefix || key.startsWith(`${prefix}_`))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+  return match ? match.ttl + match.staleWhileRevalidate : null;
+};
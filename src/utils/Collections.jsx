@@ -0,0 +1,92 @@
+// Curated lists shown as rails on the Movie and TvShows pages, each with a
+// paginated "see all" route at /browse/:mediaType/:collectionId.
+// `load(page, { variant, signal })` resolves to a TMDB paged response, `titleKey` and
+// `labelKey` are messages in the `collections` catalog namespace.
+import { tmdb } from './TmdbClient';
+import { cachedRequest } from './CacheManager';
+
+const TRENDING_WINDOWS = [
+  { id: 'day', labelKey: 'collections.today' },
+  { id: 'week', labelKey: 'collections.thisWeek' }
+];
+
+export const COLLECTIONS = {
+  movie: [
+    {
+      id: 'trending',
+      titleKey: 'collections.trendingMovies',
+      variants: TRENDING_WINDOWS,
+      load: (page, { variant = 'day', signal } = {}) => tmdb.trending('movie', variant, page, { signal })
+    },
+    {
+      id: 'now-playing',
+      titleKey: 'collections.nowPlaying',
+      load: (page, { signal } = {}) => tmdb.movieList('now_playing', page, { signal })
+    },
+    {
+      id: 'upcoming',
+      titleKey: 'collections.upcoming',
+      load: (page, { signal } = {}) => tmdb.movieList('upcoming', page, { signal })
+    },
+    {
+      id: 'top-rated',
+      titleKey: 'collections.topRatedMovies',
+      load: (page, { signal } = {}) => tmdb.movieList('top_rated', page, { signal })
+    }
+  ],
+  tv: [
+    {
+      id: 'airing-today',
+      titleKey: 'collections.airingToday',
+      load: (page, { signal } = {}) => tmdb.tvList('airing_today', page, { signal })
+    },
+    {
+      id: 'on-the-air',
+      titleKey: 'collections.onTheAir',
+      load: (page, { signal } = {}) => tmdb.tvList('on_the_air', page, { signal })
+    },
+    {
+      id: 'top-rated',
+      titleKey: 'collections.topRatedTvShows',
+      load: (page, { signal } = {}) => tmdb.tvList('top_rated', page, { signal })
+    }
+  ]
+};
+
+export const getCollection = (mediaType, collectionId) =>
+  (COLLECTIONS[mediaType] || []).find(collection => collection.id === collectionId) || null;
+
+// Falls back to the first variant when `variant` is missing or unknown
+export const resolveVariant = (collection, variant) => {
+  if (!collection.variants) return undefined;
+  return collection.variants.some(candidate => candidate.id === variant)
+    ? variant
+    : collection.variants[0].id;
+};
+
+// Link to a collection's "see all" page
+export const collectionPath = (mediaType, collection, variant) => {
+  const path = `/browse/${mediaType}/${collection.id}`;
+  return variant ? `${path}?window=${variant}` : path;
+};
+
+/**
+ * Load one page of a collection through the cache
+ *
+ * @param {'movie'|'tv'} mediaType
+ * @param {Object} collection - Entry of COLLECTIONS
+ * @param {number} page
+ * @param {Object} [options]
+ * @param {string} [options.variant] - Already resolved with resolveVariant
+ * @param {AbortSignal} [options.signal]
+ * @param {(data: Object) => void} [options.onRevalidate]
+ * @returns {Promise<{ results: Array<Object>, total_pages: number }>}
+ */
+export const fetchCollection = (mediaType, collection, page, { variant, signal, onRevalidate } = {}) =>
+  cachedRequest(
+    'collection',
+    [mediaType, collection.id, variant, page],
+    () => collection.load(page, { variant, signal })
+      .then(({ results, total_pages }) => ({ results, total_pages })),
+    { signal, onRevalidate }
+  );
@@ -0,0 +1,107 @@
+// What a profile may see: kid profiles go by a title's TMDB genres, parental controls
+// by its age rating (certification) in one country
+import { tmdb } from './TmdbClient';
+import { cachedRequest } from './CacheManager';
+
+// Animation, Family and (TV) Kids
+const KID_GENRES = [16, 10751, 10762];
+// Horror, Crime, Thriller, War and (TV) War & Politics, even when also animated
+const ADULT_GENRES = [27, 80, 53, 10752, 10768];
+
+// TMDB list results have `genre_ids`, details have `genres`, filmography entries `genreIds`
+export const getGenreIds = item =>
+  item.genre_ids || item.genreIds || (item.genres || []).map(genre => genre.id);
+
+/** A title for kids: in a kids' genre and in none of the adult ones */
+export const isKidFriendly = (item) => {
+  const genreIds = getGenreIds(item);
+  return genreIds.some(id => KID_GENRES.includes(id)) && !genreIds.some(id => ADULT_GENRES.includes(id));
+};
+
+// Parental controls start from the US ratings, PG-13 and TV-14
+export const DEFAULT_PARENTAL_CONTROLS = {
+  enabled: false,
+  region: 'US',
+  maxCertification: { movie: 'PG-13', tv: 'TV-14' },
+  // Certifications up to the maximum, worked out from TMDB's list when the controls are saved
+  allowed: { movie: [], tv: [] },
+  // Titles without a rating in `region`
+  hideUnrated: true,
+  pinHash: null
+};
+
+// Multi search and discover results carry their own `media_type`, filmography entries `mediaType`
+export const getMediaType = (item, fallback) => item.media_type || item.mediaType || fallback;
+
+export const certificationKey = (mediaType, id) => `${mediaType}-${id}`;
+
+// TMDB lists "NR" (not rated) as a certification of its own, it counts as no rating here
+export const isRatedCertification = certification => Boolean(certification) && certification !== 'NR';
+
+// Theatrical ratings are the ones posters and listings go by
+const THEATRICAL_RELEASE = 3;
+
+/**
+ * A title's certification in every country that rated it
+ *
+ * @param {'movie'|'tv'} mediaType
+ * @param {Object} response - tmdb.movieReleaseDates or tmdb.tvContentRatings
+ * @returns {Object<string, string>} Country code to certification, e.g. `{ US: 'PG-13', GB: '12A' }`
+ */
+export const toCertifications = (mediaType, response) => {
+  const certifications = {};
+  (response.results || []).forEach((country) => {
+    if (mediaType === 'tv') {
+      if (isRatedCertification(country.rating)) certifications[country.iso_3166_1] = country.rating;
+      return;
+    }
+    const rated = (country.release_dates || []).filter(release => isRatedCertification(release.certification));
+    const release = rated.find(candidate => candidate.type === THEATRICAL_RELEASE) || rated[0];
+    if (release) certifications[country.iso_3166_1] = release.certification;
+  });
+  return certifications;
+};
+
+/** @returns {Promise<Object<string, string>>} See toCertifications */
+export const fetchCertifications = (mediaType, id, { signal } = {}) =>
+  cachedRequest(
+    'certification',
+    [mediaType, id],
+    () => (mediaType === 'tv'
+      ? tmdb.tvContentRatings(id, { signal })
+      : tmdb.movieReleaseDates(id, { signal })
+    ).then(response => toCertifications(mediaType, response)),
+    { signal }
+  );
+
+/**
+ * Certifications up to and including `max`, in TMDB's order for the country
+ *
+ * @param {Array<{ certification: string, order: number }>} list - One country's certifications
+ * @param {string} max
+ * @returns {string[]}
+ */
+export const certificationsUpTo = (list, max) => {
+  const limit = list.find(item => item.certification === max);
+  if (!limit) return [];
+  return list
+    .filter(item => item.order <= limit.order)
+    .sort((a, b) => a.order - b.order)
+    .map(item => item.certification);
+};
+
+/**
+ * Whether parental controls let a title through
+ *
+ * @param {Object} item - TMDB result or details
+ * @param {'movie'|'tv'} mediaType
+ * @param {Object<string, string>} certifications - The title's, see toCertifications
+ * @param {typeof DEFAULT_PARENTAL_CONTROLS} controls
+ * @returns {boolean}
+ */
+export const isCertificationAllowed = (item, mediaType, certifications, controls) => {
+  if (item.adult) return false;
+  const certification = certifications[controls.region];
+  if (!certification) return !controls.hideUnrated;
+  return controls.allowed[mediaType].includes(certification);
+};
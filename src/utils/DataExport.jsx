@@ -0,0 +1,113 @@
+import { safeGetItem } from './StorageHandler';
+
+// Everything the app keeps about the user, written out as a versioned JSON backup or a flat CSV
+
+// Bump when the shape of `data` changes so a later importer can tell old files apart
+export const EXPORT_VERSION = 1;
+
+// Storage keys holding user data. `auth_token` is a credential and `source_health` is a
+// cache, so neither leaves the browser.
+export const USER_DATA_KEYS = [
+  'user_settings',
+  'watchlist',
+  'favorites',
+  'user_lists',
+  'user_ratings',
+  'watch_history',
+  'watched_episodes',
+  'autoplay_next'
+];
+
+/**
+ * Read all of a profile's user data into one object, ready for JSON.stringify
+ *
+ * @param {(key: string) => string} profileKey - The profile's storage key for a key, see useProfiles
+ * @returns {Promise<{app: string, version: number, exportedAt: string, data: Object<string, *>}>}
+ */
+export const collectUserData = async (profileKey) => {
+  const values = await Promise.all(USER_DATA_KEYS.map(key => safeGetItem(profileKey(key))));
+  const data = { theme: localStorage.getItem(profileKey('theme')) };
+  USER_DATA_KEYS.forEach((key, index) => {
+    data[key] = values[index];
+  });
+  return {
+    app: 'rw-movies',
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    data
+  };
+};
+
+const CSV_COLUMNS = [
+  'collection', 'list_name', 'media_type', 'tmdb_id', 'title', 'release_date', 'tmdb_rating',
+  'user_rating', 'review', 'note', 'season', 'episode', 'added_at', 'updated_at'
+];
+
+const toIsoDate = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : '');
+
+// Quote fields that would otherwise break the row
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const entryRow = (collection, entry, extra = {}) => ({
+  collection,
+  media_type: entry.mediaType,
+  tmdb_id: entry.id,
+  title: entry.title,
+  release_date: entry.releaseDate,
+  tmdb_rating: entry.rating,
+  added_at: toIsoDate(entry.addedAt),
+  ...extra
+});
+
+/**
+ * One row per saved title per collection (watchlist, favorites, each custom list,
+ * ratings and history), for spreadsheets
+ *
+ * @param {Object<string, *>} data - `data` of collectUserData
+ * @returns {string}
+ */
+export const toUserDataCsv = (data) => {
+  const rows = [
+    ...(data.watchlist || []).map(entry => entryRow('watchlist', entry)),
+    ...(data.favorites || []).map(entry => entryRow('favorites', entry)),
+    ...(data.user_lists || []).flatMap(list => list.items.map(entry => entryRow('list', entry, {
+      list_name: list.name,
+      note: entry.note
+    }))),
+    ...Object.values(data.user_ratings || {}).map(entry => entryRow('ratings', entry, {
+      user_rating: entry.userRating,
+      review: entry.review,
+      updated_at: toIsoDate(entry.updatedAt)
+    })),
+    ...(data.watch_history || []).map(entry => ({
+      collection: 'history',
+      media_type: entry.mediaType,
+      tmdb_id: entry.id,
+      title: entry.title,
+      season: entry.season,
+      episode: entry.episode,
+      added_at: toIsoDate(entry.startedAt),
+      updated_at: toIsoDate(entry.updatedAt)
+    }))
+  ];
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))
+  ].join('\r\n');
+};
+
+/** Save `content` as a file through a temporary download link */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
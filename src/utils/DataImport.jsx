@@ -0,0 +1,290 @@
+import { tmdb, isAbortError, errorReason } from './TmdbClient';
+import { getMediaTitle, getMediaDate, toCardProps } from './MediaItem';
+import { toLibraryEntry } from './Library';
+
+// Importers for other services' exports: rows are parsed from the files, matched to TMDB
+// titles, and only written to the library once the user has seen the match report
+
+export const IMPORT_SOURCES = [
+  { id: 'letterboxd', label: 'Letterboxd', accept: '.csv', hintKey: 'import.hints.letterboxd' },
+  { id: 'trakt', label: 'Trakt', accept: '.json', hintKey: 'import.hints.trakt' }
+];
+
+/**
+ * @typedef {Object} ImportRow
+ * @property {'rating'|'watchlist'|'favorites'} target - Where the title ends up
+ * @property {'movie'|'tv'} mediaType
+ * @property {string} title
+ * @property {number|null} year
+ * @property {number|null} tmdbId - When the source knows it
+ * @property {number|null} userRating - Half stars up to MAX_RATING
+ * @property {string} review
+ * @property {number} date - When it was rated or listed
+ * @property {string} file - File name and line, for the report
+ */
+
+/**
+ * Thrown for files that can't be read as the chosen source
+ *
+ * @param {string} key - Message key for the UI, also used as the error message
+ * @param {Object} [values] - The message's placeholder values
+ */
+export class ImportError extends Error {
+  constructor(key, values = {}) {
+    super(key);
+    this.name = 'ImportError';
+    this.key = key;
+    this.values = values;
+  }
+}
+
+const parseDate = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? Date.now() : time;
+};
+
+const parseYear = (value) => {
+  const year = parseInt(value, 10);
+  return Number.isNaN(year) ? null : year;
+};
+
+/**
+ * RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks
+ *
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+/**
+ * Rows of one file from a Letterboxd export. Letterboxd only has films, named by title and year.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {ImportRow[]}
+ */
+export const parseLetterboxdFile = (fileName, text) => {
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const column = (name) => (header || []).indexOf(name);
+  if (column('Name') === -1 || column('Letterboxd URI') === -1) {
+    throw new ImportError('import.errors.notLetterboxd', { file: fileName });
+  }
+
+  const hasRatings = column('Rating') !== -1 || column('Review') !== -1;
+  let target = null;
+  if (/watchlist/i.test(fileName)) target = 'watchlist';
+  else if (/likes|films\.csv$/i.test(fileName)) target = 'favorites';
+  else if (hasRatings) target = 'rating';
+  if (!target) {
+    throw new ImportError('import.errors.nothingToImport', { file: fileName });
+  }
+
+  const cell = (line, name) => (column(name) === -1 ? '' : (line[column(name)] || '').trim());
+
+  return lines
+    .map((line, index) => ({
+      target,
+      mediaType: 'movie',
+      title: cell(line, 'Name'),
+      year: parseYear(cell(line, 'Year')),
+      tmdbId: null,
+      userRating: parseFloat(cell(line, 'Rating')) || null,
+      review: cell(line, 'Review'),
+      date: parseDate(cell(line, 'Watched Date') || cell(line, 'Date')),
+      file: `${fileName}:${index + 2}`
+    }))
+    // Diary rows without a rating or review carry nothing for the ratings
+    .filter(row => row.title && (target !== 'rating' || row.userRating || row.review));
+};
+
+const traktTarget = (item, hint) => {
+  if (item.rating !== undefined) return 'rating';
+  if (/favorite/i.test(hint)) return 'favorites';
+  if (item.listed_at) return 'watchlist';
+  return null;
+};
+
+/**
+ * Rows of one file from a Trakt backup: an array of ratings or list items, or an object of
+ * such arrays. Trakt rates 1-10, which becomes half stars. Episode and season items are skipped.
+ *
+ * @param {string} fileName
+ * @param {string} text
+ * @returns {ImportRow[]}
+ */
+export const parseTraktFile = (fileName, text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new ImportError('import.errors.invalidJson', { file: fileName });
+  }
+
+  const groups = Array.isArray(json)
+    ? [[fileName, json]]
+    : Object.entries(json || {}).filter(([, value]) => Array.isArray(value));
+
+  const rows = groups.flatMap(([hint, items]) => items.map((item, index) => {
+    const media = item?.movie || item?.show;
+    const target = media && traktTarget(item, hint);
+    if (!target) return null;
+    return {
+      target,
+      mediaType: item.movie ? 'movie' : 'tv',
+      title: media.title || '',
+      year: parseYear(media.year),
+      tmdbId: media.ids?.tmdb || null,
+      userRating: target === 'rating' ? Math.round(item.rating) / 2 || null : null,
+      review: '',
+      date: parseDate(item.rated_at || item.listed_at),
+      file: `${fileName}#${index}`
+    };
+  }));
+
+  const found = rows.filter(Boolean);
+  if (found.length === 0 && rows.length === 0) {
+    throw new ImportError('import.errors.notTrakt', { file: fileName });
+  }
+  return found;
+};
+
+const normalize = (title) => title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// The search result meant by a title and year: same title and year, else same title one year
+// off (release dates differ between regions). Anything else goes to the unmatched report.
+const pickResult = (results, title, year) => {
+  const sameTitle = result => normalize(getMediaTitle(result) || '') === normalize(title);
+  const yearsOff = result => Math.abs(parseYear(getMediaDate(result)) - year);
+  if (!year) return results.find(sameTitle) || null;
+  return results.find(result => sameTitle(result) && yearsOff(result) === 0)
+    || results.find(result => sameTitle(result) && yearsOff(result) <= 1)
+    || null;
+};
+
+/**
+ * The TMDB list item for a row, by id when the source has one, otherwise by title and year
+ *
+ * @returns {Promise<Object|null>} Null when nothing fits
+ */
+const findTitle = async (row, signal) => {
+  if (row.tmdbId) {
+    const details = row.mediaType === 'tv' ? tmdb.tvDetails : tmdb.movieDetails;
+    try {
+      return await details(row.tmdbId, { signal });
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // A stale or wrong id, the title and year may still find it
+    }
+  }
+
+  if (!row.title) return null;
+  const search = row.mediaType === 'tv' ? tmdb.searchTvShows : tmdb.searchMovies;
+  const { results = [] } = await search(row.title, 1, { signal });
+  return pickResult(results, row.title, row.year);
+};
+
+// Requests in flight at once while matching
+const MATCH_CONCURRENCY = 4;
+
+/**
+ * Match rows to TMDB titles. Only the last row per title and target is kept, so a rewatched
+ * diary entry doesn't count twice.
+ *
+ * @param {ImportRow[]} rows
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<{matched: Array<{row: ImportRow, item: Object}>, unmatched: Array<{row: ImportRow, reason: {key: string, values?: Object}}>}>}
+ *   `item` is ListItem card props, `reason` a UI message
+ */
+export const matchRows = async (rows, { signal, onProgress } = {}) => {
+  const latest = new Map();
+  rows.forEach((row) => {
+    const key = `${row.target}|${row.mediaType}|${row.tmdbId || `${normalize(row.title)}|${row.year}`}`;
+    const previous = latest.get(key);
+    if (!previous || row.date >= previous.date) latest.set(key, row);
+  });
+  const queue = [...latest.values()];
+
+  const matched = [];
+  const unmatched = [];
+  let done = 0;
+
+  const matchNext = async () => {
+    while (queue.length > 0) {
+      const row = queue.shift();
+      try {
+        const result = await findTitle(row, signal);
+        if (result) {
+          matched.push({ row, item: toCardProps(result, row.mediaType) });
+        } else {
+          unmatched.push({ row, reason: { key: 'import.reasons.noMatch' } });
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        unmatched.push({ row, reason: { key: 'import.reasons.lookupFailed', values: { reason: errorReason(error) } } });
+      }
+      done += 1;
+      onProgress?.(done, latest.size);
+    }
+  };
+
+  await Promise.all(Array.from({ length: MATCH_CONCURRENCY }, matchNext));
+  return { matched, unmatched };
+};
+
+/**
+ * Turn matched rows into what the providers store
+ *
+ * @returns {{watchlist: Object[], favorites: Object[], ratings: Object[]}} Library entries for the
+ *   lists, and rating entries (see RatingsProvider)
+ */
+export const toImportedEntries = (matched) => {
+  const entries = { watchlist: [], favorites: [], ratings: [] };
+  matched.forEach(({ row, item }) => {
+    const entry = { ...toLibraryEntry(row.mediaType, item), addedAt: row.date };
+    if (row.target === 'rating') {
+      entries.ratings.push({ ...entry, userRating: row.userRating, review: row.review, updatedAt: row.date });
+    } else {
+      entries[row.target].push(entry);
+    }
+  });
+  return entries;
+};
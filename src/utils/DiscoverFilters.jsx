@@ -0,0 +1,194 @@
+// Browse filters and sort order for the Movie and TvShows pages, backed by TMDB's discover
+// endpoints. The URL search params are the source of truth so filtered views can be shared
+// and survive a reload; pages parse them with parseFilters/parseSort and write them back
+// with applyFilters/applySort.
+
+// TMDB's oldest titles are from the 1870s, leave some room for announced releases
+const MIN_YEAR = 1870;
+const MAX_YEAR = new Date().getFullYear() + 5;
+
+export const EMPTY_FILTERS = {
+  genres: [],
+  country: null,
+  language: null,
+  yearFrom: null,
+  yearTo: null,
+  minRating: null,
+  minVotes: null,
+  runtimeMin: null,
+  runtimeMax: null
+};
+
+// Filters are stored in the URL under the same name as their EMPTY_FILTERS field
+const FILTER_PARAMS = Object.keys(EMPTY_FILTERS);
+
+const parseNumber = (value, { min, max, integer = true }) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number))) return null;
+  if (number < min || number > max) return null;
+  return number;
+};
+
+const parseCode = (value, pattern) => (value && pattern.test(value) ? value : null);
+
+/**
+ * Read filters from URL search params, dropping anything malformed
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {typeof EMPTY_FILTERS}
+ */
+export const parseFilters = (searchParams) => {
+  const genres = (searchParams.get('genres') || '')
+    .split(',')
+    .map(id => parseNumber(id, { min: 1, max: Number.MAX_SAFE_INTEGER }))
+    .filter(id => id !== null);
+
+  let yearFrom = parseNumber(searchParams.get('yearFrom'), { min: MIN_YEAR, max: MAX_YEAR });
+  let yearTo = parseNumber(searchParams.get('yearTo'), { min: MIN_YEAR, max: MAX_YEAR });
+  if (yearFrom !== null && yearTo !== null && yearFrom > yearTo) {
+    [yearFrom, yearTo] = [yearTo, yearFrom];
+  }
+
+  let runtimeMin = parseNumber(searchParams.get('runtimeMin'), { min: 0, max: 1000 });
+  let runtimeMax = parseNumber(searchParams.get('runtimeMax'), { min: 0, max: 1000 });
+  if (runtimeMin !== null && runtimeMax !== null && runtimeMin > runtimeMax) {
+    [runtimeMin, runtimeMax] = [runtimeMax, runtimeMin];
+  }
+
+  return {
+    genres: [...new Set(genres)].sort((a, b) => a - b),
+    country: parseCode(searchParams.get('country'), /^[A-Z]{2}$/),
+    language: parseCode(searchParams.get('language'), /^[a-z]{2}$/),
+    yearFrom,
+    yearTo,
+    minRating: parseNumber(searchParams.get('minRating'), { min: 0, max: 10, integer: false }),
+    minVotes: parseNumber(searchParams.get('minVotes'), { min: 0, max: Number.MAX_SAFE_INTEGER }),
+    runtimeMin,
+    runtimeMax
+  };
+};
+
+/**
+ * Write filters into a copy of `searchParams`, leaving unrelated params (page, search...) alone
+ *
+ * @param {URLSearchParams} searchParams
+ * @param {typeof EMPTY_FILTERS} filters
+ * @returns {URLSearchParams}
+ */
+export const applyFilters = (searchParams, filters) => {
+  const next = new URLSearchParams(searchParams);
+
+  FILTER_PARAMS.forEach((name) => {
+    const value = filters[name];
+    const isEmpty = value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+
+    if (isEmpty) {
+      next.delete(name);
+    } else {
+      next.set(name, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  });
+
+  return next;
+};
+
+// Canonical string for a set of filters, '' when nothing is filtered.
+// Used as a cache key part and as a stable effect dependency.
+export const filtersToQuery = (filters) =>
+  applyFilters(new URLSearchParams(), filters).toString();
+
+export const countActiveFilters = (filters) =>
+  FILTER_PARAMS.filter((name) => {
+    const value = filters[name];
+    return Array.isArray(value) ? value.length > 0 : value !== null;
+  }).length;
+
+// Sort fields, each available ascending and descending. `sortBy` is the discover
+// `sort_by` field per media type; fields without one for a type are not offered there.
+const SORT_FIELDS = [
+  { id: 'popularity', labelKey: 'sort.fields.popularity', sortBy: { movie: 'popularity', tv: 'popularity' } },
+  { id: 'rating', labelKey: 'sort.fields.rating', sortBy: { movie: 'vote_average', tv: 'vote_average' } },
+  { id: 'votes', labelKey: 'sort.fields.votes', sortBy: { movie: 'vote_count', tv: 'vote_count' } },
+  { id: 'date', labelKey: { movie: 'sort.fields.releaseDate', tv: 'sort.fields.firstAirDate' }, sortBy: { movie: 'primary_release_date', tv: 'first_air_date' } },
+  { id: 'title', labelKey: 'sort.fields.title', sortBy: { movie: 'title', tv: 'name' } },
+  { id: 'revenue', labelKey: 'sort.fields.revenue', sortBy: { movie: 'revenue' } }
+];
+
+// TMDB's own popularity order, browsing with it (and no filters) uses the popular endpoints
+export const DEFAULT_SORT = 'popularity.desc';
+
+// Rating order is dominated by titles with a handful of votes unless they are filtered out
+const RATING_SORT_MIN_VOTES = 200;
+
+export const getSortFields = (mediaType) =>
+  SORT_FIELDS
+    .filter(field => field.sortBy[mediaType])
+    .map(field => ({
+      id: field.id,
+      labelKey: typeof field.labelKey === 'string' ? field.labelKey : field.labelKey[mediaType]
+    }));
+
+/**
+ * Read the sort order from URL search params
+ *
+ * @param {URLSearchParams} searchParams
+ * @param {'movie'|'tv'} mediaType
+ * @returns {string} `<field>.<asc|desc>`, DEFAULT_SORT when missing or not valid for `mediaType`
+ */
+export const parseSort = (searchParams, mediaType) => {
+  const [fieldId, direction] = (searchParams.get('sort') || '').split('.');
+  const field = SORT_FIELDS.find(candidate => candidate.id === fieldId);
+
+  if (!field || !field.sortBy[mediaType] || !['asc', 'desc'].includes(direction)) {
+    return DEFAULT_SORT;
+  }
+  return `${fieldId}.${direction}`;
+};
+
+// Write the sort order into a copy of `searchParams`, the default order is left out of the URL
+export const applySort = (searchParams, sort) => {
+  const next = new URLSearchParams(searchParams);
+  if (sort && sort !== DEFAULT_SORT) {
+    next.set('sort', sort);
+  } else {
+    next.delete('sort');
+  }
+  return next;
+};
+
+/**
+ * Translate filters and sort order into `/discover/movie` or `/discover/tv` query params
+ *
+ * @param {typeof EMPTY_FILTERS} filters
+ * @param {'movie'|'tv'} mediaType
+ * @param {string} [sort] - As returned by parseSort
+ * @returns {Object<string, string>}
+ */
+export const toDiscoverParams = (filters, mediaType, sort = DEFAULT_SORT) => {
+  // Movies filter on their first release, shows on their first episode
+  const dateField = mediaType === 'tv' ? 'first_air_date' : 'primary_release_date';
+  const [fieldId, direction] = sort.split('.');
+  const sortField = SORT_FIELDS.find(field => field.id === fieldId);
+  const params = {
+    sort_by: `${sortField.sortBy[mediaType]}.${direction}`
+  };
+
+  if (fieldId === 'rating' && filters.minVotes === null) {
+    params['vote_count.gte'] = String(RATING_SORT_MIN_VOTES);
+  }
+
+  // Comma means every selected genre must match
+  if (filters.genres.length > 0) params.with_genres = filters.genres.join(',');
+  if (filters.country) params.with_origin_country = filters.country;
+  if (filters.language) params.with_original_language = filters.language;
+  if (filters.yearFrom !== null) params[`${dateField}.gte`] = `${filters.yearFrom}-01-01`;
+  if (filters.yearTo !== null) params[`${dateField}.lte`] = `${filters.yearTo}-12-31`;
+  if (filters.minRating !== null) params['vote_average.gte'] = String(filters.minRating);
+  if (filters.minVotes !== null) params['vote_count.gte'] = String(filters.minVotes);
+  if (filters.runtimeMin !== null) params['with_runtime.gte'] = String(filters.runtimeMin);
+  if (filters.runtimeMax !== null) params['with_runtime.lte'] = String(filters.runtimeMax);
+
+  return params;
+};
@@ -0,0 +1,77 @@
+// Registry of the third-party embed hosts the movie and episode players can load.
+// Adding or removing a host is one entry here; the players list whatever supports
+// the kind of title they are showing, lowest `priority` first.
+
+// What a provider can play, plus optional capabilities worth showing to the user
+export const EMBED_FEATURES = {
+  MOVIE: 'movie',
+  EPISODE: 'episode',
+  SUBTITLES: 'subtitles',
+  AUTO_NEXT: 'auto_next'
+};
+
+/**
+ * @typedef {Object} EmbedProvider
+ * @property {string} id - Stable id, safe to persist
+ * @property {string} label - Name shown on the source buttons
+ * @property {string} [movieUrl] - Template with a `{tmdbId}` placeholder
+ * @property {string} [episodeUrl] - Template with `{tmdbId}`, `{season}` and `{episode}` placeholders
+ * @property {string[]} features - EMBED_FEATURES values
+ * @property {number} priority - Lower is tried first
+ */
+
+/** @type {EmbedProvider[]} */
+const PROVIDERS = [
+  {
+    id: 'embedsu',
+    label: 'Embed.su',
+    movieUrl: 'https://embed.su/embed/movie/{tmdbId}',
+    episodeUrl: 'https://embed.su/embed/tv/{tmdbId}/{season}/{episode}',
+    features: [EMBED_FEATURES.MOVIE, EMBED_FEATURES.EPISODE, EMBED_FEATURES.SUBTITLES],
+    priority: 10
+  },
+  {
+    id: 'vidsrc',
+    label: 'VidSrc',
+    movieUrl: 'https://vidsrc.xyz/embed/movie?tmdb={tmdbId}',
+    episodeUrl: 'https://vidsrc.xyz/embed/tv?tmdb={tmdbId}&season={season}&episode={episode}',
+    features: [EMBED_FEATURES.MOVIE, EMBED_FEATURES.EPISODE, EMBED_FEATURES.SUBTITLES, EMBED_FEATURES.AUTO_NEXT],
+    priority: 20
+  },
+  {
+    id: '2embed',
+    label: '2Embed',
+    movieUrl: 'https://www.2embed.cc/embed/{tmdbId}',
+    episodeUrl: 'https://www.2embed.cc/embedtv/{tmdbId}&s={season}&e={episode}',
+    features: [EMBED_FEATURES.MOVIE, EMBED_FEATURES.EPISODE],
+    priority: 30
+  }
+];
+
+const fillTemplate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    (params[name] === undefined ? match : encodeURIComponent(String(params[name]))));
+
+export const supportsFeature = (provider, feature) => provider.features.includes(feature);
+
+/**
+ * Providers able to play `kind`, in the order they should be tried
+ *
+ * @param {'movie'|'episode'} kind
+ * @returns {EmbedProvider[]}
+ */
+export const getProviders = (kind) =>
+  PROVIDERS
+    .filter(provider => supportsFeature(provider, kind) && provider[`${kind}Url`])
+    .sort((a, b) => a.priority - b.priority);
+
+export const getProvider = (id) => PROVIDERS.find(provider => provider.id === id);
+
+/**
+ * @param {EmbedProvider} provider
+ * @param {'movie'|'episode'} kind
+ * @param {{tmdbId: number|string, season?: number, episode?: number}} params
+ * @returns {string}
+ */
+export const buildEmbedUrl = (provider, kind, params) =>
+  fillTemplate(provider[`${kind}Url`], params);
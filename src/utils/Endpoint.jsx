@@ -3,6 +3,10 @@ export const API_TOKEN = import.meta.env.VITE_TMDB_API_TOKEN;
 export const BASE_API = 'https://api.themoviedb.org/3'
 export const BASE_IMG_URL = 'https://image.tmdb.org/t/p/w500'
 
+// Build an image URL for any of TMDB's image sizes (w92, w154, w342, w500, original...)
+export const imageUrl = (path, size = 'w500') =>
+  `https://image.tmdb.org/t/p/${size}${path}`
+
 // Common headers for all requests
 export const getHeaders = () => {
   return {
@@ -13,7 +17,11 @@ export const getHeaders = () => {
 
 // TV Show endpoints
 export const TV_SEASON_EPISODES = (seriesId, seasonNumber) => 
-  `${BASE_API}/tv/${seriesId}/season/${seasonNumber}`
+  `${BASE_API}/tv/${seriesId}/season/${seasonNumber}?language=en-US&append_to_response=credits`
+
+// Stills have no language, they only come back when `null` is asked for
+export const TV_EPISODE_DETAILS = (seriesId, seasonNumber, episodeNumber) => 
+  `${BASE_API}/tv/${seriesId}/season/${seasonNumber}/episode/${episodeNumber}?language=en-US&append_to_response=images&include_image_language=en,null`
 
 // Add pagination support for movies
 export const PAGINATED_MOVIES = (page = 1) => 
@@ -30,9 +38,61 @@ export const SEARCH_MOVIES = (query, page = 1) =>
 export const SEARCH_TV_SHOWS = (query, page = 1) => 
   `${BASE_API}/search/tv?language=en-US&query=${encodeURIComponent(query)}&page=${page}&include_adult=false`
 
+export const SEARCH_PEOPLE = (query, page = 1) => 
+  `${BASE_API}/search/person?language=en-US&query=${encodeURIComponent(query)}&page=${page}&include_adult=false`
+
+// Movies, TV shows and people in one result list, each item has a `media_type`
+export const SEARCH_MULTI = (query, page = 1) => 
+  `${BASE_API}/search/multi?language=en-US&query=${encodeURIComponent(query)}&page=${page}&include_adult=false`
+
 // Get details by ID
 export const MOVIE_DETAILS = (id) => 
-  `${BASE_API}/movie/${id}?language=en-US&append_to_response=credits,videos`
+  `${BASE_API}/movie/${id}?language=en-US&append_to_response=credits,videos,recommendations,similar`
 
 export const TV_DETAILS = (id) => 
-  `${BASE_API}/tv/${id}?language=en-US&append_to_response=credits,videos`
\ No newline at end of file
+  `${BASE_API}/tv/${id}?language=en-US&append_to_response=credits,videos,recommendations,similar`
+
+// Age ratings per country: release dates carry a movie's, content ratings a show's
+export const MOVIE_RELEASE_DATES = (id) => 
+  `${BASE_API}/movie/${id}/release_dates`
+
+export const TV_CONTENT_RATINGS = (id) => 
+  `${BASE_API}/tv/${id}/content_ratings`
+
+// Every country's certifications for `mediaType`, each with its `order` from least to most restrictive
+export const CERTIFICATION_LIST = (mediaType) => 
+  `${BASE_API}/certification/${mediaType}/list`
+
+// Person profile with their movie and TV credits in one list, each credit has a `media_type`
+export const PERSON_DETAILS = (id) => 
+  `${BASE_API}/person/${id}?language=en-US&append_to_response=combined_credits`
+
+// Discover endpoints, `params` are TMDB discover query params (with_genres, vote_average.gte...)
+const discoverQuery = (params, page) =>
+  new URLSearchParams({ ...params, page, language: 'en-US', include_adult: 'false' }).toString()
+
+export const DISCOVER_MOVIES = (params = {}, page = 1) => 
+  `${BASE_API}/discover/movie?${discoverQuery(params, page)}`
+
+export const DISCOVER_TV_SHOWS = (params = {}, page = 1) => 
+  `${BASE_API}/discover/tv?${discoverQuery(params, page)}`
+
+// Reference data for the filter panel
+export const GENRE_LIST = (mediaType) => 
+  `${BASE_API}/genre/${mediaType}/list?language=en-US`
+
+export const COUNTRY_LIST = `${BASE_API}/configuration/countries?language=en-US`
+
+export const LANGUAGE_LIST = `${BASE_API}/configuration/languages`
+
+// Curated lists
+export const TRENDING_LIST = (mediaType, timeWindow = 'week', page = 1) => 
+  `${BASE_API}/trending/${mediaType}/${timeWindow}?page=${page}&language=en-US`
+
+// `list` is one of now_playing, upcoming, top_rated
+export const MOVIE_LIST = (list, page = 1) => 
+  `${BASE_API}/movie/${list}?page=${page}&language=en-US`
+
+// `list` is one of airing_today, on_the_air, top_rated
+export const TV_LIST = (list, page = 1) => 
+  `${BASE_API}/tv/${list}?page=${page}&language=en-US`
@@ -0,0 +1,57 @@
+// Helpers for walking a show's episodes in order
+
+export const hasAired = (episode) => Boolean(episode.air_date) && new Date(episode.air_date) <= new Date();
+
+/**
+ * Episode one step before or after `episodes[index]`, rolling over into the neighbouring
+ * season at either end. Specials (season 0) don't roll over, and episodes that haven't
+ * aired aren't offered as next.
+ *
+ * @param {Object[]} episodes - Episodes of the season being played
+ * @param {number} index
+ * @param {1|-1} direction
+ * @param {Object[]} seasons - The show's seasons, sorted by number
+ * @param {Object} [lastAired] - The show's `last_episode_to_air`
+ * @returns {{season: number, episode: number, name: string|null}|null}
+ */
+export const findAdjacentEpisode = (episodes, index, direction, seasons, lastAired) => {
+  const sibling = episodes[index + direction];
+  if (sibling) {
+    if (direction > 0 && !hasAired(sibling)) return null;
+    return { season: sibling.season_number, episode: sibling.episode_number, name: sibling.name || null };
+  }
+
+  const currentSeason = episodes[index].season_number;
+  if (currentSeason === 0) return null;
+  const regularSeasons = seasons.filter(season => season.season_number > 0);
+  const position = regularSeasons.findIndex(season => season.season_number === currentSeason);
+  const season = position === -1 ? null : regularSeasons[position + direction];
+  if (!season) return null;
+
+  if (direction > 0) {
+    if (lastAired && season.season_number > lastAired.season_number) return null;
+    return { season: season.season_number, episode: 1, name: null };
+  }
+  return season.episode_count
+    ? { season: season.season_number, episode: season.episode_count, name: null }
+    : null;
+};
+
+/**
+ * Previous and next episode around `episode`
+ *
+ * @param {Object} [season] - Season details with `episodes`
+ * @param {Object} [episode] - One of `season.episodes`
+ * @param {Object[]} seasons - The show's seasons, sorted by number
+ * @param {Object} [lastAired]
+ * @returns {{previousEpisode: Object|null, nextEpisode: Object|null}}
+ */
+export const getEpisodeNeighbours = (season, episode, seasons, lastAired) => {
+  const episodes = season?.episodes || [];
+  const index = episode ? episodes.indexOf(episode) : -1;
+  if (index === -1) return { previousEpisode: null, nextEpisode: null };
+  return {
+    previousEpisode: findAdjacentEpisode(episodes, index, -1, seasons, lastAired),
+    nextEpisode: findAdjacentEpisode(episodes, index, 1, seasons, lastAired)
+  };
+};
@@ -0,0 +1,109 @@
+// A person's combined movie and TV credits as one filmography for the person page.
+// TMDB lists a credit per role, so someone who wrote and directed a film shows up twice;
+// entries here are one per title with every role on it joined.
+import { getMediaTitle, getMediaDate } from './MediaItem';
+
+// `labelKey` is a message in the `person` catalog namespace
+export const FILMOGRAPHY_SORTS = [
+  { id: 'year', labelKey: 'person.sorts.year' },
+  { id: 'popularity', labelKey: 'person.sorts.popularity' }
+];
+
+// `cast` or a crew department name (Directing, Writing...)
+export const ALL_ROLES = 'all';
+export const CAST_ROLE = 'cast';
+
+/**
+ * Roles this person has credits in, acting first and then crew departments by credit count
+ *
+ * @param {{cast: Object[], crew: Object[]}} combinedCredits
+ * @returns {{id: string, label?: string, labelKey?: string, count: number}[]} Crew roles are
+ *   labelled with TMDB's department name, acting with a message
+ */
+export const getCreditRoles = (combinedCredits) => {
+  const cast = combinedCredits?.cast || [];
+  const crew = combinedCredits?.crew || [];
+  const roles = cast.length > 0 ? [{ id: CAST_ROLE, labelKey: 'person.acting', count: cast.length }] : [];
+
+  const departments = new Map();
+  crew.forEach(credit => departments.set(credit.department, (departments.get(credit.department) || 0) + 1));
+
+  return roles.concat(
+    [...departments.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([department, count]) => ({ id: department, label: department, count }))
+  );
+};
+
+// The role as a `{ key, values }` message, crew jobs are shown as TMDB names them
+const describeCredit = (credit) => {
+  if (credit.job) return { key: 'person.credits.job', values: { job: credit.job } };
+  const count = credit.episode_count;
+  if (credit.character) {
+    return count
+      ? { key: 'person.credits.characterEpisodes', values: { character: credit.character, count } }
+      : { key: 'person.credits.character', values: { character: credit.character } };
+  }
+  return count ? { key: 'person.credits.castEpisodes', values: { count } } : { key: 'person.credits.cast' };
+};
+
+const isSameRole = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * One entry per title for the credits matching `role`
+ *
+ * @param {{cast: Object[], crew: Object[]}} combinedCredits
+ * @param {string} [role] - ALL_ROLES, CAST_ROLE or a crew department
+ * @returns {{key: string, id: number, mediaType: string, title: string, date: string, year: number|null,
+ *   popularity: number, rating: number, posterPath: string, genreIds: number[],
+ *   roles: {key: string, values?: Object}[]}[]} Roles are messages for the locale's `t`
+ */
+export const buildFilmography = (combinedCredits, role = ALL_ROLES) => {
+  const cast = role === ALL_ROLES || role === CAST_ROLE ? combinedCredits?.cast || [] : [];
+  const crew = (combinedCredits?.crew || [])
+    .filter(credit => role === ALL_ROLES || credit.department === role);
+
+  const entries = new Map();
+  [...cast, ...crew].forEach((credit) => {
+    const key = `${credit.media_type}-${credit.id}`;
+    const roleMessage = describeCredit(credit);
+    const entry = entries.get(key);
+
+    if (entry) {
+      if (!entry.roles.some(existing => isSameRole(existing, roleMessage))) entry.roles.push(roleMessage);
+      return;
+    }
+
+    const date = getMediaDate(credit);
+    entries.set(key, {
+      key,
+      id: credit.id,
+      mediaType: credit.media_type,
+      title: getMediaTitle(credit) || '',
+      date,
+      year: date ? new Date(date).getFullYear() : null,
+      popularity: credit.popularity || 0,
+      rating: credit.vote_average || 0,
+      posterPath: credit.poster_path,
+      genreIds: credit.genre_ids || [],
+      roles: [roleMessage]
+    });
+  });
+
+  return [...entries.values()];
+};
+
+/**
+ * @param {ReturnType<typeof buildFilmography>} entries
+ * @param {string} sort - One of FILMOGRAPHY_SORTS
+ */
+export const sortFilmography = (entries, sort) => {
+  if (sort === 'popularity') {
+    return [...entries].sort((a, b) => b.popularity - a.popularity);
+  }
+  // Undated credits are usually announced projects, keep them at the top like TMDB does
+  return [...entries].sort((a, b) => {
+    if (!a.date || !b.date) return (a.date ? 1 : 0) - (b.date ? 1 : 0);
+    return b.date.localeCompare(a.date);
+  });
+};
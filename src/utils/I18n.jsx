@@ -0,0 +1,78 @@
+// UI translations and locale-aware formatting. Messages live in src/locales, one catalog
+// per language with the same nested keys; English is the fallback for anything missing.
+import en from '../locales/en';
+import id from '../locales/id';
+
+export const LOCALES = [
+  { id: 'en', label: 'English', short: 'EN', intl: 'en-US' },
+  { id: 'id', label: 'Bahasa Indonesia', short: 'ID', intl: 'id-ID' }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+// formatNumber options for vote averages and the like, e.g. 7.0 or 7,0
+export const ONE_DECIMAL = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+const CATALOGS = { en, id };
+
+export const isSupportedLocale = locale => LOCALES.some(option => option.id === locale);
+
+// First supported language the browser asks for
+export const detectLocale = () => {
+  const languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  const match = languages
+    .map(language => (language || '').slice(0, 2).toLowerCase())
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+/**
+ * Translator and formatters for one locale
+ *
+ * Messages are strings with `{name}` placeholders, or objects keyed by Intl.PluralRules
+ * category (`one`, `other`...) that are picked by the `count` value:
+ *
+ *   seasons: { one: '{count} Season', other: '{count} Seasons' }
+ *   t('tv.seasons', { count: 3 }) // "3 Seasons"
+ *
+ * A value can itself be a `{ key, values }` message, it's translated in place:
+ *
+ *   t('movies.errors.search', { reason: errorReason(error) })
+ *
+ * @param {string} locale - One of LOCALES
+ * @returns {{
+ *   locale: string,
+ *   t: (key: string, values?: Object) => string,
+ *   formatNumber: (value: number, options?: Intl.NumberFormatOptions) => string,
+ *   formatDate: (value: string|number|Date, options?: Intl.DateTimeFormatOptions) => string
+ * }} Unknown keys come back as the key itself, so they're easy to spot
+ */
+export const createI18n = (locale) => {
+  const { intl } = LOCALES.find(option => option.id === locale) || LOCALES[0];
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(intl);
+
+  const formatNumber = (value, options) => new Intl.NumberFormat(intl, options).format(value);
+
+  const formatDate = (value, options = { year: 'numeric', month: 'long', day: 'numeric' }) =>
+    new Intl.DateTimeFormat(intl, options).format(value instanceof Date ? value : new Date(value));
+
+  const t = (key, values = {}) => {
+    let message = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(values.count ?? 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = values[name];
+      if (value === undefined || value === null) return placeholder;
+      if (typeof value === 'object' && value.key) return t(value.key, value.values);
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+  };
+
+  return { locale, t, formatNumber, formatDate };
+};
@@ -0,0 +1,193 @@
+// IndexedDB storage driver used by StorageHandler.
+// Entries are stored with the structured clone algorithm, so objects and Blobs
+// go in as-is (no JSON, no base64) and the quota is hundreds of MB instead of ~5MB.
+// Records look like { key, entry, size, lastAccessed } where `entry` is a StorageCodec envelope.
+import { createEnvelope } from './StorageCodec';
+import { cacheExpiryForKey } from './CachePolicies';
+
+const DB_NAME = 'rw-movies';
+// 1: { key, value, size, lastAccessed }
+// 2: `value` replaced by an envelope in `entry`
+const DB_VERSION = 2;
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+let isBroken = false;
+
+// Ask the browser not to evict our data under storage pressure (best effort)
+const requestPersistence = () => {
+  try {
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
+  } catch {
+    // Not supported, the data is simply "best effort" storage
+  }
+};
+
+// Version 1 stored bare values, wrap them in envelopes. Cache entries expire like their
+// CACHE_POLICIES row, counted from their last use; everything else doesn't.
+const wrapLegacyRecords = (store) => {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    const { value, ...record } = cursor.value;
+    cursor.update({
+      ...record,
+      entry: createEnvelope(value, { ttl: cacheExpiryForKey(record.key), createdAt: record.lastAccessed })
+    });
+    cursor.continue();
+  };
+};
+
+const openDatabase = () => {
+  if (isBroken) return Promise.reject(new Error('IndexedDB is unavailable'));
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const openRequest = indexedDB.open(DB_NAME, DB_VERSION);
+
+    openRequest.onupgradeneeded = (event) => {
+      const db = openRequest.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+      }
+      if (event.oldVersion === 1) {
+        wrapLegacyRecords(openRequest.transaction.objectStore(STORE_NAME));
+      }
+    };
+    openRequest.onsuccess = () => {
+      const db = openRequest.result;
+      // Let a newer version of the app open in another tab upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      requestPersistence();
+      resolve(db);
+    };
+    openRequest.onerror = () => reject(openRequest.error);
+    openRequest.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  }).catch((error) => {
+    // Private browsing modes and some webviews refuse IndexedDB entirely
+    isBroken = true;
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+};
+
+// Run a single operation in its own transaction and resolve once it has committed
+const runTransaction = (mode, operation) =>
+  openDatabase().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    let result;
+
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }));
+
+// Check once whether IndexedDB can actually be opened
+export const isIndexedDBAvailable = async () => {
+  if (typeof indexedDB === 'undefined' || isBroken) return false;
+  try {
+    await openDatabase();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Rough size of a stored envelope's data, used for LRU eviction
+const estimateSize = ({ data }) => {
+  if (data instanceof Blob) return data.size;
+  try {
+    return JSON.stringify(data)?.length || 0;
+  } catch {
+    return 0;
+  }
+};
+
+export const idbGet = (key) =>
+  runTransaction('readonly', store => store.get(key));
+
+export const idbSet = (key, entry) =>
+  runTransaction('readwrite', store => store.put({
+    key,
+    entry,
+    size: estimateSize(entry),
+    lastAccessed: Date.now()
+  }));
+
+export const idbRemove = (key) =>
+  runTransaction('readwrite', store => store.delete(key));
+
+export const idbKeys = () =>
+  runTransaction('readonly', store => store.getAllKeys());
+
+// Refresh a record's LRU timestamp without rewriting its entry
+export const idbTouch = (key) =>
+  runTransaction('readwrite', (store) => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, lastAccessed: Date.now() });
+      }
+    };
+    return null;
+  });
+
+// Delete every record whose key is not kept by `shouldKeep`
+export const idbClear = (shouldKeep = () => false) =>
+  runTransaction('readwrite', (store) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (!shouldKeep(cursor.key)) cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  });
+
+// Delete least recently used records until `bytesNeeded` are freed, skipping protected keys
+export const idbEvictLRU = (bytesNeeded, isProtected = () => false) => {
+  let freedBytes = 0;
+
+  return runTransaction('readwrite', (store) => {
+    const request = store.index('lastAccessed').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || freedBytes >= bytesNeeded) return;
+      if (!isProtected(cursor.value.key)) {
+        freedBytes += cursor.value.size || 0;
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    return null;
+  }).then(() => freedBytes);
+};
+
+// Approximate bytes used by this origin across all storage types
+export const estimateUsage = async () => {
+  try {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      return { usage, quota };
+    }
+  } catch {
+    // Fall through
+  }
+  return { usage: 0, quota: 0 };
+};
@@ -0,0 +1,54 @@
+// Saved titles: the entries kept for the watchlist, favorites and custom lists, and
+// their sorting and filtering on the library page
+
+export const libraryKey = (mediaType, id) => `${mediaType}-${id}`;
+
+/**
+ * What the library keeps of a title
+ *
+ * @param {'movie'|'tv'} mediaType
+ * @param {Object} item - ListItem card props (see toCardProps)
+ * @returns {import('../contexts/LibraryProvider').LibraryEntry}
+ */
+export const toLibraryEntry = (mediaType, item) => ({
+  key: libraryKey(mediaType, item.id),
+  mediaType,
+  id: item.id,
+  title: item.title,
+  posterPath: item.posterPath || null,
+  releaseDate: item.releaseDate || null,
+  rating: item.rating || 0,
+  addedAt: Date.now()
+});
+
+// `labelKey` is a message in the `library` catalog namespace
+export const LIBRARY_SORTS = [
+  { id: 'added', labelKey: 'library.sorts.added' },
+  { id: 'title', labelKey: 'library.sorts.title' },
+  { id: 'rating', labelKey: 'library.sorts.rating' },
+  { id: 'release', labelKey: 'library.sorts.release' }
+];
+
+export const LIBRARY_TYPES = [
+  { id: 'all', labelKey: 'library.types.all' },
+  { id: 'movie', labelKey: 'library.types.movie' },
+  { id: 'tv', labelKey: 'library.types.tv' }
+];
+
+const COMPARATORS = {
+  added: (a, b) => b.addedAt - a.addedAt,
+  title: (a, b) => a.title.localeCompare(b.title),
+  rating: (a, b) => b.rating - a.rating,
+  // Titles without a date go last
+  release: (a, b) => (b.releaseDate || '').localeCompare(a.releaseDate || '')
+};
+
+/**
+ * @param {import('../contexts/LibraryProvider').LibraryEntry[]} entries
+ * @param {string} type - One of LIBRARY_TYPES
+ * @param {string} sort - One of LIBRARY_SORTS
+ */
+export const getLibraryView = (entries, type, sort) =>
+  entries
+    .filter(entry => type === 'all' || entry.mediaType === type)
+    .sort(COMPARATORS[sort] || COMPARATORS.added);
@@ -0,0 +1,20 @@
+// Helpers for TMDB list items, which name the same fields differently for movies and shows
+
+// Null when TMDB has no title at all, show the locale's `common.untitled` then
+export const getMediaTitle = (item) => item.title || item.name || null;
+
+export const getMediaDate = (item) => item.release_date || item.first_air_date;
+
+// Props for a ListItem card
+export const toCardProps = (item, mediaType = 'movie') => ({
+  posterPath: item.poster_path,
+  id: item.id,
+  title: getMediaTitle(item) || '',
+  rating: item.vote_average || 0,
+  releaseDate: getMediaDate(item),
+  type: mediaType
+});
+
+// `S02E05` style label for an episode
+export const episodeCode = (season, episode) =>
+  `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
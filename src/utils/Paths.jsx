@@ -0,0 +1,21 @@
+// Builders for app URLs that carry params, so links stay consistent across components
+
+// Global search, `type` is all, movie, tv or person (all is left out of the URL)
+export const searchPath = (query, type = 'all') => {
+  const params = new URLSearchParams({ q: query });
+  if (type !== 'all') params.set('type', type);
+  return `/search?${params}`;
+};
+
+export const seasonPath = (tvId, season) => `/tv/${tvId}/season/${season}`;
+
+// Theater-style player pages, episodes play on their own details page
+export const watchMoviePath = (id) => `/watch/movie/${id}`;
+
+export const watchEpisodePath = (tvId, season, episode) => `/tv/${tvId}/season/${season}/episode/${episode}`;
+
+// Where a watch history entry picks up again
+export const resumePath = (entry) => {
+  if (entry.mediaType === 'movie') return watchMoviePath(entry.id);
+  return entry.season ? watchEpisodePath(entry.id, entry.season, entry.episode) : `/tv/${entry.id}`;
+};
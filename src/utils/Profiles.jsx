@@ -0,0 +1,43 @@
+import { USER_DATA_KEYS } from './DataExport';
+
+// Local profiles: each keeps its user data under its own storage keys
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Avatar backgrounds to pick from, full class names so Tailwind keeps them
+export const PROFILE_COLORS = [
+  'bg-blue-600',
+  'bg-rose-600',
+  'bg-emerald-600',
+  'bg-amber-500',
+  'bg-violet-600',
+  'bg-cyan-600',
+  'bg-orange-600',
+  'bg-pink-500'
+];
+
+// Everything a profile has of its own in storage; the theme lives in localStorage. Parental
+// controls are shared by all profiles.
+export const PROFILE_DATA_KEYS = [...USER_DATA_KEYS, 'auth_token', 'tmdb_sync'];
+
+/**
+ * Storage key of `key` for a profile. The default profile uses the plain keys, so data
+ * saved before profiles existed stays with it.
+ */
+export const namespacedKey = (key, profileId) =>
+  (profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`);
+
+export const createProfileId = () => `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const isValidPin = pin => /^\d{4,8}$/.test(pin);
+
+/**
+ * SHA-256 of the PIN salted with the profile id. A PIN only keeps the rest of the household
+ * out of a profile, it doesn't protect the data from anyone with access to the browser.
+ *
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashPin = async (pin, profileId) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${profileId}:${pin}`));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
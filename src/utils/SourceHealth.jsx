@@ -0,0 +1,136 @@
+// Reliability stats for the embed providers, so the players try the source most likely
+// to work first. Stats are kept in memory and persisted with a short delay; older
+// results fade out (half-life below) so a host that recovers climbs back up.
+import { safeGetItem, safeSetItem } from './StorageHandler';
+
+const HEALTH_KEY = 'source_health';
+
+// Cross-origin iframes almost never fire `error`, a source that hasn't loaded by now counts as failed
+export const LOAD_TIMEOUT_MS = 15000;
+
+const HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+// A user saying "this source is broken" is stronger evidence than a single timeout
+const REPORT_WEIGHT = 3;
+const SAVE_DELAY = 1000;
+
+/**
+ * @typedef {Object} SourceStats
+ * @property {number} successes - Decayed count of loads within the timeout
+ * @property {number} failures - Decayed count of timeouts and load errors
+ * @property {number} reports - Decayed count of manual "broken" reports
+ * @property {number|null} avgLoadMs - Moving average of successful load times
+ * @property {number} updatedAt
+ */
+
+/** @type {Object<string, SourceStats>} */
+let stats = {};
+let loadPromise = null;
+let saveTimer = null;
+
+const emptyStats = (now) => ({ successes: 0, failures: 0, reports: 0, avgLoadMs: null, updatedAt: now });
+
+const decay = (entry, now) => {
+  const factor = 0.5 ** (Math.max(0, now - entry.updatedAt) / HALF_LIFE);
+  return {
+    ...entry,
+    successes: entry.successes * factor,
+    failures: entry.failures * factor,
+    reports: entry.reports * factor,
+    updatedAt: now
+  };
+};
+
+// Add up two records of the same provider, both faded to now. The newer load time average wins.
+const mergeStats = (saved, recorded, now) => {
+  const older = decay(saved, now);
+  const newer = decay(recorded, now);
+  return {
+    successes: older.successes + newer.successes,
+    failures: older.failures + newer.failures,
+    reports: older.reports + newer.reports,
+    avgLoadMs: newer.avgLoadMs ?? older.avgLoadMs,
+    updatedAt: now
+  };
+};
+
+const scheduleSave = () => {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    safeSetItem(HEALTH_KEY, stats, { compress: false }).catch((error) => {
+      console.warn('Failed to save source health:', error);
+    });
+  }, SAVE_DELAY);
+};
+
+const update = (providerId, change) => {
+  const now = Date.now();
+  stats = { ...stats, [providerId]: change(decay(stats[providerId] || emptyStats(now), now)) };
+  scheduleSave();
+};
+
+// Read persisted stats once per session; results recorded before it resolves are added to them
+export const loadSourceHealth = () => {
+  if (!loadPromise) {
+    loadPromise = safeGetItem(HEALTH_KEY)
+      .then((saved) => {
+        if (!saved || typeof saved !== 'object') return;
+        const recorded = Object.entries(stats);
+        const now = Date.now();
+        const merged = { ...saved };
+        recorded.forEach(([providerId, entry]) => {
+          merged[providerId] = merged[providerId] ? mergeStats(merged[providerId], entry, now) : entry;
+        });
+        stats = merged;
+        // A save that ran before this point only had the session's own results
+        if (recorded.length) scheduleSave();
+      })
+      .catch((error) => {
+        console.warn('Failed to load source health:', error);
+      });
+  }
+  return loadPromise;
+};
+
+export const recordLoad = (providerId, loadMs) =>
+  update(providerId, entry => ({
+    ...entry,
+    successes: entry.successes + 1,
+    avgLoadMs: entry.avgLoadMs === null ? loadMs : Math.round(entry.avgLoadMs * 0.7 + loadMs * 0.3)
+  }));
+
+// Timeouts and load errors
+export const recordFailure = (providerId) =>
+  update(providerId, entry => ({ ...entry, failures: entry.failures + 1 }));
+
+export const reportBroken = (providerId) =>
+  update(providerId, entry => ({ ...entry, reports: entry.reports + 1 }));
+
+/**
+ * Estimated chance (0-1) the provider loads, 0.5 when nothing is known yet
+ *
+ * @param {string} providerId
+ * @returns {number}
+ */
+export const getReliability = (providerId) => {
+  const entry = stats[providerId];
+  if (!entry) return 0.5;
+  const { successes, failures, reports } = decay(entry, Date.now());
+  return (successes + 1) / (successes + failures + reports * REPORT_WEIGHT + 2);
+};
+
+/**
+ * Order providers by reliability, faster sources first among equally reliable ones
+ * and registry priority as the final tie-break
+ *
+ * @param {import('./EmbedProviders').EmbedProvider[]} providers
+ * @returns {import('./EmbedProviders').EmbedProvider[]}
+ */
+export const rankProviders = (providers) => {
+  const score = (provider) => {
+    const loadMs = stats[provider.id]?.avgLoadMs;
+    const slowness = loadMs === null || loadMs === undefined ? 0.5 : Math.min(loadMs, LOAD_TIMEOUT_MS) / LOAD_TIMEOUT_MS;
+    return getReliability(provider.id) - slowness * 0.1;
+  };
+
+  return [...providers].sort((a, b) => (score(b) - score(a)) || (a.priority - b.priority));
+};
@@ -0,0 +1,146 @@
+// Envelope format and compression codecs for everything StorageHandler persists.
+//
+// Every stored value is wrapped in an envelope that says how it was encoded and
+// when it expires, so reads never have to guess:
+//   { version, codec, createdAt, ttl, data }
+//
+// Codecs:
+// - raw:  `data` is the value itself (IndexedDB, structured clone)
+// - json: `data` is the value itself, the envelope is JSON encoded (localStorage)
+// - gzip: `data` is the JSON text gzipped with CompressionStream, base64 encoded (localStorage)
+
+export const ENVELOPE_VERSION = 1;
+
+export const CODEC_RAW = 'raw';
+export const CODEC_JSON = 'json';
+export const CODEC_GZIP = 'gzip';
+
+// Below this many characters gzip headers and base64 overhead outweigh the savings
+const COMPRESSION_THRESHOLD = 2048;
+
+export const isCompressionSupported = () =>
+  typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const CHUNK_SIZE = 0x8000; // Stay below the argument limit of String.fromCharCode
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return btoa(binary);
+};
+
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const gzip = async (text) => {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const buffer = await new Response(stream).arrayBuffer();
+  return bytesToBase64(new Uint8Array(buffer));
+};
+
+const gunzip = (base64) => {
+  const stream = new Blob([base64ToBytes(base64)]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+};
+
+/**
+ * Wrap a value in a storage envelope
+ *
+ * @param {*} data - Value, or its encoded form for codecs other than raw/json
+ * @param {Object} [options]
+ * @param {string} [options.codec] - One of the CODEC_* constants
+ * @param {number|null} [options.ttl] - Milliseconds after `createdAt` the entry expires, null to keep it forever
+ * @param {number} [options.createdAt]
+ * @returns {{ version: number, codec: string, createdAt: number, ttl: number|null, data: * }}
+ */
+export const createEnvelope = (data, { codec = CODEC_RAW, ttl = null, createdAt = Date.now() } = {}) => ({
+  version: ENVELOPE_VERSION,
+  codec,
+  createdAt,
+  ttl,
+  data
+});
+
+export const isEnvelope = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  value.version === ENVELOPE_VERSION &&
+  typeof value.codec === 'string' &&
+  typeof value.createdAt === 'number' &&
+  'data' in value;
+
+export const isExpired = (envelope, now = Date.now()) =>
+  typeof envelope.ttl === 'number' && now - envelope.createdAt >= envelope.ttl;
+
+/**
+ * Encode a value as an envelope string for string-only backends (localStorage/sessionStorage).
+ * Large values are gzipped when the browser supports CompressionStream and it actually saves space.
+ *
+ * @param {*} value - Any JSON serializable value
+ * @param {Object} [options]
+ * @param {number|null} [options.ttl]
+ * @param {boolean} [options.compress]
+ * @returns {Promise<string>}
+ */
+export const serializeEnvelope = async (value, { ttl = null, compress = true } = {}) => {
+  const json = JSON.stringify(value);
+
+  if (compress && json.length > COMPRESSION_THRESHOLD && isCompressionSupported()) {
+    try {
+      const compressed = await gzip(json);
+      if (compressed.length < json.length) {
+        return JSON.stringify(createEnvelope(compressed, { codec: CODEC_GZIP, ttl }));
+      }
+    } catch (error) {
+      console.warn('Compression failed, storing uncompressed:', error);
+    }
+  }
+
+  return JSON.stringify(createEnvelope(value, { codec: CODEC_JSON, ttl }));
+};
+
+/**
+ * Decode a string written by serializeEnvelope
+ *
+ * @param {string} serialized
+ * @returns {Promise<Object|null>} Envelope with its `data` decoded, null when the string is not an envelope
+ */
+export const parseEnvelope = async (serialized) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(serialized);
+  } catch {
+    return null;
+  }
+  if (!isEnvelope(envelope)) return null;
+
+  switch (envelope.codec) {
+    case CODEC_RAW:
+    case CODEC_JSON:
+      return envelope;
+    case CODEC_GZIP:
+      return { ...envelope, data: JSON.parse(await gunzip(envelope.data)) };
+    default:
+      throw new Error(`Unknown storage codec: ${envelope.codec}`);
+  }
+};
+
+/**
+ * Decode a value written before envelopes existed, only used by the one-time migration.
+ * Those values were plain JSON, or `btoa(encodeURIComponent(json))` for large ones.
+ *
+ * @param {string} serialized
+ * @returns {*} The decoded value, or undefined when the string was not written by StorageHandler
+ */
+export const decodeLegacyValue = (serialized) => {
+  try {
+    return JSON.parse(serialized);
+  } catch {
+    // Not plain JSON, may be the old base64 "compression"
+  }
+  try {
+    return JSON.parse(decodeURIComponent(atob(serialized)));
+  } catch {
+    return undefined;
+  }
+};
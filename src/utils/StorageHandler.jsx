@@ -1,19 +1,52 @@
 // Utility to handle storage operations safely with quota management for mobile devices
+//
+// IndexedDB is the primary backend (large quota, native Blob support); localStorage
+// (then sessionStorage) is kept as a fallback for browsers where IndexedDB is unavailable.
+// All exported functions are async because IndexedDB is.
+//
+// Values are always stored inside a StorageCodec envelope (codec, createdAt, ttl),
+// entries written by older versions are converted once by migrateLegacyStorage.
+import {
+  isIndexedDBAvailable,
+  idbGet,
+  idbSet,
+  idbRemove,
+  idbTouch,
+  idbClear,
+  idbEvictLRU,
+  estimateUsage
+} from './IndexedDBDriver';
+import {
+  CODEC_JSON,
+  createEnvelope,
+  isEnvelope,
+  isExpired,
+  serializeEnvelope,
+  parseEnvelope,
+  decodeLegacyValue
+} from './StorageCodec';
+import { cacheExpiryForKey } from './CachePolicies';
 
-// Simple LZString-like compression for storage efficiency
-const compress = (data) => {
-  try {
-    return btoa(encodeURIComponent(data));
-  } catch (e) {
-    return data;
-  }
-};
+// Keys holding user data that must survive cache clearing and LRU eviction, as is or in the
+// `key@profileId` form profiles keep their own copies under (see namespacedKey). Cache keys
+// built from search queries can contain these words, so they're never matched as substrings.
+const PROTECTED_KEYS = ['profiles', 'user_settings', 'auth_token', 'source_health', 'watch_history', 'watched_episodes', 'autoplay_next', 'watchlist', 'favorites', 'user_lists', 'user_ratings', 'tmdb_sync', 'parental_controls'];
+
+const isProtectedKey = (key) =>
+  PROTECTED_KEYS.some(protectedKey => key === protectedKey || key.startsWith(`${protectedKey}@`));
+
+// Only bump an IndexedDB record's LRU timestamp this often, reads stay read-only otherwise
+const TOUCH_INTERVAL = 60 * 60 * 1000;
+
+// localStorage key recording which storage format the entries in it use
+const STORAGE_VERSION_KEY = '__storage_version';
+const STORAGE_VERSION = 2;
 
-const decompress = (data) => {
+const isSerializedEnvelope = (serializedValue) => {
   try {
-    return decodeURIComponent(atob(data));
-  } catch (e) {
-    return data;
+    return isEnvelope(JSON.parse(serializedValue));
+  } catch {
+    return false;
   }
 };
 
@@ -30,15 +63,26 @@ const isStorageAvailable = (type) => {
   }
 };
 
+// Check for quota errors - different browsers report different error types
+const isQuotaError = (error) =>
+  !!error && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014 ||
+    (error.message && error.message.includes('quota'))
+  );
+
 // Estimate storage usage
-export const getStorageUsage = () => {
+export const getStorageUsage = async () => {
   let total = 0;
   for (let i = 0; i < localStorage.length; i++) {
     const key = localStorage.key(i);
     const value = localStorage.getItem(key);
     total += key.length + value.length;
   }
-  return total / 1024; // KB
+  const { usage } = await estimateUsage();
+  return Math.max(total, usage) / 1024; // KB
 };
 
 // Clear least recently used items until we free up enough space
@@ -49,7 +93,7 @@ const clearLRUItems = (bytesNeeded = 200 * 1024) => { // Default to freeing 200K
   // Collect all items with their metadata
   for (let i = 0; i < localStorage.length; i++) {
     const key = localStorage.key(i);
-    if (key.startsWith('__meta_')) continue;
+    if (key.startsWith('__')) continue; // Metadata and bookkeeping keys
     
     // Get metadata if available
     const metaKey = `__meta_${key}`;
@@ -74,7 +118,7 @@ const clearLRUItems = (bytesNeeded = 200 * 1024) => { // Default to freeing 200K
   let freedBytes = 0;
   for (const item of items) {
     // Skip critical app data you never want to delete
-    if (item.key.includes('user_settings') || item.key.includes('auth_token')) continue;
+    if (isProtectedKey(item.key)) continue;
     
     localStorage.removeItem(item.key);
     localStorage.removeItem(`__meta_${item.key}`); // Remove metadata too
@@ -99,8 +143,9 @@ const updateMetadata = (key) => {
   }
 };
 
-// Safely set item with quota handling
-export const safeSetItem = (key, value, useCompression = true) => {
+// Synchronous localStorage/sessionStorage backend with quota handling.
+// Works on already serialized envelopes, see serializeEnvelope.
+const localWrite = (key, serializedValue) => {
   if (!key) return false;
   
   // Check storage availability
@@ -113,14 +158,6 @@ export const safeSetItem = (key, value, useCompression = true) => {
   }
   
   try {
-    // Prepare value
-    let serializedValue = JSON.stringify(value);
-    
-    // Optional compression for large items (>10KB)
-    if (useCompression && serializedValue.length > 10240) {
-      serializedValue = compress(serializedValue);
-    }
-    
     // Try to store in localStorage
     if (localAvailable) {
       try {
@@ -128,15 +165,7 @@ export const safeSetItem = (key, value, useCompression = true) => {
         updateMetadata(key);
         return true;
       } catch (error) {
-        // Check for quota errors - different browsers report different error types
-        const isQuotaError = 
-          error.name === 'QuotaExceededError' || 
-          error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
-          error.code === 22 ||
-          error.code === 1014 ||
-          (error.message && error.message.includes('quota'));
-        
-        if (isQuotaError) {
+        if (isQuotaError(error)) {
           console.warn('Storage quota exceeded. Clearing old items.');
           
           // Try selective clearing rather than clearing everything
@@ -172,8 +201,7 @@ export const safeSetItem = (key, value, useCompression = true) => {
   }
 };
 
-// Safely get item with fallbacks
-export const safeGetItem = (key) => {
+const localRead = (key) => {
   if (!key) return null;
   
   try {
@@ -192,29 +220,27 @@ export const safeGetItem = (key) => {
       serializedValue = sessionStorage.getItem(key);
     }
     
-    if (!serializedValue) return null;
-    
-    // Try to decompress if it appears to be compressed
-    if (serializedValue.match(/^[A-Za-z0-9+/=]+$/)) {
-      try {
-        const decompressed = decompress(serializedValue);
-        serializedValue = decompressed;
-      } catch (e) {
-        // Not compressed or decompression failed, use as-is
-      }
-    }
-    
-    return JSON.parse(serializedValue);
+    return serializedValue;
   } catch (error) {
     console.error('Failed to get item from storage:', error);
     return null;
   }
 };
 
-// Remove an item safely
-export const safeRemoveItem = (key) => {
-  if (!key) return;
+// Read and decode an envelope from localStorage/sessionStorage
+const localGetEntry = async (key) => {
+  const serializedValue = localRead(key);
+  if (!serializedValue) return null;
   
+  try {
+    return await parseEnvelope(serializedValue);
+  } catch (error) {
+    console.error('Failed to decode item from storage:', error);
+    return null;
+  }
+};
+
+const localRemoveItem = (key) => {
   try {
     localStorage.removeItem(key);
     localStorage.removeItem(`__meta_${key}`); // Remove metadata too
@@ -228,28 +254,216 @@ export const safeRemoveItem = (key) => {
   }
 };
 
-// Clear all cached data (use sparingly)
-export const clearAllCache = (preserveUserData = true) => {
+// Convert localStorage entries written before envelopes existed (plain JSON, or
+// base64 for large values). IndexedDB records are converted by the driver's schema upgrade.
+// Cache entries get the expiry of their CACHE_POLICIES row, counted from the time in their
+// `_timestamp` companion, which isn't needed after that.
+const migrateLegacyStorage = () => {
   try {
-    if (preserveUserData) {
-      // Save important user data
-      const userSettings = safeGetItem('user_settings');
-      const authToken = safeGetItem('auth_token');
+    if (Number(localStorage.getItem(STORAGE_VERSION_KEY)) >= STORAGE_VERSION) return;
+    
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    
+    const timestampKey = key => `${key}_timestamp`;
+    
+    keys.forEach((key) => {
+      if (key.startsWith('__')) return;
       
-      // Clear storage
-      localStorage.clear();
-      sessionStorage.clear();
+      const serializedValue = localStorage.getItem(key);
+      if (serializedValue === null || isSerializedEnvelope(serializedValue)) return;
+      
+      // Read along with the entry it belongs to
+      if (key.endsWith('_timestamp') && keys.includes(key.slice(0, -'_timestamp'.length))) return;
       
-      // Restore important data
-      if (userSettings) safeSetItem('user_settings', userSettings);
-      if (authToken) safeSetItem('auth_token', authToken);
+      // Values this module didn't write (e.g. the raw theme string) are left alone
+      const value = decodeLegacyValue(serializedValue);
+      if (value === undefined) return;
+      
+      let createdAt = Date.now();
+      try {
+        createdAt = JSON.parse(localStorage.getItem(`__meta_${key}`) || '{}').lastAccessed || createdAt;
+      } catch {
+        // No valid metadata, use default
+      }
+      
+      const ttl = cacheExpiryForKey(key);
+      const savedAt = Number(decodeLegacyValue(localStorage.getItem(timestampKey(key)) ?? ''));
+      if (savedAt > 0) createdAt = savedAt;
+      localRemoveItem(timestampKey(key));
+      
+      try {
+        localStorage.setItem(key, JSON.stringify(createEnvelope(value, { codec: CODEC_JSON, ttl, createdAt })));
+      } catch (error) {
+        console.warn(`Could not migrate stored item "${key}":`, error);
+      }
+    });
+    
+    localStorage.setItem(STORAGE_VERSION_KEY, String(STORAGE_VERSION));
+  } catch (error) {
+    console.warn('Storage migration failed:', error);
+  }
+};
+
+let hasMigrated = false;
+
+const ensureMigrated = () => {
+  if (hasMigrated) return;
+  hasMigrated = true;
+  migrateLegacyStorage();
+};
+
+// Safely set item, preferring IndexedDB and falling back to localStorage.
+// Blobs can only be stored in IndexedDB; `compress` only affects the localStorage fallback.
+// Entries with a `ttl` (ms) are dropped by the first read after they expire.
+export const safeSetItem = async (key, value, { ttl = null, compress = true } = {}) => {
+  if (!key) return false;
+  
+  ensureMigrated();
+  
+  if (await isIndexedDBAvailable()) {
+    const entry = createEnvelope(value, { ttl });
+    try {
+      await idbSet(key, entry);
+      // Drop any older copy left in localStorage so it doesn't waste quota
+      localRemoveItem(key);
+      return true;
+    } catch (error) {
+      if (isQuotaError(error)) {
+        console.warn('IndexedDB quota exceeded. Evicting old cache entries.');
+        try {
+          await idbEvictLRU(5 * 1024 * 1024, isProtectedKey);
+          await idbSet(key, entry);
+          localRemoveItem(key);
+          return true;
+        } catch (retryError) {
+          console.warn('IndexedDB write failed after eviction:', retryError);
+        }
+      } else {
+        console.warn('IndexedDB write failed, falling back to localStorage:', error);
+      }
+    }
+  }
+  
+  if (value instanceof Blob) return false;
+  
+  try {
+    return localWrite(key, await serializeEnvelope(value, { ttl, compress }));
+  } catch (error) {
+    console.error('Failed to serialize item for storage:', error);
+    return false;
+  }
+};
+
+/**
+ * Read an item together with its envelope metadata
+ *
+ * @param {string} key
+ * @returns {Promise<{ value: *, createdAt: number, ttl: number|null }|null>} Null when missing or expired
+ */
+export const safeGetEntry = async (key) => {
+  if (!key) return null;
+  
+  ensureMigrated();
+  
+  const indexedDBAvailable = await isIndexedDBAvailable();
+  let entry = null;
+  let isInIndexedDB = false;
+  
+  if (indexedDBAvailable) {
+    try {
+      const record = await idbGet(key);
+      if (record) {
+        entry = record.entry;
+        isInIndexedDB = true;
+        if (Date.now() - record.lastAccessed > TOUCH_INTERVAL) {
+          idbTouch(key).catch(() => {});
+        }
+      }
+    } catch (error) {
+      console.warn('IndexedDB read failed, trying localStorage:', error);
+    }
+  }
+  
+  if (!entry) {
+    entry = await localGetEntry(key);
+  }
+  
+  if (!entry) return null;
+  
+  if (isExpired(entry)) {
+    safeRemoveItem(key);
+    return null;
+  }
+  
+  // Move entries written before IndexedDB was available into it, freeing localStorage quota
+  if (!isInIndexedDB && indexedDBAvailable) {
+    idbSet(key, createEnvelope(entry.data, { ttl: entry.ttl, createdAt: entry.createdAt }))
+      .then(() => localRemoveItem(key))
+      .catch(() => {});
+  }
+  
+  return { value: entry.data, createdAt: entry.createdAt, ttl: entry.ttl };
+};
+
+// Safely get item with fallbacks
+export const safeGetItem = async (key) => {
+  const entry = await safeGetEntry(key);
+  return entry ? entry.value : null;
+};
+
+// Remove an item safely
+export const safeRemoveItem = async (key) => {
+  if (!key) return;
+  
+  localRemoveItem(key);
+  
+  if (await isIndexedDBAvailable()) {
+    try {
+      await idbRemove(key);
+    } catch (error) {
+      console.error('Failed to remove item from IndexedDB:', error);
+    }
+  }
+};
+
+// Remove the cache entries this module wrote to a Web Storage area, with their metadata.
+// User data and values other code keeps there (the theme, the locale, the unlocked profile...)
+// aren't envelopes and stay.
+const removeCacheEntries = (storage) => {
+  Object.keys(storage).forEach((key) => {
+    if (key.startsWith('__') || isProtectedKey(key)) return;
+    if (!isSerializedEnvelope(storage.getItem(key))) return;
+    storage.removeItem(key);
+    storage.removeItem(`__meta_${key}`);
+  });
+};
+
+// Clear all cached data (use sparingly). Without `preserveUserData` both storage areas are
+// wiped, settings included.
+export const clearAllCache = async (preserveUserData = true) => {
+  try {
+    ensureMigrated();
+    
+    if (await isIndexedDBAvailable()) {
+      await idbClear(key => preserveUserData && isProtectedKey(key));
+    }
+    
+    if (preserveUserData) {
+      removeCacheEntries(localStorage);
+      removeCacheEntries(sessionStorage);
     } else {
       localStorage.clear();
       sessionStorage.clear();
     }
+    
+    // Nothing left to migrate
+    localStorage.setItem(STORAGE_VERSION_KEY, String(STORAGE_VERSION));
     return true;
   } catch (e) {
     console.error('Failed to clear cache:', e);
     return false;
   }
-};
\ No newline at end of file
+};
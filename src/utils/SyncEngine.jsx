@@ -0,0 +1,258 @@
+import { libraryKey } from './Library';
+import { toCardProps } from './MediaItem';
+import { isAbortError, errorReason } from './TmdbClient';
+import { MAX_RATING } from '../contexts/RatingsContext';
+
+// Mirrors the local watchlist, favorites and ratings to a TMDB account.
+//
+// Each sync is a three-way merge between the local library, the account and `base`, what both
+// sides held after the last sync: whichever side changed a title since then wins. When both
+// changed a rating differently that's a conflict, settled by the conflict policy. Changes for
+// the account go through a persisted queue first, so anything that can't be sent (offline,
+// rate limited) is retried before the next merge instead of being lost.
+//
+// Nothing here touches React or storage; the account API is passed in (see createAccountApi).
+
+/** The account lists that are synced, by their TMDB names */
+export const SYNC_LISTS = ['watchlist', 'favorite', 'rated'];
+
+export const CONFLICT_POLICIES = [
+  { id: 'local', labelKey: 'account.policies.local' },
+  { id: 'remote', labelKey: 'account.policies.remote' }
+];
+
+/**
+ * @typedef {Object} SyncOp - One change waiting to be sent to the account
+ * @property {'watchlist'|'favorite'|'rated'} list
+ * @property {'movie'|'tv'} mediaType
+ * @property {number} id
+ * @property {boolean|number|null} value - In the list or not, or the rating in half stars (null to delete)
+ */
+
+/**
+ * @typedef {Object} SyncState - Persisted between syncs
+ * @property {{watchlist: string[], favorite: string[], rated: Object<string, number>}|null} base
+ *   Null until the first sync
+ * @property {SyncOp[]} queue
+ * @property {number|null} lastSyncedAt
+ * @property {string} conflictPolicy - One of CONFLICT_POLICIES
+ */
+
+export const INITIAL_SYNC_STATE = { base: null, queue: [], lastSyncedAt: null, conflictPolicy: 'local' };
+
+// TMDB rates out of 10 in halves, the app out of MAX_RATING in halves
+export const toRemoteRating = rating => (rating * 10) / MAX_RATING;
+export const fromRemoteRating = value => Math.max(0.5, Math.round((value * MAX_RATING) / 5) / 2);
+
+const parseKey = (key) => {
+  const [mediaType, id] = key.split('-');
+  return { mediaType, id: Number(id) };
+};
+
+/**
+ * What the sync compares of the local library
+ *
+ * @param {{watchlist: Object[], favorites: Object[], ratings: Object<string, Object>}} local
+ */
+export const toLocalSnapshot = ({ watchlist, favorites, ratings }) => ({
+  watchlist: new Set(watchlist.map(entry => entry.key)),
+  favorite: new Set(favorites.map(entry => entry.key)),
+  rated: new Map(Object.values(ratings)
+    .filter(entry => entry.userRating !== null)
+    .map(entry => [entry.key, entry.userRating]))
+});
+
+/** Whether the library changed since the last sync, so there is something to send */
+export const hasLocalChanges = (base, local) => {
+  if (!base) return true;
+  const snapshot = toLocalSnapshot(local);
+  const sameSet = (keys, set) => keys.length === set.size && keys.every(key => set.has(key));
+  const baseRated = Object.entries(base.rated);
+  return !sameSet(base.watchlist, snapshot.watchlist)
+    || !sameSet(base.favorite, snapshot.favorite)
+    || baseRated.length !== snapshot.rated.size
+    || baseRated.some(([key, rating]) => snapshot.rated.get(key) !== rating);
+};
+
+/**
+ * Everything on the account, keyed like the library
+ *
+ * @returns {Promise<{watchlist: Map, favorite: Map, rated: Map}>} Each maps a key to
+ *   `{mediaType, item}` with ListItem card props, `rated` also has the `rating` in half stars
+ */
+export const fetchRemote = async (api, auth, { signal } = {}) => {
+  const lists = await Promise.all(SYNC_LISTS.flatMap(list => ['movie', 'tv'].map(async (mediaType) => {
+    const results = await api.getList(list, mediaType, auth, { signal });
+    return [list, mediaType, results];
+  })));
+
+  const remote = { watchlist: new Map(), favorite: new Map(), rated: new Map() };
+  lists.forEach(([list, mediaType, results]) => {
+    results.forEach((result) => {
+      remote[list].set(libraryKey(mediaType, result.id), {
+        mediaType,
+        item: toCardProps(result, mediaType),
+        ...(list === 'rated' ? { rating: fromRemoteRating(result.rating) } : {})
+      });
+    });
+  });
+  return remote;
+};
+
+/**
+ * Three-way merge of the local snapshot and the account against the last synced base
+ *
+ * @returns {{ops: SyncOp[], pulls: Object, conflicts: Object[], base: Object}} `pulls` has, per
+ *   list, the `{mediaType, item}` to `add` (with `rating` for ratings) and the keys to `remove`
+ */
+export const planSync = ({ base, local, remote, conflictPolicy = 'local' }) => {
+  const ops = [];
+  const conflicts = [];
+  const pulls = {};
+  const nextBase = {};
+
+  ['watchlist', 'favorite'].forEach((list) => {
+    const baseKeys = new Set(base ? base[list] : []);
+    const keys = new Set([...local[list], ...remote[list].keys(), ...baseKeys]);
+    const merged = [];
+    pulls[list] = { add: [], remove: [] };
+
+    keys.forEach((key) => {
+      const inLocal = local[list].has(key);
+      const inRemote = remote[list].has(key);
+      // With no base yet nothing is taken out, both sides are added to each other
+      const inBase = baseKeys.has(key);
+      let keep = inLocal;
+
+      if (inLocal !== inBase && inRemote === inBase) {
+        ops.push({ list, ...parseKey(key), value: inLocal });
+      } else if (inRemote !== inBase && inLocal === inBase) {
+        keep = inRemote;
+        if (inRemote) pulls[list].add.push(remote[list].get(key));
+        else pulls[list].remove.push(key);
+      }
+      if (keep) merged.push(key);
+    });
+    nextBase[list] = merged;
+  });
+
+  const baseRated = base ? base.rated : {};
+  const ratedKeys = new Set([...local.rated.keys(), ...remote.rated.keys(), ...Object.keys(baseRated)]);
+  const mergedRated = {};
+  pulls.rated = { add: [], remove: [] };
+
+  ratedKeys.forEach((key) => {
+    const localRating = local.rated.get(key) ?? null;
+    const remoteEntry = remote.rated.get(key);
+    const remoteRating = remoteEntry?.rating ?? null;
+    const baseRating = baseRated[key] ?? null;
+    const pushLocal = () => ops.push({ list: 'rated', ...parseKey(key), value: localRating });
+    const pullRemote = () => {
+      if (remoteEntry) pulls.rated.add.push(remoteEntry);
+      else pulls.rated.remove.push(key);
+    };
+    let kept = localRating;
+
+    if (localRating === remoteRating) {
+      // In step already
+    } else if (remoteRating === baseRating) {
+      pushLocal();
+    } else if (localRating === baseRating) {
+      kept = remoteRating;
+      pullRemote();
+    } else {
+      conflicts.push({
+        key,
+        title: remoteEntry?.item.title || key,
+        local: localRating,
+        remote: remoteRating,
+        kept: conflictPolicy === 'remote' ? 'remote' : 'local'
+      });
+      if (conflictPolicy === 'remote') {
+        kept = remoteRating;
+        pullRemote();
+      } else {
+        pushLocal();
+      }
+    }
+    if (kept !== null) mergedRated[key] = kept;
+  });
+  nextBase.rated = mergedRated;
+
+  return { ops, pulls, conflicts, base: nextBase };
+};
+
+/** Add ops to the queue, a newer op for the same title and list replaces the queued one */
+export const enqueue = (queue, ops) => {
+  const opKey = op => `${op.list}:${op.mediaType}-${op.id}`;
+  const replaced = new Set(ops.map(opKey));
+  return [...queue.filter(op => !replaced.has(opKey(op))), ...ops];
+};
+
+const sendOp = (api, auth, op, signal) => (op.list === 'rated'
+  ? api.setRating(op.mediaType, op.id, op.value === null ? null : toRemoteRating(op.value), auth, { signal })
+  : api.setInList(op.list, op.mediaType, op.id, op.value, auth, { signal }));
+
+// Worth retrying later: cancelled, offline, rate limited or a server error
+const isTransient = error =>
+  isAbortError(error) || error.status === 0 || error.status === 429 || error.status >= 500;
+
+/**
+ * Send queued ops in order. Transient failures, a cancelled sync included, stop the flush and
+ * stay queued; ops the account rejects outright (e.g. a title TMDB no longer has) are dropped
+ * and reported.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{queue: SyncOp[], failed: Array<{op: SyncOp, reason: {key: string, values?: Object}}>}>}
+ *   `reason` is a UI message
+ */
+export const flushQueue = async (api, auth, queue, { signal } = {}) => {
+  const failed = [];
+  for (let index = 0; index < queue.length; index += 1) {
+    const op = queue[index];
+    if (signal?.aborted) return { queue: queue.slice(index), failed };
+    try {
+      await sendOp(api, auth, op, signal);
+    } catch (error) {
+      if (isTransient(error)) return { queue: queue.slice(index), failed };
+      failed.push({ op, reason: errorReason(error) });
+    }
+  }
+  return { queue: [], failed };
+};
+
+/**
+ * One full sync: send what is queued, merge with the account, send the merge's changes
+ *
+ * @param {Object} options
+ * @param {ReturnType<import('./TmdbAccount').createAccountApi>} options.api
+ * @param {import('./TmdbAccount').TmdbAuth} options.auth
+ * @param {Object} options.local - `{watchlist, favorites, ratings}` from the providers
+ * @param {SyncState} options.state
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{state: SyncState, pulls: Object|null, conflicts: Object[], failed: Object[]}>}
+ *   `pulls` is null when the queue couldn't be emptied, the merge waits for the next sync then
+ */
+export const runSync = async ({ api, auth, local, state, signal }) => {
+  const pending = await flushQueue(api, auth, state.queue, { signal });
+  if (pending.queue.length > 0) {
+    return { state: { ...state, queue: pending.queue }, pulls: null, conflicts: [], failed: pending.failed };
+  }
+
+  const remote = await fetchRemote(api, auth, { signal });
+  const plan = planSync({
+    base: state.base,
+    local: toLocalSnapshot(local),
+    remote,
+    conflictPolicy: state.conflictPolicy
+  });
+  const sent = await flushQueue(api, auth, enqueue([], plan.ops), { signal });
+
+  return {
+    state: { ...state, base: plan.base, queue: sent.queue, lastSyncedAt: Date.now() },
+    pulls: plan.pulls,
+    conflicts: plan.conflicts,
+    failed: [...pending.failed, ...sent.failed]
+  };
+};
@@ -0,0 +1,106 @@
+import { request, sendRequest } from './TmdbClient';
+
+// TMDB user accounts: the v4 sign-in (request token -> approval -> access token, converted to a
+// v3 session) and the v3 account endpoints the sync uses. Everything goes through
+// createAccountApi so the sync can run against a local mock of these endpoints, and from there
+// through TmdbClient like every other TMDB request.
+
+const MOCK_API_BASE = import.meta.env.VITE_TMDB_ACCOUNT_API;
+const DEFAULT_API_BASE = MOCK_API_BASE || 'https://api.themoviedb.org';
+
+// Where the user approves a v4 request token; a mock (see scripts/mock-account-api.js) approves it itself
+export const approvalUrl = (requestToken) =>
+  `${MOCK_API_BASE || 'https://www.themoviedb.org'}/auth/access?request_token=${encodeURIComponent(requestToken)}`;
+
+// The account lists come in pages of 20, this caps one list at 1000 titles
+const MAX_LIST_PAGES = 50;
+
+/**
+ * @typedef {Object} TmdbAuth - Saved under StorageHandler's `auth_token` key
+ * @property {string} accessToken - v4 user access token
+ * @property {string} sessionId - v3 session converted from it
+ * @property {number} accountId - v3 account id
+ * @property {string} username
+ */
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Without the /3 or /4 version segment
+ */
+export const createAccountApi = ({ baseUrl = DEFAULT_API_BASE } = {}) => {
+  // Reads are shared between callers like any TMDB request, changes are always sent
+  const send = (method, path, { query = {}, body, signal } = {}) => {
+    const params = new URLSearchParams(query).toString();
+    const url = `${baseUrl}${path}${params ? `?${params}` : ''}`;
+    return method === 'GET' ? request(url, { signal }) : sendRequest(url, { method, body, signal });
+  };
+
+  const session = (auth) => ({ session_id: auth.sessionId });
+
+  // Every page of one account list
+  const getAllPages = async (path, auth, signal) => {
+    const results = [];
+    for (let page = 1; page <= MAX_LIST_PAGES; page += 1) {
+      const data = await send('GET', path, { query: { ...session(auth), page }, signal });
+      results.push(...(data.results || []));
+      if (page >= (data.total_pages || 1)) break;
+    }
+    return results;
+  };
+
+  const mediaPath = mediaType => (mediaType === 'tv' ? 'tv' : 'movies');
+
+  return {
+    /** @returns {Promise<string>} A request token for the user to approve at `approvalUrl` */
+    createRequestToken: async (redirectTo) =>
+      (await send('POST', '/4/auth/request_token', { body: { redirect_to: redirectTo } })).request_token,
+
+    /**
+     * Finish signing in with an approved request token
+     *
+     * @returns {Promise<TmdbAuth>}
+     */
+    signIn: async (requestToken) => {
+      const { access_token: accessToken } = await send('POST', '/4/auth/access_token', {
+        body: { request_token: requestToken }
+      });
+      const { session_id: sessionId } = await send('POST', '/3/authentication/session/convert/4', {
+        body: { access_token: accessToken }
+      });
+      const account = await send('GET', '/3/account', { query: { session_id: sessionId } });
+      return { accessToken, sessionId, accountId: account.id, username: account.username };
+    },
+
+    /** Revoke both the v3 session and the v4 access token */
+    signOut: async (auth) => {
+      await send('DELETE', '/3/authentication/session', { body: { session_id: auth.sessionId } });
+      await send('DELETE', '/4/auth/access_token', { body: { access_token: auth.accessToken } });
+    },
+
+    /**
+     * @param {'watchlist'|'favorite'|'rated'} list
+     * @param {'movie'|'tv'} mediaType
+     * @returns {Promise<Object[]>} TMDB list items, `rated` ones carry the user's `rating` out of 10
+     */
+    getList: (list, mediaType, auth, { signal } = {}) =>
+      getAllPages(`/3/account/${auth.accountId}/${list}/${mediaPath(mediaType)}`, auth, signal),
+
+    /** Add a title to (or take it off) the watchlist or favorites */
+    setInList: (list, mediaType, id, isInList, auth, { signal } = {}) =>
+      send('POST', `/3/account/${auth.accountId}/${list}`, {
+        query: session(auth),
+        body: { media_type: mediaType, media_id: id, [list]: isInList },
+        signal
+      }),
+
+    /** `value` out of 10 in halves, null deletes the rating */
+    setRating: (mediaType, id, value, auth, { signal } = {}) =>
+      send(value === null ? 'DELETE' : 'POST', `/3/${mediaType}/${id}/rating`, {
+        query: session(auth),
+        body: value === null ? undefined : { value },
+        signal
+      })
+  };
+};
+
+export const accountApi = createAccountApi();
@@ -0,0 +1,332 @@
+// Single entry point for every network request the app makes to TMDB.
+// Pages and components call the typed methods on `tmdb` instead of using fetch directly.
+import {
+  getHeaders,
+  imageUrl,
+  PAGINATED_MOVIES,
+  PAGINATED_TV_SHOWS,
+  SEARCH_MOVIES,
+  SEARCH_TV_SHOWS,
+  SEARCH_PEOPLE,
+  SEARCH_MULTI,
+  MOVIE_DETAILS,
+  TV_DETAILS,
+  MOVIE_RELEASE_DATES,
+  TV_CONTENT_RATINGS,
+  CERTIFICATION_LIST,
+  TV_SEASON_EPISODES,
+  TV_EPISODE_DETAILS,
+  PERSON_DETAILS,
+  DISCOVER_MOVIES,
+  DISCOVER_TV_SHOWS,
+  GENRE_LIST,
+  COUNTRY_LIST,
+  LANGUAGE_LIST,
+  TRENDING_LIST,
+  MOVIE_LIST,
+  TV_LIST
+} from './Endpoint';
+
+// TMDB refuses to serve anything past page 500 of a paginated list
+export const MAX_API_PAGE = 500;
+
+/**
+ * @typedef {Object} PagedResponse
+ * @property {number} page
+ * @property {Array<Object>} results
+ * @property {number} total_pages
+ * @property {number} total_results
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Aborts this caller's interest in the response
+ */
+
+// Error type for every failed TMDB call. `status` is the HTTP status code,
+// or 0 when the request never got a response (offline, DNS, CORS...)
+export class TmdbError extends Error {
+  constructor(message, { status = 0, url = '', cause } = {}) {
+    super(message);
+    this.name = 'TmdbError';
+    this.status = status;
+    this.url = url;
+    if (cause) this.cause = cause;
+  }
+
+  get isNetworkError() {
+    return this.status === 0;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isRateLimited() {
+    return this.status === 429;
+  }
+}
+
+// Aborted requests are expected (unmounts, fast navigation) and should never be shown as errors
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const createAbortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+/**
+ * What went wrong, as a UI message (`{ key, values }`) for the locale's `t`. A TmdbError's own
+ * message is English and only meant for the console.
+ *
+ * @param {Error} error
+ * @returns {{ key: string, values?: Object }}
+ */
+export const errorReason = (error) => {
+  if (!(error instanceof TmdbError)) return { key: 'errors.unknown' };
+  if (error.isNetworkError) return { key: 'errors.network' };
+  if (error.isUnauthorized) return { key: 'errors.unauthorized' };
+  if (error.isNotFound) return { key: 'errors.notFound' };
+  if (error.isRateLimited) return { key: 'errors.rateLimited' };
+  if (error.status >= 500) return { key: 'errors.server' };
+  return { key: 'errors.status', values: { status: error.status } };
+};
+
+// fetch, then `read` the body of a 2xx response; everything else rejects with a TmdbError
+const fetchChecked = (url, init, read) =>
+  fetch(url, init)
+    .then((response) => {
+      if (!response.ok) {
+        throw new TmdbError(`HTTP error! Status: ${response.status}`, { status: response.status, url });
+      }
+      return read(response);
+    })
+    .catch((error) => {
+      if (isAbortError(error) || error instanceof TmdbError) throw error;
+      throw new TmdbError(`Network request failed. (${error.message})`, { url, cause: error });
+    });
+
+// Requests currently on the wire, keyed by response type and URL
+const inFlight = new Map();
+
+const startRequest = (key, url, responseType) => {
+  const controller = new AbortController();
+  const entry = { controller, subscribers: 0, promise: null };
+
+  entry.promise = fetchChecked(
+    url,
+    { headers: responseType === 'json' ? getHeaders() : undefined, signal: controller.signal },
+    response => (responseType === 'json' ? response.json() : response.blob())
+  )
+    .finally(() => {
+      if (inFlight.get(key) === entry) inFlight.delete(key);
+    });
+
+  inFlight.set(key, entry);
+  return entry;
+};
+
+// Identical requests made while one is still pending share the same fetch.
+// Aborting a caller's signal only detaches that caller; the shared request
+// itself is cancelled once every caller waiting on it has aborted.
+const sharedRequest = (url, responseType, { signal } = {}) => {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  const key = `${responseType}:${url}`;
+  const entry = inFlight.get(key) || startRequest(key, url, responseType);
+  entry.subscribers += 1;
+
+  if (!signal) return entry.promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      entry.subscribers -= 1;
+      if (entry.subscribers === 0) {
+        entry.controller.abort();
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      }
+      reject(createAbortError());
+    };
+
+    signal.addEventListener('abort', onAbort, { once: true });
+    entry.promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+/**
+ * Fetch JSON from a TMDB API URL built by one of the Endpoint helpers
+ *
+ * @param {string} url - Full TMDB API URL
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {TmdbError} When the request fails or TMDB answers with a non-2xx status
+ */
+export const request = (url, options) => sharedRequest(url, 'json', options);
+
+/**
+ * Send a request that changes something (POST, DELETE...) to a TMDB API URL. Unlike `request`
+ * it is never shared, every call goes out.
+ *
+ * @param {string} url - Full TMDB API URL
+ * @param {Object} [options]
+ * @param {string} [options.method]
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} Parsed response body, empty when there is none
+ * @throws {TmdbError}
+ */
+export const sendRequest = (url, { method = 'POST', body, signal } = {}) => {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+  return fetchChecked(
+    url,
+    { method, headers: getHeaders(), body: body === undefined ? undefined : JSON.stringify(body), signal },
+    response => response.json().catch(() => ({}))
+  );
+};
+
+/**
+ * Download a TMDB image as a Blob
+ *
+ * @param {string} path - Image path as returned by the API (e.g. `poster_path`)
+ * @param {string} [size] - TMDB image size (w92, w154, w342, w500, original...)
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Blob>}
+ */
+export const fetchImage = (path, size = 'w500', options) =>
+  sharedRequest(imageUrl(path, size), 'blob', options);
+
+// Warm the browser image cache so posters/backdrops appear instantly
+export const preloadImage = (path, size = 'w500') => {
+  if (!path) return;
+  const img = new Image();
+  img.src = imageUrl(path, size);
+};
+
+export const preloadImages = (items = [], field = 'poster_path', size = 'w500') => {
+  items.forEach(item => preloadImage(item?.[field], size));
+};
+
+const clampPage = (page) => Math.min(Math.max(1, page || 1), MAX_API_PAGE);
+
+// Typed TMDB API surface
+export const tmdb = {
+  /** @returns {Promise<PagedResponse>} */
+  popularMovies: (page = 1, options) =>
+    request(PAGINATED_MOVIES(clampPage(page)), options),
+
+  /** @returns {Promise<PagedResponse>} */
+  popularTvShows: (page = 1, options) =>
+    request(PAGINATED_TV_SHOWS(clampPage(page)), options),
+
+  /** @returns {Promise<PagedResponse>} */
+  searchMovies: (query, page = 1, options) =>
+    request(SEARCH_MOVIES(query, clampPage(page)), options),
+
+  /** @returns {Promise<PagedResponse>} */
+  searchTvShows: (query, page = 1, options) =>
+    request(SEARCH_TV_SHOWS(query, clampPage(page)), options),
+
+  /** @returns {Promise<PagedResponse>} */
+  searchPeople: (query, page = 1, options) =>
+    request(SEARCH_PEOPLE(query, clampPage(page)), options),
+
+  /**
+   * Mixed results, each with a `media_type` of 'movie', 'tv' or 'person'
+   * @returns {Promise<PagedResponse>}
+   */
+  searchMulti: (query, page = 1, options) =>
+    request(SEARCH_MULTI(query, clampPage(page)), options),
+
+  /**
+   * @param {Object<string, string>} params - Discover query params, see toDiscoverParams
+   * @returns {Promise<PagedResponse>}
+   */
+  discoverMovies: (params = {}, page = 1, options) =>
+    request(DISCOVER_MOVIES({ sort_by: 'popularity.desc', ...params }, clampPage(page)), options),
+
+  /**
+   * @param {Object<string, string>} params - Discover query params, see toDiscoverParams
+   * @returns {Promise<PagedResponse>}
+   */
+  discoverTvShows: (params = {}, page = 1, options) =>
+    request(DISCOVER_TV_SHOWS({ sort_by: 'popularity.desc', ...params }, clampPage(page)), options),
+
+  /** @returns {Promise<{ genres: Array<{ id: number, name: string }> }>} */
+  genres: (mediaType, options) =>
+    request(GENRE_LIST(mediaType), options),
+
+  /** @returns {Promise<Array<{ iso_3166_1: string, english_name: string }>>} */
+  countries: (options) =>
+    request(COUNTRY_LIST, options),
+
+  /** @returns {Promise<Array<{ iso_639_1: string, english_name: string }>>} */
+  languages: (options) =>
+    request(LANGUAGE_LIST, options),
+
+  /**
+   * @param {'movie'|'tv'} mediaType
+   * @param {'day'|'week'} timeWindow
+   * @returns {Promise<PagedResponse>}
+   */
+  trending: (mediaType, timeWindow = 'week', page = 1, options) =>
+    request(TRENDING_LIST(mediaType, timeWindow, clampPage(page)), options),
+
+  /**
+   * @param {'now_playing'|'upcoming'|'top_rated'} list
+   * @returns {Promise<PagedResponse>}
+   */
+  movieList: (list, page = 1, options) =>
+    request(MOVIE_LIST(list, clampPage(page)), options),
+
+  /**
+   * @param {'airing_today'|'on_the_air'|'top_rated'} list
+   * @returns {Promise<PagedResponse>}
+   */
+  tvList: (list, page = 1, options) =>
+    request(TV_LIST(list, clampPage(page)), options),
+
+  /** Movie details including `credits`, `videos`, `recommendations` and `similar` */
+  movieDetails: (id, options) =>
+    request(MOVIE_DETAILS(id), options),
+
+  /** TV show details including `credits`, `videos`, `recommendations` and `similar` */
+  tvDetails: (id, options) =>
+    request(TV_DETAILS(id), options),
+
+  /** @returns {Promise<{ results: Array<{ iso_3166_1: string, release_dates: Array<{ certification: string, type: number }> }> }>} */
+  movieReleaseDates: (id, options) =>
+    request(MOVIE_RELEASE_DATES(id), options),
+
+  /** @returns {Promise<{ results: Array<{ iso_3166_1: string, rating: string }> }>} */
+  tvContentRatings: (id, options) =>
+    request(TV_CONTENT_RATINGS(id), options),
+
+  /**
+   * @param {'movie'|'tv'} mediaType
+   * @returns {Promise<{ certifications: Object<string, Array<{ certification: string, meaning: string, order: number }>> }>}
+   */
+  certifications: (mediaType, options) =>
+    request(CERTIFICATION_LIST(mediaType), options),
+
+  /** A single season with its full episode list and the season's `credits` */
+  tvSeason: (tvId, seasonNumber, options) =>
+    request(TV_SEASON_EPISODES(tvId, seasonNumber), options),
+
+  /** A single episode including its `images` (stills) */
+  tvEpisode: (tvId, seasonNumber, episodeNumber, options) =>
+    request(TV_EPISODE_DETAILS(tvId, seasonNumber, episodeNumber), options),
+
+  /** Person details including `combined_credits` (movie and TV, cast and crew) */
+  personDetails: (id, options) =>
+    request(PERSON_DETAILS(id), options)
+};